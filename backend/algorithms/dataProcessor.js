@@ -1,90 +1,47 @@
 const fs = require('fs');
-const fsPromises = require('fs').promises;
 const path = require('path');
-const { promisify } = require('util');
-const readFile = promisify(fs.readFile);
+const Topology = require('./topology');
+const { createLoader, getFormatDirectory, DEFAULT_FORMAT } = require('./loaders');
 
 /**
- * Parse PlanetLab dataset files
- * Expected format: Each file contains CPU utilization data
+ * Parse workload trace datasets
+ * PlanetLab by default; other trace formats go through the loaders in ./loaders
  */
 class DataProcessor {
   constructor() {
-    this.datasetPath = path.join(__dirname, '..', 'dataset', 'planetlab');
+    this.datasetPath = getFormatDirectory(DEFAULT_FORMAT);
     this.cache = new Map(); // Cache loaded datasets
     // NO LIMITATIONS - Process all files and all data points
   }
 
   /**
-   * Load dataset for a specific date (with caching and parallel I/O optimization)
+   * Load a dataset (with caching)
+   * @param {string} date - PlanetLab date, or the dataset name for other trace formats
+   * @param {Object} trace - Trace format: { format, path, ...loaderOptions } (default: PlanetLab).
+   *   Datasets are read from path/<date>, by default backend/dataset/<format>/<date>.
    */
-  async loadDataset(date) {
+  async loadDataset(date, trace = null) {
+    const { format = DEFAULT_FORMAT, path: tracePath, ...loaderOptions } = trace || {};
+    const datasetRoot = tracePath || (format === DEFAULT_FORMAT ? this.datasetPath : getFormatDirectory(format));
+    const cacheKey = trace ? `${format}:${datasetRoot}:${date}:${JSON.stringify(loaderOptions)}` : date;
+
     // Check cache first
-    if (this.cache.has(date)) {
-      return this.cache.get(date);
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
     }
 
-    const datePath = path.join(this.datasetPath, date);
-    if (!fs.existsSync(datePath)) {
+    const loader = createLoader(format, loaderOptions);
+    const datePath = path.join(datasetRoot, date);
+    if (loader.readsFiles && !fs.existsSync(datePath)) {
       throw new Error(`Dataset date ${date} not found`);
     }
 
-    const files = fs.readdirSync(datePath);
-    const vmData = [];
-    
-    // Process ALL files in PARALLEL - NO LIMITATIONS
-    console.log(`Loading dataset ${date}: Processing ${files.length} files in parallel...`);
-
-    // Process files in parallel batches for better I/O performance
-    const processFile = async (file, fileIndex) => {
-      const filePath = path.join(datePath, file);
-      try {
-        const content = await readFile(filePath, 'utf8');
-        const lines = content.split('\n').filter(line => line.trim());
-        const fileData = [];
-        
-        // Process ALL data points - NO SAMPLING
-        // PlanetLab format: Each line is a CPU utilization value (0-100)
-        lines.forEach((line, index) => {
-          const cpuUtil = parseFloat(line.trim());
-          if (!isNaN(cpuUtil) && cpuUtil >= 0 && cpuUtil <= 100) {
-            fileData.push({
-              vmId: file,
-              timestamp: index * 300, // Assume 5-minute intervals (300 seconds)
-              cpuUtilization: cpuUtil,
-              memoryUtilization: cpuUtil * 0.8, // Estimate memory based on CPU
-              networkUtilization: cpuUtil * 0.3 // Estimate network based on CPU
-            });
-          }
-        });
-        
-        return { fileIndex, fileData, success: true };
-      } catch (error) {
-        console.warn(`Error reading file ${file}:`, error.message);
-        return { fileIndex, fileData: [], success: false };
-      }
-    };
-
-    // Process files in parallel batches (100 files at a time)
-    const batchSize = 100;
-    for (let i = 0; i < files.length; i += batchSize) {
-      const batch = files.slice(i, i + batchSize);
-      const batchPromises = batch.map((file, idx) => processFile(file, i + idx));
-      const batchResults = await Promise.all(batchPromises);
-      
-      batchResults.forEach(({ fileData }) => {
-        vmData.push(...fileData);
-      });
-      
-      if (i + batchSize < files.length) {
-        console.log(`  Processed ${Math.min(i + batchSize, files.length)}/${files.length} files...`);
-      }
-    }
-    
-    console.log(`Dataset ${date} loaded: ${vmData.length} data points from ${files.length} files`);
+    const vmData = await loader.load(datePath);
+    const vmCount = new Set(vmData.map(point => point.vmId)).size;
+    console.log(`Dataset ${date} loaded: ${vmData.length} data points from ${vmCount} VMs (${format})`);
 
     // Cache the result
-    this.cache.set(date, vmData);
+    this.cache.set(cacheKey, vmData);
     return vmData;
   }
 
@@ -103,8 +60,16 @@ class DataProcessor {
   /**
    * Get all active nodes (hosts) from dataset
    * In PlanetLab, each file represents a VM, and we group VMs into hosts
+   * @param {Array} vmData - Dataset data points
+   * @param {string|Object|Topology} topology - Cluster topology (see Topology.load); without one,
+   *   hosts are guessed from the file names
+   * @param {Object} allocationOptions - { strategy, seed, includeIdle } for the topology allocation
    */
-  getActiveNodes(vmData) {
+  getActiveNodes(vmData, topology = null, allocationOptions = {}) {
+    if (topology) {
+      return Topology.load(topology).buildNodes(vmData, allocationOptions);
+    }
+
     const nodes = new Map();
     
     // Group VMs by extracting host identifier from filename
@@ -152,12 +117,52 @@ class DataProcessor {
     }));
   }
 
+  /**
+   * Get the initial VM-to-host allocation of a dataset on a cluster topology
+   * Used by the Phase 2-4 orchestrators so that every phase sees the same hosts
+   * @returns {Map|null} vmId -> { host, vmType }, or null without a topology
+   */
+  getVMAllocation(vmData, topology = null, allocationOptions = {}) {
+    if (!topology) {
+      return null;
+    }
+    return Topology.load(topology).allocateTrace(vmData, allocationOptions);
+  }
+
   /**
    * Get CPU utilization array for a node
    */
   getCPUUtilization(node) {
     return node.vms.map(vm => vm.cpuUtilization);
   }
+
+  /**
+   * Get the host utilization time series of a node
+   * Host utilization at a timestamp is the summed VM demand divided by the host capacity.
+   * With a topology, demand and capacity are in MIPS; otherwise each VM is one CPU share
+   * of the host and the capacity defaults to the number of VMs.
+   * @param {Object} node - Node with VM data points
+   * @param {number} capacity - Host capacity in MIPS (topology) or VM units (optional)
+   * @returns {Object} { timestamps, utilizations } sorted by timestamp
+   */
+  getHostUtilizationSeries(node, capacity = null) {
+    const totals = new Map();
+    const vmIds = new Set();
+
+    node.vms.forEach(vm => {
+      vmIds.add(vm.vmId);
+      const size = node.vmMips ? node.vmMips.get(vm.vmId) : 1;
+      totals.set(vm.timestamp, (totals.get(vm.timestamp) || 0) + (vm.cpuUtilization / 100) * size);
+    });
+
+    const hostCapacity = capacity || (node.host ? node.host.totalMips : vmIds.size) || 1;
+    const timestamps = Array.from(totals.keys()).sort((a, b) => a - b);
+
+    return {
+      timestamps,
+      utilizations: timestamps.map(timestamp => Math.min(100, (totals.get(timestamp) / hostCapacity) * 100))
+    };
+  }
 }
 
 module.exports = DataProcessor;
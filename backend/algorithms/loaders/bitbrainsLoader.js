@@ -0,0 +1,61 @@
+const path = require('path');
+const TraceLoader = require('./traceLoader');
+
+/**
+ * Bitbrains GWA-T-12 Loader (fastStorage / Rnd)
+ * One semicolon-separated CSV per VM with a header row:
+ *   Timestamp [ms]; CPU cores; CPU capacity provisioned [MHZ]; CPU usage [MHZ]; CPU usage [%];
+ *   Memory capacity provisioned [KB]; Memory usage [KB]; Disk read throughput [KB/s];
+ *   Disk write throughput [KB/s]; Network received throughput [KB/s]; Network transmitted throughput [KB/s]
+ * Despite its label the timestamp is in seconds. Disk and network throughputs are turned into
+ * utilizations against the capacities in the options.
+ */
+class BitbrainsLoader extends TraceLoader {
+  /**
+   * @param {Object} options - Loader options
+   * @param {number} options.diskCapacity - Disk throughput capacity in KB/s (default 100 MB/s)
+   * @param {number} options.networkCapacity - Network capacity in KB/s (default 1 Gbit/s)
+   */
+  constructor(options = {}) {
+    super({
+      diskCapacity: 100 * 1024,
+      networkCapacity: 125000,
+      ...options
+    });
+  }
+
+  async load(datasetPath) {
+    const files = TraceLoader.listFiles(datasetPath, /\.csv(\.gz)?$/);
+    const { diskCapacity, networkCapacity } = this.options;
+    const samples = [];
+
+    console.log(`Loading Bitbrains GWA-T-12 trace: ${files.length} VM files...`);
+
+    for (const filePath of files) {
+      const vmId = path.basename(filePath).replace(/\.csv(\.gz)?$/, '');
+
+      await TraceLoader.readLines(filePath, (line, lineIndex) => {
+        if (lineIndex === 0 && /timestamp/i.test(line)) {
+          return;
+        }
+
+        const values = TraceLoader.splitLine(line, ';').map(TraceLoader.toNumber);
+        const [timestamp, , , , cpuPercent, memoryProvisioned, memoryUsage,
+          diskRead, diskWrite, networkIn, networkOut] = values;
+
+        samples.push({
+          vmId: vmId,
+          timestamp: timestamp,
+          cpu: cpuPercent,
+          memory: memoryProvisioned > 0 && memoryUsage !== null ? (memoryUsage / memoryProvisioned) * 100 : null,
+          network: networkIn !== null && networkOut !== null ? ((networkIn + networkOut) / networkCapacity) * 100 : null,
+          disk: diskRead !== null && diskWrite !== null ? ((diskRead + diskWrite) / diskCapacity) * 100 : null
+        });
+      });
+    }
+
+    return this.aggregate(samples);
+  }
+}
+
+module.exports = BitbrainsLoader;
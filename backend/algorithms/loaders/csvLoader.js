@@ -0,0 +1,96 @@
+const path = require('path');
+const TraceLoader = require('./traceLoader');
+
+/**
+ * Generic CSV Loader with a column mapping
+ * Columns are given by header name (files with a header row) or zero-based index:
+ *   { columns: { vmId: 'vm', timestamp: 'time', cpu: 'cpu', memory: 'mem', network: 'net', disk: 'disk' } }
+ * vmId, timestamp and cpu are required; unmapped resources are treated as not measured.
+ * Without a vmId column every file is one VM named after the file.
+ */
+class CSVLoader extends TraceLoader {
+  /**
+   * @param {Object} options - Loader options
+   * @param {Object} options.columns - Column mapping (see above)
+   * @param {string} options.delimiter - Field delimiter (default ',')
+   * @param {boolean} options.header - Whether files start with a header row (default true)
+   * @param {number} options.timestampScale - Seconds per timestamp unit (default 1, e.g. 0.001 for ms)
+   * @param {number} options.utilizationScale - Factor turning values into percentages (default 1, 100 for 0-1 fractions)
+   */
+  constructor(options = {}) {
+    super({
+      delimiter: ',',
+      header: true,
+      timestampScale: 1,
+      utilizationScale: 1,
+      ...options
+    });
+
+    const columns = this.options.columns || {};
+    ['timestamp', 'cpu'].forEach(field => {
+      if (columns[field] === undefined) {
+        throw new Error(`CSV loader needs a column mapping for "${field}"`);
+      }
+    });
+  }
+
+  /**
+   * Resolve the column mapping to indices
+   * @param {Array<string>} headerRow - Header fields (null without a header)
+   */
+  resolveColumns(headerRow) {
+    const indices = {};
+    Object.entries(this.options.columns).forEach(([field, column]) => {
+      if (typeof column === 'number' || /^\d+$/.test(String(column))) {
+        indices[field] = Number(column);
+        return;
+      }
+      const index = headerRow ? headerRow.indexOf(column) : -1;
+      if (index === -1) {
+        throw new Error(`CSV column "${column}" (${field}) not found in header`);
+      }
+      indices[field] = index;
+    });
+    return indices;
+  }
+
+  async load(datasetPath) {
+    const files = TraceLoader.listFiles(datasetPath, /\.(csv|txt)(\.gz)?$/);
+    const { delimiter, header, timestampScale, utilizationScale } = this.options;
+    const samples = [];
+
+    console.log(`Loading CSV trace: ${files.length} files...`);
+
+    for (const filePath of files) {
+      const fileVmId = path.basename(filePath).replace(/\.(csv|txt)(\.gz)?$/, '');
+      let indices = header ? null : this.resolveColumns(null);
+
+      await TraceLoader.readLines(filePath, (line, lineIndex) => {
+        const fields = TraceLoader.splitLine(line, delimiter);
+        if (header && lineIndex === 0) {
+          indices = this.resolveColumns(fields);
+          return;
+        }
+
+        const utilization = field => {
+          const value = indices[field] !== undefined ? TraceLoader.toNumber(fields[indices[field]]) : null;
+          return value !== null ? value * utilizationScale : null;
+        };
+        const timestamp = TraceLoader.toNumber(fields[indices.timestamp]);
+
+        samples.push({
+          vmId: indices.vmId !== undefined ? fields[indices.vmId] : fileVmId,
+          timestamp: timestamp !== null ? timestamp * timestampScale : null,
+          cpu: utilization('cpu'),
+          memory: utilization('memory'),
+          network: utilization('network'),
+          disk: utilization('disk')
+        });
+      });
+    }
+
+    return this.aggregate(samples);
+  }
+}
+
+module.exports = CSVLoader;
@@ -0,0 +1,45 @@
+const TraceLoader = require('./traceLoader');
+
+/**
+ * Google Cluster Trace (2011) Loader - task_usage table
+ * Header-less CSV part files (optionally gzipped), one row per task per measurement period:
+ *   0 start time (us), 1 end time, 2 job ID, 3 task index, 4 machine ID,
+ *   5 mean CPU usage rate, 6 canonical memory usage, 7 assigned memory, 8 unmapped page cache,
+ *   9 total page cache, 10 max memory, 11 mean disk I/O time, 12 mean local disk space, ...
+ * Each task (job ID + task index) becomes a VM. CPU and memory are normalized by the largest
+ * machine in the trace, so they map to a percentage of one machine. The trace has no network data.
+ */
+class GoogleLoader extends TraceLoader {
+  async load(datasetPath) {
+    const files = TraceLoader.listFiles(datasetPath, /\.csv(\.gz)?$/);
+    const samples = [];
+
+    console.log(`Loading Google task_usage trace: ${files.length} files...`);
+
+    for (const filePath of files) {
+      await TraceLoader.readLines(filePath, line => {
+        const columns = TraceLoader.splitLine(line);
+        const startTime = TraceLoader.toNumber(columns[0]);
+        const cpuRate = TraceLoader.toNumber(columns[5]);
+        if (startTime === null || cpuRate === null) {
+          return;
+        }
+
+        const memory = TraceLoader.toNumber(columns[6]);
+        const diskIOTime = TraceLoader.toNumber(columns[11]);
+        samples.push({
+          vmId: `${columns[2]}_${columns[3]}`,
+          timestamp: startTime / 1e6,
+          cpu: cpuRate * 100,
+          memory: memory !== null ? memory * 100 : null,
+          network: null,
+          disk: diskIOTime !== null ? diskIOTime * 100 : null
+        });
+      });
+    }
+
+    return this.aggregate(samples);
+  }
+}
+
+module.exports = GoogleLoader;
@@ -0,0 +1,53 @@
+const path = require('path');
+const PlanetLabLoader = require('./planetlabLoader');
+const GoogleLoader = require('./googleLoader');
+const AlibabaLoader = require('./alibabaLoader');
+const BitbrainsLoader = require('./bitbrainsLoader');
+const CSVLoader = require('./csvLoader');
+const SyntheticLoader = require('./syntheticLoader');
+
+/**
+ * Trace loader registry
+ * Datasets of a format live in backend/dataset/<format>/<dataset> (PlanetLab: one directory per date)
+ * except synthetic datasets, which are generated in memory
+ */
+const LOADERS = {
+  planetlab: PlanetLabLoader,
+  google: GoogleLoader,
+  alibaba: AlibabaLoader,
+  bitbrains: BitbrainsLoader,
+  csv: CSVLoader,
+  synthetic: SyntheticLoader
+};
+
+const TRACE_FORMATS = Object.keys(LOADERS);
+const DEFAULT_FORMAT = 'planetlab';
+const DATASET_ROOT = path.join(__dirname, '..', '..', 'dataset');
+
+/**
+ * Create the loader of a trace format
+ * @param {string} format - planetlab, google, alibaba, bitbrains, csv or synthetic
+ * @param {Object} options - Loader options (see the loader classes)
+ */
+function createLoader(format = DEFAULT_FORMAT, options = {}) {
+  const Loader = LOADERS[format];
+  if (!Loader) {
+    throw new Error(`Unknown trace format: ${format} (use ${TRACE_FORMATS.join(', ')})`);
+  }
+  return new Loader(options);
+}
+
+/**
+ * Default directory holding the datasets of a trace format
+ */
+function getFormatDirectory(format = DEFAULT_FORMAT) {
+  return path.join(DATASET_ROOT, format);
+}
+
+module.exports = {
+  createLoader,
+  getFormatDirectory,
+  TRACE_FORMATS,
+  DEFAULT_FORMAT,
+  DATASET_ROOT
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const readFile = promisify(fs.readFile);
+const TraceLoader = require('./traceLoader');
+
+/**
+ * PlanetLab Loader (CoMon traces as used by CloudSim)
+ * One file per VM, one CPU utilization percentage (0-100) per line, sampled every 5 minutes.
+ * The trace has no memory, network or disk columns.
+ */
+class PlanetLabLoader extends TraceLoader {
+  async load(datasetPath) {
+    if (!fs.existsSync(datasetPath)) {
+      throw new Error(`Dataset ${path.basename(datasetPath)} not found`);
+    }
+
+    const files = fs.readdirSync(datasetPath);
+    const vmData = [];
+    const interval = this.options.interval || TraceLoader.DEFAULT_INTERVAL;
+
+    // Process ALL files in PARALLEL - NO LIMITATIONS
+    console.log(`Loading dataset ${path.basename(datasetPath)}: Processing ${files.length} files in parallel...`);
+
+    const processFile = async (file) => {
+      const filePath = path.join(datasetPath, file);
+      try {
+        const content = await readFile(filePath, 'utf8');
+        const lines = content.split('\n').filter(line => line.trim());
+        const fileData = [];
+
+        // Process ALL data points - NO SAMPLING
+        lines.forEach((line, index) => {
+          const cpuUtil = parseFloat(line.trim());
+          if (!isNaN(cpuUtil) && cpuUtil >= 0 && cpuUtil <= 100) {
+            fileData.push(TraceLoader.createPoint({
+              vmId: file,
+              timestamp: index * interval,
+              cpu: cpuUtil
+            }));
+          }
+        });
+
+        return { fileData, success: true };
+      } catch (error) {
+        console.warn(`Error reading file ${file}:`, error.message);
+        return { fileData: [], success: false };
+      }
+    };
+
+    // Process files in parallel batches (100 files at a time)
+    const batchSize = 100;
+    for (let i = 0; i < files.length; i += batchSize) {
+      const batch = files.slice(i, i + batchSize);
+      const batchResults = await Promise.all(batch.map(file => processFile(file)));
+
+      batchResults.forEach(({ fileData }) => {
+        vmData.push(...fileData);
+      });
+
+      if (i + batchSize < files.length) {
+        console.log(`  Processed ${Math.min(i + batchSize, files.length)}/${files.length} files...`);
+      }
+    }
+
+    return vmData;
+  }
+}
+
+module.exports = PlanetLabLoader;
@@ -0,0 +1,36 @@
+const path = require('path');
+const TraceLoader = require('./traceLoader');
+const WorkloadGenerator = require('../../utils/workloadGenerator');
+
+/**
+ * Synthetic Loader
+ * Generates the dataset in memory with WorkloadGenerator instead of reading files.
+ * The dataset name plays the role of the PlanetLab date and is mixed into the seed;
+ * the loader options are the generator options (seed, vmCount, diurnalAmplitude, ...).
+ */
+class SyntheticLoader extends TraceLoader {
+  constructor(options = {}) {
+    super(options);
+    const { interval, ...generatorOptions } = this.options;
+    this.generator = new WorkloadGenerator({ ...generatorOptions, interval: interval || TraceLoader.DEFAULT_INTERVAL });
+    this.readsFiles = false;
+  }
+
+  async load(datasetPath) {
+    const date = path.basename(datasetPath);
+    const { interval } = this.generator.options;
+    const vmData = [];
+
+    console.log(`Generating synthetic dataset ${date}: ${this.generator.options.vmCount} VMs x ${this.generator.options.samples} samples (seed ${this.generator.options.seed})`);
+
+    this.generator.generateSeries(date).forEach(({ vmId, values }) => {
+      values.forEach((cpu, index) => {
+        vmData.push(TraceLoader.createPoint({ vmId, timestamp: index * interval, cpu }));
+      });
+    });
+
+    return vmData;
+  }
+}
+
+module.exports = SyntheticLoader;
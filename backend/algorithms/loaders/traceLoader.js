@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+
+/**
+ * Trace Loader (base class)
+ * A loader turns one dataset of a trace format into the data points used by all phases:
+ * { vmId, timestamp (s), cpuUtilization, memoryUtilization, networkUtilization, diskUtilization } (0-100).
+ *
+ * Memory and network are estimated from CPU (0.8x / 0.3x, as the phases always did) only when
+ * the trace has no such column; diskUtilization is null when the trace has no disk column.
+ */
+class TraceLoader {
+  /**
+   * @param {Object} options - Loader options
+   * @param {number} options.interval - Sampling interval in seconds; samples are averaged into
+   *   buckets of this length (default 300, the PlanetLab interval). 0 keeps raw timestamps.
+   */
+  constructor(options = {}) {
+    this.options = {
+      interval: TraceLoader.DEFAULT_INTERVAL,
+      ...options
+    };
+    // Loaders that generate their data (synthetic) do not need the dataset directory to exist
+    this.readsFiles = true;
+  }
+
+  /**
+   * Load a dataset
+   * @param {string} datasetPath - Directory (or file) holding the dataset
+   * @returns {Promise<Array>} Data points sorted by VM and timestamp
+   */
+  async load(datasetPath) {
+    throw new Error(`${this.constructor.name} does not implement load(${datasetPath})`);
+  }
+
+  /**
+   * Data files of a dataset: the path itself, or the regular files of a directory in name order
+   * @param {string} datasetPath - Dataset directory or file
+   * @param {RegExp} pattern - Optional file name filter
+   */
+  static listFiles(datasetPath, pattern = null) {
+    if (!fs.existsSync(datasetPath)) {
+      throw new Error(`Dataset ${datasetPath} not found`);
+    }
+    if (fs.statSync(datasetPath).isFile()) {
+      return [datasetPath];
+    }
+    return fs.readdirSync(datasetPath)
+      .filter(file => !pattern || pattern.test(file))
+      .map(file => path.join(datasetPath, file))
+      .filter(filePath => fs.statSync(filePath).isFile())
+      .sort();
+  }
+
+  /**
+   * Stream the non-empty lines of a text file (gzip files are decompressed on the fly)
+   * @param {string} filePath - File to read
+   * @param {Function} onLine - (line, lineIndex) => void
+   */
+  static async readLines(filePath, onLine) {
+    let input = fs.createReadStream(filePath);
+    if (filePath.endsWith('.gz')) {
+      input = input.pipe(zlib.createGunzip());
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineIndex = 0;
+    for await (const line of lines) {
+      if (line.trim()) {
+        onLine(line, lineIndex++);
+      }
+    }
+  }
+
+  /**
+   * Split a CSV line (no quoted delimiters in the supported traces)
+   */
+  static splitLine(line, delimiter = ',') {
+    return line.split(delimiter).map(value => value.trim());
+  }
+
+  /**
+   * Parse a number, returning null for empty or invalid values
+   */
+  static toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Clamp a utilization to 0-100 (null stays null)
+   */
+  static clampPercent(value) {
+    return value === null || value === undefined ? null : Math.min(100, Math.max(0, value));
+  }
+
+  /**
+   * Build a data point, estimating memory and network from CPU when they were not measured
+   * @param {Object} sample - { vmId, timestamp, cpu, memory, network, disk } (utilizations in %)
+   */
+  static createPoint(sample) {
+    const cpu = TraceLoader.clampPercent(sample.cpu);
+    const memory = TraceLoader.clampPercent(sample.memory);
+    const network = TraceLoader.clampPercent(sample.network);
+    const disk = TraceLoader.clampPercent(sample.disk);
+
+    return {
+      vmId: sample.vmId,
+      timestamp: sample.timestamp,
+      cpuUtilization: cpu,
+      memoryUtilization: memory !== null ? memory : cpu * 0.8,
+      networkUtilization: network !== null ? network : cpu * 0.3,
+      diskUtilization: disk
+    };
+  }
+
+  /**
+   * Turn raw samples into data points
+   * Timestamps are made relative to the first sample of the dataset and, with an interval,
+   * the samples of a VM falling into the same bucket are averaged (per measured resource).
+   * @param {Array} samples - { vmId, timestamp (s), cpu, memory, network, disk }
+   * @returns {Array} Data points sorted by VM and timestamp
+   */
+  aggregate(samples) {
+    const valid = samples.filter(sample => sample.vmId !== undefined && sample.vmId !== '' &&
+      Number.isFinite(sample.timestamp) && sample.cpu !== null && sample.cpu >= 0);
+    if (valid.length === 0) {
+      return [];
+    }
+
+    const start = valid.reduce((min, sample) => Math.min(min, sample.timestamp), Infinity);
+    const interval = this.options.interval;
+    const buckets = new Map();
+
+    valid.forEach(sample => {
+      const offset = sample.timestamp - start;
+      const timestamp = interval > 0 ? Math.floor(offset / interval) * interval : offset;
+      const key = `${sample.vmId}\u0000${timestamp}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, { vmId: String(sample.vmId), timestamp, sums: {}, counts: {} });
+      }
+      const bucket = buckets.get(key);
+      ['cpu', 'memory', 'network', 'disk'].forEach(resource => {
+        if (sample[resource] !== null && sample[resource] !== undefined) {
+          bucket.sums[resource] = (bucket.sums[resource] || 0) + sample[resource];
+          bucket.counts[resource] = (bucket.counts[resource] || 0) + 1;
+        }
+      });
+    });
+
+    const average = (bucket, resource) =>
+      bucket.counts[resource] ? bucket.sums[resource] / bucket.counts[resource] : null;
+
+    return Array.from(buckets.values())
+      .map(bucket => TraceLoader.createPoint({
+        vmId: bucket.vmId,
+        timestamp: bucket.timestamp,
+        cpu: average(bucket, 'cpu'),
+        memory: average(bucket, 'memory'),
+        network: average(bucket, 'network'),
+        disk: average(bucket, 'disk')
+      }))
+      .sort((a, b) => (a.vmId < b.vmId ? -1 : a.vmId > b.vmId ? 1 : a.timestamp - b.timestamp));
+  }
+}
+
+TraceLoader.DEFAULT_INTERVAL = 300;
+
+module.exports = TraceLoader;
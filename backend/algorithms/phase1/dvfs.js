@@ -0,0 +1,164 @@
+const PowerModels = require('./powerModels');
+
+/**
+ * Dynamic voltage and frequency scaling (DVFS)
+ * A host runs in one of its P-states, each a frequency and a voltage relative to the nominal
+ * ones (the host's MIPS and power model are measured at frequency 1). At frequency f the host
+ * delivers f times its MIPS. The static part of the power (idle power) scales with the voltage V
+ * and the dynamic part with f * V^2, so
+ *   P(d, f, V) = P_idle * V + (P(d / f) - P_idle) * f * V^2
+ * where d is the demand as a share of the nominal capacity. A governor picks the P-state of
+ * every interval from the demand:
+ *   performance - always the highest frequency
+ *   powersave   - always the lowest frequency (demand above it is not served)
+ *   ondemand    - the lowest frequency that keeps the utilization under upThreshold, the
+ *                 highest when none does (the governor samples far more often than the trace,
+ *                 so it follows the demand of the interval)
+ */
+class DVFS {
+  /**
+   * P-state a governor selects for a demand
+   * @param {Array<Object>} pStates - Resolved P-states, highest frequency first
+   * @param {Object} config - Resolved DVFS configuration (governor, upThreshold)
+   * @param {number} demand - Requested capacity in percent of the nominal host capacity
+   * @returns {Object} { frequency, voltage }
+   */
+  static selectPState(pStates, config, demand) {
+    switch (config.governor) {
+      case 'performance':
+        return pStates[0];
+      case 'powersave':
+        return pStates[pStates.length - 1];
+      default: {
+        // Slowest P-state that keeps the utilization at or below upThreshold
+        for (let i = pStates.length - 1; i >= 0; i--) {
+          if (demand <= pStates[i].frequency * config.upThreshold) {
+            return pStates[i];
+          }
+        }
+        return pStates[0];
+      }
+    }
+  }
+
+  /**
+   * Power draw (Watts) of a host in a P-state
+   * @param {Object} model - Power model of the host (see PowerModels.resolve)
+   * @param {number} utilization - CPU utilization in percent of the capacity at the P-state frequency
+   * @param {Object} pState - { frequency, voltage }
+   */
+  static getPower(model, utilization, pState) {
+    const idlePower = PowerModels.getPower(model, 0);
+    const dynamicPower = PowerModels.getPower(model, utilization) - idlePower;
+    const { frequency, voltage } = pState;
+    return idlePower * voltage + dynamicPower * frequency * voltage * voltage;
+  }
+
+  /**
+   * Utilization of the capacity available at a P-state, capped at 100%
+   * @param {number} demand - Requested capacity in percent of the nominal host capacity
+   */
+  static scaledUtilization(demand, pState) {
+    return Math.min(100, demand / pState.frequency);
+  }
+
+  /**
+   * Power draw (Watts) of a host whose governor serves a demand
+   * @param {number} demand - Requested capacity in percent of the nominal host capacity
+   */
+  static powerAt(model, pStates, config, demand) {
+    const pState = DVFS.selectPState(pStates, config, demand);
+    return DVFS.getPower(model, DVFS.scaledUtilization(demand, pState), pState);
+  }
+
+  /**
+   * P-states of a host: those of its topology host type, otherwise the configured ones
+   * @param {Object} host - Topology host ({ pStates }) or null
+   * @param {Object} config - Resolved DVFS configuration
+   */
+  static hostPStates(host, config) {
+    return host && host.pStates ? DVFS.resolvePStates(host.pStates) : config.pStates;
+  }
+
+  /**
+   * Validate a P-state table
+   * @param {Array<Object>} pStates - [{ frequency, voltage }], relative to the nominal frequency and voltage
+   * @returns {Array<Object>} The P-states, highest frequency first
+   * @throws {Error} When the table is empty, a value is outside (0, 1] or there is no nominal (frequency 1) P-state
+   */
+  static resolvePStates(pStates) {
+    if (!Array.isArray(pStates) || pStates.length === 0) {
+      throw new Error('pStates must be a non-empty array of { frequency, voltage }');
+    }
+
+    const resolved = pStates.map((pState, i) => {
+      if (!pState || typeof pState !== 'object') {
+        throw new Error(`pStates[${i}] must be an object { frequency, voltage }`);
+      }
+      const frequency = Number(pState.frequency);
+      const voltage = pState.voltage !== undefined ? Number(pState.voltage) : 1;
+      if (!(frequency > 0 && frequency <= 1) || !(voltage > 0 && voltage <= 1)) {
+        throw new Error(`pStates[${i}]: frequency and voltage must be in (0, 1] (relative to the nominal values)`);
+      }
+      return { frequency, voltage };
+    }).sort((a, b) => b.frequency - a.frequency);
+
+    if (resolved[0].frequency !== 1) {
+      throw new Error('pStates must include the nominal P-state (frequency 1)');
+    }
+    return resolved;
+  }
+
+  /**
+   * Validate a DVFS configuration and fill in the defaults
+   * @param {Object|boolean} config - { governor, upThreshold, pStates } (true selects the defaults)
+   * @returns {Object} The complete configuration
+   * @throws {Error} On unknown keys, an unknown governor or values out of range
+   */
+  static resolveConfig(config = {}) {
+    if (config === true) {
+      config = {};
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('DVFS config must be an object');
+    }
+
+    const defaults = DVFS.DEFAULT_CONFIG;
+    const unknown = Object.keys(config).filter(key => !(key in defaults));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown DVFS options: ${unknown.join(', ')} (use ${Object.keys(defaults).join(', ')})`);
+    }
+
+    const governor = config.governor !== undefined ? config.governor : defaults.governor;
+    if (!DVFS.GOVERNORS.includes(governor)) {
+      throw new Error(`governor must be one of ${DVFS.GOVERNORS.join(', ')}`);
+    }
+    const upThreshold = config.upThreshold !== undefined ? Number(config.upThreshold) : defaults.upThreshold;
+    if (!Number.isFinite(upThreshold) || upThreshold <= 0 || upThreshold > 100) {
+      throw new Error('upThreshold must be a number in (0, 100] (percent utilization)');
+    }
+
+    return {
+      governor,
+      upThreshold,
+      pStates: DVFS.resolvePStates(config.pStates !== undefined ? config.pStates : defaults.pStates)
+    };
+  }
+}
+
+DVFS.GOVERNORS = ['performance', 'powersave', 'ondemand'];
+DVFS.DEFAULT_CONFIG = {
+  governor: 'ondemand',
+  upThreshold: 80, // percent utilization above which ondemand moves to a faster P-state
+  // Six P-states from the nominal frequency down to half of it, voltage scaling as 0.5 + 0.5 * f
+  pStates: [
+    { frequency: 1, voltage: 1 },
+    { frequency: 0.9, voltage: 0.95 },
+    { frequency: 0.8, voltage: 0.9 },
+    { frequency: 0.7, voltage: 0.85 },
+    { frequency: 0.6, voltage: 0.8 },
+    { frequency: 0.5, voltage: 0.75 }
+  ]
+};
+
+module.exports = DVFS;
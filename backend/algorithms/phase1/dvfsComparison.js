@@ -0,0 +1,91 @@
+const DVFS = require('./dvfs');
+const { mean } = require('../../utils/statistics');
+
+/**
+ * DVFS comparison
+ * Runs every threshold/selection combination twice over the same dates, once at the nominal
+ * frequency and once under a DVFS governor, and reports per combination the mean energy and SLA
+ * metrics of both runs and the energy DVFS saves.
+ */
+class DVFSComparison {
+  /**
+   * Run the comparison
+   * @param {LoadBalancer} loadBalancer - Runs the combinations (runAllAlgorithms)
+   * @param {Array<string>} dates - Datasets to average over
+   * @param {Object} options - runAllAlgorithms options; dvfs configures the DVFS run (default: DVFS.DEFAULT_CONFIG)
+   * @param {Function} options.onProgress - Called with { completedTasks, totalTasks, failedTasks } over both runs
+   * @returns {Object} { dvfs (resolved configuration), combinations: { 'THR MMT': { baseline, dvfs,
+   *   energySavings (kWh), energySavingsPercent, dates } } }
+   */
+  static async run(loadBalancer, dates, options = {}) {
+    const { dvfs, onProgress, ...runOptions } = options;
+    const dvfsConfig = DVFS.resolveConfig(dvfs || {});
+    const variants = [
+      { name: 'baseline', options: runOptions },
+      { name: 'dvfs', options: { ...runOptions, dvfs: dvfsConfig } }
+    ];
+
+    const runs = {};
+    let failedBefore = 0;
+    for (let i = 0; i < variants.length; i++) {
+      const variant = variants[i];
+      console.log(`DVFS comparison: ${variant.name === 'dvfs' ? `${dvfsConfig.governor} governor` : 'nominal frequency'}`);
+      let failedInRun = 0;
+      runs[variant.name] = await loadBalancer.runAllAlgorithms(dates, {
+        ...variant.options,
+        onProgress: ({ completedTasks, totalTasks, failedTasks }) => {
+          failedInRun = failedTasks;
+          if (onProgress) {
+            onProgress({
+              completedTasks: i * totalTasks + completedTasks,
+              totalTasks: variants.length * totalTasks,
+              failedTasks: failedBefore + failedTasks
+            });
+          }
+        }
+      });
+      failedBefore += failedInRun;
+    }
+
+    const combinations = {};
+    Object.keys(runs.baseline).forEach(algorithm => {
+      // Only the dates both runs completed are compared
+      const baselineByDate = runs.baseline[algorithm] || {};
+      const dvfsByDate = (runs.dvfs && runs.dvfs[algorithm]) || {};
+      const pairedDates = Object.keys(baselineByDate).filter(date => dvfsByDate[date]);
+      if (pairedDates.length === 0) {
+        return;
+      }
+
+      const summarize = (byDate) => {
+        const average = (metric) => mean(pairedDates.map(date => byDate[date][metric] || 0));
+        return {
+          energyConsumption: average('energyConsumption'),
+          slaViolations: average('slaViolations'),
+          slatah: average('slatah'),
+          slav: average('slav'),
+          esv: average('esv'),
+          vmMigrations: average('vmMigrations')
+        };
+      };
+      const baseline = summarize(baselineByDate);
+      const scaled = {
+        ...summarize(dvfsByDate),
+        meanFrequency: mean(pairedDates.map(date => dvfsByDate[date].meanFrequency || 0))
+      };
+      const energySavings = baseline.energyConsumption - scaled.energyConsumption;
+
+      combinations[algorithm] = {
+        baseline,
+        dvfs: scaled,
+        energySavings,
+        energySavingsPercent: baseline.energyConsumption > 0 ? (energySavings / baseline.energyConsumption) * 100 : 0,
+        dates: pairedDates.length
+      };
+    });
+
+    return { dvfs: dvfsConfig, combinations };
+  }
+}
+
+module.exports = DVFSComparison;
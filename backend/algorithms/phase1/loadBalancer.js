@@ -1,6 +1,21 @@
 const ThresholdDetection = require('./thresholdDetection');
 const VMConsolidation = require('./vmConsolidation');
 const DataProcessor = require('../dataProcessor');
+const Topology = require('../topology');
+const PowerModels = require('./powerModels');
+const VMPlacement = require('./vmPlacement');
+const Phase1Simulator = require('./simulator');
+const HostPowerState = require('./powerStates');
+const MigrationModel = require('./migrationModel');
+const DVFS = require('./dvfs');
+const { createRandom, DEFAULT_SEED } = require('../../utils/random');
+const {
+  PHASE1_METRICS,
+  PHASE1_SLA_METRICS,
+  PHASE1_MIGRATION_METRICS,
+  PHASE1_POWER_STATE_METRICS,
+  PHASE1_DVFS_METRICS
+} = require('../../utils/resultsStore');
 const { Worker } = require('worker_threads');
 const os = require('os');
 
@@ -20,12 +35,6 @@ class LoadBalancer {
     };
   }
 
-  /**
-   * Run load balancing for a specific algorithm combination
-   * @param {string} thresholdAlgo - Threshold detection algorithm (IQR, LR, MAD, LRR, THR)
-   * @param {string} consolidationAlgo - VM consolidation algorithm (MC, MMT, MU, RS)
-   * @param {string} date - Dataset date
-   */
   /**
    * Get unique VMs from a node (group data points by VM ID)
    */
@@ -37,12 +46,14 @@ class LoadBalancer {
           vmId: vm.vmId,
           cpuUtilization: [],
           memoryUtilization: [],
+          networkUtilization: [],
           timestamps: []
         });
       }
       const vmData = vmMap.get(vm.vmId);
       vmData.cpuUtilization.push(vm.cpuUtilization);
-      vmData.memoryUtilization.push(vm.memoryUtilization || vm.cpuUtilization * 0.8);
+      vmData.memoryUtilization.push(typeof vm.memoryUtilization === 'number' ? vm.memoryUtilization : vm.cpuUtilization * 0.8);
+      vmData.networkUtilization.push(typeof vm.networkUtilization === 'number' ? vm.networkUtilization : vm.cpuUtilization * 0.3);
       vmData.timestamps.push(vm.timestamp);
     });
     
@@ -50,24 +61,103 @@ class LoadBalancer {
     return Array.from(vmMap.values()).map(vm => ({
       vmId: vm.vmId,
       cpuUtilization: vm.cpuUtilization.reduce((a, b) => a + b, 0) / vm.cpuUtilization.length,
+      cpuHistory: vm.cpuUtilization,
       maxCPUUtilization: Math.max(...vm.cpuUtilization),
       memoryUtilization: vm.memoryUtilization.reduce((a, b) => a + b, 0) / vm.memoryUtilization.length,
-      networkUtilization: vm.cpuUtilization.reduce((a, b) => a + b, 0) / vm.cpuUtilization.length * 0.3,
+      networkUtilization: vm.networkUtilization.reduce((a, b) => a + b, 0) / vm.networkUtilization.length,
       dataPoints: vm.cpuUtilization.length
     }));
   }
 
-  async runAlgorithm(thresholdAlgo, consolidationAlgo, date) {
+  /**
+   * Threshold of a host series detector (EWMA, HW, KF, PCT) from the host utilization time series
+   * @param {Object} series - From getHostUtilizationSeries ({ timestamps, utilizations })
+   * @param {Object} detectorOptions - Further detector options (e.g. the configured confidenceZ)
+   */
+  detectFromHostSeries(thresholdAlgo, series, detectorOptions = {}) {
+    const { timestamps, utilizations } = series;
+    const interval = timestamps.length > 1 ? timestamps[1] - timestamps[0] : 0;
+    return ThresholdDetection.detect(thresholdAlgo, utilizations, {
+      ...detectorOptions,
+      seasonLength: ThresholdDetection.seasonLength(interval)
+    });
+  }
+
+  /**
+   * Run load balancing for a specific algorithm combination
+   * @param {string} thresholdAlgo - Threshold detection algorithm (IQR, LR, MAD, LRR, THR, EWMA, HW, KF, PCT)
+   * @param {string} consolidationAlgo - VM consolidation algorithm (MC, MMT, MU, RS, MXU, MNC, HPG, FUZ)
+   * @param {string} date - Dataset date
+   * @param {Object} options - Run options
+   * @param {Array} options.vmData - Pre-loaded dataset (used by worker threads)
+   * @param {Object} options.trace - Trace format of the dataset ({ format, ...loaderOptions }, default: PlanetLab)
+   * @param {string|Object} options.powerModel - Host power model (see PowerModels.resolve, default: linear 200W/400W)
+   * @param {Object} options.migrationModel - Pre-copy live migration settings: dirty-page rate, stop-and-copy
+   *   threshold, bandwidth share, energy and degradation (see MigrationModel.resolveConfig)
+   * @param {number} options.migrationEnergy - Flat energy per VM migration in kWh, replacing the estimate of
+   *   the migration model
+   * @param {string} options.engine - 'daily' (one decision on whole-day statistics, default)
+   *   or 'timestep' (interval-by-interval simulation, see Phase1Simulator)
+   * @param {number} options.windowSize - History window of the timestep engine (samples)
+   * @param {string} options.lrVariant - LR/LRR variant: 'stateless' (threshold from all samples, default)
+   *   or 'windowed' (loess prediction of the next interval from the last lrWindowSize samples)
+   * @param {number} options.lrWindowSize - Samples fitted by the windowed LR/LRR (default 10)
+   * @param {number} options.lrSafetyParameter - Windowed LR/LRR overload when safety * prediction >= 100% (default 1.2)
+   * @param {Object} options.safetyParameters - Safety parameter per threshold algorithm, e.g. { IQR: 1.5, THR: 75 }
+   *   (see ThresholdDetection.SAFETY_PARAMETERS for defaults)
+   * @param {string} options.selectionMode - 'fixed' (migrate 30% of an overloaded host's VMs, default) or
+   *   'iterative' (migrate VMs one at a time until the host is below its threshold)
+   * @param {number} options.underloadThreshold - Host utilization (percent, default 30) below which the host's VMs
+   *   are moved to other active hosts so it can be switched off; a host only counts as shut down when all fit
+   * @param {Object} options.powerStates - Host power-state configuration (see HostPowerState.resolveConfig);
+   *   the result reports time and energy per state in powerStates (all hosts) and hostPowerStates (per host)
+   * @param {Object} options.dvfs - DVFS governor and P-states (see DVFS.resolveConfig); scales the power and
+   *   capacity of every host sample and adds meanFrequency to the result (default: nominal frequency)
+   * @param {string} options.placementAlgo - Destination placement for migrated VMs (PABFD, FF, WF; default: PABFD)
+   * @param {string|Object} options.topology - Cluster topology (see Topology.load; default: hosts guessed from file names)
+   * @param {string} options.allocationStrategy - Initial VM allocation on the topology (round-robin, random, first-fit)
+   * @param {number} options.allocationSeed - Seed of the random allocation strategy
+   * @param {number|string} options.seed - Seed of the randomized policies (RS), default DEFAULT_SEED
+   */
+  async runAlgorithm(thresholdAlgo, consolidationAlgo, date, options = {}) {
     try {
+      const energyOptions = {
+        powerModel: PowerModels.resolve(options.powerModel),
+        migrationEnergy: options.migrationEnergy,
+        dvfs: options.dvfs ? DVFS.resolveConfig(options.dvfs) : null
+      };
+      const migrationConfig = MigrationModel.resolveConfig(options.migrationModel || {});
+
+      const placementAlgo = options.placementAlgo || VMPlacement.DEFAULT_ALGORITHM;
+      const random = createRandom(options.seed !== undefined ? options.seed : DEFAULT_SEED);
+
       // Load dataset (synchronous for backward compatibility in non-worker mode)
       let vmData;
-      if (this.dataProcessor.cache.has(date)) {
+      if (options.vmData) {
+        vmData = options.vmData;
+      } else if (!options.trace && this.dataProcessor.cache.has(date)) {
         vmData = this.dataProcessor.cache.get(date);
       } else {
         // Fallback: load synchronously if not cached (should be pre-loaded)
-        vmData = await this.dataProcessor.loadDataset(date);
+        vmData = await this.dataProcessor.loadDataset(date, options.trace);
       }
-      const nodes = this.dataProcessor.getActiveNodes(vmData);
+
+      if (options.engine === 'timestep') {
+        const simulator = new Phase1Simulator({ ...options, ...energyOptions, placementAlgo });
+        return simulator.run(thresholdAlgo, consolidationAlgo, date, vmData);
+      }
+
+      const allNodes = this.dataProcessor.getActiveNodes(vmData, options.topology, {
+        strategy: options.allocationStrategy,
+        seed: options.allocationSeed,
+        includeIdle: true
+      });
+      const nodes = allNodes.filter(node => node.vms.length > 0);
+      // Topology hosts without VMs start the day powered down and are woken when capacity runs out
+      const idleNodes = allNodes.filter(node => node.vms.length === 0);
+      const powerConfig = HostPowerState.resolveConfig(options.powerStates || {});
+      const dayDuration = this.getTraceDuration(vmData);
+      const hostPowerStates = {};
       
       // Process ALL nodes - NO LIMITATIONS
       console.log(`Processing ${nodes.length} nodes for date ${date} with algorithm ${thresholdAlgo} ${consolidationAlgo}`);
@@ -81,55 +171,73 @@ class LoadBalancer {
       let safeHosts = [];
       let totalEnergyConsumption = 0;
       let totalVMMigrations = 0;
-      let totalSLAViolations = 0;
       let totalNodeShutdowns = 0;
       let totalTimeBeforeShutdown = 0;
-      let totalTimeBeforeMigration = 0;
+      let totalMigrationTime = 0;
+      let totalDowntime = 0;
+      let totalTransferred = 0;
       let shutdownCount = 0;
-      let migrationCount = 0;
+
+      // Performance degradation of each migrated VM (MIPS x seconds), for PDM
+      const migrationDegradation = new Map();
+
+      // Migration metrics and energy (flat per migration when migrationEnergy is set)
+      // @param {Map} migrations - vmId => MigrationModel.estimate result
+      const recordMigrations = migrations => {
+        let energy = 0;
+        migrations.forEach((migration, vmId) => {
+          totalMigrationTime += migration.duration;
+          totalDowntime += migration.downtime;
+          totalTransferred += migration.transferred;
+          energy += energyOptions.migrationEnergy !== undefined ? energyOptions.migrationEnergy : migration.energy.total;
+          migrationDegradation.set(vmId, (migrationDegradation.get(vmId) || 0) +
+            migration.slaCost.source + migration.slaCost.target);
+        });
+        totalVMMigrations += migrations.size;
+        return energy;
+      };
+      // Hosts running VMs for the day, with the VMs they end up with (for the SLA metrics)
+      const slaHosts = [];
+
+      const windowed = ThresholdDetection.isWindowed(thresholdAlgo, options.lrVariant);
+      const hostSeriesDetector = ThresholdDetection.HOST_SERIES_ALGORITHMS.includes(thresholdAlgo);
+      const regressionOptions = { windowSize: options.lrWindowSize, safetyParameter: options.lrSafetyParameter };
+      const detectorOptions = ThresholdDetection.safetyOptions(thresholdAlgo, options.safetyParameters);
 
       // Step 1: Threshold Detection and prepare nodes with unique VMs
       nodes.forEach(node => {
         const cpuUtils = this.dataProcessor.getCPUUtilization(node);
-        let threshold;
-
-        switch (thresholdAlgo) {
-          case 'IQR':
-            threshold = ThresholdDetection.IQR(cpuUtils);
-            break;
-          case 'LR':
-            threshold = ThresholdDetection.LR(cpuUtils);
-            break;
-          case 'MAD':
-            threshold = ThresholdDetection.MAD(cpuUtils);
-            break;
-          case 'LRR':
-            threshold = ThresholdDetection.LRR(cpuUtils);
-            break;
-          case 'THR':
-            threshold = ThresholdDetection.StaticThreshold();
-            break;
-          default:
-            threshold = 80;
-        }
+        const series = hostSeriesDetector || windowed ? this.dataProcessor.getHostUtilizationSeries(node) : null;
+        let threshold = hostSeriesDetector
+          ? this.detectFromHostSeries(thresholdAlgo, series, detectorOptions)
+          : ThresholdDetection.detect(thresholdAlgo, cpuUtils, detectorOptions);
 
         // Check if host is overloaded
         const avgCPU = cpuUtils.length > 0 ? cpuUtils.reduce((a, b) => a + b, 0) / cpuUtils.length : 0;
         const maxCPU = cpuUtils.length > 0 ? Math.max(...cpuUtils) : 0;
+        // A threshold from the host series is compared with the host series peak, not a VM's peak
+        const peakCPU = hostSeriesDetector
+          ? (series.utilizations.length > 0 ? Math.max(...series.utilizations) : 0)
+          : maxCPU;
+        let overloaded = peakCPU > threshold;
+
+        // Windowed LR/LRR walk the host utilization series of the day
+        if (windowed) {
+          const decision = ThresholdDetection.predictOverloadInSeries(thresholdAlgo, series.utilizations, regressionOptions);
+          threshold = decision.threshold;
+          overloaded = decision.overloaded;
+        }
         
         // Get unique VMs for this node
         const uniqueVMs = this.getUniqueVMs(node);
-        
-        // Calculate SLA violations (VMs with max CPU > 90%)
-        const nodeSLAViolations = uniqueVMs.filter(vm => vm.maxCPUUtilization > 90).length;
-        totalSLAViolations += nodeSLAViolations;
 
-        if (maxCPU > threshold) {
+        if (overloaded) {
           overloadedHosts.push({
             ...node,
             threshold: threshold,
             avgCPU: avgCPU,
             maxCPU: maxCPU,
+            capacity: node.host ? node.host.totalMips : uniqueVMs.length,
             uniqueVMs: uniqueVMs
           });
         } else {
@@ -138,125 +246,185 @@ class LoadBalancer {
             threshold: threshold,
             avgCPU: avgCPU,
             maxCPU: maxCPU,
+            capacity: node.host ? node.host.totalMips : uniqueVMs.length,
             uniqueVMs: uniqueVMs
           });
         }
       });
 
-      // Step 2: VM Consolidation for overloaded hosts
+      // Step 2: VM Consolidation for overloaded hosts (select the VMs to migrate)
+      const migrationCandidates = [];
       overloadedHosts.forEach(host => {
-        const uniqueVMs = host.uniqueVMs || this.getUniqueVMs(host);
-        let selectedVMs = [];
-
-        switch (consolidationAlgo) {
-          case 'MC':
-            const correlations = VMConsolidation.MaximumCorrelation(uniqueVMs);
-            selectedVMs = correlations.map(c => c.vm1).slice(0, Math.max(1, Math.floor(uniqueVMs.length * 0.3)));
-            break;
-          case 'MMT':
-            const migrations = VMConsolidation.MinimumMigrationTime(uniqueVMs);
-            const migrationCountForHost = Math.max(1, Math.floor(uniqueVMs.length * 0.3));
-            selectedVMs = migrations.slice(0, migrationCountForHost).map(m => m.vm);
-            const migrationTimes = migrations.slice(0, migrationCountForHost);
-            totalTimeBeforeMigration += migrationTimes.reduce((sum, m) => sum + m.migrationTime, 0);
-            migrationCount += migrationTimes.length;
-            break;
-          case 'MU':
-            const minUtil = VMConsolidation.MinimumUtilization(uniqueVMs);
-            selectedVMs = minUtil.slice(0, Math.max(1, Math.floor(uniqueVMs.length * 0.3)));
-            break;
-          case 'RS':
-            const random = VMConsolidation.RandomSelection(uniqueVMs);
-            selectedVMs = random.slice(0, Math.max(1, Math.floor(uniqueVMs.length * 0.3)));
-            break;
+        // MMT ranks the VMs by their estimated live migration time
+        const uniqueVMs = (host.uniqueVMs || this.getUniqueVMs(host)).map(vm => ({
+          ...vm,
+          migration: this.estimateMigration(host, vm, migrationConfig)
+        }));
+        // Iterative mode: the host stays overloaded while the peak of its utilization series,
+        // aggregated over the remaining VMs, exceeds the threshold
+        const peakWithout = remaining => {
+          const remainingIds = new Set(remaining.map(vm => vm.vmId));
+          const { utilizations } = this.dataProcessor.getHostUtilizationSeries(
+            { ...host, vms: host.vms.filter(point => remainingIds.has(point.vmId)) },
+            host.capacity
+          );
+          return utilizations.length > 0 ? Math.max(...utilizations) : 0;
+        };
+        const { selectedVMs } = VMConsolidation.selectWithMode(
+          options.selectionMode,
+          consolidationAlgo,
+          uniqueVMs,
+          remaining => peakWithout(remaining) > host.threshold,
+          random
+        );
+
+        // Select unique VMs (by VM ID)
+        const selectedVMIds = new Set();
+        selectedVMs.forEach(vm => {
+          if (!selectedVMIds.has(vm.vmId)) {
+            selectedVMIds.add(vm.vmId);
+            migrationCandidates.push({
+              vmId: vm.vmId,
+              mips: (vm.cpuUtilization / 100) * this.getVMSize(host, vm.vmId),
+              sourceHost: host,
+              migration: vm.migration
+            });
+          }
+        });
+      });
+
+      // Step 3: VM Placement - assign the selected VMs to non-overloaded hosts
+      // Capacities are in MIPS with a topology, otherwise in VM units (one per VM the host started with)
+      const sleepingHosts = idleNodes.map(node => ({
+        ...node,
+        threshold: ThresholdDetection.StaticThreshold(),
+        avgCPU: 0,
+        maxCPU: 0,
+        capacity: node.host.totalMips,
+        uniqueVMs: []
+      }));
+      const destinations = safeHosts.concat(sleepingHosts).map(host => ({
+        hostId: host.nodeId,
+        capacity: host.capacity,
+        load: host.uniqueVMs.reduce((sum, vm) => sum + (vm.cpuUtilization / 100) * this.getVMSize(host, vm.vmId), 0),
+        threshold: host.threshold,
+        active: host.vms.length > 0,
+        powerModel: this.getHostPowerModel(host, energyOptions),
+        node: host
+      }));
+      const allocations = VMPlacement.place(placementAlgo, migrationCandidates, destinations, {
+        powerModel: energyOptions.powerModel
+      });
+
+      // Move the trace data of every placed VM to its destination host
+      const migrations = new Map(overloadedHosts.map(host => [host, new Map()]));
+      const receivedPoints = new Map();
+      allocations.forEach(({ vm, host }) => {
+        migrations.get(vm.sourceHost).set(vm.vmId, vm.migration);
+        const points = vm.sourceHost.vms.filter(point => point.vmId === vm.vmId);
+        receivedPoints.set(host.node, (receivedPoints.get(host.node) || []).concat(points));
+        if (host.node.vmMips) {
+          host.node.vmMips = new Map(host.node.vmMips).set(vm.vmId, vm.sourceHost.vmMips.get(vm.vmId));
         }
+      });
 
-        // Migrate unique VMs (count by VM ID)
-        const selectedVMIds = new Set(selectedVMs.map(vm => vm.vmId));
-        totalVMMigrations += selectedVMIds.size;
-        
-        // Calculate metrics
-        const hostEnergy = this.calculateEnergyConsumption(host, selectedVMIds.size);
-        totalEnergyConsumption += hostEnergy;
+      overloadedHosts.forEach(host => {
+        const hostMigrations = migrations.get(host);
+        const selectedVMIds = new Set(hostMigrations.keys());
+        const migrationEnergy = recordMigrations(hostMigrations);
 
-        // Check if node can be shut down after migration
-        // Filter unique VMs by VM ID
-        const remainingVMs = uniqueVMs.filter(vm => !selectedVMIds.has(vm.vmId));
-        const uniqueRemainingVMIds = remainingVMs.length;
-        
-        if (remainingVMs.length > 0) {
-          const remainingCPU = remainingVMs.reduce((sum, vm) => sum + vm.cpuUtilization, 0) / remainingVMs.length;
-          const remainingMaxCPU = remainingVMs.length > 0 ? Math.max(...remainingVMs.map(vm => vm.maxCPUUtilization)) : 0;
-          
-          // Node shutdown criteria: After migration, if utilization drops significantly
-          // More realistic and lenient conditions:
-          // 1. Low average CPU (< 35%) OR
-          // 2. Moderate average (< 45%) with low max (< 55%) and few VMs (<= 8) OR
-          // 3. Very few VMs remaining (<= 3) regardless of CPU
-          const migrationRatio = uniqueVMs.length > 0 ? selectedVMIds.size / uniqueVMs.length : 0;
-          const canShutdownAfterMigration = 
-            remainingCPU < 35 || 
-            (remainingCPU < 45 && remainingMaxCPU < 55 && uniqueRemainingVMIds <= 8) ||
-            (uniqueRemainingVMIds <= 3 && migrationRatio > 0.5);
-          
-          if (canShutdownAfterMigration) {
-            const timeBeforeShutdown = this.calculateTimeBeforeShutdown(host, Array.from(selectedVMIds));
-            totalNodeShutdowns++;
-            totalTimeBeforeShutdown += timeBeforeShutdown;
-            shutdownCount++;
-          }
-        } else {
-          // All VMs migrated - node can definitely be shut down
-          const timeBeforeShutdown = this.calculateTimeBeforeShutdown(host, Array.from(selectedVMIds));
+        // A host is switched off only when every VM could be placed elsewhere
+        if (host.uniqueVMs.every(vm => selectedVMIds.has(vm.vmId))) {
+          const shutdown = this.powerDownHost(host, Array.from(hostMigrations.values()), dayDuration, energyOptions, powerConfig);
+          hostPowerStates[host.nodeId] = shutdown.report;
+          totalEnergyConsumption += shutdown.report.energy + migrationEnergy;
           totalNodeShutdowns++;
-          totalTimeBeforeShutdown += timeBeforeShutdown;
+          totalTimeBeforeShutdown += shutdown.timeBeforeShutdown;
           shutdownCount++;
+          return;
         }
+
+        // Energy of the source host covers only the load of the VMs that stay on it
+        const remainingLoad = {
+          ...host,
+          vms: host.vms.map(point => selectedVMIds.has(point.vmId) ? { ...point, cpuUtilization: 0 } : point)
+        };
+        const hostEnergy = this.calculateEnergyConsumption(remainingLoad, 0, energyOptions);
+        hostPowerStates[host.nodeId] = this.activeHostPowerState(host, hostEnergy, dayDuration, powerConfig);
+        totalEnergyConsumption += hostEnergy + migrationEnergy;
+        slaHosts.push({ ...host, vms: host.vms.filter(point => !selectedVMIds.has(point.vmId)) });
       });
 
-      // Step 3: Check safe hosts for potential shutdown (underutilized nodes)
-      safeHosts.forEach(host => {
-        const uniqueVMs = host.uniqueVMs || this.getUniqueVMs(host);
-        const uniqueVMCount = uniqueVMs.length;
-        
-        // Check if host is underutilized and can be shut down
-        // More realistic shutdown criteria for underutilized nodes:
-        // 1. Very low average (< 30%) AND low max (< 45%) AND reasonable VM count (<= 10)
-        // 2. OR extremely low average (< 25%) regardless of other factors
-        // 3. OR low average (< 35%) with very few VMs (<= 5)
-        const canShutdown = 
-          (host.avgCPU < 30 && host.maxCPU < 45 && uniqueVMCount <= 10) || 
-          (host.avgCPU < 25) ||
-          (host.avgCPU < 35 && uniqueVMCount <= 5);
-        
-        // Always calculate energy for safe hosts
-        const hostEnergy = this.calculateEnergyConsumption(host, 0);
-        totalEnergyConsumption += hostEnergy;
-        
-        if (canShutdown) {
-          const timeBeforeShutdown = this.calculateTimeBeforeShutdown(host, []);
+      // Hosts that received migrated VMs are evaluated with their new load
+      const receiveVMs = (host, points) => {
+        host.vms = host.vms.concat(points).sort((a, b) => a.timestamp - b.timestamp);
+        host.uniqueVMs = this.getUniqueVMs(host);
+        const cpuUtils = this.dataProcessor.getCPUUtilization(host);
+        host.avgCPU = cpuUtils.reduce((a, b) => a + b, 0) / cpuUtils.length;
+        host.maxCPU = Math.max(...cpuUtils);
+      };
+      receivedPoints.forEach((points, host) => receiveVMs(host, points));
+
+      // Sleeping hosts that received VMs are woken at the start of the day
+      const wokenHosts = sleepingHosts.filter(host => receivedPoints.has(host));
+      const poweredHosts = safeHosts.concat(wokenHosts);
+
+      // Step 4: Underload detection - evacuate lightly loaded hosts so they can be switched off
+      const evacuation = this.evacuateUnderloadedHosts(poweredHosts, new Set(receivedPoints.keys()), {
+        placementAlgo,
+        energyOptions,
+        underloadThreshold: options.underloadThreshold
+      });
+      evacuation.receivedPoints.forEach((points, host) => receiveVMs(host, points));
+
+      poweredHosts.forEach(host => {
+        const evacuatedVMIds = evacuation.evacuated.get(host);
+        if (evacuatedVMIds) {
+          // Evacuated, then powered down for the rest of the day
+          const hostMigrations = new Map(host.uniqueVMs
+            .filter(vm => evacuatedVMIds.includes(vm.vmId))
+            .map(vm => [vm.vmId, this.estimateMigration(host, vm, migrationConfig)]));
+          const migrationEnergy = recordMigrations(hostMigrations);
+          const shutdown = this.powerDownHost(host, Array.from(hostMigrations.values()), dayDuration, energyOptions, powerConfig);
+          hostPowerStates[host.nodeId] = shutdown.report;
+          totalEnergyConsumption += shutdown.report.energy + migrationEnergy;
           totalNodeShutdowns++;
-          totalTimeBeforeShutdown += timeBeforeShutdown;
+          totalTimeBeforeShutdown += shutdown.timeBeforeShutdown;
           shutdownCount++;
+          return;
+        }
+
+        if (wokenHosts.includes(host)) {
+          // Active once the wake-up is done, running the received VMs for the rest of the day
+          const power = new HostPowerState(this.getHostPowerModel(host, energyOptions), powerConfig, powerConfig.lowPowerState);
+          const wakeLatency = power.wake();
+          power.advance(wakeLatency);
+          const activeTime = Math.max(0, dayDuration - wakeLatency);
+          const hostEnergy = this.calculateEnergyConsumption(host, 0, energyOptions) * (activeTime / dayDuration);
+          power.record('active', activeTime, hostEnergy * 3.6e6);
+          hostPowerStates[host.nodeId] = power.report();
+          totalEnergyConsumption += hostPowerStates[host.nodeId].energy;
+          slaHosts.push(host);
+          return;
         }
+
+        const hostEnergy = this.calculateEnergyConsumption(host, 0, energyOptions);
+        hostPowerStates[host.nodeId] = this.activeHostPowerState(host, hostEnergy, dayDuration, powerConfig);
+        totalEnergyConsumption += hostEnergy;
+        slaHosts.push(host);
+      });
+
+      // Topology hosts that were not needed stay in the low-power state all day
+      sleepingHosts.filter(host => !receivedPoints.has(host)).forEach(host => {
+        const power = new HostPowerState(this.getHostPowerModel(host, energyOptions), powerConfig, powerConfig.lowPowerState);
+        power.advance(dayDuration);
+        hostPowerStates[host.nodeId] = power.report();
+        totalEnergyConsumption += hostPowerStates[host.nodeId].energy;
       });
 
       // Calculate averages
-      // Use totalNodeShutdowns as fallback if shutdownCount is 0 but shutdowns occurred
-      const effectiveShutdownCount = shutdownCount > 0 ? shutdownCount : (totalNodeShutdowns > 0 ? totalNodeShutdowns : 0);
-      let meanTimeBeforeShutdown = effectiveShutdownCount > 0 ? totalTimeBeforeShutdown / effectiveShutdownCount : 0;
-      const meanTimeBeforeMigration = migrationCount > 0 ? totalTimeBeforeMigration / migrationCount : 0;
-      
-      // Ensure meanTimeBeforeShutdown is never zero if we have shutdowns
-      if (totalNodeShutdowns > 0 && meanTimeBeforeShutdown === 0) {
-        // Fallback: calculate average based on total shutdowns
-        meanTimeBeforeShutdown = totalTimeBeforeShutdown / totalNodeShutdowns;
-      }
-      
-      // Final safeguard: if still zero but we have shutdowns, use default value
-      if (totalNodeShutdowns > 0 && meanTimeBeforeShutdown === 0) {
-        meanTimeBeforeShutdown = 900; // Default to 15 minutes (900 seconds)
-      }
+      const meanTimeBeforeShutdown = shutdownCount > 0 ? totalTimeBeforeShutdown / shutdownCount : 0;
+      const meanMigrationTime = totalVMMigrations > 0 ? totalMigrationTime / totalVMMigrations : 0;
 
       // Calculate total unique VMs across all nodes for SLA percentage
       const totalUniqueVMs = nodes.reduce((sum, node) => {
@@ -268,20 +436,17 @@ class LoadBalancer {
       if (totalEnergyConsumption === 0 && nodes.length > 0) {
         console.log(`Warning: Energy was 0, recalculating for ${nodes.length} nodes`);
         nodes.forEach(node => {
-          const nodeEnergy = this.calculateEnergyConsumption(node, 0);
+          const nodeEnergy = this.calculateEnergyConsumption(node, 0, energyOptions);
           totalEnergyConsumption += nodeEnergy;
         });
       }
       
-      // Calculate SLA violations as percentage
-      const slaViolationsPercent = totalUniqueVMs > 0 
-        ? (totalSLAViolations / totalUniqueVMs) * 100 
+      // Step 5: SLA - MIPS demand versus allocation on the hosts that run VMs for the day
+      const sla = this.measureSLA(slaHosts, migrationDegradation, energyOptions.dvfs);
+      const slaViolationsPercent = totalUniqueVMs > 0
+        ? (sla.violatedVMs / totalUniqueVMs) * 100
         : 0;
       
-      // Ensure mean times have defaults if no migrations/shutdowns occurred
-      const finalMeanTimeBeforeShutdown = meanTimeBeforeShutdown > 0 ? meanTimeBeforeShutdown : (totalNodeShutdowns > 0 ? 900 : 0);
-      const finalMeanTimeBeforeMigration = meanTimeBeforeMigration > 0 ? meanTimeBeforeMigration : (migrationCount > 0 ? 300 : 0);
-
       // Debug logging
       if (totalEnergyConsumption === 0) {
         console.warn(`Algorithm ${thresholdAlgo} ${consolidationAlgo} for ${date} returned zero energy. Nodes: ${nodes.length}, Overloaded: ${overloadedHosts.length}, Safe: ${safeHosts.length}`);
@@ -294,9 +459,23 @@ class LoadBalancer {
         vmMigrations: totalVMMigrations,
         slaViolations: slaViolationsPercent,
         nodeShutdowns: totalNodeShutdowns,
-        meanTimeBeforeShutdown: finalMeanTimeBeforeShutdown,
-        meanTimeBeforeMigration: finalMeanTimeBeforeMigration
+        meanTimeBeforeShutdown: meanTimeBeforeShutdown,
+        // The daily engine has no time axis to measure how long a VM stayed on its host
+        meanTimeBeforeMigration: null,
+        slatah: sla.slatah,
+        pdm: sla.pdm,
+        slav: sla.slav,
+        esv: (totalEnergyConsumption * sla.slav) / 100,
+        underAllocation: sla.underAllocation,
+        meanMigrationTime: meanMigrationTime,
+        meanMigrationDowntime: totalVMMigrations > 0 ? totalDowntime / totalVMMigrations : 0,
+        migrationDataTransferred: totalTransferred / 1024,
+        powerStates: HostPowerState.aggregate(Object.values(hostPowerStates)),
+        hostPowerStates: hostPowerStates
       };
+      if (energyOptions.dvfs) {
+        result.meanFrequency = sla.meanFrequency;
+      }
       
       console.log(`Algorithm ${thresholdAlgo} ${consolidationAlgo} for ${date}:`, {
         energy: totalEnergyConsumption.toFixed(2),
@@ -313,116 +492,317 @@ class LoadBalancer {
     }
   }
 
+  /**
+   * Underload detection and evacuation (daily engine)
+   * Hosts whose mean utilization is below the underload threshold are tried from the least
+   * loaded up: all of a host's VMs are placed on the other active hosts without pushing them
+   * over their overload threshold, or none are. Hosts that received VMs in this decision round
+   * are not evacuated themselves.
+   * @param {Array} hosts - Non-overloaded hosts ({ nodeId, vms, uniqueVMs, capacity, threshold })
+   * @param {Set} excludedHosts - Hosts that already received migrated VMs
+   * @param {Object} options - { placementAlgo, energyOptions, underloadThreshold (percent, default 30) }
+   * @returns {Object} { evacuated: Map host => [vmId], receivedPoints: Map host => [trace points] }
+   */
+  evacuateUnderloadedHosts(hosts, excludedHosts, options = {}) {
+    const underloadThreshold = options.underloadThreshold !== undefined
+      ? options.underloadThreshold
+      : LoadBalancer.DEFAULT_UNDERLOAD_THRESHOLD;
+    const placementAlgo = options.placementAlgo || VMPlacement.DEFAULT_ALGORITHM;
+    const energyOptions = options.energyOptions || {};
+
+    const vmLoad = (host, vm) => (vm.cpuUtilization / 100) * this.getVMSize(host, vm.vmId);
+    const loads = new Map(hosts.map(host => [host, host.uniqueVMs.reduce((sum, vm) => sum + vmLoad(host, vm), 0)]));
+    const utilization = host => (host.capacity > 0 ? (loads.get(host) / host.capacity) * 100 : 0);
+
+    const evacuated = new Map();
+    const receivedPoints = new Map();
+    const targets = new Set(excludedHosts);
+
+    const candidates = hosts
+      .filter(host => !targets.has(host) && utilization(host) < underloadThreshold)
+      .sort((a, b) => utilization(a) - utilization(b));
+
+    candidates.forEach(source => {
+      if (targets.has(source)) {
+        return;
+      }
+
+      const vms = source.uniqueVMs.map(vm => ({ vmId: vm.vmId, mips: vmLoad(source, vm), sourceHost: source }));
+      const destinations = hosts
+        .filter(host => host !== source && !evacuated.has(host))
+        .map(host => ({
+          hostId: host.nodeId,
+          capacity: host.capacity,
+          load: loads.get(host),
+          threshold: host.threshold,
+          active: true,
+          powerModel: this.getHostPowerModel(host, energyOptions),
+          node: host
+        }));
+      const allocations = VMPlacement.place(placementAlgo, vms, destinations, {
+        powerModel: energyOptions.powerModel
+      });
+      if (allocations.length < vms.length) {
+        return;
+      }
+
+      allocations.forEach(({ vm, host: { node: destination } }) => {
+        loads.set(destination, loads.get(destination) + vm.mips);
+        const points = source.vms.filter(point => point.vmId === vm.vmId);
+        receivedPoints.set(destination, (receivedPoints.get(destination) || []).concat(points));
+        if (destination.vmMips) {
+          destination.vmMips = new Map(destination.vmMips).set(vm.vmId, source.vmMips.get(vm.vmId));
+        }
+        targets.add(destination);
+      });
+      evacuated.set(source, vms.map(vm => vm.vmId));
+      loads.set(source, 0);
+    });
+
+    return { evacuated, receivedPoints };
+  }
+
   /**
    * Calculate energy consumption for a host
+   * Energy is integrated over the trace timestamps using the selected power model
+   * @param {Object} host - Node with VM data points (capacity: number of VMs the host is sized for, default: its VM count)
+   * @param {number} migrations - Number of VMs migrated away from the host, charged at the flat migrationEnergy
+   *   when one is set (the migration model's energy is accounted by the caller)
+   * @param {Object} energyOptions - { powerModel, migrationEnergy, dvfs } (default: linear 200W/400W, no flat
+   *   migration energy, nominal frequency)
    */
-  calculateEnergyConsumption(host, migrations) {
-    const basePower = 200; // Watts (idle power)
-    const maxPower = 400; // Watts (full load)
-    
-    // Use avgCPU from host if available, otherwise calculate
-    const avgCPU = host.avgCPU !== undefined 
-      ? host.avgCPU 
-      : (host.vms && host.vms.length > 0 
-          ? host.vms.reduce((sum, vm) => sum + (vm.cpuUtilization || 0), 0) / host.vms.length 
-          : 20); // Default 20% if no data
-    
-    // Linear power model: P = P_idle + (P_max - P_idle) * (CPU/100)
-    const powerConsumption = basePower + ((maxPower - basePower) * (avgCPU / 100));
-    const hours = 24; // Assuming 24-hour period
-    const energyKWh = (powerConsumption * hours) / 1000;
+  calculateEnergyConsumption(host, migrations, energyOptions = {}) {
+    const powerModel = this.getHostPowerModel(host, energyOptions);
+    const migrationEnergy = energyOptions.migrationEnergy !== undefined ? energyOptions.migrationEnergy : 0;
+
+    let energyKWh;
+    if (host.vms && host.vms.length > 0) {
+      const series = this.dataProcessor.getHostUtilizationSeries(host, host.capacity);
+      let powerAt;
+      if (energyOptions.dvfs) {
+        // The series is the demand against the nominal capacity, the governor picks the P-state per sample
+        const pStates = DVFS.hostPStates(host.host, energyOptions.dvfs);
+        powerAt = utilization => DVFS.powerAt(powerModel, pStates, energyOptions.dvfs, utilization);
+      }
+      energyKWh = PowerModels.integrateEnergy(powerModel, series.utilizations, series.timestamps, powerAt);
+    } else {
+      // No trace data - assume a 24-hour period at the host average (default 20%)
+      const avgCPU = host.avgCPU !== undefined ? host.avgCPU : 20;
+      energyKWh = (PowerModels.getPower(powerModel, avgCPU) * 24) / 1000;
+    }
     
     // Add migration overhead (energy cost of migrating VMs)
-    const migrationOverhead = migrations * 0.15; // 0.15 KWh per VM migration
+    const migrationOverhead = migrations * migrationEnergy;
     
     return energyKWh + migrationOverhead;
   }
 
   /**
-   * Calculate mean time before node shutdown
-   * Based on when the node becomes underutilized
+   * Power model of a host: the model of its topology host type if it has one, otherwise the run's model
    */
-  calculateTimeBeforeShutdown(host, migratedVMs) {
-    try {
-      const cpuUtils = this.dataProcessor.getCPUUtilization(host);
-      
-      // Find the point where utilization drops below threshold
-      // Simulate time progression through CPU utilization measurements
-      let timeBeforeShutdown = 0;
-      const shutdownThreshold = 20; // CPU threshold for shutdown
-      const baseShutdownTime = 600; // 10 minutes base shutdown overhead (in seconds)
-      
-      // Calculate based on average utilization trend
-      if (cpuUtils && cpuUtils.length > 0) {
-        const avgCPU = cpuUtils.reduce((a, b) => a + b, 0) / cpuUtils.length;
-        const minCPU = Math.min(...cpuUtils);
-        const maxCPU = Math.max(...cpuUtils);
-        
-        // Calculate time based on current utilization level
-        // Lower utilization = faster shutdown
-        if (avgCPU < shutdownThreshold) {
-          // Already below threshold - quick shutdown
-          timeBeforeShutdown = 300; // 5 minutes (one measurement interval)
-        } else if (avgCPU < 30) {
-          // Low utilization - relatively quick shutdown
-          const intervalsNeeded = Math.ceil((avgCPU - shutdownThreshold) / 2); // 2% per interval
-          timeBeforeShutdown = Math.max(300, intervalsNeeded * 300); // At least 5 minutes
-        } else {
-          // Moderate utilization - estimate time to reach threshold
-          // Assume gradual decrease: 1-2% per 5-minute interval
-          const decreaseRate = avgCPU < 50 ? 1.5 : 1.0; // Faster decrease for lower CPU
-          const intervalsNeeded = Math.ceil((avgCPU - shutdownThreshold) / decreaseRate);
-          timeBeforeShutdown = intervalsNeeded * 300; // 5-minute intervals
-        }
-        
-        // Add base shutdown overhead
-        timeBeforeShutdown += baseShutdownTime;
-        
-        // Adjust based on utilization variance (more variance = more time to stabilize)
-        const variance = maxCPU - minCPU;
-        if (variance > 30) {
-          timeBeforeShutdown += 300; // Add 5 minutes for high variance
+  getHostPowerModel(host, energyOptions = {}) {
+    if (host.host && host.host.powerModel) {
+      return PowerModels.resolve(host.host.powerModel);
+    }
+    return energyOptions.powerModel || PowerModels.resolve();
+  }
+
+  /**
+   * Size of a VM in the host capacity unit (MIPS with a topology, otherwise one VM unit)
+   */
+  getVMSize(host, vmId) {
+    return host.vmMips ? host.vmMips.get(vmId) : 1;
+  }
+
+  /**
+   * SLA metrics from the MIPS each VM requests in the trace versus what its host can allocate (daily engine)
+   * When the requests on a host exceed its capacity, every VM gets the same fraction of its request.
+   * SLATAH is the share of active time a host spends at 100% utilization (averaged over the hosts),
+   * PDM the share of a VM's requested MIPS lost to migrations (averaged over the VMs),
+   * SLAV = SLATAH x PDM and underAllocation the share of all requested MIPS that was not allocated.
+   * With DVFS the capacity of each sample is that of the P-state the governor selects.
+   * @param {Array} hosts - Hosts with the VMs they run ({ vms, capacity, vmMips })
+   * @param {Map} migrationDegradation - vmId => MIPS x seconds lost while migrating
+   * @param {Object} dvfs - Resolved DVFS configuration, or null for the nominal frequency
+   * @returns {Object} { slatah, pdm, slav, underAllocation, meanFrequency (percent),
+   *   violatedVMs (VMs allocated less MIPS than they requested in at least one sample) }
+   */
+  measureSLA(hosts, migrationDegradation = new Map(), dvfs = null) {
+    let hostOverloadShare = 0;
+    let measuredHosts = 0;
+    let requestedTotal = 0;
+    let underAllocatedTotal = 0;
+    let hostTime = 0;
+    let frequencyTime = 0;
+    const requestedByVM = new Map();
+    const violated = new Set();
+
+    hosts.forEach(host => {
+      const pointsByTimestamp = new Map();
+      host.vms.forEach(point => {
+        if (!pointsByTimestamp.has(point.timestamp)) {
+          pointsByTimestamp.set(point.timestamp, []);
         }
-      } else {
-        // No CPU data - use default time
-        timeBeforeShutdown = 900; // Default 15 minutes
-      }
-      
-      // Adjust based on number of VMs migrated
-      // More migrations = more time needed before shutdown
-      if (migratedVMs && migratedVMs.length > 0) {
-        // migratedVMs can be array of VM IDs or VM objects
-        const migrationCount = Array.isArray(migratedVMs) ? migratedVMs.length : 0;
-        const migrationTime = migrationCount * 60; // 1 minute per VM migration
-        timeBeforeShutdown += migrationTime;
+        pointsByTimestamp.get(point.timestamp).push(point);
+      });
+      const timestamps = Array.from(pointsByTimestamp.keys()).sort((a, b) => a - b);
+      if (timestamps.length === 0 || !(host.capacity > 0)) {
+        return;
       }
-      
-      // Ensure reasonable bounds: between 5 minutes (300s) and 1 hour (3600s)
-      timeBeforeShutdown = Math.max(300, Math.min(3600, timeBeforeShutdown));
-      
-      return timeBeforeShutdown;
-    } catch (error) {
-      console.warn('Error calculating time before shutdown:', error.message);
-      // Return default value if calculation fails
-      return 900; // 15 minutes default
-    }
+      const intervals = timestamps.slice(1).map((timestamp, i) => timestamp - timestamps[i]);
+      const sortedIntervals = [...intervals].sort((a, b) => a - b);
+      const lastInterval = sortedIntervals.length > 0
+        ? sortedIntervals[Math.floor(sortedIntervals.length / 2)]
+        : PowerModels.DEFAULT_SAMPLE_INTERVAL;
+      const pStates = dvfs ? DVFS.hostPStates(host.host, dvfs) : null;
+
+      let activeTime = 0;
+      let overloadTime = 0;
+      timestamps.forEach((timestamp, i) => {
+        const duration = i < intervals.length ? intervals[i] : lastInterval;
+        const requests = pointsByTimestamp.get(timestamp).map(point => ({
+          vmId: point.vmId,
+          mips: (point.cpuUtilization / 100) * this.getVMSize(host, point.vmId)
+        }));
+        const requested = requests.reduce((sum, request) => sum + request.mips, 0);
+        const frequency = pStates
+          ? DVFS.selectPState(pStates, dvfs, (requested / host.capacity) * 100).frequency
+          : 1;
+        const capacity = host.capacity * frequency;
+        const allocatedShare = requested > capacity ? capacity / requested : 1;
+
+        activeTime += duration;
+        frequencyTime += frequency * duration;
+        if (requested >= capacity) {
+          overloadTime += duration;
+        }
+        // A VM's SLA is violated only when it received less MIPS than it requested
+        if (requested > capacity) {
+          requests.filter(request => request.mips > 0).forEach(request => violated.add(request.vmId));
+        }
+        requests.forEach(request => {
+          requestedByVM.set(request.vmId, (requestedByVM.get(request.vmId) || 0) + request.mips * duration);
+        });
+        requestedTotal += requested * duration;
+        underAllocatedTotal += requested * (1 - allocatedShare) * duration;
+      });
+      hostOverloadShare += overloadTime / activeTime;
+      hostTime += activeTime;
+      measuredHosts++;
+    });
+
+    const slatah = measuredHosts > 0 ? (hostOverloadShare / measuredHosts) * 100 : 0;
+    const degradationShares = Array.from(requestedByVM.entries()).map(([vmId, requested]) =>
+      (requested > 0 ? (migrationDegradation.get(vmId) || 0) / requested : 0)
+    );
+    const pdm = degradationShares.length > 0
+      ? (degradationShares.reduce((sum, share) => sum + share, 0) / degradationShares.length) * 100
+      : 0;
+
+    return {
+      slatah,
+      pdm,
+      // SLAV and ESV are products of fractions, reported in percent
+      slav: (slatah * pdm) / 100,
+      underAllocation: requestedTotal > 0 ? (underAllocatedTotal / requestedTotal) * 100 : 0,
+      meanFrequency: hostTime > 0 ? (frequencyTime / hostTime) * 100 : 100,
+      violatedVMs: violated.size
+    };
+  }
+
+  /**
+   * Length of the trace in seconds, the last sample counting for the median sampling interval
+   */
+  getTraceDuration(vmData) {
+    const timestamps = Array.from(new Set(vmData.map(point => point.timestamp))).sort((a, b) => a - b);
+    const intervals = timestamps.slice(1).map((timestamp, i) => timestamp - timestamps[i]).sort((a, b) => a - b);
+    const lastInterval = intervals.length > 0
+      ? intervals[Math.floor(intervals.length / 2)]
+      : PowerModels.DEFAULT_SAMPLE_INTERVAL;
+    return timestamps.length > 0 ? timestamps[timestamps.length - 1] - timestamps[0] + lastInterval : 0;
+  }
+
+  /**
+   * Pre-copy live migration of a VM away from a host (see MigrationModel.estimate)
+   * The VM's mean CPU utilization over the day sets its dirty-page rate
+   * @param {Object} vm - Unique VM of the host ({ vmId, cpuUtilization })
+   */
+  estimateMigration(host, vm, migrationConfig) {
+    const vmType = host.vmTypes ? host.vmTypes.get(vm.vmId) : null;
+    return MigrationModel.estimate(
+      {
+        ram: vmType ? vmType.ram : MigrationModel.DEFAULT_VM_RAM,
+        cpuUtilization: vm.cpuUtilization,
+        mips: (vm.cpuUtilization / 100) * this.getVMSize(host, vm.vmId)
+      },
+      host.host ? host.host.bandwidth : Phase1Simulator.DEFAULT_HOST_BANDWIDTH,
+      migrationConfig
+    );
+  }
+
+  /**
+   * Power-state report of a host that stays active all day
+   * @param {number} energyKWh - Energy integrated over the host's trace
+   */
+  activeHostPowerState(host, energyKWh, dayDuration, powerConfig) {
+    const power = new HostPowerState(null, powerConfig);
+    power.record('active', dayDuration, energyKWh * 3.6e6);
+    return power.report();
+  }
+
+  /**
+   * Power down a host at the start of the day (daily engine)
+   * The host stays active while its VMs are migrated away one after the other, then
+   * transitions to the low-power state and spends the rest of the day in it.
+   * @param {Object} host - Host node with its trace
+   * @param {Array<Object>} migrations - Migrations of its VMs (MigrationModel.estimate results)
+   * @returns {Object} { report (HostPowerState report), timeBeforeShutdown (seconds until the host is down) }
+   */
+  powerDownHost(host, migrations, dayDuration, energyOptions, powerConfig) {
+    const power = new HostPowerState(this.getHostPowerModel(host, energyOptions), powerConfig);
+    const evacuationTime = Math.min(
+      dayDuration,
+      migrations.reduce((sum, migration) => sum + migration.duration, 0)
+    );
+    const dayEnergy = this.calculateEnergyConsumption(host, 0, energyOptions);
+    power.record('active', evacuationTime, dayEnergy * 3.6e6 * (dayDuration > 0 ? evacuationTime / dayDuration : 0));
+
+    const latency = power.powerDown();
+    power.advance(dayDuration - evacuationTime);
+    return { report: power.report(), timeBeforeShutdown: evacuationTime + latency };
   }
 
   /**
    * Run algorithm using worker thread for parallel processing
+   * @param {AbortSignal} [signal] - Terminates the worker when aborted
+   * @param {Object} [runOptions] - Options forwarded to runAlgorithm (e.g. powerModel, migrationEnergy)
    */
-  async runAlgorithmInWorker(thresholdAlgo, consolidationAlgo, date, vmData) {
+  async runAlgorithmInWorker(thresholdAlgo, consolidationAlgo, date, vmData, signal = null, runOptions = {}) {
     return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new Error('Algorithm run cancelled'));
+        return;
+      }
+
       const workerPath = require.resolve('./algorithmWorker.js');
       const worker = new Worker(workerPath, {
         workerData: {
           thresholdAlgo,
           consolidationAlgo,
           date,
-          vmData
+          vmData,
+          options: runOptions
         }
       });
 
+      const onAbort = () => {
+        reject(new Error('Algorithm run cancelled'));
+        worker.terminate();
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
       worker.on('message', (message) => {
         if (message.success) {
           resolve(message.result);
@@ -438,6 +818,9 @@ class LoadBalancer {
       });
 
       worker.on('exit', (code) => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
         if (code !== 0) {
           reject(new Error(`Worker stopped with exit code ${code}`));
         }
@@ -447,14 +830,80 @@ class LoadBalancer {
 
   /**
    * Run all algorithm combinations for all dates (MULTI-THREADED PARALLEL PROCESSING)
+   * @param {Array} dates - Dataset dates
+   * @param {Object} options - Run options
+   * @param {Array} options.thresholdAlgos - Threshold detection algorithms (default: all)
+   * @param {Array} options.consolidationAlgos - VM consolidation algorithms (default: all)
+   * @param {Function} options.onProgress - Called with { completedTasks, totalTasks, failedTasks } after each task
+   * @param {AbortSignal} options.signal - Cancels the run and terminates running workers
+   * @param {string|Object} options.powerModel - Host power model used for energy accounting
+   * @param {Object} options.migrationModel - Pre-copy live migration settings (see runAlgorithm)
+   * @param {number} options.migrationEnergy - Flat energy per VM migration in kWh (see runAlgorithm)
+   * @param {string} options.engine - 'daily' or 'timestep' (see runAlgorithm)
+   * @param {number} options.windowSize - History window of the timestep engine (samples)
+   * @param {string} options.lrVariant - LR/LRR variant, 'stateless' or 'windowed' (see runAlgorithm)
+   * @param {number} options.lrWindowSize - Samples fitted by the windowed LR/LRR
+   * @param {number} options.lrSafetyParameter - Safety parameter of the windowed LR/LRR
+   * @param {Object} options.safetyParameters - Safety parameter per threshold algorithm (see runAlgorithm)
+   * @param {string} options.selectionMode - VM selection mode, 'fixed' or 'iterative' (see runAlgorithm)
+   * @param {number} options.underloadThreshold - Host utilization below which hosts are evacuated (see runAlgorithm)
+   * @param {Object} options.powerStates - Host power-state configuration (see runAlgorithm); the per-host
+   *   reports (hostPowerStates) are dropped from the collected results, only the totals are kept
+   * @param {Object} options.dvfs - DVFS governor and P-states (see runAlgorithm)
+   * @param {string} options.placementAlgo - Destination placement for migrated VMs (PABFD, FF, WF)
+   * @param {string|Object} options.topology - Cluster topology shared by all runs
+   * @param {string} options.allocationStrategy - Initial VM allocation on the topology
+   * @param {number} options.allocationSeed - Seed of the random allocation strategy
+   * @param {number|string} options.seed - Seed of the randomized policies, shared by all runs
+   * @param {Object} options.trace - Trace format of the datasets (see DataProcessor.loadDataset)
    */
-  async runAllAlgorithms(dates) {
-    const thresholdAlgos = ['IQR', 'LR', 'MAD', 'LRR', 'THR'];
-    const consolidationAlgos = ['MC', 'MMT', 'MU', 'RS'];
+  async runAllAlgorithms(dates, options = {}) {
+    const thresholdAlgos = options.thresholdAlgos || LoadBalancer.THRESHOLD_ALGORITHMS;
+    const consolidationAlgos = options.consolidationAlgos || LoadBalancer.CONSOLIDATION_ALGORITHMS;
+    const { onProgress, signal } = options;
+    const runOptions = {};
+    if (options.powerModel !== undefined) {
+      runOptions.powerModel = PowerModels.resolve(options.powerModel);
+    }
+    if (options.migrationEnergy !== undefined) {
+      runOptions.migrationEnergy = options.migrationEnergy;
+    }
+    if (options.engine !== undefined) {
+      runOptions.engine = options.engine;
+    }
+    if (options.windowSize !== undefined) {
+      runOptions.windowSize = options.windowSize;
+    }
+    if (options.placementAlgo !== undefined) {
+      runOptions.placementAlgo = options.placementAlgo;
+    }
+    ['lrVariant', 'lrWindowSize', 'lrSafetyParameter', 'safetyParameters', 'selectionMode', 'underloadThreshold', 'powerStates', 'migrationModel', 'dvfs'].forEach(key => {
+      if (options[key] !== undefined) {
+        runOptions[key] = options[key];
+      }
+    });
+    if (options.seed !== undefined) {
+      runOptions.seed = options.seed;
+    }
+    if (options.topology) {
+      // Workers receive the plain config and build their own Topology
+      const topology = Topology.load(options.topology);
+      runOptions.topology = topology.config;
+      runOptions.allocationStrategy = options.allocationStrategy;
+      runOptions.allocationSeed = options.allocationSeed;
+      console.log(`Using cluster topology ${topology.name} (${topology.hosts.length} hosts)`);
+    }
     
     const results = {};
     const totalTasks = thresholdAlgos.length * consolidationAlgos.length * dates.length;
     let completedTasks = 0;
+    let failedTasks = 0;
+    const reportProgress = () => {
+      if (onProgress) {
+        onProgress({ completedTasks, totalTasks, failedTasks });
+      }
+    };
+    reportProgress();
     
     // Pre-load all datasets to cache (processing ALL files and ALL data points)
     console.log(`Pre-loading ${dates.length} datasets (ALL files, ALL data points)...`);
@@ -463,7 +912,7 @@ class LoadBalancer {
     // Load datasets in parallel using Promise.all
     const loadPromises = dates.map(async (date) => {
       try {
-        const vmData = await this.dataProcessor.loadDataset(date);
+        const vmData = await this.dataProcessor.loadDataset(date, options.trace);
         datasetCache.set(date, vmData);
         console.log(`✓ Loaded dataset ${date}: ${vmData.length} data points`);
         return { date, success: true };
@@ -478,7 +927,7 @@ class LoadBalancer {
     
     // Get CPU core count for optimal worker thread allocation
     const cpuCores = os.cpus().length;
-    const maxWorkers = Math.min(cpuCores, totalTasks); // Use all CPU cores
+    const maxWorkers = Math.max(1, Math.min(cpuCores, totalTasks)); // Use all CPU cores
     console.log(`Using ${maxWorkers} worker threads (${cpuCores} CPU cores available)`);
     
     // Create all tasks
@@ -502,7 +951,15 @@ class LoadBalancer {
         }
       }
     }
-    
+
+    // Combinations for dates that failed to load count as failed tasks
+    const skippedTasks = totalTasks - allTasks.length;
+    if (skippedTasks > 0) {
+      completedTasks += skippedTasks;
+      failedTasks += skippedTasks;
+      reportProgress();
+    }
+
     // Process tasks in parallel batches using worker threads
     const processBatch = async (batch) => {
       const batchPromises = batch.map(async (task) => {
@@ -511,29 +968,42 @@ class LoadBalancer {
             task.thresholdAlgo,
             task.consolidationAlgo,
             task.date,
-            task.vmData
+            task.vmData,
+            signal,
+            runOptions
           );
           completedTasks++;
           if (completedTasks % 10 === 0 || completedTasks === totalTasks) {
             const percent = ((completedTasks / totalTasks) * 100).toFixed(1);
             console.log(`Progress: ${completedTasks}/${totalTasks} (${percent}%) algorithms completed`);
           }
+          reportProgress();
           return { date: task.date, algoName: task.algoName, result };
         } catch (error) {
+          if (signal && signal.aborted) {
+            throw error;
+          }
           console.error(`Error for ${task.algoName} on ${task.date}:`, error.message);
           completedTasks++;
+          failedTasks++;
+          reportProgress();
+          // No value for any metric, so a failed cell is never averaged or tested as a zero
+          const metrics = [
+            ...PHASE1_METRICS,
+            ...PHASE1_SLA_METRICS,
+            ...PHASE1_MIGRATION_METRICS,
+            ...PHASE1_POWER_STATE_METRICS,
+            ...PHASE1_DVFS_METRICS
+          ];
           return {
             date: task.date,
             algoName: task.algoName,
             result: {
               date: task.date,
               algorithm: task.algoName,
-              energyConsumption: 0,
-              vmMigrations: 0,
-              slaViolations: 0,
-              nodeShutdowns: 0,
-              meanTimeBeforeShutdown: 0,
-              meanTimeBeforeMigration: 0
+              failed: true,
+              error: error.message,
+              ...Object.fromEntries(metrics.map(metric => [metric, null]))
             }
           };
         }
@@ -554,8 +1024,12 @@ class LoadBalancer {
     
     // Process batches sequentially, but tasks within each batch run in parallel (worker threads)
     for (let i = 0; i < batches.length; i++) {
+      if (signal && signal.aborted) {
+        throw new Error('Algorithm run cancelled');
+      }
       const batchResults = await processBatch(batches[i]);
       batchResults.forEach(({ date, algoName, result }) => {
+        delete result.hostPowerStates;
         results[algoName][date] = result;
       });
     }
@@ -568,5 +1042,11 @@ class LoadBalancer {
   }
 }
 
+LoadBalancer.THRESHOLD_ALGORITHMS = ['IQR', 'LR', 'MAD', 'LRR', 'THR', 'EWMA', 'HW', 'KF', 'PCT'];
+LoadBalancer.CONSOLIDATION_ALGORITHMS = VMConsolidation.ALGORITHMS;
+LoadBalancer.ENGINES = ['daily', 'timestep'];
+// Host utilization (percent) below which a host is evacuated, shared by both engines
+LoadBalancer.DEFAULT_UNDERLOAD_THRESHOLD = Phase1Simulator.DEFAULT_UNDERLOAD_THRESHOLD;
+
 module.exports = LoadBalancer;
 
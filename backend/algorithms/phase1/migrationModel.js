@@ -0,0 +1,116 @@
+/**
+ * Pre-copy live migration model
+ * The VM memory is copied to the target while the VM keeps running; every round resends the
+ * pages dirtied during the previous one. Once the dirty memory left is below the stop-and-copy
+ * threshold (or the rounds stop shrinking it, or the round limit is hit) the VM is paused, the
+ * rest is copied and the VM resumes on the target: that pause is the downtime.
+ * Energy follows the linear model of Liu et al. (2011), E = energyPerMB * transferred + energyBase,
+ * split evenly between source and target. The SLA cost is the performance degradation of the
+ * VM during pre-copy (on the source) and its full unavailability during downtime (on the target).
+ */
+class MigrationModel {
+  /**
+   * Estimate the migration of one VM
+   * @param {Object} vm - { ram (MB), cpuUtilization (percent, scales the dirty-page rate), mips (requested MIPS) }
+   * @param {number} hostBandwidth - Network bandwidth of the host (Mbit/s); bandwidthShare of it carries the migration
+   * @param {Object} config - Resolved model configuration (see MigrationModel.resolveConfig)
+   * @returns {Object} { duration, preCopyTime, downtime (s), rounds, transferred (MB),
+   *   energy: { source, target, total } (kWh), slaCost: { source, target } (MIPS x seconds) }
+   */
+  static estimate(vm, hostBandwidth, config = MigrationModel.DEFAULT_CONFIG) {
+    const ram = vm.ram !== undefined ? vm.ram : MigrationModel.DEFAULT_VM_RAM;
+    const rate = (hostBandwidth * config.bandwidthShare) / 8; // MB/s
+    if (!(rate > 0)) {
+      throw new Error('Migration bandwidth must be positive');
+    }
+    const load = Math.min(1, Math.max(0, (vm.cpuUtilization || 0) / 100));
+    const dirtyRate = config.dirtyRate * load;
+
+    let remaining = ram;
+    let preCopyTime = 0;
+    let transferred = 0;
+    let rounds = 0;
+    while (rounds < config.maxRounds) {
+      const roundTime = remaining / rate;
+      const dirtied = dirtyRate * roundTime;
+      preCopyTime += roundTime;
+      transferred += remaining;
+      rounds++;
+      const converged = dirtied <= config.stopCopyThreshold || dirtied >= remaining;
+      remaining = dirtied;
+      if (converged) {
+        break;
+      }
+    }
+
+    // Stop-and-copy: the VM is paused while the last dirty pages are sent
+    transferred += remaining;
+    const downtime = remaining / rate + config.resumeTime;
+    const energyKWh = (config.energyPerMB * transferred + config.energyBase) / 3.6e6;
+    const mips = vm.mips || 0;
+
+    return {
+      duration: preCopyTime + downtime,
+      preCopyTime,
+      downtime,
+      rounds,
+      transferred,
+      energy: { source: energyKWh / 2, target: energyKWh / 2, total: energyKWh },
+      slaCost: {
+        source: config.degradation * mips * preCopyTime,
+        target: mips * downtime
+      }
+    };
+  }
+
+  /**
+   * Validate a model configuration and fill in the defaults
+   * @param {Object} config - Any of the DEFAULT_CONFIG keys
+   * @returns {Object} The complete configuration
+   * @throws {Error} On unknown keys or values out of range
+   */
+  static resolveConfig(config = {}) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('migration model config must be an object');
+    }
+
+    const defaults = MigrationModel.DEFAULT_CONFIG;
+    const unknown = Object.keys(config).filter(key => !(key in defaults));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown migration model options: ${unknown.join(', ')} (use ${Object.keys(defaults).join(', ')})`);
+    }
+
+    const resolved = { ...defaults };
+    Object.entries(config).forEach(([key, value]) => {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`${key} must be a non-negative number`);
+      }
+      resolved[key] = number;
+    });
+    if (!Number.isInteger(resolved.maxRounds) || resolved.maxRounds < 1) {
+      throw new Error('maxRounds must be a positive integer');
+    }
+    if (resolved.bandwidthShare <= 0 || resolved.bandwidthShare > 1) {
+      throw new Error('bandwidthShare must be in (0, 1]');
+    }
+    if (resolved.degradation > 1) {
+      throw new Error('degradation must be between 0 and 1');
+    }
+    return resolved;
+  }
+}
+
+MigrationModel.DEFAULT_VM_RAM = 1024; // MB
+MigrationModel.DEFAULT_CONFIG = {
+  dirtyRate: 20, // MB/s of memory dirtied by a VM at 100% CPU
+  stopCopyThreshold: 50, // MB of dirty memory left that is copied with the VM paused
+  maxRounds: 30, // pre-copy rounds before stop-and-copy is forced
+  resumeTime: 0.1, // seconds to resume the VM on the target
+  bandwidthShare: 0.5, // fraction of the host bandwidth used by migrations
+  energyPerMB: 0.512, // J per transferred MB (Liu et al. 2011)
+  energyBase: 20.165, // J per migration
+  degradation: 0.1 // fraction of the VM's performance lost during pre-copy (Beloglazov & Buyya)
+};
+
+module.exports = MigrationModel;
@@ -0,0 +1,117 @@
+/**
+ * Host Power Models for Phase 1 energy accounting
+ * Linear and cubic models interpolate between idle and maximum power,
+ * SPECpower models use the measured power at 0%, 10%, ..., 100% CPU load
+ * (same tables as CloudSim's PowerModelSpecPower* classes)
+ */
+class PowerModels {
+  /**
+   * Resolve a power model specification into a complete model definition
+   * @param {string|Object} spec - 'linear', 'cubic', a SPECpower server name,
+   *   or { type: 'linear'|'cubic', idlePower, maxPower } / { type: 'specpower', server }
+   * @returns {Object} Model definition
+   */
+  static resolve(spec = 'linear') {
+    const model = typeof spec === 'string' ? { type: spec } : { ...spec };
+
+    // A bare server name selects its SPECpower table
+    if (PowerModels.SPEC_POWER_TABLES[model.type]) {
+      model.server = model.type;
+      model.type = 'specpower';
+    }
+
+    switch (model.type) {
+      case 'linear':
+      case 'cubic':
+        model.idlePower = model.idlePower !== undefined ? Number(model.idlePower) : PowerModels.DEFAULT_IDLE_POWER;
+        model.maxPower = model.maxPower !== undefined ? Number(model.maxPower) : PowerModels.DEFAULT_MAX_POWER;
+        if (!(model.idlePower >= 0) || !(model.maxPower >= model.idlePower)) {
+          throw new Error('Power model requires 0 <= idlePower <= maxPower');
+        }
+        return model;
+      case 'specpower':
+        if (!PowerModels.SPEC_POWER_TABLES[model.server]) {
+          throw new Error(`Unknown SPECpower server: ${model.server}`);
+        }
+        return model;
+      default:
+        throw new Error(`Unknown power model: ${model.type}`);
+    }
+  }
+
+  /**
+   * Power draw (Watts) of a host at a given CPU utilization
+   * @param {Object} model - Model returned by resolve()
+   * @param {number} utilization - CPU utilization in percent (0-100)
+   */
+  static getPower(model, utilization) {
+    const u = Math.max(0, Math.min(100, utilization || 0)) / 100;
+
+    switch (model.type) {
+      case 'linear':
+        // P = P_idle + (P_max - P_idle) * u
+        return model.idlePower + (model.maxPower - model.idlePower) * u;
+      case 'cubic':
+        // P = P_idle + (P_max - P_idle) * u^3
+        return model.idlePower + (model.maxPower - model.idlePower) * Math.pow(u, 3);
+      case 'specpower': {
+        // Linear interpolation between the 10% load levels of the table
+        const table = PowerModels.SPEC_POWER_TABLES[model.server];
+        const position = u * 10;
+        const lower = Math.floor(position);
+        if (lower >= 10) {
+          return table[10];
+        }
+        return table[lower] + (table[lower + 1] - table[lower]) * (position - lower);
+      }
+      default:
+        throw new Error(`Unknown power model: ${model.type}`);
+    }
+  }
+
+  /**
+   * Integrate energy (kWh) over a utilization time series
+   * Each sample is held until the next timestamp; the last sample lasts one median interval
+   * @param {Object} model - Model returned by resolve()
+   * @param {Array<number>} utilizations - Host CPU utilization (percent) per sample
+   * @param {Array<number>} timestamps - Sample timestamps in seconds (ascending)
+   * @param {Function} powerAt - Power draw (Watts) at a utilization sample (default: getPower of the model,
+   *   DVFS passes the power of the P-state its governor selects)
+   */
+  static integrateEnergy(model, utilizations, timestamps, powerAt = utilization => PowerModels.getPower(model, utilization)) {
+    if (utilizations.length === 0) {
+      return 0;
+    }
+
+    const intervals = [];
+    for (let i = 1; i < timestamps.length; i++) {
+      intervals.push(timestamps[i] - timestamps[i - 1]);
+    }
+    const sortedIntervals = [...intervals].sort((a, b) => a - b);
+    const lastInterval = sortedIntervals.length > 0
+      ? sortedIntervals[Math.floor(sortedIntervals.length / 2)]
+      : PowerModels.DEFAULT_SAMPLE_INTERVAL;
+
+    let energyWattSeconds = 0;
+    utilizations.forEach((utilization, i) => {
+      const duration = i < intervals.length ? intervals[i] : lastInterval;
+      energyWattSeconds += powerAt(utilization) * duration;
+    });
+
+    return energyWattSeconds / 3600 / 1000;
+  }
+}
+
+PowerModels.DEFAULT_IDLE_POWER = 200; // Watts
+PowerModels.DEFAULT_MAX_POWER = 400; // Watts
+PowerModels.DEFAULT_SAMPLE_INTERVAL = 300; // PlanetLab traces are sampled every 5 minutes
+
+// Power (Watts) at 0%, 10%, ..., 100% CPU load from the SPECpower_ssj2008 results
+PowerModels.SPEC_POWER_TABLES = {
+  HpProLiantMl110G4Xeon3040: [86, 89.4, 92.6, 96, 99.5, 102, 106, 108, 112, 114, 117],
+  HpProLiantMl110G5Xeon3075: [93.7, 97, 101, 105, 110, 116, 121, 125, 129, 133, 135],
+  IbmX3250XeonX3470: [41.6, 46.7, 52.3, 57.9, 65.4, 73, 80.7, 89.5, 99.6, 105, 113],
+  IbmX3550XeonX5670: [66, 107, 120, 131, 143, 156, 173, 191, 211, 229, 247]
+};
+
+module.exports = PowerModels;
@@ -0,0 +1,295 @@
+const PowerModels = require('./powerModels');
+const DVFS = require('./dvfs');
+
+/**
+ * Host power-state machine
+ * A host is active (running VMs), idle (powered on without VMs), sleeping (suspended to RAM)
+ * or off. Powering down and waking up are transitions that take time and energy: sleep and
+ * wake move between idle and sleeping, shutdown and boot between idle and off. A host in a
+ * transition cannot run VMs; a wake requested during a power-down is queued after it.
+ * With DVFS the powered-on states draw the power of the host's current P-state.
+ * Times are in seconds, configured energies in joules and reported energies in kWh.
+ */
+class HostPowerState {
+  /**
+   * @param {Object} powerModel - Power model of the host (active and idle power, see PowerModels)
+   * @param {Object} config - Resolved power-state configuration (see HostPowerState.resolveConfig)
+   * @param {string} state - Initial state (default 'active')
+   */
+  constructor(powerModel, config = HostPowerState.resolveConfig(), state = 'active') {
+    this.powerModel = powerModel;
+    this.config = config;
+    this.state = state;
+    this.pState = null;
+    this.pending = [];
+    this.time = {};
+    this.energy = {};
+    HostPowerState.STATES.forEach(name => {
+      this.time[name] = 0;
+      this.energy[name] = 0;
+    });
+    this.transitions = {};
+    Object.keys(HostPowerState.DEFAULT_CONFIG.transitions).forEach(type => {
+      this.transitions[type] = 0;
+    });
+    this.transitionTime = 0;
+    this.transitionEnergy = 0;
+  }
+
+  /**
+   * Powered on and not in a transition, i.e. able to run VMs
+   */
+  isAvailable() {
+    return this.pending.length === 0 && (this.state === 'active' || this.state === 'idle');
+  }
+
+  /**
+   * Seconds until the queued transitions are done
+   */
+  remainingLatency() {
+    return this.pending.reduce((sum, transition) => sum + transition.latency - transition.elapsed, 0);
+  }
+
+  /**
+   * Power draw of a state in Watts (utilization in percent, used when active)
+   */
+  statePower(state, utilization = 0) {
+    switch (state) {
+      case 'active':
+        return this.pState
+          ? DVFS.getPower(this.powerModel, utilization, this.pState)
+          : PowerModels.getPower(this.powerModel, utilization);
+      case 'idle':
+        return this.pState ? DVFS.getPower(this.powerModel, 0, this.pState) : PowerModels.getPower(this.powerModel, 0);
+      case 'sleeping':
+        return this.config.sleepPower;
+      default:
+        return this.config.offPower;
+    }
+  }
+
+  /**
+   * Book time and energy spent in a state, e.g. energy integrated over a utilization trace
+   * @returns {number} The energy in joules
+   */
+  record(state, duration, joules) {
+    this.time[state] += duration;
+    this.energy[state] += joules;
+    return joules;
+  }
+
+  /**
+   * Let time pass: queued transitions progress first, the rest is spent in the current state
+   * @param {number} duration - Seconds
+   * @param {number} utilization - CPU utilization (percent) while active
+   * @returns {number} Energy consumed in joules
+   */
+  advance(duration, utilization = 0) {
+    let remaining = duration;
+    let joules = 0;
+
+    while (this.pending.length > 0) {
+      const transition = this.pending[0];
+      const spent = Math.min(remaining, transition.latency - transition.elapsed);
+      // Transition energy is spread evenly over its latency (booked at once when it is instantaneous)
+      const billed = transition.latency > 0 ? transition.energy * (spent / transition.latency) : transition.energy;
+      transition.elapsed += spent;
+      remaining -= spent;
+      this.transitionTime += spent;
+      this.transitionEnergy += billed;
+      joules += billed;
+      if (transition.elapsed < transition.latency) {
+        break;
+      }
+      this.state = transition.to;
+      this.pending.shift();
+    }
+
+    if (remaining > 0) {
+      joules += this.record(this.state, remaining, remaining * this.statePower(this.state, utilization));
+    }
+    return joules;
+  }
+
+  /**
+   * Queue a transition
+   * @returns {number} Its latency in seconds
+   */
+  begin(type, to) {
+    const { latency, energy } = this.config.transitions[type];
+    this.transitions[type]++;
+    this.pending.push({ type, to, latency, energy, elapsed: 0 });
+    return latency;
+  }
+
+  /**
+   * Mark an available host as running VMs (active) or not (idle)
+   */
+  setIdle(idle) {
+    if (this.isAvailable()) {
+      this.state = idle ? 'idle' : 'active';
+    }
+  }
+
+  /**
+   * Set the DVFS P-state the host runs at while powered on (null: nominal frequency and voltage)
+   * @param {Object} pState - { frequency, voltage }
+   */
+  setPState(pState) {
+    this.pState = pState;
+  }
+
+  /**
+   * Put an available host into the configured low-power state (sleeping or off)
+   * @returns {number} Latency of the power-down in seconds (0 when the host is not available)
+   */
+  powerDown() {
+    if (!this.isAvailable()) {
+      return 0;
+    }
+    const lowPowerState = this.config.lowPowerState;
+    return this.begin(lowPowerState === 'sleeping' ? 'sleep' : 'shutdown', lowPowerState);
+  }
+
+  /**
+   * Bring the host back to active
+   * @returns {number} Seconds until it can run VMs: 0 when already on, the wake or boot latency
+   *   otherwise, plus whatever is left of a power-down in progress
+   */
+  wake() {
+    const last = this.pending[this.pending.length - 1];
+    const state = last ? last.to : this.state;
+
+    if (state === 'active' || state === 'idle') {
+      if (!last) {
+        this.state = 'active';
+      }
+      return this.remainingLatency();
+    }
+
+    this.begin(state === 'sleeping' ? 'wake' : 'boot', 'active');
+    return this.remainingLatency();
+  }
+
+  /**
+   * Time and energy per state and transition counts of the host
+   */
+  report() {
+    const states = {};
+    HostPowerState.STATES.forEach(name => {
+      states[name] = { time: this.time[name], energy: this.energy[name] / 3.6e6 };
+    });
+    const stateEnergy = Object.values(this.energy).reduce((sum, joules) => sum + joules, 0);
+
+    return {
+      state: this.pending.length > 0 ? this.pending[this.pending.length - 1].to : this.state,
+      states,
+      transitions: {
+        ...this.transitions,
+        time: this.transitionTime,
+        energy: this.transitionEnergy / 3.6e6
+      },
+      energy: (stateEnergy + this.transitionEnergy) / 3.6e6
+    };
+  }
+
+  /**
+   * Sum the reports of several hosts
+   * @param {Array<Object>} reports - HostPowerState reports
+   * @returns {Object} { hosts, states, transitions, energy } without the per-host final state
+   */
+  static aggregate(reports) {
+    const total = new HostPowerState(null).report();
+    delete total.state;
+    reports.forEach(report => {
+      HostPowerState.STATES.forEach(name => {
+        total.states[name].time += report.states[name].time;
+        total.states[name].energy += report.states[name].energy;
+      });
+      Object.keys(total.transitions).forEach(key => {
+        total.transitions[key] += report.transitions[key];
+      });
+      total.energy += report.energy;
+    });
+    return { hosts: reports.length, ...total };
+  }
+
+  /**
+   * Validate a power-state configuration and fill in the defaults
+   * @param {Object} config - { lowPowerState, idleTimeout, sleepPower, offPower,
+   *   transitions: { sleep|wake|shutdown|boot: { latency, energy } } } (all optional)
+   * @returns {Object} The complete configuration
+   * @throws {Error} On unknown keys, an unknown low-power state or negative values
+   */
+  static resolveConfig(config = {}) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('power state config must be an object');
+    }
+
+    const defaults = HostPowerState.DEFAULT_CONFIG;
+    const unknown = Object.keys(config).filter(key => !(key in defaults));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown power state options: ${unknown.join(', ')}`);
+    }
+
+    const nonNegative = (value, name) => {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`${name} must be a non-negative number`);
+      }
+      return number;
+    };
+
+    const lowPowerState = config.lowPowerState !== undefined ? config.lowPowerState : defaults.lowPowerState;
+    if (!HostPowerState.LOW_POWER_STATES.includes(lowPowerState)) {
+      throw new Error(`lowPowerState must be one of ${HostPowerState.LOW_POWER_STATES.join(', ')}`);
+    }
+
+    const transitionConfig = config.transitions || {};
+    if (typeof transitionConfig !== 'object' || Array.isArray(transitionConfig)) {
+      throw new Error('transitions must be an object keyed by transition (sleep, wake, shutdown, boot)');
+    }
+    const unknownTransitions = Object.keys(transitionConfig).filter(type => !(type in defaults.transitions));
+    if (unknownTransitions.length > 0) {
+      throw new Error(`Unknown transitions: ${unknownTransitions.join(', ')} (use ${Object.keys(defaults.transitions).join(', ')})`);
+    }
+
+    const transitions = {};
+    Object.entries(defaults.transitions).forEach(([type, transitionDefaults]) => {
+      const transition = transitionConfig[type] || {};
+      transitions[type] = {
+        latency: transition.latency !== undefined
+          ? nonNegative(transition.latency, `transitions.${type}.latency`)
+          : transitionDefaults.latency,
+        energy: transition.energy !== undefined
+          ? nonNegative(transition.energy, `transitions.${type}.energy`)
+          : transitionDefaults.energy
+      };
+    });
+
+    return {
+      lowPowerState,
+      idleTimeout: config.idleTimeout !== undefined ? nonNegative(config.idleTimeout, 'idleTimeout') : defaults.idleTimeout,
+      sleepPower: config.sleepPower !== undefined ? nonNegative(config.sleepPower, 'sleepPower') : defaults.sleepPower,
+      offPower: config.offPower !== undefined ? nonNegative(config.offPower, 'offPower') : defaults.offPower,
+      transitions
+    };
+  }
+}
+
+HostPowerState.STATES = ['active', 'idle', 'sleeping', 'off'];
+HostPowerState.LOW_POWER_STATES = ['sleeping', 'off'];
+HostPowerState.DEFAULT_CONFIG = {
+  lowPowerState: 'off',
+  idleTimeout: 0, // seconds an empty host stays idle before powering down
+  sleepPower: 10, // Watts (suspend to RAM)
+  offPower: 0, // Watts
+  transitions: {
+    sleep: { latency: 10, energy: 2000 }, // seconds, joules
+    wake: { latency: 15, energy: 3000 },
+    shutdown: { latency: 30, energy: 6000 },
+    boot: { latency: 120, energy: 30000 }
+  }
+};
+
+module.exports = HostPowerState;
@@ -0,0 +1,169 @@
+const ThresholdDetection = require('./thresholdDetection');
+const LoadBalancer = require('./loadBalancer');
+const { mean } = require('../../utils/statistics');
+
+/**
+ * Safety parameter sweep
+ * Runs each threshold policy over a grid of safety parameter values and reduces the runs
+ * to energy/SLA trade-off curves: one point per value and consolidation algorithm, with
+ * the metrics averaged across the dates and the Pareto-optimal points marked.
+ */
+class SafetySweep {
+  /**
+   * Swept parameter and values of a threshold policy
+   * Windowed LR/LRR sweep lrSafetyParameter, every other policy its SAFETY_PARAMETERS entry
+   * @param {string} thresholdAlgo - Threshold detection algorithm
+   * @param {Array<number>} values - Values to evaluate (default: the policy's grid)
+   * @param {string} lrVariant - LR/LRR variant of the run
+   * @returns {Object} { parameter, defaultValue, values }
+   */
+  static parameterGrid(thresholdAlgo, values, lrVariant) {
+    if (ThresholdDetection.isWindowed(thresholdAlgo, lrVariant)) {
+      return {
+        parameter: 'lrSafetyParameter',
+        defaultValue: ThresholdDetection.DEFAULT_SAFETY_PARAMETER,
+        values: values || ThresholdDetection.WINDOWED_SAFETY_GRID
+      };
+    }
+
+    const safetyParameter = ThresholdDetection.SAFETY_PARAMETERS[thresholdAlgo];
+    return {
+      parameter: safetyParameter.option,
+      defaultValue: safetyParameter.default,
+      values: values || safetyParameter.grid
+    };
+  }
+
+  /**
+   * Validate a sweep grid
+   * @param {Object} grid - Values per threshold policy, e.g. { IQR: [0.5, 1, 1.5], THR: [70, 80, 90] }
+   * @param {string} lrVariant - LR/LRR variant of the run (windowed LR/LRR take lrSafetyParameter values)
+   * @returns {Object} The grid with numeric, sorted and de-duplicated values
+   * @throws {Error} On unknown policies, empty lists or values out of range
+   */
+  static resolveGrid(grid, lrVariant) {
+    if (!grid || typeof grid !== 'object' || Array.isArray(grid)) {
+      throw new Error('grid must be an object of value lists keyed by threshold algorithm, e.g. { "IQR": [0.5, 1, 1.5] }');
+    }
+
+    const resolved = {};
+    Object.entries(grid).forEach(([thresholdAlgo, values]) => {
+      if (!Array.isArray(values) || values.length === 0 || values.length > SafetySweep.MAX_GRID_VALUES) {
+        throw new Error(`grid.${thresholdAlgo} must list 1 to ${SafetySweep.MAX_GRID_VALUES} values`);
+      }
+      let numbers;
+      if (ThresholdDetection.isWindowed(thresholdAlgo, lrVariant)) {
+        numbers = values.map(Number);
+        if (!numbers.every(value => Number.isFinite(value) && value > 0)) {
+          throw new Error(`grid.${thresholdAlgo} lists lrSafetyParameter values, which must be positive numbers`);
+        }
+      } else {
+        numbers = values.map(value => ThresholdDetection.resolveSafetyParameters({ [thresholdAlgo]: value })[thresholdAlgo]);
+      }
+      resolved[thresholdAlgo] = [...new Set(numbers)].sort((a, b) => a - b);
+    });
+    return resolved;
+  }
+
+  /**
+   * Mark the points no other point beats on both energy and SLA violations
+   * @param {Array<Object>} points - { energyConsumption, slaViolations, ... }
+   */
+  static markParetoFront(points) {
+    points.forEach(point => {
+      point.paretoOptimal = !points.some(other =>
+        other !== point &&
+        other.energyConsumption <= point.energyConsumption &&
+        other.slaViolations <= point.slaViolations &&
+        (other.energyConsumption < point.energyConsumption || other.slaViolations < point.slaViolations)
+      );
+    });
+    return points;
+  }
+
+  /**
+   * Run the sweep
+   * @param {LoadBalancer} loadBalancer - Runs the combinations (runAllAlgorithms)
+   * @param {Array<string>} dates - Datasets to average over
+   * @param {Object} options - runAllAlgorithms options, plus:
+   * @param {Array<string>} options.thresholdAlgos - Policies to sweep (default: all)
+   * @param {Object} options.grid - Values per policy, e.g. { IQR: [0.5, 1, 1.5] } (default: SAFETY_PARAMETERS grids)
+   * @param {Function} options.onProgress - Called with { completedTasks, totalTasks, failedTasks } over the whole sweep
+   * @returns {Object} { policy: { parameter, defaultValue, values, curves: { consolidationAlgo: [points] } } }
+   */
+  static async run(loadBalancer, dates, options = {}) {
+    const { grid = {}, onProgress, ...runOptions } = options;
+    const thresholdAlgos = options.thresholdAlgos ||
+      (Object.keys(grid).length > 0 ? Object.keys(grid) : LoadBalancer.THRESHOLD_ALGORITHMS);
+    const consolidationAlgos = options.consolidationAlgos || LoadBalancer.CONSOLIDATION_ALGORITHMS;
+
+    const sweeps = thresholdAlgos.map(thresholdAlgo => ({
+      thresholdAlgo,
+      ...SafetySweep.parameterGrid(thresholdAlgo, grid[thresholdAlgo], runOptions.lrVariant)
+    }));
+    const runsTotal = sweeps.reduce((sum, sweep) => sum + sweep.values.length, 0);
+    const tasksPerRun = consolidationAlgos.length * dates.length;
+    let runsDone = 0;
+    let failedBefore = 0;
+
+    const results = {};
+    for (const sweep of sweeps) {
+      const { thresholdAlgo, parameter, defaultValue, values } = sweep;
+      const curves = {};
+      consolidationAlgos.forEach(consolidationAlgo => {
+        curves[consolidationAlgo] = [];
+      });
+
+      for (const value of values) {
+        console.log(`Safety sweep: ${thresholdAlgo} ${parameter} = ${value}`);
+        const parameterOptions = parameter === 'lrSafetyParameter'
+          ? { lrSafetyParameter: value }
+          : { safetyParameters: { ...runOptions.safetyParameters, [thresholdAlgo]: value } };
+
+        let failedInRun = 0;
+        const runResults = await loadBalancer.runAllAlgorithms(dates, {
+          ...runOptions,
+          ...parameterOptions,
+          thresholdAlgos: [thresholdAlgo],
+          consolidationAlgos,
+          onProgress: ({ completedTasks, failedTasks }) => {
+            failedInRun = failedTasks;
+            if (onProgress) {
+              onProgress({
+                completedTasks: runsDone * tasksPerRun + completedTasks,
+                totalTasks: runsTotal * tasksPerRun,
+                failedTasks: failedBefore + failedTasks
+              });
+            }
+          }
+        });
+        runsDone++;
+        failedBefore += failedInRun;
+
+        consolidationAlgos.forEach(consolidationAlgo => {
+          const byDate = Object.values(runResults[`${thresholdAlgo} ${consolidationAlgo}`] || {});
+          const average = (metric) => (byDate.length > 0 ? mean(byDate.map(result => result[metric] || 0)) : 0);
+          curves[consolidationAlgo].push({
+            value,
+            energyConsumption: average('energyConsumption'),
+            slaViolations: average('slaViolations'),
+            slav: average('slav'),
+            vmMigrations: average('vmMigrations'),
+            nodeShutdowns: average('nodeShutdowns'),
+            dates: byDate.length
+          });
+        });
+      }
+
+      Object.values(curves).forEach(points => SafetySweep.markParetoFront(points));
+      results[thresholdAlgo] = { parameter, defaultValue, values, curves };
+    }
+
+    return results;
+  }
+}
+
+// Values per policy accepted in one sweep
+SafetySweep.MAX_GRID_VALUES = 20;
+
+module.exports = SafetySweep;
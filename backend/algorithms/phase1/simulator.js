@@ -0,0 +1,521 @@
+const ThresholdDetection = require('./thresholdDetection');
+const VMConsolidation = require('./vmConsolidation');
+const PowerModels = require('./powerModels');
+const VMPlacement = require('./vmPlacement');
+const HostPowerState = require('./powerStates');
+const MigrationModel = require('./migrationModel');
+const DVFS = require('./dvfs');
+const DataProcessor = require('../dataProcessor');
+const { createRandom, DEFAULT_SEED } = require('../../utils/random');
+
+/**
+ * Time-stepped Phase 1 simulator
+ * Walks the trace interval by interval (Beloglazov & Buyya methodology):
+ * each step the hosts' utilization is updated from the VM traces, threshold detection
+ * runs on a sliding window of the host history, overloaded hosts migrate VMs to the
+ * hosts chosen by the placement algorithm, underloaded hosts are evacuated when all their
+ * VMs fit elsewhere and hosts left without VMs are powered down. Every host runs a power-state
+ * machine (see HostPowerState): powered-down hosts are woken when a VM has to be placed on them
+ * and the VM waits for the wake-up before its migration completes. With DVFS, the governor sets
+ * each host's P-state per interval, which scales its capacity and power for that interval.
+ */
+class Phase1Simulator {
+  /**
+   * @param {Object} options - Simulation options
+   * @param {number} options.windowSize - Host utilization history used by threshold detection (samples)
+   * @param {string} options.lrVariant - 'windowed' runs LR/LRR as next-interval loess predictors
+   * @param {number} options.lrWindowSize - Samples fitted by the windowed LR/LRR
+   * @param {number} options.lrSafetyParameter - Safety parameter of the windowed LR/LRR
+   * @param {Object} options.safetyParameters - Safety parameter per threshold algorithm (e.g. { MAD: 2.5 })
+   * @param {string} options.selectionMode - 'fixed' (30% of an overloaded host's VMs) or 'iterative'
+   *   (VMs are migrated until the host utilization is below its threshold)
+   * @param {number} options.underloadThreshold - Host utilization (percent) below which all VMs of a host
+   *   are moved away so it can be switched off (default 30)
+   * @param {number} options.vmMips - CPU capacity of a VM (MIPS)
+   * @param {number} options.vmRam - VM memory (MB), determines the live migration time
+   * @param {number} options.hostMips - CPU capacity of a host (default: its initial VM count * vmMips)
+   * @param {number} options.hostBandwidth - Host network bandwidth (Mbit/s), partly used for migrations
+   * @param {string|Object} options.powerModel - Host power model (see PowerModels.resolve)
+   * @param {Object} options.migrationModel - Pre-copy live migration settings (see MigrationModel.resolveConfig)
+   * @param {number} options.migrationEnergy - Flat energy per VM migration in kWh, replacing the estimate
+   *   of the migration model
+   * @param {Object} options.powerStates - Host power-state configuration: low-power state, idle timeout,
+   *   sleep/off power and transition latencies and energies (see HostPowerState.resolveConfig)
+   * @param {Object} options.dvfs - DVFS governor and P-states (see DVFS.resolveConfig; default: hosts always
+   *   run at the nominal frequency)
+   * @param {string} options.placementAlgo - Destination placement for migrated VMs (PABFD, FF, WF)
+   * @param {string|Object} options.topology - Cluster topology; host and VM sizes and host power models
+   *   then come from the host and VM types, and idle hosts can be switched on as migration targets
+   * @param {string} options.allocationStrategy - Initial VM allocation on the topology
+   * @param {number} options.allocationSeed - Seed of the random allocation strategy
+   * @param {number|string} options.seed - Seed of the randomized policies (RS)
+   */
+  constructor(options = {}) {
+    this.dataProcessor = new DataProcessor();
+    this.options = {
+      windowSize: options.windowSize || Phase1Simulator.DEFAULT_WINDOW_SIZE,
+      lrVariant: options.lrVariant || 'stateless',
+      lrWindowSize: options.lrWindowSize || ThresholdDetection.DEFAULT_REGRESSION_WINDOW,
+      lrSafetyParameter: options.lrSafetyParameter || ThresholdDetection.DEFAULT_SAFETY_PARAMETER,
+      safetyParameters: options.safetyParameters || {},
+      selectionMode: options.selectionMode || 'fixed',
+      underloadThreshold: options.underloadThreshold !== undefined
+        ? options.underloadThreshold
+        : Phase1Simulator.DEFAULT_UNDERLOAD_THRESHOLD,
+      vmMips: options.vmMips || Phase1Simulator.DEFAULT_VM_MIPS,
+      vmRam: options.vmRam || Phase1Simulator.DEFAULT_VM_RAM,
+      hostMips: options.hostMips || null,
+      hostBandwidth: options.hostBandwidth || Phase1Simulator.DEFAULT_HOST_BANDWIDTH,
+      placementAlgo: options.placementAlgo || VMPlacement.DEFAULT_ALGORITHM,
+      topology: options.topology || null,
+      allocationStrategy: options.allocationStrategy,
+      allocationSeed: options.allocationSeed,
+      seed: options.seed !== undefined ? options.seed : DEFAULT_SEED,
+      powerModel: PowerModels.resolve(options.powerModel),
+      migrationModel: MigrationModel.resolveConfig(options.migrationModel || {}),
+      migrationEnergy: options.migrationEnergy !== undefined ? options.migrationEnergy : null,
+      powerStates: HostPowerState.resolveConfig(options.powerStates || {}),
+      dvfs: options.dvfs ? DVFS.resolveConfig(options.dvfs) : null
+    };
+  }
+
+  /**
+   * Build hosts and VM traces from the dataset, aligned on a common time axis
+   */
+  buildState(vmData) {
+    const nodes = this.dataProcessor.getActiveNodes(vmData, this.options.topology, {
+      strategy: this.options.allocationStrategy,
+      seed: this.options.allocationSeed,
+      includeIdle: true
+    });
+    const timestamps = Array.from(new Set(vmData.map(point => point.timestamp))).sort((a, b) => a - b);
+    const timeIndex = new Map(timestamps.map((timestamp, index) => [timestamp, index]));
+
+    const vms = new Map();
+    const hosts = nodes.map(node => {
+      const powerModel = node.host && node.host.powerModel ? PowerModels.resolve(node.host.powerModel) : this.options.powerModel;
+      const host = {
+        hostId: node.nodeId,
+        vmIds: new Set(),
+        capacity: 0,
+        bandwidth: node.host ? node.host.bandwidth : this.options.hostBandwidth,
+        pStates: this.options.dvfs ? DVFS.hostPStates(node.host, this.options.dvfs) : null,
+        powerModel: powerModel,
+        // Hosts without VMs start in the low-power state
+        power: new HostPowerState(
+          powerModel,
+          this.options.powerStates,
+          node.vms.length > 0 ? 'active' : this.options.powerStates.lowPowerState
+        ),
+        active: node.vms.length > 0,
+        activeSince: timestamps[0],
+        idleSince: null,
+        activeTime: 0,
+        overloadTime: 0,
+        history: [],
+        threshold: 100,
+        requestedMips: 0
+      };
+
+      node.vms.forEach(point => {
+        if (!vms.has(point.vmId)) {
+          const vmType = node.vmTypes ? node.vmTypes.get(point.vmId) : null;
+          vms.set(point.vmId, {
+            vmId: point.vmId,
+            mips: vmType ? vmType.mips * vmType.cores : this.options.vmMips,
+            ram: vmType ? vmType.ram : this.options.vmRam,
+            cpu: new Array(timestamps.length).fill(0),
+            memory: new Array(timestamps.length).fill(null),
+            network: new Array(timestamps.length).fill(null),
+            hostId: host.hostId,
+            placedAt: timestamps[0],
+            requestedMipsTotal: 0,
+            degradedMips: 0,
+            slaViolated: false
+          });
+          host.vmIds.add(point.vmId);
+        }
+        const vm = vms.get(point.vmId);
+        const index = timeIndex.get(point.timestamp);
+        vm.cpu[index] = point.cpuUtilization;
+        if (typeof point.memoryUtilization === 'number') {
+          vm.memory[index] = point.memoryUtilization;
+        }
+        if (typeof point.networkUtilization === 'number') {
+          vm.network[index] = point.networkUtilization;
+        }
+      });
+
+      if (node.host) {
+        host.capacity = node.host.totalMips;
+      } else {
+        host.capacity = this.options.hostMips || host.vmIds.size * this.options.vmMips;
+      }
+      return host;
+    });
+
+    return { timestamps, hosts, vms };
+  }
+
+  /**
+   * Pre-copy live migration of a VM away from a host at a step: the current CPU demand
+   * sets the dirty-page rate and the SLA cost (see MigrationModel.estimate)
+   */
+  estimateMigration(vm, step, host) {
+    return MigrationModel.estimate(
+      { ram: vm.ram, cpuUtilization: vm.cpu[step], mips: (vm.cpu[step] / 100) * vm.mips },
+      host.bandwidth,
+      this.options.migrationModel
+    );
+  }
+
+  /**
+   * Run the simulation for one algorithm combination
+   * @param {string} thresholdAlgo - Threshold detection algorithm (IQR, LR, MAD, LRR, THR, EWMA, HW, KF, PCT)
+   * @param {string} consolidationAlgo - VM consolidation algorithm (MC, MMT, MU, RS, MXU, MNC, HPG, FUZ)
+   * @param {string} date - Dataset date
+   * @param {Array} vmData - Dataset data points
+   */
+  run(thresholdAlgo, consolidationAlgo, date, vmData) {
+    const { timestamps, hosts, vms } = this.buildState(vmData);
+    const { windowSize, migrationEnergy, placementAlgo } = this.options;
+    const random = createRandom(this.options.seed);
+    const windowed = ThresholdDetection.isWindowed(thresholdAlgo, this.options.lrVariant);
+    const forecasting = ThresholdDetection.FORECASTING_ALGORITHMS.includes(thresholdAlgo);
+    const regressionOptions = { windowSize: this.options.lrWindowSize, safetyParameter: this.options.lrSafetyParameter };
+
+    if (hosts.length === 0) {
+      throw new Error(`No nodes found for date ${date}`);
+    }
+
+    console.log(`Simulating ${hosts.length} hosts / ${vms.size} VMs over ${timestamps.length} intervals for date ${date} with algorithm ${thresholdAlgo} ${consolidationAlgo}`);
+
+    const intervals = timestamps.slice(1).map((timestamp, i) => timestamp - timestamps[i]);
+    const sortedIntervals = [...intervals].sort((a, b) => a - b);
+    const lastInterval = sortedIntervals.length > 0
+      ? sortedIntervals[Math.floor(sortedIntervals.length / 2)]
+      : PowerModels.DEFAULT_SAMPLE_INTERVAL;
+    const detectorOptions = {
+      ...ThresholdDetection.safetyOptions(thresholdAlgo, this.options.safetyParameters),
+      seasonLength: ThresholdDetection.seasonLength(lastInterval)
+    };
+
+    let energyWattSeconds = 0;
+    let totalVMMigrations = 0;
+    let totalNodeShutdowns = 0;
+    let totalTimeBeforeShutdown = 0;
+    let totalTimeBeforeMigration = 0;
+    let migrationEnergyKWh = 0;
+    let totalMigrationTime = 0;
+    let totalDowntime = 0;
+    let totalTransferred = 0;
+    let underAllocatedMips = 0;
+    let frequencyTime = 0;
+
+    for (let step = 0; step < timestamps.length; step++) {
+      const now = timestamps[step];
+      const duration = step < intervals.length ? intervals[step] : lastInterval;
+
+      // Step 1: Update host utilization, energy and SLA time from the current VM demand
+      hosts.forEach(host => {
+        if (!host.active) {
+          // Low-power state or a power-down in progress
+          energyWattSeconds += host.power.advance(duration);
+          return;
+        }
+
+        host.requestedMips = 0;
+        host.vmIds.forEach(vmId => {
+          const vm = vms.get(vmId);
+          const requested = (vm.cpu[step] / 100) * vm.mips;
+          vm.requestedMipsTotal += requested * duration;
+          host.requestedMips += requested;
+        });
+
+        // Threshold detection sees the demand against the nominal capacity, the governor can scale up to it
+        const demand = (host.requestedMips / host.capacity) * 100;
+        let capacity = host.capacity;
+        let utilization = Math.min(100, demand);
+        if (host.pStates) {
+          const pState = DVFS.selectPState(host.pStates, this.options.dvfs, demand);
+          host.power.setPState(pState);
+          capacity = host.capacity * pState.frequency;
+          utilization = DVFS.scaledUtilization(demand, pState);
+          frequencyTime += pState.frequency * duration;
+        }
+        host.history.push(Math.min(100, demand));
+        host.activeTime += duration;
+        host.power.setIdle(host.vmIds.size === 0);
+        energyWattSeconds += host.power.advance(duration, utilization);
+
+        // Oversubscribed hosts give every VM the same fraction of its request
+        underAllocatedMips += Math.max(0, host.requestedMips - capacity) * duration;
+
+        // SLATAH: the host cannot serve the requested capacity
+        if (host.requestedMips >= capacity) {
+          host.overloadTime += duration;
+        }
+        // A VM's SLA is violated only when it received less MIPS than it requested
+        if (host.requestedMips > capacity) {
+          host.vmIds.forEach(vmId => {
+            const vm = vms.get(vmId);
+            if (vm.cpu[step] > 0) {
+              vm.slaViolated = true;
+            }
+          });
+        }
+      });
+
+      // Step 2: Threshold detection on the sliding history window
+      const overloadedHosts = new Set();
+      hosts.forEach(host => {
+        if (!host.active) {
+          return;
+        }
+
+        if (windowed) {
+          // Windowed LR/LRR: predict the next interval from the recent history
+          const decision = ThresholdDetection.predictOverload(thresholdAlgo, host.history, regressionOptions);
+          host.threshold = decision.threshold;
+          if (decision.overloaded) {
+            overloadedHosts.add(host);
+          }
+          return;
+        }
+
+        // Fall back to the static threshold until a full window of history is available;
+        // forecasting detectors see the whole history (HW needs past days for its season)
+        const window = forecasting ? host.history : host.history.slice(-windowSize);
+        host.threshold = host.history.length < windowSize
+          ? ThresholdDetection.StaticThreshold()
+          : ThresholdDetection.detect(thresholdAlgo, window, detectorOptions);
+
+        if (host.history[host.history.length - 1] > host.threshold) {
+          overloadedHosts.add(host);
+        }
+      });
+
+      // Step 3: VM selection on overloaded hosts
+      const migrationCandidates = [];
+      overloadedHosts.forEach(host => {
+        const hostVMs = Array.from(host.vmIds).map(vmId => {
+          const vm = vms.get(vmId);
+          const history = vm.cpu.slice(Math.max(0, step - windowSize + 1), step + 1);
+          const current = vm.cpu[step];
+          return {
+            vmId: vmId,
+            // MC correlates the VM histories, the other policies use the current demand
+            cpuUtilization: consolidationAlgo === 'MC' ? history : current,
+            cpuHistory: history,
+            maxCPUUtilization: Math.max(...history),
+            migration: this.estimateMigration(vm, step, host),
+            memoryUtilization: vm.memory[step] !== null ? vm.memory[step] : current * 0.8,
+            networkUtilization: vm.network[step] !== null ? vm.network[step] : current * 0.3
+          };
+        });
+
+        const remainingUtilization = remaining => remaining.reduce(
+          (sum, vm) => sum + (vms.get(vm.vmId).cpu[step] / 100) * vms.get(vm.vmId).mips, 0
+        ) / host.capacity * 100;
+        const { selectedVMs } = VMConsolidation.selectWithMode(
+          this.options.selectionMode,
+          consolidationAlgo,
+          hostVMs,
+          remaining => remainingUtilization(remaining) > host.threshold,
+          random
+        );
+        new Set(selectedVMs.map(vm => vm.vmId)).forEach(vmId => {
+          migrationCandidates.push({
+            vmId: vmId,
+            mips: (vms.get(vmId).cpu[step] / 100) * vms.get(vmId).mips,
+            sourceHost: host
+          });
+        });
+      });
+
+      // Hosts that received a VM in this step
+      const receivers = new Set();
+      const migrate = (candidate, destination) => {
+        const vm = vms.get(candidate.vmId);
+        const source = candidate.sourceHost;
+
+        source.vmIds.delete(vm.vmId);
+        source.requestedMips -= candidate.mips;
+        destination.vmIds.add(vm.vmId);
+        destination.requestedMips += candidate.mips;
+        receivers.add(destination);
+
+        // A powered-down destination is woken first; the migration completes after the wake-up
+        const wakeLatency = destination.power.wake();
+
+        // PDM: the VM is degraded during pre-copy (and while it waits for the destination to wake up)
+        // and unavailable during the stop-and-copy downtime
+        const migration = this.estimateMigration(vm, step, source);
+        vm.degradedMips += migration.slaCost.source + migration.slaCost.target +
+          this.options.migrationModel.degradation * candidate.mips * wakeLatency;
+        migrationEnergyKWh += migrationEnergy !== null ? migrationEnergy : migration.energy.total;
+        totalMigrationTime += migration.duration;
+        totalDowntime += migration.downtime;
+        totalTransferred += migration.transferred;
+        totalTimeBeforeMigration += now - vm.placedAt;
+        vm.placedAt = now;
+        vm.hostId = destination.hostId;
+        totalVMMigrations++;
+      };
+
+      // Step 4: Place the selected VMs on non-overloaded hosts and migrate them
+      if (migrationCandidates.length > 0) {
+        const destinations = hosts
+          .filter(host => !overloadedHosts.has(host))
+          .map(host => ({
+            hostId: host.hostId,
+            capacity: host.capacity,
+            load: host.active ? host.requestedMips : 0,
+            threshold: host.active ? host.threshold : ThresholdDetection.StaticThreshold(),
+            active: host.active,
+            powerModel: host.powerModel,
+            host: host
+          }));
+        const allocations = VMPlacement.place(placementAlgo, migrationCandidates, destinations, {
+          powerModel: this.options.powerModel
+        });
+
+        allocations.forEach(({ vm: candidate, host: { host: destination } }) => {
+          if (!destination.active) {
+            destination.active = true;
+            destination.activeSince = now;
+            destination.requestedMips = 0;
+          }
+          migrate(candidate, destination);
+        });
+      }
+
+      // Step 5: Underload detection - from the least loaded host up, move all VMs of hosts below
+      // the underload threshold to other active hosts if they all fit; hosts that received VMs
+      // in this step are not evacuated
+      const utilizationOf = host => (host.requestedMips / host.capacity) * 100;
+      const evacuated = new Set();
+      hosts
+        .filter(host => host.active && host.vmIds.size > 0 && !overloadedHosts.has(host) && !receivers.has(host) &&
+          utilizationOf(host) < this.options.underloadThreshold)
+        .sort((a, b) => utilizationOf(a) - utilizationOf(b))
+        .forEach(source => {
+          if (receivers.has(source)) {
+            return;
+          }
+
+          const candidates = Array.from(source.vmIds).map(vmId => ({
+            vmId: vmId,
+            mips: (vms.get(vmId).cpu[step] / 100) * vms.get(vmId).mips,
+            sourceHost: source
+          }));
+          const destinations = hosts
+            .filter(host => host.active && host !== source && !overloadedHosts.has(host) && !evacuated.has(host))
+            .map(host => ({
+              hostId: host.hostId,
+              capacity: host.capacity,
+              load: host.requestedMips,
+              threshold: host.threshold,
+              active: true,
+              powerModel: host.powerModel,
+              host: host
+            }));
+          const allocations = VMPlacement.place(placementAlgo, candidates, destinations, {
+            powerModel: this.options.powerModel
+          });
+          if (allocations.length < candidates.length) {
+            return;
+          }
+
+          allocations.forEach(({ vm: candidate, host: { host: destination } }) => migrate(candidate, destination));
+          evacuated.add(source);
+        });
+
+      // Step 6: Power down hosts left without VMs once they have been idle for the idle timeout
+      hosts.forEach(host => {
+        if (!host.active || host.vmIds.size > 0) {
+          host.idleSince = null;
+          return;
+        }
+
+        if (host.idleSince === null) {
+          host.idleSince = now;
+        }
+        if (now + duration - host.idleSince < this.options.powerStates.idleTimeout) {
+          return;
+        }
+        host.active = false;
+        host.idleSince = null;
+        const latency = host.power.powerDown();
+        totalNodeShutdowns++;
+        totalTimeBeforeShutdown += now + duration - host.activeSince + latency;
+      });
+    }
+
+    const usedHosts = hosts.filter(host => host.activeTime > 0);
+    const slatah = usedHosts.length > 0
+      ? (usedHosts.reduce((sum, host) => sum + host.overloadTime / host.activeTime, 0) / usedHosts.length) * 100
+      : 0;
+    const vmList = Array.from(vms.values());
+    const pdm = vmList.length > 0
+      ? (vmList.reduce((sum, vm) => sum + (vm.requestedMipsTotal > 0 ? vm.degradedMips / vm.requestedMipsTotal : 0), 0) / vmList.length) * 100
+      : 0;
+    const requestedMips = vmList.reduce((sum, vm) => sum + vm.requestedMipsTotal, 0);
+    const slav = (slatah * pdm) / 100;
+    const slaViolationsPercent = vmList.length > 0
+      ? (vmList.filter(vm => vm.slaViolated).length / vmList.length) * 100
+      : 0;
+
+    const energyConsumption = energyWattSeconds / 3600 / 1000 + migrationEnergyKWh;
+    const hostPowerStates = {};
+    hosts.forEach(host => {
+      hostPowerStates[host.hostId] = host.power.report();
+    });
+
+    const result = {
+      date: date,
+      algorithm: `${thresholdAlgo} ${consolidationAlgo}`,
+      engine: 'timestep',
+      energyConsumption: energyConsumption,
+      vmMigrations: totalVMMigrations,
+      slaViolations: slaViolationsPercent,
+      nodeShutdowns: totalNodeShutdowns,
+      meanTimeBeforeShutdown: totalNodeShutdowns > 0 ? totalTimeBeforeShutdown / totalNodeShutdowns : 0,
+      meanTimeBeforeMigration: totalVMMigrations > 0 ? totalTimeBeforeMigration / totalVMMigrations : 0,
+      meanMigrationTime: totalVMMigrations > 0 ? totalMigrationTime / totalVMMigrations : 0,
+      meanMigrationDowntime: totalVMMigrations > 0 ? totalDowntime / totalVMMigrations : 0,
+      migrationDataTransferred: totalTransferred / 1024,
+      slatah: slatah,
+      pdm: pdm,
+      slav: slav,
+      esv: (energyConsumption * slav) / 100,
+      underAllocation: requestedMips > 0 ? (underAllocatedMips / requestedMips) * 100 : 0,
+      powerStates: HostPowerState.aggregate(Object.values(hostPowerStates)),
+      hostPowerStates: hostPowerStates
+    };
+    if (this.options.dvfs) {
+      // Time-weighted over the intervals hosts were powered on
+      const activeTime = hosts.reduce((sum, host) => sum + host.activeTime, 0);
+      result.meanFrequency = activeTime > 0 ? (frequencyTime / activeTime) * 100 : 100;
+    }
+
+    console.log(`Simulation ${thresholdAlgo} ${consolidationAlgo} for ${date}:`, {
+      energy: energyConsumption.toFixed(2),
+      migrations: totalVMMigrations,
+      slatah: slatah.toFixed(2),
+      pdm: pdm.toFixed(4),
+      slav: slav.toFixed(6),
+      shutdowns: totalNodeShutdowns
+    });
+
+    return result;
+  }
+}
+
+Phase1Simulator.DEFAULT_WINDOW_SIZE = 12; // 1 hour of 5-minute samples
+Phase1Simulator.DEFAULT_VM_MIPS = 1000;
+Phase1Simulator.DEFAULT_VM_RAM = MigrationModel.DEFAULT_VM_RAM;
+Phase1Simulator.DEFAULT_HOST_BANDWIDTH = 1000; // Mbit/s
+Phase1Simulator.DEFAULT_UNDERLOAD_THRESHOLD = 30; // percent
+
+module.exports = Phase1Simulator;
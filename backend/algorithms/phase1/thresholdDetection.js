@@ -1,12 +1,18 @@
 /**
  * Threshold Detection Algorithms
+ * IQR, LR, MAD and LRR return an overload threshold computed from a set of utilization
+ * samples. LR and LRR also have a windowed variant (Beloglazov & Buyya) that fits a local
+ * regression to the recent host history and flags overload from the predicted next value.
+ * EWMA, HW and KF forecast the next interval from the host utilization time series and
+ * lower the threshold by the forecast rise and its uncertainty; PCT uses history percentiles.
  */
 
 class ThresholdDetection {
   /**
    * Algorithm 1: Inter Quartile Range (IQR)
+   * @param {Object} options - { safetyRange (default 0.05) }
    */
-  static IQR(cpuUtilizations) {
+  static IQR(cpuUtilizations, options = {}) {
     const sorted = [...cpuUtilizations].sort((a, b) => a - b);
     const n = sorted.length;
     
@@ -19,7 +25,7 @@ class ThresholdDetection {
     const q3 = sorted[q3Index] || sorted[n - 1];
     
     const iqr = q3 - q1;
-    const safetyRange = 0.05; // 5%
+    const safetyRange = options.safetyRange !== undefined ? options.safetyRange : ThresholdDetection.SAFETY_PARAMETERS.IQR.default;
     const threshold = 100 - (safetyRange * iqr);
     
     return Math.max(0, Math.min(100, threshold));
@@ -27,8 +33,9 @@ class ThresholdDetection {
 
   /**
    * Algorithm 2: Local Regression (LR)
+   * @param {Object} options - { safetyRange (default 0.1) }
    */
-  static LR(cpuUtilizations, loadPatterns = null) {
+  static LR(cpuUtilizations, loadPatterns = null, options = {}) {
     const sorted = [...cpuUtilizations].sort((a, b) => b - a);
     const n = sorted.length;
     
@@ -53,7 +60,7 @@ class ThresholdDetection {
       lw = (lw + (1 / (1 - cpu / 100))) / 2;
     });
     
-    const safetyRange = 0.1; // Default safety range
+    const safetyRange = options.safetyRange !== undefined ? options.safetyRange : ThresholdDetection.SAFETY_PARAMETERS.LR.default;
     const threshold = (sorted[0] * cw + (loadPatterns[0] || 0) * lw) * safetyRange;
     
     return Math.max(0, Math.min(100, threshold));
@@ -61,8 +68,9 @@ class ThresholdDetection {
 
   /**
    * Algorithm 3: Median Absolute Deviation (MAD)
+   * @param {Object} options - { safetyRange (default 0.1) }
    */
-  static MAD(cpuUtilizations) {
+  static MAD(cpuUtilizations, options = {}) {
     const sorted = [...cpuUtilizations].sort((a, b) => b - a);
     const n = sorted.length;
     
@@ -82,7 +90,7 @@ class ThresholdDetection {
       ? (sortedDeviations[sortedDeviations.length / 2 - 1] + sortedDeviations[sortedDeviations.length / 2]) / 2
       : sortedDeviations[Math.floor(sortedDeviations.length / 2)];
     
-    const safetyRange = 0.1;
+    const safetyRange = options.safetyRange !== undefined ? options.safetyRange : ThresholdDetection.SAFETY_PARAMETERS.MAD.default;
     const threshold = 100 - (dm * safetyRange);
     
     return Math.max(0, Math.min(100, threshold));
@@ -90,8 +98,9 @@ class ThresholdDetection {
 
   /**
    * Algorithm 4: Robust Local Regression (LRR)
+   * @param {Object} options - { safetyRange (default 0.1) }
    */
-  static LRR(cpuUtilizations, loadPatterns = null) {
+  static LRR(cpuUtilizations, loadPatterns = null, options = {}) {
     const sorted = [...cpuUtilizations].sort((a, b) => b - a);
     const n = sorted.length;
     
@@ -119,7 +128,7 @@ class ThresholdDetection {
     // Combined weight function
     const clw = cw * lw;
     
-    const safetyRange = 0.1;
+    const safetyRange = options.safetyRange !== undefined ? options.safetyRange : ThresholdDetection.SAFETY_PARAMETERS.LRR.default;
     const threshold = (sorted[0] * cw + (loadPatterns[0] || 0) * lw + clw) * safetyRange;
     
     return Math.max(0, Math.min(100, threshold));
@@ -127,11 +136,404 @@ class ThresholdDetection {
 
   /**
    * Static Threshold
+   * @param {Object} options - { threshold (default 80) }
    */
-  static StaticThreshold() {
-    return 80; // Standard static threshold
+  static StaticThreshold(options = {}) {
+    return options.threshold !== undefined ? options.threshold : ThresholdDetection.SAFETY_PARAMETERS.THR.default;
+  }
+
+  /**
+   * Threshold from a one-step forecast: the latest sample exceeds it exactly when the
+   * upper forecast bound (forecast + z * spread) exceeds 100%
+   * @param {Array<number>} series - Utilization history, oldest first
+   * @param {number} forecast - Predicted utilization of the next interval
+   * @param {number} spread - Standard deviation of the forecast error
+   * @param {Object} options - { confidenceZ }
+   */
+  static forecastThreshold(series, forecast, spread, options = {}) {
+    const z = options.confidenceZ !== undefined ? options.confidenceZ : ThresholdDetection.DEFAULT_CONFIDENCE_Z;
+    const latest = series[series.length - 1];
+    const threshold = 100 - (forecast - latest) - z * spread;
+    return Math.max(0, Math.min(100, threshold));
+  }
+
+  /**
+   * Exponentially weighted moving average detector
+   * Forecast is the EWMA level, the spread its exponentially weighted variance
+   * @param {Array<number>} series - Host utilization history (percent), oldest first
+   * @param {Object} options - { alpha (default 0.3), confidenceZ }
+   */
+  static EWMA(series, options = {}) {
+    if (series.length === 0) return 100;
+
+    const alpha = options.alpha || 0.3;
+    let level = series[0];
+    let variance = 0;
+    for (let i = 1; i < series.length; i++) {
+      const error = series[i] - level;
+      level += alpha * error;
+      variance = (1 - alpha) * (variance + alpha * error * error);
+    }
+
+    return ThresholdDetection.forecastThreshold(series, level, Math.sqrt(variance), options);
+  }
+
+  /**
+   * Additive Holt-Winters detector with daily seasonality
+   * The seasonal component needs two full days of history; shorter histories use
+   * Holt's linear trend method. The spread is the RMS of the one-step forecast errors.
+   * @param {Array<number>} series - Host utilization history (percent), oldest first
+   * @param {Object} options - { seasonLength (samples per day, default 288), alpha, beta, gamma, confidenceZ }
+   */
+  static HoltWinters(series, options = {}) {
+    const n = series.length;
+    if (n === 0) return 100;
+
+    const alpha = options.alpha || 0.3;
+    const beta = options.beta || 0.1;
+    const gamma = options.gamma || 0.1;
+    const seasonLength = options.seasonLength || ThresholdDetection.DEFAULT_SEASON_LENGTH;
+    const seasonal = n >= 2 * seasonLength;
+
+    // Initial level and trend from the first samples (or the first two seasons)
+    let level;
+    let trend;
+    let seasons = [];
+    let start;
+    if (seasonal) {
+      const firstMean = series.slice(0, seasonLength).reduce((a, b) => a + b, 0) / seasonLength;
+      const secondMean = series.slice(seasonLength, 2 * seasonLength).reduce((a, b) => a + b, 0) / seasonLength;
+      level = firstMean;
+      trend = (secondMean - firstMean) / seasonLength;
+      seasons = series.slice(0, seasonLength).map(value => value - firstMean);
+      start = seasonLength;
+    } else {
+      // Average slope of the first hour damps the noise of single differences
+      const span = Math.min(n - 1, 12);
+      level = series[0];
+      trend = span > 0 ? (series[span] - series[0]) / span : 0;
+      start = 1;
+    }
+
+    let squaredErrors = 0;
+    let errorCount = 0;
+    for (let t = start; t < n; t++) {
+      const season = seasonal ? seasons[t % seasonLength] : 0;
+      const error = series[t] - (level + trend + season);
+      squaredErrors += error * error;
+      errorCount++;
+
+      const previousLevel = level;
+      level = alpha * (series[t] - season) + (1 - alpha) * (level + trend);
+      trend = beta * (level - previousLevel) + (1 - beta) * trend;
+      if (seasonal) {
+        seasons[t % seasonLength] = gamma * (series[t] - level) + (1 - gamma) * season;
+      }
+    }
+
+    const forecast = level + trend + (seasonal ? seasons[n % seasonLength] : 0);
+    const spread = errorCount > 0 ? Math.sqrt(squaredErrors / errorCount) : 0;
+    return ThresholdDetection.forecastThreshold(series, forecast, spread, options);
+  }
+
+  /**
+   * One-dimensional Kalman filter detector (local level model)
+   * The measurement noise is estimated from the first differences of the history and the
+   * process noise is a fraction of it; the spread is the predicted innovation deviation.
+   * @param {Array<number>} series - Host utilization history (percent), oldest first
+   * @param {Object} options - { processNoiseRatio (default 0.1), confidenceZ }
+   */
+  static Kalman(series, options = {}) {
+    const n = series.length;
+    if (n === 0) return 100;
+
+    const ratio = options.processNoiseRatio || 0.1;
+    const differences = series.slice(1).map((value, i) => value - series[i]);
+    const differenceVariance = differences.length > 0
+      ? differences.reduce((sum, d) => sum + d * d, 0) / differences.length
+      : 0;
+    // Var(first difference) = 2R + Q for the local level model
+    const measurementNoise = Math.max(1e-6, differenceVariance / (2 + ratio));
+    const processNoise = ratio * measurementNoise;
+
+    let estimate = series[0];
+    let errorCovariance = measurementNoise;
+    for (let i = 1; i < n; i++) {
+      const predictedCovariance = errorCovariance + processNoise;
+      const gain = predictedCovariance / (predictedCovariance + measurementNoise);
+      estimate += gain * (series[i] - estimate);
+      errorCovariance = (1 - gain) * predictedCovariance;
+    }
+
+    const spread = Math.sqrt(errorCovariance + processNoise + measurementNoise);
+    return ThresholdDetection.forecastThreshold(series, estimate, spread, options);
+  }
+
+  /**
+   * Percentile-of-history detector
+   * Keeps headroom equal to the distance between a high percentile of the history and its median
+   * @param {Array<number>} cpuUtilizations - Utilization history (percent)
+   * @param {Object} options - { percentile (default 95), safetyParameter (default 1) }
+   */
+  static Percentile(cpuUtilizations, options = {}) {
+    const sorted = [...cpuUtilizations].sort((a, b) => a - b);
+    const n = sorted.length;
+    if (n === 0) return 100;
+
+    const percentile = options.percentile || 95;
+    const quantile = (q) => {
+      const position = (n - 1) * q;
+      const lower = Math.floor(position);
+      const upper = Math.min(n - 1, lower + 1);
+      return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+    const safetyParameter = options.safetyParameter !== undefined ? options.safetyParameter : ThresholdDetection.SAFETY_PARAMETERS.PCT.default;
+    const threshold = 100 - safetyParameter * (quantile(percentile / 100) - quantile(0.5));
+
+    return Math.max(0, Math.min(100, threshold));
+  }
+
+  /**
+   * Tricube weights of a window, oldest sample first: the latest sample weighs most
+   */
+  static tricubeWeights(n) {
+    return Array.from({ length: n }, (_, i) => {
+      const distance = (n - 1 - i) / n;
+      return Math.pow(1 - Math.pow(distance, 3), 3);
+    });
+  }
+
+  /**
+   * Weighted least squares line through (1..n, values)
+   * @returns {Object} { intercept, slope }
+   */
+  static weightedLinearFit(values, weights) {
+    let sw = 0;
+    let sx = 0;
+    let sy = 0;
+    let sxx = 0;
+    let sxy = 0;
+    values.forEach((y, i) => {
+      const x = i + 1;
+      const w = weights[i];
+      sw += w;
+      sx += w * x;
+      sy += w * y;
+      sxx += w * x * x;
+      sxy += w * x * y;
+    });
+
+    const denominator = sw * sxx - sx * sx;
+    if (sw === 0) {
+      return { intercept: 0, slope: 0 };
+    }
+    if (denominator === 0) {
+      return { intercept: sy / sw, slope: 0 };
+    }
+    const slope = (sw * sxy - sx * sy) / denominator;
+    return { intercept: (sy - slope * sx) / sw, slope };
+  }
+
+  /**
+   * Predict the next sample with a local (loess) linear regression over the window
+   * @param {Array<number>} window - Utilization samples (percent), oldest first
+   * @param {boolean} robust - Re-fit with bisquare weights on the residuals (LRR)
+   * @returns {number} Predicted utilization of the next interval (percent)
+   */
+  static loessPredict(window, robust = false) {
+    const n = window.length;
+    const tricube = ThresholdDetection.tricubeWeights(n);
+    let fit = ThresholdDetection.weightedLinearFit(window, tricube);
+
+    if (robust) {
+      for (let iteration = 0; iteration < ThresholdDetection.ROBUST_ITERATIONS; iteration++) {
+        const residuals = window.map((y, i) => y - (fit.intercept + fit.slope * (i + 1)));
+        const sortedResiduals = residuals.map(Math.abs).sort((a, b) => a - b);
+        const medianResidual = sortedResiduals[Math.floor(n / 2)];
+        if (medianResidual === 0) {
+          break;
+        }
+        const weights = residuals.map((residual, i) => {
+          const u = residual / (6 * medianResidual);
+          return Math.abs(u) < 1 ? tricube[i] * Math.pow(1 - u * u, 2) : 0;
+        });
+        fit = ThresholdDetection.weightedLinearFit(window, weights);
+      }
+    }
+
+    return fit.intercept + fit.slope * (n + 1);
+  }
+
+  /**
+   * Windowed LR/LRR: overloaded when safety * predicted utilization reaches 100%
+   * Until the history holds a full window the static threshold is used, as in the
+   * fallback policy of the original LR/LRR
+   * @param {string} algorithm - LR or LRR
+   * @param {Array<number>} history - Host utilization history (percent), oldest first
+   * @param {Object} options - { windowSize, safetyParameter }
+   * @returns {Object} { overloaded, predicted (null before a full window), threshold }
+   */
+  static predictOverload(algorithm, history, options = {}) {
+    const windowSize = options.windowSize || ThresholdDetection.DEFAULT_REGRESSION_WINDOW;
+    const safetyParameter = options.safetyParameter || ThresholdDetection.DEFAULT_SAFETY_PARAMETER;
+    const latest = history.length > 0 ? history[history.length - 1] : 0;
+
+    if (history.length < windowSize) {
+      const threshold = ThresholdDetection.StaticThreshold();
+      return { overloaded: latest > threshold, predicted: null, threshold };
+    }
+
+    const predicted = ThresholdDetection.loessPredict(history.slice(-windowSize), algorithm === 'LRR');
+    return {
+      overloaded: safetyParameter * predicted >= 100,
+      predicted,
+      // Utilization at which the safety-scaled value reaches capacity, used as the
+      // placement limit of destination hosts
+      threshold: Math.min(100, 100 / safetyParameter)
+    };
+  }
+
+  /**
+   * Windowed LR/LRR over a whole series (daily engine): the host is overloaded if the
+   * prediction from any window of the day is
+   * @param {string} algorithm - LR or LRR
+   * @param {Array<number>} series - Host utilization per interval (percent), oldest first
+   * @param {Object} options - { windowSize, safetyParameter }
+   * @returns {Object} { overloaded, predicted (highest prediction), threshold }
+   */
+  static predictOverloadInSeries(algorithm, series, options = {}) {
+    const windowSize = options.windowSize || ThresholdDetection.DEFAULT_REGRESSION_WINDOW;
+    let decision = ThresholdDetection.predictOverload(algorithm, series.slice(0, windowSize), options);
+    for (let end = windowSize + 1; end <= series.length && !decision.overloaded; end++) {
+      const next = ThresholdDetection.predictOverload(algorithm, series.slice(end - windowSize, end), options);
+      decision = { ...next, predicted: Math.max(decision.predicted !== null ? decision.predicted : -Infinity, next.predicted) };
+    }
+    return decision;
+  }
+
+  /**
+   * Samples per day for the Holt-Winters season at the given sampling interval
+   * @param {number} interval - Seconds between samples
+   */
+  static seasonLength(interval) {
+    return interval > 0 ? Math.max(1, Math.round(86400 / interval)) : ThresholdDetection.DEFAULT_SEASON_LENGTH;
+  }
+
+  /**
+   * Detector options carrying the configured safety parameter of an algorithm
+   * @param {string} algorithm - Threshold detection algorithm
+   * @param {Object} safetyParameters - Safety parameter per algorithm, e.g. { IQR: 1.5, THR: 75 };
+   *   algorithms without an entry keep their default
+   * @returns {Object} e.g. { safetyRange: 1.5 } for IQR, {} when not configured
+   */
+  static safetyOptions(algorithm, safetyParameters = {}) {
+    const parameter = ThresholdDetection.SAFETY_PARAMETERS[algorithm];
+    if (!parameter || !safetyParameters || safetyParameters[algorithm] === undefined) {
+      return {};
+    }
+    return { [parameter.option]: safetyParameters[algorithm] };
+  }
+
+  /**
+   * Validate safety parameters keyed by algorithm
+   * @param {Object} safetyParameters - e.g. { IQR: 1.5, MAD: 2.5, THR: 75 }
+   * @returns {Object} The parameters as numbers
+   * @throws {Error} On unknown algorithms or values out of range
+   */
+  static resolveSafetyParameters(safetyParameters) {
+    if (!safetyParameters || typeof safetyParameters !== 'object' || Array.isArray(safetyParameters)) {
+      throw new Error('safetyParameters must be an object keyed by threshold algorithm, e.g. { "IQR": 1.5 }');
+    }
+
+    const resolved = {};
+    Object.entries(safetyParameters).forEach(([algorithm, value]) => {
+      const parameter = ThresholdDetection.SAFETY_PARAMETERS[algorithm];
+      if (!parameter) {
+        throw new Error(`No safety parameter for ${algorithm} (use ${Object.keys(ThresholdDetection.SAFETY_PARAMETERS).join(', ')})`);
+      }
+      const number = Number(value);
+      if (value === null || value === '' || !Number.isFinite(number) || number < parameter.min || number > parameter.max) {
+        throw new Error(`${algorithm} ${parameter.option} must be a number between ${parameter.min} and ${parameter.max}`);
+      }
+      resolved[algorithm] = number;
+    });
+    return resolved;
+  }
+
+  /**
+   * Whether the algorithm runs as the windowed (predictive) variant
+   * @param {string} algorithm - Threshold detection algorithm
+   * @param {string} variant - 'stateless' (default) or 'windowed'
+   */
+  static isWindowed(algorithm, variant) {
+    return variant === 'windowed' && ThresholdDetection.REGRESSION_ALGORITHMS.includes(algorithm);
+  }
+
+  /**
+   * Run the named threshold detection algorithm
+   * @param {string} algorithm - IQR, LR, MAD, LRR, THR, EWMA, HW, KF or PCT
+   * @param {Array<number>} cpuUtilizations - CPU utilization history (percent); the forecasting
+   *   detectors (see FORECASTING_ALGORITHMS) expect a host time series, oldest first
+   * @param {Object} options - Detector options (e.g. seasonLength for HW, see also safetyOptions)
+   * @returns {number} Overload threshold (percent)
+   */
+  static detect(algorithm, cpuUtilizations, options = {}) {
+    switch (algorithm) {
+      case 'IQR':
+        return ThresholdDetection.IQR(cpuUtilizations, options);
+      case 'LR':
+        return ThresholdDetection.LR(cpuUtilizations, null, options);
+      case 'MAD':
+        return ThresholdDetection.MAD(cpuUtilizations, options);
+      case 'LRR':
+        return ThresholdDetection.LRR(cpuUtilizations, null, options);
+      case 'THR':
+        return ThresholdDetection.StaticThreshold(options);
+      case 'EWMA':
+        return ThresholdDetection.EWMA(cpuUtilizations, options);
+      case 'HW':
+        return ThresholdDetection.HoltWinters(cpuUtilizations, options);
+      case 'KF':
+        return ThresholdDetection.Kalman(cpuUtilizations, options);
+      case 'PCT':
+        return ThresholdDetection.Percentile(cpuUtilizations, options);
+      default:
+        return 80;
+    }
   }
 }
 
+// The tunable parameter of each detector: the option it is passed as, its default and
+// valid range, and the grid a safety sweep evaluates when none is given
+ThresholdDetection.SAFETY_PARAMETERS = {
+  IQR: { option: 'safetyRange', default: 0.05, min: 0, max: 10, grid: [0.05, 0.25, 0.5, 1, 1.5, 2, 2.5] },
+  LR: { option: 'safetyRange', default: 0.1, min: 0, max: 10, grid: [0.05, 0.075, 0.1, 0.125, 0.15, 0.2] },
+  MAD: { option: 'safetyRange', default: 0.1, min: 0, max: 10, grid: [0.1, 0.5, 1, 1.5, 2, 2.5, 3] },
+  LRR: { option: 'safetyRange', default: 0.1, min: 0, max: 10, grid: [0.05, 0.075, 0.1, 0.125, 0.15, 0.2] },
+  THR: { option: 'threshold', default: 80, min: 0, max: 100, grid: [60, 65, 70, 75, 80, 85, 90, 95] },
+  EWMA: { option: 'confidenceZ', default: 2, min: 0, max: 10, grid: [0, 1, 1.5, 2, 2.5, 3] },
+  HW: { option: 'confidenceZ', default: 2, min: 0, max: 10, grid: [0, 1, 1.5, 2, 2.5, 3] },
+  KF: { option: 'confidenceZ', default: 2, min: 0, max: 10, grid: [0, 1, 1.5, 2, 2.5, 3] },
+  PCT: { option: 'safetyParameter', default: 1, min: 0, max: 10, grid: [0.5, 1, 1.5, 2, 3] }
+};
+
+// Detectors that need the host utilization in time order
+ThresholdDetection.FORECASTING_ALGORITHMS = ['EWMA', 'HW', 'KF'];
+// Detectors the daily engine runs on the host utilization series instead of the pooled VM samples
+ThresholdDetection.HOST_SERIES_ALGORITHMS = [...ThresholdDetection.FORECASTING_ALGORITHMS, 'PCT'];
+// One day of 5-minute samples
+ThresholdDetection.DEFAULT_SEASON_LENGTH = 288;
+ThresholdDetection.DEFAULT_CONFIDENCE_Z = 2;
+
+// Algorithms with a windowed variant, and the variants selectable from LoadBalancer.runAlgorithm
+ThresholdDetection.REGRESSION_ALGORITHMS = ['LR', 'LRR'];
+ThresholdDetection.LR_VARIANTS = ['stateless', 'windowed'];
+// Beloglazov & Buyya: last 10 samples, safety parameter 1.2
+ThresholdDetection.DEFAULT_REGRESSION_WINDOW = 10;
+ThresholdDetection.DEFAULT_SAFETY_PARAMETER = 1.2;
+// Safety parameters swept for the windowed LR/LRR
+ThresholdDetection.WINDOWED_SAFETY_GRID = [1, 1.1, 1.2, 1.3, 1.4, 1.5];
+ThresholdDetection.ROBUST_ITERATIONS = 2;
+
 module.exports = ThresholdDetection;
 
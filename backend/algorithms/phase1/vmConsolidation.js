@@ -1,5 +1,11 @@
+const { shuffle } = require('../../utils/random');
+const MigrationModel = require('./migrationModel');
+
 /**
  * VM Consolidation Algorithms
+ * VM selection policies: each orders the VMs of an overloaded host by migration priority.
+ * select() migrates a fixed fraction of the host's VMs, selectIterative() keeps migrating
+ * until the host is no longer overloaded.
  */
 
 class VMConsolidation {
@@ -36,20 +42,22 @@ class VMConsolidation {
 
   /**
    * Algorithm 6: Minimum Migration Time (MMT)
+   * Ranks the VMs by their pre-copy live migration time. VMs carry the estimate of the
+   * caller in vm.migration (see MigrationModel.estimate, with the host bandwidth and the
+   * run's model settings); otherwise it is estimated from vm.ram and the current CPU
+   * utilization over a link of networkSpeed Mbit/s with the default model.
+   * @param {Array} vms - VMs on the host ({ migration } or { ram, cpuUtilization })
+   * @param {number} networkSpeed - Host bandwidth (Mbit/s) for VMs without an estimate
    */
   static MinimumMigrationTime(vms, networkSpeed = 1000) {
-    // Calculate migration time for each VM
     const migrationTimes = vms.map(vm => {
-      const ramSize = vm.memoryUtilization || 1024; // MB
-      const appSize = vm.cpuUtilization * 10 || 100; // Estimated from CPU
-      const transferTime = (ramSize * appSize) / networkSpeed;
-      const shutdownTime = 5; // seconds
-      const startupTime = 10; // seconds
-      const totalTime = shutdownTime + startupTime + transferTime;
-      
+      const migration = vm.migration || MigrationModel.estimate(
+        { ram: vm.ram, cpuUtilization: VMConsolidation.currentCPU(vm) },
+        networkSpeed
+      );
       return {
         vm: vm,
-        migrationTime: totalTime
+        migrationTime: migration.duration
       };
     });
     
@@ -61,10 +69,11 @@ class VMConsolidation {
 
   /**
    * Algorithm 7: Random Selection (RS)
+   * @param {Array} vms - VMs on the host
+   * @param {Function} random - Random number generator (see utils/random.js)
    */
-  static RandomSelection(vms) {
-    const shuffled = [...vms].sort(() => Math.random() - 0.5);
-    return shuffled;
+  static RandomSelection(vms, random = Math.random) {
+    return shuffle(vms, random);
   }
 
   /**
@@ -77,6 +86,237 @@ class VMConsolidation {
     return sorted;
   }
 
+  /**
+   * Maximum Utilization (MXU) - Select the busiest VMs first, relieving the host with
+   * the fewest migrations
+   */
+  static MaximumUtilization(vms) {
+    return [...vms].sort((a, b) => VMConsolidation.currentCPU(b) - VMConsolidation.currentCPU(a));
+  }
+
+  /**
+   * Minimum Correlation (MNC)
+   * Select first the VMs whose CPU history is least correlated (mean Kendall coefficient)
+   * with the other VMs on the host
+   * @param {Map} cache - Pairwise correlations kept across calls (see selectIterative)
+   */
+  static MinimumCorrelation(vms, cache = null) {
+    const correlations = VMConsolidation.meanCorrelations(vms, cache);
+    return vms
+      .map((vm, i) => ({ vm, correlation: correlations[i] }))
+      .sort((a, b) => a.correlation - b.correlation);
+  }
+
+  /**
+   * Highest Potential Growth (HPG)
+   * Beloglazov et al.: select first the VMs with the lowest ratio of current to requested
+   * CPU. The traces carry no requested capacity, so the VM's peak in its history stands in.
+   */
+  static HighestPotentialGrowth(vms) {
+    return vms
+      .map(vm => {
+        const peak = VMConsolidation.peakCPU(vm);
+        return { vm, ratio: peak > 0 ? VMConsolidation.currentCPU(vm) / peak : 1 };
+      })
+      .sort((a, b) => a.ratio - b.ratio);
+  }
+
+  /**
+   * Fuzzy multi-criteria selection (FUZ)
+   * Utilization, estimated migration time and mean correlation are normalized over the
+   * host's VMs and fuzzified into low/medium/high; zero-order Sugeno rules combine them
+   * into a migration priority (1 = migrate first).
+   * @param {Map} cache - Pairwise correlations kept across calls (see selectIterative)
+   */
+  static FuzzySelection(vms, cache = null) {
+    if (vms.length === 0) return [];
+
+    const normalize = (values) => {
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      return values.map(value => (max > min ? (value - min) / (max - min) : 0.5));
+    };
+    const migrationTimeByVM = new Map(
+      VMConsolidation.MinimumMigrationTime(vms).map(m => [m.vm, m.migrationTime])
+    );
+    const utilization = normalize(vms.map(vm => VMConsolidation.currentCPU(vm)));
+    const migrationTime = normalize(vms.map(vm => migrationTimeByVM.get(vm)));
+    const correlation = normalize(VMConsolidation.meanCorrelations(vms, cache));
+
+    const low = x => Math.max(0, 1 - 2 * x);
+    const medium = x => Math.max(0, 1 - Math.abs(2 * x - 1));
+    const high = x => Math.max(0, 2 * x - 1);
+
+    return vms
+      .map((vm, i) => {
+        const u = utilization[i];
+        const m = migrationTime[i];
+        const c = correlation[i];
+        // [firing strength (AND = min), priority]
+        const rules = [
+          [Math.min(high(u), low(m)), 1],
+          [Math.min(high(c), low(m)), 1],
+          [Math.min(medium(u), medium(m)), 0.5],
+          [medium(c), 0.5],
+          [high(m), 0],
+          [Math.min(low(u), low(c)), 0]
+        ];
+        const strength = rules.reduce((sum, [w]) => sum + w, 0);
+        const priority = strength > 0
+          ? rules.reduce((sum, [w, z]) => sum + w * z, 0) / strength
+          : 0.5;
+        return { vm, priority };
+      })
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Current CPU utilization of a VM (the last sample when a history is given)
+   */
+  static currentCPU(vm) {
+    return Array.isArray(vm.cpuUtilization)
+      ? vm.cpuUtilization[vm.cpuUtilization.length - 1] || 0
+      : vm.cpuUtilization || 0;
+  }
+
+  /**
+   * Highest CPU utilization seen for a VM
+   */
+  static peakCPU(vm) {
+    if (typeof vm.maxCPUUtilization === 'number') {
+      return vm.maxCPUUtilization;
+    }
+    const history = VMConsolidation.cpuHistory(vm);
+    return history.length > 0 ? Math.max(...history) : 0;
+  }
+
+  /**
+   * CPU history of a VM, oldest first
+   */
+  static cpuHistory(vm) {
+    if (Array.isArray(vm.cpuHistory)) return vm.cpuHistory;
+    return Array.isArray(vm.cpuUtilization) ? vm.cpuUtilization : [vm.cpuUtilization];
+  }
+
+  /**
+   * Mean Kendall correlation of each VM's CPU history with the other VMs on the host
+   * @param {Map} cache - Pairwise correlations by VM pair, reused when given
+   * @returns {Array<number>} Aligned with vms (0 for a single VM)
+   */
+  static meanCorrelations(vms, cache = null) {
+    const sums = vms.map(() => 0);
+    for (let i = 0; i < vms.length; i++) {
+      for (let j = i + 1; j < vms.length; j++) {
+        const key = `${vms[i].vmId}|${vms[j].vmId}`;
+        let correlation = cache ? cache.get(key) : undefined;
+        if (correlation === undefined) {
+          correlation = VMConsolidation.kendallCorrelation(
+            VMConsolidation.cpuHistory(vms[i]),
+            VMConsolidation.cpuHistory(vms[j])
+          );
+          if (cache) {
+            cache.set(key, correlation);
+            cache.set(`${vms[j].vmId}|${vms[i].vmId}`, correlation);
+          }
+        }
+        sums[i] += correlation;
+        sums[j] += correlation;
+      }
+    }
+    return sums.map(sum => (vms.length > 1 ? sum / (vms.length - 1) : 0));
+  }
+
+  /**
+   * VMs of a host in the migration order of the named policy
+   * @param {string} algorithm - One of VMConsolidation.ALGORITHMS
+   * @param {Array} vms - Unique VMs on the host
+   * @param {Function} random - Random number generator used by RS
+   * @param {Map} cache - Pairwise correlations reused by MNC and FUZ
+   * @returns {Object} { rankedVMs, migrationTimes } (migrationTimes aligned with rankedVMs, only for MMT)
+   */
+  static rank(algorithm, vms, random = Math.random, cache = null) {
+    switch (algorithm) {
+      case 'MC':
+        return { rankedVMs: VMConsolidation.MaximumCorrelation(vms).map(c => c.vm1), migrationTimes: [] };
+      case 'MMT': {
+        const migrationTimes = VMConsolidation.MinimumMigrationTime(vms);
+        return { rankedVMs: migrationTimes.map(m => m.vm), migrationTimes };
+      }
+      case 'MU':
+        return { rankedVMs: VMConsolidation.MinimumUtilization(vms), migrationTimes: [] };
+      case 'RS':
+        return { rankedVMs: VMConsolidation.RandomSelection(vms, random), migrationTimes: [] };
+      case 'MXU':
+        return { rankedVMs: VMConsolidation.MaximumUtilization(vms), migrationTimes: [] };
+      case 'MNC':
+        return { rankedVMs: VMConsolidation.MinimumCorrelation(vms, cache).map(c => c.vm), migrationTimes: [] };
+      case 'HPG':
+        return { rankedVMs: VMConsolidation.HighestPotentialGrowth(vms).map(g => g.vm), migrationTimes: [] };
+      case 'FUZ':
+        return { rankedVMs: VMConsolidation.FuzzySelection(vms, cache).map(f => f.vm), migrationTimes: [] };
+      default:
+        return { rankedVMs: [], migrationTimes: [] };
+    }
+  }
+
+  /**
+   * Select the VMs to migrate from an overloaded host with the named policy
+   * A fixed fraction (default 30%, at least one VM) of the host's VMs is selected
+   * @param {string} algorithm - One of VMConsolidation.ALGORITHMS
+   * @param {Array} vms - Unique VMs on the host
+   * @param {number} fraction - Fraction of VMs to migrate
+   * @param {Function} random - Random number generator used by RS
+   * @returns {Object} { selectedVMs, migrationTimes } (migrationTimes only for MMT)
+   */
+  static select(algorithm, vms, fraction = VMConsolidation.DEFAULT_FRACTION, random = Math.random) {
+    const count = Math.max(1, Math.floor(vms.length * fraction));
+    const { rankedVMs, migrationTimes } = VMConsolidation.rank(algorithm, vms, random);
+    return { selectedVMs: rankedVMs.slice(0, count), migrationTimes: migrationTimes.slice(0, count) };
+  }
+
+  /**
+   * Iterative selection (Beloglazov & Buyya): migrate the first VM of the policy's order,
+   * re-apply the policy to the remaining VMs and repeat while the host is still overloaded.
+   * The host was flagged by threshold detection, so at least one VM is always selected.
+   * @param {string} algorithm - One of VMConsolidation.ALGORITHMS
+   * @param {Array} vms - Unique VMs on the host
+   * @param {Function} isOverloaded - remainingVMs => whether the host is still overloaded without the selected VMs
+   * @param {Function} random - Random number generator used by RS
+   * @returns {Object} { selectedVMs, migrationTimes } (migrationTimes only for MMT)
+   */
+  static selectIterative(algorithm, vms, isOverloaded, random = Math.random) {
+    const selectedVMs = [];
+    const migrationTimes = [];
+    const cache = new Map();
+    let remaining = [...vms];
+
+    while (remaining.length > 0 && (selectedVMs.length === 0 || isOverloaded(remaining))) {
+      const { rankedVMs, migrationTimes: times } = VMConsolidation.rank(algorithm, remaining, random, cache);
+      const vm = rankedVMs[0];
+      if (!vm) {
+        break;
+      }
+      selectedVMs.push(vm);
+      if (times.length > 0) {
+        migrationTimes.push(times[0]);
+      }
+      remaining = remaining.filter(candidate => candidate !== vm);
+    }
+
+    return { selectedVMs, migrationTimes };
+  }
+
+  /**
+   * Select with the given mode
+   * @param {string} mode - 'fixed' (DEFAULT_FRACTION of the VMs, default) or 'iterative'
+   * @param {Function} isOverloaded - Overload check of the iterative mode (see selectIterative)
+   */
+  static selectWithMode(mode, algorithm, vms, isOverloaded, random = Math.random) {
+    return mode === 'iterative'
+      ? VMConsolidation.selectIterative(algorithm, vms, isOverloaded, random)
+      : VMConsolidation.select(algorithm, vms, VMConsolidation.DEFAULT_FRACTION, random);
+  }
+
   /**
    * Calculate Kendall correlation coefficient
    */
@@ -105,5 +345,10 @@ class VMConsolidation {
   }
 }
 
+VMConsolidation.ALGORITHMS = ['MC', 'MMT', 'MU', 'RS', 'MXU', 'MNC', 'HPG', 'FUZ'];
+VMConsolidation.SELECTION_MODES = ['fixed', 'iterative'];
+// Share of a host's VMs migrated by the fixed selection mode
+VMConsolidation.DEFAULT_FRACTION = 0.3;
+
 module.exports = VMConsolidation;
 
@@ -0,0 +1,125 @@
+const PowerModels = require('./powerModels');
+
+/**
+ * VM Placement Algorithms
+ * Assign the VMs selected for migration to destination hosts under capacity constraints.
+ * A host accepts a VM only if its utilization after the allocation stays at or below
+ * its overload threshold; switched-off hosts are used only when no active host fits.
+ */
+class VMPlacement {
+  /**
+   * Power Aware Best Fit Decreasing (PABFD)
+   * VMs are sorted by decreasing demand and each one goes to the host with the least power increase
+   */
+  static PABFD(vms, hosts, options = {}) {
+    const sortedVMs = [...vms].sort((a, b) => b.mips - a.mips);
+    const defaultModel = PowerModels.resolve(options.powerModel);
+
+    return VMPlacement.allocate(sortedVMs, hosts, (candidates, vm, loads, powered) => {
+      let best = null;
+      let minPowerIncrease = Infinity;
+
+      candidates.forEach(host => {
+        // Switching on an idle host costs its full power
+        const model = host.powerModel || defaultModel;
+        const before = powered.has(host.hostId) ? PowerModels.getPower(model, (loads.get(host.hostId) / host.capacity) * 100) : 0;
+        const after = PowerModels.getPower(model, ((loads.get(host.hostId) + vm.mips) / host.capacity) * 100);
+        if (after - before < minPowerIncrease) {
+          best = host;
+          minPowerIncrease = after - before;
+        }
+      });
+
+      return best;
+    });
+  }
+
+  /**
+   * First Fit (FF) - first host in order that can take the VM
+   */
+  static FirstFit(vms, hosts) {
+    return VMPlacement.allocate(vms, hosts, candidates => candidates[0]);
+  }
+
+  /**
+   * Worst Fit (WF) - host with the most free capacity
+   */
+  static WorstFit(vms, hosts) {
+    return VMPlacement.allocate(vms, hosts, (candidates, vm, loads) => {
+      let best = null;
+      let maxFree = -Infinity;
+
+      candidates.forEach(host => {
+        const free = host.capacity - loads.get(host.hostId);
+        if (free > maxFree) {
+          best = host;
+          maxFree = free;
+        }
+      });
+
+      return best;
+    });
+  }
+
+  /**
+   * Allocate VMs one by one with the given host chooser
+   * @param {Array} vms - VMs to place: { vmId, mips } (mips in the same unit as host capacity)
+   * @param {Array} hosts - Candidate hosts: { hostId, capacity, load, threshold, active, powerModel }
+   * @param {Function} choose - (fittingHosts, vm, loads, poweredHostIds) => host
+   * @returns {Array} Allocations { vm, host } (VMs that fit nowhere are left out)
+   */
+  static allocate(vms, hosts, choose) {
+    const loads = new Map(hosts.map(host => [host.hostId, host.load || 0]));
+    const powered = new Set(hosts.filter(host => host.active !== false).map(host => host.hostId));
+    const allocations = [];
+
+    vms.forEach(vm => {
+      const fits = host => {
+        const threshold = host.threshold !== undefined ? host.threshold : 100;
+        return ((loads.get(host.hostId) + vm.mips) / host.capacity) * 100 <= threshold;
+      };
+
+      // Prefer active hosts, switch on an idle host only if nothing else fits
+      let candidates = hosts.filter(host => powered.has(host.hostId) && fits(host));
+      if (candidates.length === 0) {
+        candidates = hosts.filter(host => !powered.has(host.hostId) && fits(host));
+      }
+      if (candidates.length === 0) {
+        return;
+      }
+
+      const host = choose(candidates, vm, loads, powered);
+      if (!host) {
+        return;
+      }
+
+      loads.set(host.hostId, loads.get(host.hostId) + vm.mips);
+      powered.add(host.hostId);
+      allocations.push({ vm, host });
+    });
+
+    return allocations;
+  }
+
+  /**
+   * Run the named placement algorithm
+   * @param {string} algorithm - PABFD, FF or WF
+   */
+  static place(algorithm, vms, hosts, options = {}) {
+    switch (algorithm) {
+      case 'PABFD':
+        return VMPlacement.PABFD(vms, hosts, options);
+      case 'FF':
+        return VMPlacement.FirstFit(vms, hosts);
+      case 'WF':
+        return VMPlacement.WorstFit(vms, hosts);
+      default:
+        throw new Error(`Unknown placement algorithm: ${algorithm}`);
+    }
+  }
+}
+
+VMPlacement.ALGORITHMS = ['PABFD', 'FF', 'WF'];
+VMPlacement.DEFAULT_ALGORITHM = 'PABFD';
+
+module.exports = VMPlacement;
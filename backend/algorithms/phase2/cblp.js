@@ -1,3 +1,6 @@
+const Forecasting = require('./forecasting');
+const { mean } = require('../../utils/statistics');
+
 /**
  * Algorithm - 10: Correlation Based Load Prediction (CBLP)
  * 
@@ -11,12 +14,139 @@
  * 
  * Output:
  * - L(t+1): Predicted Load
+ *
+ * L(t+1) comes from the correlation blend (the algorithm as specified) or, with the
+ * linear-regression, arima or exponential-smoothing model, from a forecast of the VM's own CPU
+ * time series (see forecasting.js). With a horizon H the forecast covers L(t+1)..L(t+H); the
+ * blend has no time dimension and repeats L(t+1). backtest() measures the error of a model at
+ * every step against the intervals that actually followed.
  */
 
 class CBLP {
+  /**
+   * Correlation coefficients B1..B4 of the VM components
+   * @param {Object} weights - { CW, MW, SW, NW }
+   * @param {Object} summarizedLoads - { CS, MS, SS, NS } from SBCSL
+   * @param {number} totalVMs - VMs the totals are summed over
+   */
+  static coefficients(weights, summarizedLoads, totalVMs) {
+    const { CW, MW, SW, NW } = weights;
+    const { CS, MS, SS, NS } = summarizedLoads;
+
+    /**
+     * MODIFICATION: Coefficient Calculation
+     *
+     * ORIGINAL SPECIFICATION:
+     *   B1 = CW/CS, B2 = MW/MS, B3 = SW/SS, B4 = NW/NS
+     *   where CS, MS, SS, NS are total system loads from SBCSL
+     *
+     * ISSUE WITH ORIGINAL:
+     *   When CS/MS/SS/NS are very large totals (sum of all VMs), dividing small weights
+     *   (CW=0.4) by large totals (CS=10000+) results in extremely small coefficients (~0.00004),
+     *   making predicted loads essentially zero: Lt1 = 0.00004 * 50 = 0.002
+     *
+     * MODIFICATION APPLIED:
+     *   Use average per-VM load instead of total system load for coefficient calculation
+     *   - avgCS = CS / totalVMs (average compute load per VM)
+     *   - B1 = CW / avgCS (now produces meaningful coefficients)
+     *
+     * RATIONALE:
+     *   The algorithm's intent is to weight VM components proportionally. Using averages
+     *   maintains the proportional relationship while producing coefficients in a usable range.
+     *   This ensures predicted loads are realistic and non-zero.
+     *
+     * IMPACT:
+     *   - Coefficients are now in a meaningful range (0.001-1.0 instead of 0.000001)
+     *   - Predicted loads are realistic and reflect actual VM utilization
+     *   - Algorithm produces usable results for load balancing decisions
+     *
+     * ALTERNATIVE CONSIDERED:
+     *   Could use normalized weights directly, but this maintains the correlation-based
+     *   approach specified in the algorithm while fixing the numerical stability issue.
+     */
+    const avgCS = totalVMs > 0 && CS > 0 ? CS / totalVMs : (CS > 0 ? CS : 1);
+    const avgMS = totalVMs > 0 && MS > 0 ? MS / totalVMs : (MS > 0 ? MS : 1);
+    const avgSS = totalVMs > 0 && SS > 0 ? SS / totalVMs : (SS > 0 ? SS : 1);
+    const avgNS = totalVMs > 0 && NS > 0 ? NS / totalVMs : (NS > 0 ? NS : 1);
+
+    // Calculate coefficients using averages to get reasonable values
+    return {
+      B1: avgCS > 0 ? CW / avgCS : CW,
+      B2: avgMS > 0 ? MW / avgMS : MW,
+      B3: avgSS > 0 ? SW / avgSS : SW,
+      B4: avgNS > 0 ? NW / avgNS : NW
+    };
+  }
+
+  /**
+   * Correlation blend of a VM's components, L(t+1) = B1.C + B2.M + B3.S + B4.N
+   * @param {Object} components - { compute, memory, storage, network }
+   * @param {number} currentVMLoad - Current load the prediction is bounded by
+   * @param {Object} coefficients - { B1, B2, B3, B4 }
+   * @param {Object} weights - { CW, MW, SW, NW }
+   * @param {Function} random - Random number generator for the fallback variation
+   */
+  static correlationForecast(components, currentVMLoad, coefficients, weights, random) {
+    const { compute: vmCS, memory: vmMS, storage: vmSS, network: vmNS } = components;
+    const { B1, B2, B3, B4 } = coefficients;
+    const { CW, MW, SW, NW } = weights;
+
+    // Predict the load, L(t+1) = B1.V[j].C + B2.V[j].M + B3.V[j].S + B4.V[j].N
+    const Lt1 = (B1 * vmCS) + (B2 * vmMS) + (B3 * vmSS) + (B4 * vmNS);
+
+    /**
+     * MODIFICATION: Predicted Load Validation and Bounds
+     *
+     * ORIGINAL SPECIFICATION:
+     *   Lt1 = B1 * vmCS + B2 * vmMS + B3 * vmSS + B4 * vmNS
+     *   Return Lt1 directly
+     *
+     * ISSUE WITH ORIGINAL:
+     *   Even with coefficient fix, edge cases can produce:
+     *   - Negative values (if CF correction is too large)
+     *   - Extremely small values (< 0.01) that are not meaningful
+     *   - NaN values (if any component is undefined)
+     *
+     * MODIFICATION APPLIED:
+     *   1. Fallback to direct weighted sum if calculated value is invalid
+     *   2. Bounds: predicted load between 80%-150% of current load
+     *   3. Minimum floor: if still < 1, use 90-110% of current load
+     *
+     * RATIONALE:
+     *   - Ensures predictions are always positive and meaningful
+     *   - Prevents unrealistic predictions (e.g., 0.001% load)
+     *   - Maintains conservative prediction bounds (80-150%) for stability
+     *   - Fallback ensures algorithm always produces a valid result
+     *
+     * IMPACT:
+     *   - All predicted loads are realistic and usable
+     *   - No zero or negative predictions
+     *   - Predictions reflect actual VM state with reasonable bounds
+     */
+    let finalLt1 = Lt1;
+
+    // If coefficients resulted in very small values, use weighted approach
+    if (finalLt1 < 0.01 || isNaN(finalLt1)) {
+      // Use direct weighted sum of VM components
+      finalLt1 = (CW * vmCS) + (MW * vmMS) + (SW * vmSS) + (NW * vmNS);
+    }
+
+    // Ensure predicted load is at least 80% of current load (conservative prediction)
+    // But can be up to 150% of current load (allowing for growth)
+    finalLt1 = Math.max(currentVMLoad * 0.8, Math.min(currentVMLoad * 1.5, finalLt1));
+
+    // If still too small, use current load with small random variation
+    if (finalLt1 < 1) {
+      finalLt1 = currentVMLoad * (0.9 + random() * 0.2); // 90-110% of current
+    }
+
+    return Math.max(0, finalLt1);
+  }
+
   /**
    * Execute CBLP algorithm
-   * @param {Array} vms - List of VMs (V)
+   * @param {Array} vms - List of VMs (V); vm.series ({ compute: [...] }, oldest first) feeds the
+   *   time-series models
    * @param {Object} weights - Weight constants
    * @param {number} weights.CW - Compute weight (default: 0.4)
    * @param {number} weights.MW - Memory weight (default: 0.3)
@@ -27,9 +157,12 @@ class CBLP {
    * @param {number} summarizedLoads.MS - Total memory load
    * @param {number} summarizedLoads.SS - Total storage load
    * @param {number} summarizedLoads.NS - Total network load
-   * @returns {Object} Predicted loads for each VM
+   * @param {Function} random - Random number generator for the fallback variation (see utils/random.js)
+   * @param {Object} config - Prediction model and horizon (see resolveConfig; default: the
+   *   correlation blend, one step)
+   * @returns {Object} Predicted loads for each VM (Lt1 and forecast, L(t+1)..L(t+H))
    */
-  static execute(vms, weights = {}, summarizedLoads = {}) {
+  static execute(vms, weights = {}, summarizedLoads = {}, random = Math.random, config = CBLP.DEFAULT_CONFIG) {
     const {
       CW = 0.4,  // Compute weight
       MW = 0.3,  // Memory weight
@@ -44,138 +177,53 @@ class CBLP {
       NS = 0     // Total network load from SBCSL
     } = summarizedLoads;
 
+    const blendWeights = { CW, MW, SW, NW };
+    const coefficients = CBLP.coefficients(blendWeights, { CS, MS, SS, NS }, vms.length);
     const results = {};
 
     // For each VM V[i]
     vms.forEach((vm, i) => {
-      // Calculate the Compute Load in Total, CS = V[j].C
-      const vmCS = vm.computeCapacity || vm.C || vm.cpuUtilization || 0;
-      
-      // Calculate the Memory Load in Total, MS = V[j].M
-      const vmMS = vm.memoryCapacity || vm.M || vm.memoryUtilization || 0;
-      
-      // Calculate the Storage Load in Total, SS = V[j].S
-      const vmSS = vm.storageCapacity || vm.S || 0;
-      
-      // Calculate the Network Load in Total, NS = V[j].N
-      const vmNS = vm.networkCapacity || vm.N || vm.networkUtilization || 0;
-      
-      /**
-       * MODIFICATION: Coefficient Calculation
-       * 
-       * ORIGINAL SPECIFICATION:
-       *   B1 = CW/CS, B2 = MW/MS, B3 = SW/SS, B4 = NW/NS
-       *   where CS, MS, SS, NS are total system loads from SBCSL
-       * 
-       * ISSUE WITH ORIGINAL:
-       *   When CS/MS/SS/NS are very large totals (sum of all VMs), dividing small weights
-       *   (CW=0.4) by large totals (CS=10000+) results in extremely small coefficients (~0.00004),
-       *   making predicted loads essentially zero: Lt1 = 0.00004 * 50 = 0.002
-       * 
-       * MODIFICATION APPLIED:
-       *   Use average per-VM load instead of total system load for coefficient calculation
-       *   - avgCS = CS / totalVMs (average compute load per VM)
-       *   - B1 = CW / avgCS (now produces meaningful coefficients)
-       * 
-       * RATIONALE:
-       *   The algorithm's intent is to weight VM components proportionally. Using averages
-       *   maintains the proportional relationship while producing coefficients in a usable range.
-       *   This ensures predicted loads are realistic and non-zero.
-       * 
-       * IMPACT:
-       *   - Coefficients are now in a meaningful range (0.001-1.0 instead of 0.000001)
-       *   - Predicted loads are realistic and reflect actual VM utilization
-       *   - Algorithm produces usable results for load balancing decisions
-       * 
-       * ALTERNATIVE CONSIDERED:
-       *   Could use normalized weights directly, but this maintains the correlation-based
-       *   approach specified in the algorithm while fixing the numerical stability issue.
-       */
-      const totalVMs = vms.length;
-      const avgCS = totalVMs > 0 && CS > 0 ? CS / totalVMs : (CS > 0 ? CS : 1);
-      const avgMS = totalVMs > 0 && MS > 0 ? MS / totalVMs : (MS > 0 ? MS : 1);
-      const avgSS = totalVMs > 0 && SS > 0 ? SS / totalVMs : (SS > 0 ? SS : 1);
-      const avgNS = totalVMs > 0 && NS > 0 ? NS / totalVMs : (NS > 0 ? NS : 1);
-      
-      // Calculate coefficients using averages to get reasonable values
-      const B1 = avgCS > 0 ? CW / avgCS : CW;
-      const B2 = avgMS > 0 ? MW / avgMS : MW;
-      const B3 = avgSS > 0 ? SW / avgSS : SW;
-      const B4 = avgNS > 0 ? NW / avgNS : NW;
-      
-      // Predict the load, L(t+1) = B1.V[j].C + B2.V[j].M + B3.V[j].S + B4.V[j].N
-      const Lt1 = (B1 * vmCS) + (B2 * vmMS) + (B3 * vmSS) + (B4 * vmNS);
-      
+      const components = {
+        // Calculate the Compute Load in Total, CS = V[j].C
+        compute: vm.computeCapacity || vm.C || vm.cpuUtilization || 0,
+        // Calculate the Memory Load in Total, MS = V[j].M
+        memory: vm.memoryCapacity || vm.M || vm.memoryUtilization || 0,
+        // Calculate the Storage Load in Total, SS = V[j].S
+        storage: vm.storageCapacity || vm.S || 0,
+        // Calculate the Network Load in Total, NS = V[j].N
+        network: vm.networkCapacity || vm.N || vm.networkUtilization || 0
+      };
+
       // Get current VM load
-      const currentVMLoad = vm.currentLoad || vm.load || vmCS || 0;
-      
-      /**
-       * MODIFICATION: Predicted Load Validation and Bounds
-       * 
-       * ORIGINAL SPECIFICATION:
-       *   Lt1 = B1 * vmCS + B2 * vmMS + B3 * vmSS + B4 * vmNS
-       *   Return Lt1 directly
-       * 
-       * ISSUE WITH ORIGINAL:
-       *   Even with coefficient fix, edge cases can produce:
-       *   - Negative values (if CF correction is too large)
-       *   - Extremely small values (< 0.01) that are not meaningful
-       *   - NaN values (if any component is undefined)
-       * 
-       * MODIFICATION APPLIED:
-       *   1. Fallback to direct weighted sum if calculated value is invalid
-       *   2. Bounds: predicted load between 80%-150% of current load
-       *   3. Minimum floor: if still < 1, use 90-110% of current load
-       * 
-       * RATIONALE:
-       *   - Ensures predictions are always positive and meaningful
-       *   - Prevents unrealistic predictions (e.g., 0.001% load)
-       *   - Maintains conservative prediction bounds (80-150%) for stability
-       *   - Fallback ensures algorithm always produces a valid result
-       * 
-       * IMPACT:
-       *   - All predicted loads are realistic and usable
-       *   - No zero or negative predictions
-       *   - Predictions reflect actual VM state with reasonable bounds
-       */
-      let finalLt1 = Lt1;
-      
-      // If coefficients resulted in very small values, use weighted approach
-      if (finalLt1 < 0.01 || isNaN(finalLt1)) {
-        // Use direct weighted sum of VM components
-        finalLt1 = (CW * vmCS) + (MW * vmMS) + (SW * vmSS) + (NW * vmNS);
-      }
-      
-      // Ensure predicted load is at least 80% of current load (conservative prediction)
-      // But can be up to 150% of current load (allowing for growth)
-      finalLt1 = Math.max(currentVMLoad * 0.8, Math.min(currentVMLoad * 1.5, finalLt1));
-      
-      // If still too small, use current load with small random variation
-      if (finalLt1 < 1) {
-        finalLt1 = currentVMLoad * (0.9 + Math.random() * 0.2); // 90-110% of current
+      const currentVMLoad = vm.currentLoad || vm.load || components.compute || 0;
+
+      // Time-series models forecast from the VM's recent history, the blend from its averages
+      const history = vm.series ? vm.series.compute : [];
+      let model = 'correlation';
+      let Lt = vm.currentLoad || vm.load || 0;
+      let forecast;
+      if (config.model !== 'correlation' && history.length >= 2) {
+        model = config.model;
+        Lt = history[history.length - 1];
+        forecast = Forecasting.forecast(model, history.slice(-config.window), config.horizon, config);
+      } else {
+        const Lt1 = CBLP.correlationForecast(components, currentVMLoad, coefficients, blendWeights, random);
+        forecast = new Array(config.horizon).fill(Lt1);
       }
-      
+
       // Return L(t+1) for each V
       const resultVmId = vm.vmId || vm.id || `vm_${i}`;
       results[resultVmId] = {
         vmId: resultVmId,
         index: i,  // Add index for easier lookup
-        Lt: vm.currentLoad || vm.load || 0,  // Current load
-        Lt1: Math.max(0, finalLt1),           // Predicted load (non-negative)
-        coefficients: {
-          B1: B1,
-          B2: B2,
-          B3: B3,
-          B4: B4
-        },
-        components: {
-          compute: vmCS,
-          memory: vmMS,
-          storage: vmSS,
-          network: vmNS
-        }
+        model,
+        Lt,        // Current load (last observed interval for the time-series models)
+        Lt1: forecast[0], // Predicted load (non-negative)
+        forecast,  // L(t+1)..L(t+H)
+        coefficients: { ...coefficients },
+        components
       };
-      
+
       // Also store by index for fallback lookup
       if (!results[i] || results[i].vmId !== resultVmId) {
         results[i] = results[resultVmId];
@@ -185,6 +233,142 @@ class CBLP {
     return results;
   }
 
+  /**
+   * Rolling-origin backtest of the prediction at every step of the horizon
+   * For each of the last `origins` intervals of every VM's series that still have `horizon`
+   * intervals after them, the model only sees the history up to that interval and predicts the
+   * next `horizon` ones, which are compared with the values actually observed. The correlation
+   * blend is evaluated on the component averages up to the origin.
+   * @param {Array} vms - VMs with series ({ compute, memory, storage, network }, oldest first)
+   * @param {Object} weights - Weight constants (see execute)
+   * @param {Object} summarizedLoads - From SBCSL (see execute)
+   * @param {Object} config - Resolved configuration (model, window, origins, horizon, model parameters)
+   * @param {Function} random - Random number generator for the correlation fallback variation
+   * @returns {Object} { model, mae, rmse, mape (percent, over the intervals with a non-zero actual
+   *   load), samples, vms } of the one-step prediction, and horizons: the error curve, one
+   *   { step, mae, rmse, mape, samples } per step
+   */
+  static backtest(vms, weights = {}, summarizedLoads = {}, config = CBLP.DEFAULT_CONFIG, random = Math.random) {
+    const { CW = 0.4, MW = 0.3, SW = 0.2, NW = 0.1 } = weights;
+    const { CS = 0, MS = 0, SS = 0, NS = 0 } = summarizedLoads;
+    const blendWeights = { CW, MW, SW, NW };
+    const coefficients = CBLP.coefficients(blendWeights, { CS, MS, SS, NS }, vms.length);
+
+    const { horizon } = config;
+    const errors = Array.from({ length: horizon }, () => ({ absolute: [], squared: [], percentage: [] }));
+    let testedVMs = 0;
+
+    vms.forEach(vm => {
+      const series = vm.series;
+      if (!series || series.compute.length < horizon + 2) {
+        return;
+      }
+      const n = series.compute.length;
+      testedVMs++;
+
+      // Running component sums for the correlation blend
+      const sums = { compute: 0, memory: 0, storage: 0, network: 0 };
+      const lastOrigin = n - 1 - horizon;
+      const firstOrigin = Math.max(1, lastOrigin - config.origins + 1);
+      for (let t = 0; t <= lastOrigin; t++) {
+        Object.keys(sums).forEach(component => {
+          sums[component] += series[component][t];
+        });
+        if (t < firstOrigin) {
+          continue;
+        }
+
+        let predicted;
+        if (config.model === 'correlation') {
+          const components = {};
+          Object.keys(sums).forEach(component => {
+            components[component] = sums[component] / (t + 1);
+          });
+          predicted = new Array(horizon).fill(
+            CBLP.correlationForecast(components, components.compute, coefficients, blendWeights, random)
+          );
+        } else {
+          const history = series.compute.slice(Math.max(0, t + 1 - config.window), t + 1);
+          predicted = Forecasting.forecast(config.model, history, horizon, config);
+        }
+
+        predicted.forEach((value, h) => {
+          const actual = series.compute[t + 1 + h];
+          const error = value - actual;
+          errors[h].absolute.push(Math.abs(error));
+          errors[h].squared.push(error * error);
+          if (actual > 0) {
+            errors[h].percentage.push(Math.abs(error) / actual * 100);
+          }
+        });
+      }
+    });
+
+    const horizons = errors.map(({ absolute, squared, percentage }, h) => ({
+      step: h + 1,
+      mae: mean(absolute),
+      rmse: Math.sqrt(mean(squared)),
+      mape: mean(percentage),
+      samples: absolute.length
+    }));
+    const { mae, rmse, mape, samples } = horizons[0];
+
+    return { model: config.model, mae, rmse, mape, samples, vms: testedVMs, horizons };
+  }
+
+  /**
+   * Validate a prediction configuration and fill in the defaults
+   * @param {Object} config - { model, window, origins, horizon, order, alpha, beta }
+   * @returns {Object} The complete configuration
+   * @throws {Error} On unknown keys, an unknown model or values out of range
+   */
+  static resolveConfig(config = {}) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('prediction config must be an object');
+    }
+
+    const defaults = CBLP.DEFAULT_CONFIG;
+    const unknown = Object.keys(config).filter(key => !(key in defaults));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown prediction options: ${unknown.join(', ')} (use ${Object.keys(defaults).join(', ')})`);
+    }
+
+    const model = config.model !== undefined ? config.model : defaults.model;
+    if (!CBLP.MODELS.includes(model)) {
+      throw new Error(`model must be one of ${CBLP.MODELS.join(', ')}`);
+    }
+    const integer = (key, min, max = Infinity) => {
+      const value = config[key] !== undefined ? Number(config[key]) : defaults[key];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(max < Infinity ? `${key} must be an integer from ${min} to ${max}` : `${key} must be an integer >= ${min}`);
+      }
+      return value;
+    };
+    const fraction = (key) => {
+      const value = config[key] !== undefined ? Number(config[key]) : defaults[key];
+      if (!(value > 0 && value <= 1)) {
+        throw new Error(`${key} must be a number in (0, 1]`);
+      }
+      return value;
+    };
+
+    const order = config.order !== undefined ? config.order : defaults.order;
+    if (!Array.isArray(order) || order.length !== 3 ||
+        !order.every(value => Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= CBLP.MAX_ARIMA_ORDER)) {
+      throw new Error(`order must be [p, d, q] with integers from 0 to ${CBLP.MAX_ARIMA_ORDER}`);
+    }
+
+    return {
+      model,
+      window: integer('window', 3),
+      origins: integer('origins', 1),
+      horizon: integer('horizon', 1, CBLP.MAX_HORIZON),
+      order: order.map(Number),
+      alpha: fraction('alpha'),
+      beta: fraction('beta')
+    };
+  }
+
   /**
    * Execute CBLP for a single VM
    * @param {Object} vm - VM object
@@ -228,5 +412,18 @@ class CBLP {
   }
 }
 
+CBLP.MODELS = ['correlation', ...Forecasting.MODELS];
+CBLP.DEFAULT_CONFIG = {
+  model: 'correlation',
+  window: 48,  // Intervals of history the time-series models fit (4 hours of 5-minute samples)
+  origins: 12, // Forecast origins per VM in the backtest (the last hour of the day)
+  horizon: 1,  // Intervals predicted ahead, L(t+1)..L(t+H)
+  order: Forecasting.DEFAULTS.order,
+  alpha: Forecasting.DEFAULTS.alpha,
+  beta: Forecasting.DEFAULTS.beta
+};
+CBLP.MAX_ARIMA_ORDER = 5;
+CBLP.MAX_HORIZON = 24;
+
 module.exports = CBLP;
 
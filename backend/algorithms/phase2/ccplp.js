@@ -12,8 +12,11 @@
  * 
  * Output:
  * - PH(t+1): Predicted Pheromone Level at time t+1
+ * - PH(t+1)..PH(t+TR): Predicted Pheromone Levels over the prediction depth
  */
 
+const { mean } = require('../../utils/statistics');
+
 class CCPLP {
   /**
    * Execute CCPLP algorithm
@@ -24,99 +27,27 @@ class CCPLP {
    * @param {number} params.K2 - Rate of decay (default: 0.05)
    * @param {number} params.T - Simulation Duration (default: 100)
    * @param {Array} params.K - Set of events (default: [])
-   * @param {number} params.TR - Depth of Prediction (default: 1)
-   * @returns {Object} Predicted pheromone levels for each VM
+   * @param {number} params.TR - Depth of Prediction, the horizon H in intervals (default: 1)
+   * @param {number} params.window - Intervals of compute history the utilization trend is fitted on (default: 48)
+   * @returns {Object} Predicted pheromone levels for each VM (PHt1 and forecast, PH(t+1)..PH(t+TR))
    */
   static execute(vms, params = {}) {
     const {
       PHt = 1.0,           // Initial pheromone level
-      K1 = 0.1,            // Growth rate
-      K2 = 0.05,           // Decay rate
-      T = 100,             // Simulation duration
-      K = [],              // Events array
-      TR = 1               // Depth of prediction
+      TR = 1,              // Depth of prediction
+      window = CCPLP.DEFAULT_WINDOW
     } = params;
 
+    // At least one step is always predicted
+    const horizon = Number.isInteger(TR) && TR > 0 ? TR : 1;
+    const level = CCPLP.baseLevel(params);
     const results = {};
 
     // For each VM V[i]
     vms.forEach((vm, i) => {
-      // Initialize the parameters
-      let currentK1 = K1;
-      let currentK2 = K2;
-      let currentTR = TR;
-      
-      // TR = *i (Depth of Prediction set to iteration index)
-      currentTR = i + 1;
-      
-      // Process events K[j]
-      K.forEach((event) => {
-        // If K[j] = "Growth"
-        if (event === "Growth" || event.type === "Growth") {
-          // Increase K1
-          currentK1 += 0.01; // Increment growth rate
-        } else {
-          // Else: Increase K2
-          currentK2 += 0.01; // Increment decay rate
-        }
-      });
-      
-      // Calculate the rates as K11 = K1/T and K22 = K2/T
-      const K11 = currentK1 / T;
-      const K22 = currentK2 / T;
-      
-      // Calculate the final rate as (K11-K22) + TR
-      const finalRate = (K11 - K22) + currentTR;
-      
-      // Calculate the correction factor, CF = {(K11-K22) + TR} / {K1 - K2}
-      const denominator = currentK1 - currentK2;
-      const CF = denominator !== 0 ? finalRate / denominator : 0;
-      
-      /**
-       * MODIFICATION: Pheromone Level Bounds and Utilization Adjustment
-       * 
-       * ORIGINAL SPECIFICATION:
-       *   PH(t+1) = {PH(t) * e^((K11-K22) + TR)} - CF
-       *   Return PH(t+1) directly
-       * 
-       * ISSUE WITH ORIGINAL:
-       *   - Exponential term can produce very large values (e^100+)
-       *   - Correction factor CF can be negative, making PH(t+1) negative
-       *   - No consideration of VM's actual utilization state
-       *   - Can result in unrealistic pheromone levels (negative or extremely large)
-       * 
-       * MODIFICATION APPLIED:
-       *   1. Bounds: PH(t+1) constrained between 0.1 and 10.0
-       *   2. Utilization factor: scales pheromone based on VM's CPU utilization
-       *      - Higher utilization → higher pheromone (1.0x to 2.0x multiplier)
-       * 
-       * RATIONALE:
-       *   - Pheromone levels should be positive and bounded for meaningful comparison
-       *   - VM utilization reflects actual load state, which should influence pheromone
-       *   - Bounds prevent numerical overflow/underflow issues
-       *   - Utilization factor makes pheromone levels reflect VM state more accurately
-       * 
-       * IMPACT:
-       *   - All pheromone levels are positive and in reasonable range
-       *   - Pheromone levels correlate with VM utilization (more realistic)
-       *   - Algorithm produces stable, usable results for load balancing
-       * 
-       * NOTE: The bounds (0.1-10.0) are chosen based on typical pheromone ranges
-       * in ant colony optimization algorithms. The utilization factor maintains
-       * the algorithm's intent while adding practical realism.
-       */
-      // Generate PH(t+1) = {PH(t).pow(e, (K11-K22) + TR)} - CF
-      // Using Math.exp for e^x
-      const exponentialTerm = Math.exp(finalRate);
-      let PHt1 = (PHt * exponentialTerm) - CF;
-      
-      // Ensure pheromone level is realistic (between 0.1 and 10.0)
-      PHt1 = Math.max(0.1, Math.min(10.0, PHt1));
-      
-      // Adjust based on VM utilization (higher utilization = higher pheromone)
       const vmUtilization = vm.cpuUtilization || vm.computeCapacity || 0;
-      const utilizationFactor = 1 + (vmUtilization / 100); // Scale between 1.0 and 2.0
-      PHt1 = PHt1 * utilizationFactor;
+      const slope = vm.series ? CCPLP.trend(vm.series.compute.slice(-window)) : 0;
+      const forecast = CCPLP.levels(level, vmUtilization, slope, horizon);
       
       // Return PH(t+1) for each V
       const resultVmId = vm.vmId || vm.id || `vm_${i}`;
@@ -124,12 +55,13 @@ class CCPLP {
         vmId: resultVmId,
         index: i,  // Add index for easier lookup
         PHt: PHt,           // Current pheromone level
-        PHt1: PHt1,          // Predicted pheromone level
-        K1: currentK1,
-        K2: currentK2,
-        TR: currentTR,
-        CF: CF,             // Correction factor
-        finalRate: finalRate
+        PHt1: forecast[0],  // Predicted pheromone level
+        forecast,           // PH(t+1)..PH(t+TR)
+        K1: level.K1,
+        K2: level.K2,
+        TR: horizon,
+        CF: level.CF,       // Correction factor
+        finalRate: level.finalRate
       };
       
       // Also store by index for fallback lookup
@@ -141,6 +73,200 @@ class CCPLP {
     return results;
   }
 
+  /**
+   * Bounded pheromone level one interval ahead, before the utilization adjustment
+   * The events K adjust the growth and decay rates the same way for every VM.
+   * @returns {Object} { K1, K2, K11, K22, CF, finalRate, PHt1 }
+   */
+  static baseLevel(params = {}) {
+    const {
+      PHt = 1.0,
+      K1 = 0.1,
+      K2 = 0.05,
+      T = 100,
+      K = []
+    } = params;
+
+    // Initialize the parameters
+    let currentK1 = K1;
+    let currentK2 = K2;
+    
+    // Process events K[j]
+    K.forEach((event) => {
+      // If K[j] = "Growth"
+      if (event === "Growth" || event.type === "Growth") {
+        // Increase K1
+        currentK1 += 0.01; // Increment growth rate
+      } else {
+        // Else: Increase K2
+        currentK2 += 0.01; // Increment decay rate
+      }
+    });
+    
+    // Calculate the rates as K11 = K1/T and K22 = K2/T
+    const K11 = currentK1 / T;
+    const K22 = currentK2 / T;
+
+    // Calculate the final rate as (K11-K22) + TR, with TR = 1 (see levels)
+    const finalRate = (K11 - K22) + 1;
+    
+    // Calculate the correction factor, CF = {(K11-K22) + TR} / {K1 - K2}
+    const denominator = currentK1 - currentK2;
+    const CF = denominator !== 0 ? finalRate / denominator : 0;
+    
+    /**
+     * MODIFICATION: Pheromone Level Bounds and Utilization Adjustment
+     * 
+     * ORIGINAL SPECIFICATION:
+     *   PH(t+1) = {PH(t) * e^((K11-K22) + TR)} - CF
+     *   Return PH(t+1) directly
+     * 
+     * ISSUE WITH ORIGINAL:
+     *   - Exponential term can produce very large values (e^100+)
+     *   - Correction factor CF can be negative, making PH(t+1) negative
+     *   - No consideration of VM's actual utilization state
+     *   - Can result in unrealistic pheromone levels (negative or extremely large)
+     * 
+     * MODIFICATION APPLIED:
+     *   1. Bounds: PH(t+1) constrained between 0.1 and 10.0
+     *   2. Utilization factor: scales pheromone based on VM's CPU utilization
+     *      - Higher utilization → higher pheromone (1.0x to 2.0x multiplier)
+     *      - Applied per VM and per horizon step in levels()
+     * 
+     * RATIONALE:
+     *   - Pheromone levels should be positive and bounded for meaningful comparison
+     *   - VM utilization reflects actual load state, which should influence pheromone
+     *   - Bounds prevent numerical overflow/underflow issues
+     *   - Utilization factor makes pheromone levels reflect VM state more accurately
+     * 
+     * IMPACT:
+     *   - All pheromone levels are positive and in reasonable range
+     *   - Pheromone levels correlate with VM utilization (more realistic)
+     *   - Algorithm produces stable, usable results for load balancing
+     * 
+     * NOTE: The bounds (0.1-10.0) are chosen based on typical pheromone ranges
+     * in ant colony optimization algorithms. The utilization factor maintains
+     * the algorithm's intent while adding practical realism.
+     */
+    // Generate PH(t+1) = {PH(t).pow(e, (K11-K22) + TR)} - CF
+    // Using Math.exp for e^x
+    const exponentialTerm = Math.exp(finalRate);
+    const PHt1 = (PHt * exponentialTerm) - CF;
+
+    return { K1: currentK1, K2: currentK2, K11, K22, CF, finalRate, PHt1 };
+  }
+
+  /**
+   * MODIFICATION: Depth of Prediction as Horizon Step
+   * 
+   * ORIGINAL SPECIFICATION:
+   *   TR = *i (Depth of Prediction set to iteration index)
+   * 
+   * ISSUE WITH ORIGINAL:
+   *   - The depth depended on the VM's position in the list, so the same VM got a
+   *     different prediction depending on how the dataset happened to be ordered
+   *   - Only one level, PH(t+TR), was produced, so no horizon could be evaluated
+   *   - Used as the exponent, a depth of h gives e^h - CF with CF ≈ 20h (K1 0.1, K2 0.05),
+   *     so every level ends on a bound and carries nothing about the step or the VM
+   * 
+   * MODIFICATION APPLIED:
+   *   TR is the prediction horizon H. The level is corrected once, over one interval
+   *   (depth 1), and the net rate K11-K22 compounds over every further interval. The
+   *   utilization factor of step h uses the VM's utilization expected at t+h-1: the
+   *   current one, moved along the least-squares trend of its recent compute series.
+   *   PH(t+1) is therefore the level of the original single-step prediction, and
+   *   backtest() measures the error of the later steps against the observed series.
+   * 
+   * @param {Object} level - From baseLevel
+   * @param {number} utilization - Current utilization of the VM (percent)
+   * @param {number} slope - Utilization trend of the VM (percent per interval)
+   * @returns {Array<number>} PH(t+1)..PH(t+horizon)
+   */
+  static levels(level, utilization, slope, horizon) {
+    // Ensure pheromone level is realistic (between 0.1 and 10.0), at every step
+    const bound = value => Math.max(0.1, Math.min(10.0, value));
+    return Array.from({ length: horizon }, (_, h) => {
+      const bounded = bound(bound(level.PHt1) * Math.exp((level.K11 - level.K22) * h));
+      
+      // Adjust based on VM utilization (higher utilization = higher pheromone)
+      const expected = h === 0 ? utilization : Math.max(0, Math.min(100, utilization + slope * h));
+      const utilizationFactor = 1 + (expected / 100); // Scale between 1.0 and 2.0
+      return bounded * utilizationFactor;
+    });
+  }
+
+  /**
+   * Least-squares slope of a series (change per interval, 0 with fewer than two values)
+   */
+  static trend(series) {
+    const n = series.length;
+    if (n < 2) {
+      return 0;
+    }
+    const meanX = (n - 1) / 2;
+    const meanY = series.reduce((sum, value) => sum + value, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    series.forEach((value, x) => {
+      sxy += (x - meanX) * (value - meanY);
+      sxx += (x - meanX) * (x - meanX);
+    });
+    return sxy / sxx;
+  }
+
+  /**
+   * Rolling-origin backtest of the pheromone levels at every step of the horizon
+   * For each of the last `origins` intervals of every VM's compute series that still have
+   * `horizon` intervals after them, the levels are predicted from the utilization at that
+   * interval and the trend of the `window` intervals up to it, and compared with the levels
+   * the utilization observed at t+h-1 gives. Step 1 uses the utilization at the origin, so
+   * its error is zero by construction; the error of the later steps is that of the trend.
+   * @param {Array} vms - VMs with series ({ compute }, oldest first)
+   * @param {Object} params - Algorithm parameters (see execute)
+   * @param {Object} config - { window, origins, horizon } (see CBLP.resolveConfig)
+   * @returns {Object} { mae, rmse, mape, samples, vms } of the one-step prediction, and
+   *   horizons: the error curve, one { step, mae, rmse, mape, samples } per step
+   */
+  static backtest(vms, params = {}, config = {}) {
+    const { window = CCPLP.DEFAULT_WINDOW, origins = 12, horizon = 1 } = config;
+    const level = CCPLP.baseLevel(params);
+    const errors = Array.from({ length: horizon }, () => ({ absolute: [], squared: [], percentage: [] }));
+    let testedVMs = 0;
+
+    vms.forEach(vm => {
+      const series = vm.series ? vm.series.compute : [];
+      if (series.length < horizon + 2) {
+        return;
+      }
+      testedVMs++;
+
+      const lastOrigin = series.length - horizon;
+      const firstOrigin = Math.max(1, lastOrigin - origins + 1);
+      for (let t = firstOrigin; t <= lastOrigin; t++) {
+        const slope = CCPLP.trend(series.slice(Math.max(0, t + 1 - window), t + 1));
+        const predicted = CCPLP.levels(level, series[t], slope, horizon);
+        predicted.forEach((value, h) => {
+          const actual = CCPLP.levels(level, series[t + h], 0, h + 1)[h];
+          const error = value - actual;
+          errors[h].absolute.push(Math.abs(error));
+          errors[h].squared.push(error * error);
+          errors[h].percentage.push(Math.abs(error) / actual * 100);
+        });
+      }
+    });
+
+    const horizons = errors.map(({ absolute, squared, percentage }, h) => ({
+      step: h + 1,
+      mae: mean(absolute),
+      rmse: Math.sqrt(mean(squared)),
+      mape: mean(percentage),
+      samples: absolute.length
+    }));
+    const { mae, rmse, mape, samples } = horizons[0];
+
+    return { mae, rmse, mape, samples, vms: testedVMs, horizons };
+  }
+
   /**
    * Execute CCPLP for a single VM
    * @param {Object} vm - VM object
@@ -186,5 +312,8 @@ class CCPLP {
   }
 }
 
+// Intervals of compute history the utilization trend is fitted on (as CBLP's window)
+CCPLP.DEFAULT_WINDOW = 48;
+
 module.exports = CCPLP;
 
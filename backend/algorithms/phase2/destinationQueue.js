@@ -0,0 +1,124 @@
+/**
+ * Indexed priority queue of LB-PCC-CP migration destinations
+ * A binary max-heap on the fitness of every candidate VM, with the heap position of each
+ * candidate kept so that committing a migration re-keys its destination in O(log n).
+ * Ties go to the candidate listed first, which is the order a stable sort of V[] by FF gives.
+ */
+class DestinationQueue {
+  /**
+   * @param {Array<Object>} candidates - { vmId, index, capacity, pheromoneLevel, totalCapacity }
+   * @param {Function} fitness - candidate => FF (higher is better)
+   */
+  constructor(candidates, fitness) {
+    this.candidates = candidates;
+    this.fitness = fitness;
+    this.keys = new Float64Array(candidates.length);
+    this.heap = new Int32Array(candidates.length);
+    this.positions = new Int32Array(candidates.length);
+    this.slotOf = new Map();
+
+    candidates.forEach((candidate, slot) => {
+      this.keys[slot] = fitness(candidate);
+      this.heap[slot] = slot;
+      this.positions[slot] = slot;
+      this.slotOf.set(candidate.vmId, slot);
+    });
+    for (let position = Math.floor(candidates.length / 2) - 1; position >= 0; position--) {
+      this.siftDown(position);
+    }
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Whether the candidate in slot a ranks before the one in slot b
+   */
+  before(a, b) {
+    return this.keys[a] > this.keys[b] || (this.keys[a] === this.keys[b] && a < b);
+  }
+
+  swap(i, j) {
+    const a = this.heap[i];
+    const b = this.heap[j];
+    this.heap[i] = b;
+    this.heap[j] = a;
+    this.positions[b] = i;
+    this.positions[a] = j;
+  }
+
+  siftUp(position) {
+    while (position > 0) {
+      const parent = (position - 1) >> 1;
+      if (!this.before(this.heap[position], this.heap[parent])) {
+        break;
+      }
+      this.swap(position, parent);
+      position = parent;
+    }
+  }
+
+  siftDown(position) {
+    const n = this.heap.length;
+    for (;;) {
+      const left = 2 * position + 1;
+      const right = left + 1;
+      let best = position;
+      if (left < n && this.before(this.heap[left], this.heap[best])) {
+        best = left;
+      }
+      if (right < n && this.before(this.heap[right], this.heap[best])) {
+        best = right;
+      }
+      if (best === position) {
+        return;
+      }
+      this.swap(position, best);
+      position = best;
+    }
+  }
+
+  /**
+   * Fittest candidate other than the excluded VM (the migrating VM itself)
+   * The runner-up of a binary heap is one of the root's children, so this is O(1).
+   * @returns {Object|null} { ...candidate, fitness }
+   */
+  peek(excludeVmId = null) {
+    if (this.heap.length === 0) {
+      return null;
+    }
+    let slot = this.heap[0];
+    if (this.candidates[slot].vmId === excludeVmId) {
+      const children = [1, 2].filter(position => position < this.heap.length).map(position => this.heap[position]);
+      if (children.length === 0) {
+        return null;
+      }
+      slot = children.length === 2 && this.before(children[1], children[0]) ? children[1] : children[0];
+    }
+    return { ...this.candidates[slot], fitness: this.keys[slot] };
+  }
+
+  /**
+   * Commit a migration: the destination's spare capacity shrinks by the migrated load
+   * and its fitness is re-keyed
+   */
+  commit(vmId, load) {
+    const slot = this.slotOf.get(vmId);
+    if (slot === undefined) {
+      return;
+    }
+    const candidate = this.candidates[slot];
+    candidate.capacity = Math.max(0, candidate.capacity - Math.max(0, load));
+
+    const previous = this.keys[slot];
+    this.keys[slot] = this.fitness(candidate);
+    if (this.keys[slot] > previous) {
+      this.siftUp(this.positions[slot]);
+    } else {
+      this.siftDown(this.positions[slot]);
+    }
+  }
+}
+
+module.exports = DestinationQueue;
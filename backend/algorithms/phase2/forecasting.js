@@ -0,0 +1,269 @@
+/**
+ * Time-series forecasting of VM load
+ * Every model takes a VM's utilization history (percent, oldest first) and returns the next
+ * `steps` values, clamped to [0, 100]:
+ *   linear-regression     - least-squares line through the history, extrapolated
+ *   arima                 - ARIMA(p, d, q) fitted with the Hannan-Rissanen two-stage regression
+ *                           (a long autoregression estimates the innovations, then the series is
+ *                           regressed on its own lags and the lagged innovations)
+ *   exponential-smoothing - Holt's linear (double) exponential smoothing
+ * A history too short for a model yields the last observed value (naive forecast).
+ */
+class Forecasting {
+  /**
+   * Least-squares solution of rows * x = targets (normal equations with a tiny ridge)
+   * @returns {Array<number>|null} Coefficients, null when the system is singular
+   */
+  static leastSquares(rows, targets) {
+    const k = rows[0].length;
+    const matrix = Array.from({ length: k }, () => new Array(k + 1).fill(0));
+    rows.forEach((row, r) => {
+      for (let i = 0; i < k; i++) {
+        for (let j = 0; j < k; j++) {
+          matrix[i][j] += row[i] * row[j];
+        }
+        matrix[i][k] += row[i] * targets[r];
+      }
+    });
+    for (let i = 0; i < k; i++) {
+      matrix[i][i] += Forecasting.RIDGE;
+    }
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < k; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < k; row++) {
+        if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+          pivot = row;
+        }
+      }
+      if (Math.abs(matrix[pivot][col]) < 1e-12) {
+        return null;
+      }
+      [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+      for (let row = col + 1; row < k; row++) {
+        const factor = matrix[row][col] / matrix[col][col];
+        for (let j = col; j <= k; j++) {
+          matrix[row][j] -= factor * matrix[col][j];
+        }
+      }
+    }
+
+    const solution = new Array(k).fill(0);
+    for (let i = k - 1; i >= 0; i--) {
+      let sum = matrix[i][k];
+      for (let j = i + 1; j < k; j++) {
+        sum -= matrix[i][j] * solution[j];
+      }
+      solution[i] = sum / matrix[i][i];
+    }
+    return solution.every(Number.isFinite) ? solution : null;
+  }
+
+  static clamp(value) {
+    return Math.max(0, Math.min(100, value));
+  }
+
+  static naive(series, steps) {
+    return new Array(steps).fill(series.length > 0 ? Forecasting.clamp(series[series.length - 1]) : 0);
+  }
+
+  /**
+   * Least-squares line over the history, extrapolated
+   */
+  static linearRegression(series, steps = 1) {
+    const n = series.length;
+    if (n < 2) {
+      return Forecasting.naive(series, steps);
+    }
+
+    const meanX = (n - 1) / 2;
+    const meanY = series.reduce((sum, value) => sum + value, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    series.forEach((value, x) => {
+      sxy += (x - meanX) * (value - meanY);
+      sxx += (x - meanX) * (x - meanX);
+    });
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+
+    return Array.from({ length: steps }, (_, h) => Forecasting.clamp(intercept + slope * (n + h)));
+  }
+
+  /**
+   * Holt's linear exponential smoothing
+   * @param {Object} options - { alpha (level smoothing), beta (trend smoothing) }
+   */
+  static exponentialSmoothing(series, steps = 1, options = {}) {
+    const { alpha = Forecasting.DEFAULTS.alpha, beta = Forecasting.DEFAULTS.beta } = options;
+    if (series.length < 2) {
+      return Forecasting.naive(series, steps);
+    }
+
+    let level = series[0];
+    let trend = series[1] - series[0];
+    for (let t = 1; t < series.length; t++) {
+      const previousLevel = level;
+      level = alpha * series[t] + (1 - alpha) * (level + trend);
+      trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    }
+
+    return Array.from({ length: steps }, (_, h) => Forecasting.clamp(level + (h + 1) * trend));
+  }
+
+  /**
+   * ARIMA(p, d, q) forecast
+   * The differenced series is centred on its mean only when d = 0 (no drift term otherwise).
+   * @param {Object} options - { order: [p, d, q] }
+   */
+  static arima(series, steps = 1, options = {}) {
+    const [p, d, q] = options.order || Forecasting.DEFAULTS.order;
+
+    // Difference d times, keeping the last value of every level to integrate back
+    let z = series.slice();
+    const lastValues = [];
+    for (let i = 0; i < d; i++) {
+      if (z.length < 2) {
+        return Forecasting.naive(series, steps);
+      }
+      lastValues.push(z[z.length - 1]);
+      z = z.slice(1).map((value, t) => value - z[t]);
+    }
+    const offset = d === 0 ? z.reduce((sum, value) => sum + value, 0) / z.length : 0;
+    z = z.map(value => value - offset);
+
+    const coefficients = Forecasting.fitARMA(z, p, q);
+    if (!coefficients) {
+      return Forecasting.naive(series, steps);
+    }
+
+    // Recursive forecast of the differenced series, future innovations are zero
+    const { phi, theta, residuals } = coefficients;
+    const values = z.slice();
+    const errors = residuals.slice();
+    const forecasts = [];
+    for (let h = 0; h < steps; h++) {
+      let next = 0;
+      for (let i = 0; i < phi.length; i++) {
+        next += phi[i] * values[values.length - 1 - i];
+      }
+      for (let j = 0; j < theta.length; j++) {
+        next += theta[j] * (errors[errors.length - 1 - j] || 0);
+      }
+      values.push(next);
+      errors.push(0);
+      forecasts.push(next + offset);
+    }
+
+    // Undo the differencing, innermost level first
+    let integrated = forecasts;
+    for (let i = d - 1; i >= 0; i--) {
+      let previous = lastValues[i];
+      integrated = integrated.map(value => {
+        previous += value;
+        return previous;
+      });
+    }
+    return integrated.map(Forecasting.clamp);
+  }
+
+  /**
+   * Hannan-Rissanen estimate of an ARMA(p, q) on a zero-mean series
+   * @returns {Object|null} { phi, theta, residuals (aligned with the series) }, null when the
+   *   series is too short or the regression is singular
+   */
+  static fitARMA(z, p, q) {
+    let residuals = null;
+    let start = p;
+
+    if (q > 0) {
+      // Stage 1: a long autoregression estimates the innovations (known from index m on)
+      const m = Math.max(p + q, Math.min(Forecasting.LONG_AR_ORDER, Math.floor(z.length / 4)));
+      const ar = Forecasting.regressLags(z, m, null, 0);
+      if (!ar) {
+        return null;
+      }
+      residuals = ar.residuals;
+      start = Math.max(p, m + q);
+    }
+
+    // Stage 2: regress on p lags of the series and q lags of the innovations
+    const fit = Forecasting.regressLags(z, p, residuals, q, start);
+    if (!fit) {
+      return null;
+    }
+    return { phi: fit.coefficients.slice(0, p), theta: fit.coefficients.slice(p), residuals: fit.residuals };
+  }
+
+  /**
+   * Regress z[t] on z[t-1..t-p] and errors[t-1..t-q] for t >= start
+   * @returns {Object|null} { coefficients, residuals (0 before start) }
+   */
+  static regressLags(z, p, errors, q, start = p) {
+    const rows = [];
+    const targets = [];
+    for (let t = start; t < z.length; t++) {
+      const row = [];
+      for (let i = 1; i <= p; i++) {
+        row.push(z[t - i]);
+      }
+      for (let j = 1; j <= q; j++) {
+        row.push(errors[t - j]);
+      }
+      rows.push(row);
+      targets.push(z[t]);
+    }
+    if (p + q === 0) {
+      return { coefficients: [], residuals: z.slice() };
+    }
+    if (rows.length < (p + q) * Forecasting.MIN_ROWS_PER_PARAMETER) {
+      return null;
+    }
+
+    const coefficients = Forecasting.leastSquares(rows, targets);
+    if (!coefficients) {
+      return null;
+    }
+    const residuals = new Array(z.length).fill(0);
+    rows.forEach((row, r) => {
+      residuals[start + r] = targets[r] - row.reduce((sum, value, i) => sum + value * coefficients[i], 0);
+    });
+    return { coefficients, residuals };
+  }
+
+  /**
+   * Forecast with the named model
+   * @param {string} model - linear-regression, arima or exponential-smoothing
+   * @param {Array<number>} series - History, oldest first
+   * @param {number} steps - Intervals to forecast
+   * @param {Object} options - Model parameters (order for arima, alpha/beta for exponential-smoothing)
+   * @returns {Array<number>} The next `steps` values
+   */
+  static forecast(model, series, steps = 1, options = {}) {
+    switch (model) {
+      case 'linear-regression':
+        return Forecasting.linearRegression(series, steps);
+      case 'arima':
+        return Forecasting.arima(series, steps, options);
+      case 'exponential-smoothing':
+        return Forecasting.exponentialSmoothing(series, steps, options);
+      default:
+        throw new Error(`Unknown forecasting model: ${model}`);
+    }
+  }
+}
+
+Forecasting.MODELS = ['linear-regression', 'arima', 'exponential-smoothing'];
+Forecasting.DEFAULTS = {
+  order: [2, 1, 1], // ARIMA (p, d, q)
+  alpha: 0.5,
+  beta: 0.1
+};
+// Upper bound of the long autoregression of the Hannan-Rissanen first stage
+Forecasting.LONG_AR_ORDER = 8;
+// Observations a lag regression needs per estimated coefficient
+Forecasting.MIN_ROWS_PER_PARAMETER = 3;
+Forecasting.RIDGE = 1e-8;
+
+module.exports = Forecasting;
@@ -11,15 +11,97 @@
  * - V(t+1) as Destination
  */
 
+const DestinationQueue = require('./destinationQueue');
+
 class LBPCCCP {
+  /**
+   * Destination candidates with their available capacity Cap[t+1] and pheromone level PH[t+1]
+   * @param {Function} pheromoneOf - (vmId, j) => PH[t+1] of the VM
+   */
+  static destinationCandidates(vms, pheromoneOf) {
+    return vms.map((destVM, j) => {
+      const destVmId = destVM.vmId || destVM.id || `vm_${j}`;
+
+      // Calculate capacity Cap[t+1] (available capacity)
+      const computeCap = destVM.computeCapacity || destVM.C || destVM.cpuUtilization || 0;
+      const memoryCap = destVM.memoryCapacity || destVM.M || destVM.memoryUtilization || 0;
+      const storageCap = destVM.storageCapacity || destVM.S || 0;
+      const networkCap = destVM.networkCapacity || destVM.N || destVM.networkUtilization || 0;
+
+      // Cap[t+1] is one scalar over the four resources, as the specification defines it; the
+      // per-dimension packing of VectorPlacement only covers the initial topology allocation
+      const totalCapacity = computeCap + memoryCap + storageCap + networkCap;
+      const currentDestLoad = destVM.currentLoad || destVM.load || 0;
+
+      return {
+        vmId: destVmId,
+        index: j,
+        capacity: Math.max(0, totalCapacity - currentDestLoad),
+        pheromoneLevel: pheromoneOf(destVmId, j),
+        totalCapacity
+      };
+    });
+  }
+
+  /**
+   * Priority queue of the candidates keyed by FF = 0.6 * Cap[t+1] / max Cap + 0.4 * PH[t+1] / max PH
+   * The maxima are those of the candidates when the queue is built.
+   */
+  static destinationQueue(candidates) {
+    let maxCapacity = 0;
+    let maxPheromone = 0;
+    candidates.forEach(candidate => {
+      maxCapacity = Math.max(maxCapacity, candidate.capacity);
+      maxPheromone = Math.max(maxPheromone, candidate.pheromoneLevel);
+    });
+
+    return new DestinationQueue(candidates, candidate => {
+      // Normalize capacity and pheromone (0-1 scale)
+      const normalizedCapacity = maxCapacity > 0 ? candidate.capacity / maxCapacity : 0;
+      const normalizedPheromone = maxPheromone > 0 ? candidate.pheromoneLevel / maxPheromone : 0;
+      return (LBPCCCP.CAPACITY_WEIGHT * normalizedCapacity) + (LBPCCCP.PHEROMONE_WEIGHT * normalizedPheromone);
+    });
+  }
+
+  /**
+   * Lookup of the CBLP entry of a VM: by VM id, by position, then by the vmId/index fields
+   * of the entries (indexed once instead of searched per VM)
+   * @returns {Function} (vmId, vm, i) => entry with Lt1, or null
+   */
+  static predictedLoadLookup(predictedLoads) {
+    let byField = null;
+    return (vmId, vm, i) => {
+      if (predictedLoads[vmId]?.Lt1 !== undefined) {
+        return predictedLoads[vmId];
+      }
+      if (predictedLoads[i]?.Lt1 !== undefined) {
+        return predictedLoads[i];
+      }
+      if (!byField) {
+        byField = { vmIds: new Map(), indices: new Map() };
+        Object.values(predictedLoads).forEach(entry => {
+          if (entry && entry.vmId !== undefined && !byField.vmIds.has(entry.vmId)) {
+            byField.vmIds.set(entry.vmId, entry);
+          }
+          if (entry && entry.index !== undefined && !byField.indices.has(entry.index)) {
+            byField.indices.set(entry.index, entry);
+          }
+        });
+      }
+      return byField.vmIds.get(vmId) || byField.vmIds.get(vm.id) || byField.indices.get(i) || null;
+    };
+  }
+
   /**
    * Execute LB-PCC-CP algorithm
    * @param {Array} vms - List of VMs (V)
    * @param {Object} summarizedLoads - From SBCSL
    * @param {Object} pheromoneLevels - From CCPLP (PH[t+1])
-   * @param {Object} predictedLoads - From CBLP (L[t+1])
+   * @param {Object} predictedLoads - From CBLP (L[t+1], and forecast L[t+1..t+H] when predicted over a horizon)
    * @param {Object} options - Additional options
    * @param {number} options.currentLoad - Current load L(t) (default: calculated from VMs)
+   * @param {number} options.lookahead - Intervals k ahead an overload is acted on: the VM's
+   *   predicted load is the peak of L[t+1..t+k] (default: 1, only L[t+1])
    * @returns {Object} Migration decisions and optimal destinations
    */
   static execute(vms, summarizedLoads = {}, pheromoneLevels = {}, predictedLoads = {}, options = {}) {
@@ -83,30 +165,61 @@ class LBPCCCP {
     // Use a more realistic threshold: 80% of average capacity per VM
     const TH = Math.max(avgCapacityPerVM * 0.8, avgCurrentLoadPerVM * 1.2);
 
+    const lookahead = options.lookahead || 1;
     const migrationDecisions = [];
     const optimalDestinations = [];
 
+    /**
+     * MODIFICATION: Destination Search by Indexed Priority Queue
+     *
+     * ORIGINAL SPECIFICATION:
+     *   For each VM needing migration: calculate Cap[t+1] and PH[t+1] of every V[],
+     *   calculate FF = Max(Cap[t+1]), Max(PH[t+1]), sort V[] by FF and select the optimal V[x]
+     *
+     * ISSUE WITH ORIGINAL:
+     *   - Every migrating VM rebuilt and sorted the whole candidate list (O(n^2 log n) per
+     *     date, and the normalization maxima were recomputed per candidate)
+     *   - Cap[t+1] never reflected the migrations already decided, so every migrating VM
+     *     selected the same destination
+     *
+     * MODIFICATION APPLIED:
+     *   - Candidates are built once; FF is normalized by the maxima of this round
+     *   - They are kept in a max-heap on FF (DestinationQueue); the optimal destination
+     *     other than the source is read in O(1)
+     *   - A committed migration reduces the destination's Cap[t+1] by the migrated predicted
+     *     load and re-keys it in O(log n)
+     *
+     * IMPACT:
+     *   - The first destination is the one the sort selected; later migrations spread over
+     *     the destinations as their spare capacity fills
+     *   - Which VMs migrate (and every Phase 2 metric) is unchanged
+     */
+    const pheromoneOf = (destVmId, j) => pheromoneLevels[destVmId]?.PHt1 || pheromoneLevels[j]?.PHt1 || 1.0;
+    let destinationQueue = null; // Built on the first migration
+    const lookupPredictedLoad = LBPCCCP.predictedLoadLookup(predictedLoads);
+
     // For each VM V[i]
     vms.forEach((vm, i) => {
       const vmId = vm.vmId || vm.id || `vm_${i}`;
       
       // Try multiple ways to get predicted load (handle different VM ID formats)
+      const cblpEntry = lookupPredictedLoad(vmId, vm, i);
+
       let predictedLoad = 0;
-      if (predictedLoads[vmId]?.Lt1 !== undefined) {
-        predictedLoad = predictedLoads[vmId].Lt1;
-      } else if (predictedLoads[i]?.Lt1 !== undefined) {
-        predictedLoad = predictedLoads[i].Lt1;
+      let lookaheadStep = 1; // Step of L[t+1..t+k] the predicted load comes from
+      if (cblpEntry?.Lt1 !== undefined) {
+        predictedLoad = cblpEntry.Lt1;
+        // Act on the highest load predicted within the lookahead
+        const forecast = (cblpEntry.forecast || []).slice(0, lookahead);
+        forecast.forEach((load, step) => {
+          if (load > predictedLoad) {
+            predictedLoad = load;
+            lookaheadStep = step + 1;
+          }
+        });
       } else {
-        // Try to find by matching VM properties
-        const cblpEntry = Object.values(predictedLoads).find(entry => 
-          entry.vmId === vmId || entry.vmId === vm.id || entry.index === i
-        );
-        if (cblpEntry?.Lt1 !== undefined) {
-          predictedLoad = cblpEntry.Lt1;
-        } else {
-          // Fallback: use current load with a small increase
-          predictedLoad = (vm.currentLoad || vm.load || vm.computeCapacity || 0) * 1.05;
-        }
+        // Fallback: use current load with a small increase
+        predictedLoad = (vm.currentLoad || vm.load || vm.computeCapacity || 0) * 1.05;
       }
       
       // Get current load for this VM
@@ -138,58 +251,21 @@ class LBPCCCP {
       
       if (needsMigration) {
         // VM needs migration - find optimal destination
-        
-        // Calculate capacity for each potential destination VM
-        const destinations = vms.map((destVM, j) => {
-          const destVmId = destVM.vmId || destVM.id || `vm_${j}`;
-          
-          // Get pheromone level PH[t+1] for destination
-          const pheromoneLevel = pheromoneLevels[destVmId]?.PHt1 || pheromoneLevels[j]?.PHt1 || 1.0;
-          
-          // Calculate capacity Cap[t+1] (available capacity)
-          const computeCap = destVM.computeCapacity || destVM.C || destVM.cpuUtilization || 0;
-          const memoryCap = destVM.memoryCapacity || destVM.M || destVM.memoryUtilization || 0;
-          const storageCap = destVM.storageCapacity || destVM.S || 0;
-          const networkCap = destVM.networkCapacity || destVM.N || destVM.networkUtilization || 0;
-          
-          const totalCapacity = computeCap + memoryCap + storageCap + networkCap;
-          const currentDestLoad = destVM.currentLoad || destVM.load || 0;
-          const availableCapacity = Math.max(0, totalCapacity - currentDestLoad);
-          
-          return {
-            vmId: destVmId,
-            index: j,
-            capacity: availableCapacity,
-            pheromoneLevel: pheromoneLevel,
-            totalCapacity: totalCapacity
-          };
-        });
-
-        // Calculate the fitness function, FF = Max(Cap[t+1]), Max(PH[t+1])
-        destinations.forEach(dest => {
-          // Normalize capacity and pheromone (0-1 scale)
-          const maxCapacity = Math.max(...destinations.map(d => d.capacity));
-          const maxPheromone = Math.max(...destinations.map(d => d.pheromoneLevel));
-          
-          const normalizedCapacity = maxCapacity > 0 ? dest.capacity / maxCapacity : 0;
-          const normalizedPheromone = maxPheromone > 0 ? dest.pheromoneLevel / maxPheromone : 0;
-          
-          // Fitness function: weighted combination of capacity and pheromone
-          dest.fitness = (0.6 * normalizedCapacity) + (0.4 * normalizedPheromone);
-        });
-
-        // Sort the V[] based on FF (descending - highest fitness first)
-        destinations.sort((a, b) => b.fitness - a.fitness);
+        if (!destinationQueue) {
+          destinationQueue = LBPCCCP.destinationQueue(LBPCCCP.destinationCandidates(vms, pheromoneOf));
+        }
 
         // Select the optimal V[x] based on FF (exclude source VM itself)
-        const validDestinations = destinations.filter(dest => dest.vmId !== vmId);
-        const optimalDestination = validDestinations.length > 0 ? validDestinations[0] : null;
+        const optimalDestination = destinationQueue.peek(vmId);
 
         if (optimalDestination) {
+          destinationQueue.commit(optimalDestination.vmId, predictedLoad);
+
           migrationDecisions.push({
             sourceVM: vmId,
             sourceIndex: i,
             predictedLoad: predictedLoad,
+            lookaheadStep,
             threshold: TH,
             needsMigration: true,
             optimalDestination: {
@@ -212,6 +288,7 @@ class LBPCCCP {
           sourceVM: vmId,
           sourceIndex: i,
           predictedLoad: predictedLoad,
+          lookaheadStep,
           threshold: TH,
           needsMigration: false
         });
@@ -226,20 +303,25 @@ class LBPCCCP {
       console.log(`  No migrations detected, checking for overloaded VMs as fallback...`);
       
       // Find VMs with high current load (> 75% capacity)
-      const overloadedVMs = vms.filter((vm, idx) => {
+      const overloadedIndices = [];
+      vms.forEach((vm, idx) => {
         const vmCapacity = (vm.computeCapacity || 0) + (vm.memoryCapacity || 0) + 
                           (vm.storageCapacity || 0) + (vm.networkCapacity || 0);
         const vmCurrentLoad = vm.currentLoad || vm.load || vm.computeCapacity || 0;
         const loadPercent = vmCapacity > 0 ? (vmCurrentLoad / vmCapacity) * 100 : 0;
-        return loadPercent > 75;
+        if (loadPercent > 75) {
+          overloadedIndices.push(idx);
+        }
       });
       
       // Mark top 30% of overloaded VMs for migration (or at least 1 if any exist)
-      if (overloadedVMs.length > 0) {
-        const numToMigrate = Math.max(1, Math.floor(overloadedVMs.length * 0.3));
-        overloadedVMs.slice(0, numToMigrate).forEach((vm, idx) => {
-          const vmId = vm.vmId || vm.id || `vm_${vms.indexOf(vm)}`;
-          const decision = migrationDecisions.find(d => d.sourceVM === vmId);
+      if (overloadedIndices.length > 0) {
+        const numToMigrate = Math.max(1, Math.floor(overloadedIndices.length * 0.3));
+        const decisionOf = new Map(migrationDecisions.map(d => [d.sourceVM, d]));
+        overloadedIndices.slice(0, numToMigrate).forEach(index => {
+          const vm = vms[index];
+          const vmId = vm.vmId || vm.id || `vm_${index}`;
+          const decision = decisionOf.get(vmId);
           if (decision) {
             decision.needsMigration = true;
             console.log(`  Marked overloaded VM ${vmId} for migration (fallback)`);
@@ -247,7 +329,7 @@ class LBPCCCP {
             // Add new migration decision
             migrationDecisions.push({
               sourceVM: vmId,
-              sourceIndex: vms.indexOf(vm),
+              sourceIndex: index,
               predictedLoad: vm.currentLoad || vm.load || 0,
               threshold: (vm.computeCapacity || 0) * 0.75,
               needsMigration: true
@@ -262,13 +344,16 @@ class LBPCCCP {
     
     return {
       threshold: TH,
+      lookahead,
       migrationDecisions: migrationDecisions,
       optimalDestinations: optimalDestinations,
       totalMigrations: finalMigrations,
       summary: {
         totalVMs: vms.length,
         vmsNeedingMigration: finalMigrations,
-        vmsStable: migrationDecisions.filter(d => !d.needsMigration).length
+        vmsStable: migrationDecisions.filter(d => !d.needsMigration).length,
+        // Migrations triggered by an overload predicted beyond the next interval
+        lookaheadMigrations: migrationDecisions.filter(d => d.needsMigration && d.lookaheadStep > 1).length
       }
     };
   }
@@ -281,40 +366,14 @@ class LBPCCCP {
    * @returns {Object} Optimal destination VM
    */
   static findOptimalDestination(sourceVM, candidateVMs, pheromoneLevels = {}) {
-    const destinations = candidateVMs.map((destVM, j) => {
-      const destVmId = destVM.vmId || destVM.id || `vm_${j}`;
-      const pheromoneLevel = pheromoneLevels[destVmId]?.PHt1 || 1.0;
-      
-      const computeCap = destVM.computeCapacity || destVM.C || destVM.cpuUtilization || 0;
-      const memoryCap = destVM.memoryCapacity || destVM.M || destVM.memoryUtilization || 0;
-      const storageCap = destVM.storageCapacity || destVM.S || 0;
-      const networkCap = destVM.networkCapacity || destVM.N || destVM.networkUtilization || 0;
-      
-      const totalCapacity = computeCap + memoryCap + storageCap + networkCap;
-      const currentDestLoad = destVM.currentLoad || destVM.load || 0;
-      const availableCapacity = Math.max(0, totalCapacity - currentDestLoad);
-      
-      return {
-        vmId: destVmId,
-        capacity: availableCapacity,
-        pheromoneLevel: pheromoneLevel,
-        totalCapacity: totalCapacity
-      };
-    });
-
-    const maxCapacity = Math.max(...destinations.map(d => d.capacity));
-    const maxPheromone = Math.max(...destinations.map(d => d.pheromoneLevel));
-
-    destinations.forEach(dest => {
-      const normalizedCapacity = maxCapacity > 0 ? dest.capacity / maxCapacity : 0;
-      const normalizedPheromone = maxPheromone > 0 ? dest.pheromoneLevel / maxPheromone : 0;
-      dest.fitness = (0.6 * normalizedCapacity) + (0.4 * normalizedPheromone);
-    });
-
-    destinations.sort((a, b) => b.fitness - a.fitness);
-    return destinations[0] || null;
+    const candidates = LBPCCCP.destinationCandidates(candidateVMs, destVmId => pheromoneLevels[destVmId]?.PHt1 || 1.0);
+    return LBPCCCP.destinationQueue(candidates).peek();
   }
 }
 
+// Fitness function weights of the available capacity and the pheromone level
+LBPCCCP.CAPACITY_WEIGHT = 0.6;
+LBPCCCP.PHEROMONE_WEIGHT = 0.4;
+
 module.exports = LBPCCCP;
 
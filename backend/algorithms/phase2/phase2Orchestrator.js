@@ -2,7 +2,10 @@ const SBCSL = require('./sbcsl');
 const CCPLP = require('./ccplp');
 const CBLP = require('./cblp');
 const LBPCCCP = require('./lbPccCp');
+const ServiceClustering = require('./serviceClustering');
 const DataProcessor = require('../dataProcessor');
+const Topology = require('../topology');
+const { createRandom, DEFAULT_SEED } = require('../../utils/random');
 const { Worker } = require('worker_threads');
 const os = require('os');
 
@@ -11,7 +14,7 @@ const os = require('os');
  * Coordinates execution of all Phase 2 algorithms:
  * 1. SBCSL - Service Based Categorization and Summarization of Loads
  * 2. CCPLP - Corrective Coefficient Based Pheromone Level Prediction
- * 3. CBLP - Correlation Based Load Prediction
+ * 3. CBLP - Correlation Based Load Prediction (or a time-series forecast, backtested per date)
  * 4. LB-PCC-CP - Load Balancing by Predictive Corrective Coefficient and Correlative Prediction
  */
 class Phase2Orchestrator {
@@ -21,20 +24,38 @@ class Phase2Orchestrator {
 
   /**
    * Prepare VMs and Services from dataset (optimized for large datasets)
+   * Every VM keeps its day averages as the C/M/S/N components and its samples in timestamp
+   * order as vm.series ({ compute, memory, storage, network }) for the CBLP time-series models.
+   * @param {Map} vmAllocation - Optional VM-to-host allocation on the cluster topology
    */
-  prepareVMsAndServices(vmData, date) {
+  prepareVMsAndServices(vmData, date, vmAllocation = null) {
     // Group VMs by unique VM ID first to avoid duplicates
     const vmMap = new Map();
+    const samplesByVM = new Map();
     
     // Process VM data and group by VM ID
     vmData.forEach((vm) => {
       const vmId = vm.vmId || vm.id;
       if (!vmId) return; // Skip invalid entries
+
+      const sampleCpu = vm.cpuUtilization || 0;
+      if (!samplesByVM.has(vmId)) {
+        samplesByVM.set(vmId, []);
+      }
+      samplesByVM.get(vmId).push({
+        timestamp: vm.timestamp || 0,
+        compute: sampleCpu,
+        memory: typeof vm.memoryUtilization === 'number' ? vm.memoryUtilization : sampleCpu * 0.8,
+        storage: typeof vm.diskUtilization === 'number' ? vm.diskUtilization : sampleCpu * 0.5,
+        network: typeof vm.networkUtilization === 'number' ? vm.networkUtilization : sampleCpu * 0.3
+      });
       
       if (!vmMap.has(vmId)) {
         const cpuUtil = vm.cpuUtilization || 0;
-        const memUtil = vm.memoryUtilization || (cpuUtil * 0.8);
-        const netUtil = vm.networkUtilization || (cpuUtil * 0.3);
+        const memUtil = typeof vm.memoryUtilization === 'number' ? vm.memoryUtilization : cpuUtil * 0.8;
+        const netUtil = typeof vm.networkUtilization === 'number' ? vm.networkUtilization : cpuUtil * 0.3;
+        // Storage comes from the trace disk column when there is one
+        const storageUtil = typeof vm.diskUtilization === 'number' ? vm.diskUtilization : cpuUtil * 0.5;
         
         // Determine service based on VM characteristics
         let serviceType = 'low';
@@ -50,8 +71,8 @@ class Phase2Orchestrator {
           C: cpuUtil,
           memoryCapacity: memUtil,
           M: memUtil,
-          storageCapacity: cpuUtil * 0.5,
-          S: cpuUtil * 0.5,
+          storageCapacity: storageUtil,
+          S: storageUtil,
           networkCapacity: netUtil,
           N: netUtil,
           cpuUtilization: cpuUtil,
@@ -61,12 +82,24 @@ class Phase2Orchestrator {
           load: cpuUtil,
           dataPointCount: 1
         });
+
+        // Host placement from the cluster topology
+        if (vmAllocation && vmAllocation.has(vmId)) {
+          const { host, vmType } = vmAllocation.get(vmId);
+          Object.assign(vmMap.get(vmId), {
+            hostId: host.hostId,
+            hostType: host.type,
+            vmType: vmType.type,
+            mips: vmType.mips * vmType.cores,
+            ram: vmType.ram
+          });
+        }
       } else {
         // Aggregate multiple data points for the same VM
         const existingVM = vmMap.get(vmId);
         const cpuUtil = vm.cpuUtilization || 0;
-        const memUtil = vm.memoryUtilization || (cpuUtil * 0.8);
-        const netUtil = vm.networkUtilization || (cpuUtil * 0.3);
+        const memUtil = typeof vm.memoryUtilization === 'number' ? vm.memoryUtilization : cpuUtil * 0.8;
+        const netUtil = typeof vm.networkUtilization === 'number' ? vm.networkUtilization : cpuUtil * 0.3;
         
         // Update with running average
         const count = existingVM.dataPointCount;
@@ -76,6 +109,10 @@ class Phase2Orchestrator {
         existingVM.M = existingVM.memoryCapacity;
         existingVM.networkCapacity = ((existingVM.networkCapacity * count) + netUtil) / (count + 1);
         existingVM.N = existingVM.networkCapacity;
+        if (typeof vm.diskUtilization === 'number') {
+          existingVM.storageCapacity = ((existingVM.storageCapacity * count) + vm.diskUtilization) / (count + 1);
+          existingVM.S = existingVM.storageCapacity;
+        }
         existingVM.cpuUtilization = existingVM.computeCapacity;
         existingVM.memoryUtilization = existingVM.memoryCapacity;
         existingVM.networkUtilization = existingVM.networkCapacity;
@@ -87,6 +124,15 @@ class Phase2Orchestrator {
     
     // Convert to arrays
     const vms = Array.from(vmMap.values());
+    vms.forEach(vm => {
+      const samples = samplesByVM.get(vm.vmId).sort((a, b) => a.timestamp - b.timestamp);
+      vm.series = {
+        compute: samples.map(sample => sample.compute),
+        memory: samples.map(sample => sample.memory),
+        storage: samples.map(sample => sample.storage),
+        network: samples.map(sample => sample.network)
+      };
+    });
     
     // Create services
     const serviceMap = new Map();
@@ -108,41 +154,126 @@ class Phase2Orchestrator {
     return { services, vms };
   }
 
+  /**
+   * Load a dataset and prepare its VMs and services (allocated on the topology when one is set)
+   * @param {Object} options.categorization - How VMs are grouped into services (see
+   *   ServiceClustering.resolveConfig; default: the low/medium/high CPU thresholds)
+   * @param {number} options.maxDataPoints - Larger datasets are sampled down to this many data
+   *   points (default MAX_DATA_POINTS; Infinity keeps the full dataset)
+   * @returns {Object} { services, vms, topology, categorization ({ method, k, criterion, scores, sampled }) }
+   */
+  async loadVMs(date, options = {}) {
+    const categorizationConfig = ServiceClustering.resolveConfig(options.categorization || {});
+
+    // Load dataset (use cached data if available)
+    let vmData;
+    if (!options.trace && this.dataProcessor.cache && this.dataProcessor.cache.has(date)) {
+      vmData = this.dataProcessor.cache.get(date);
+      console.log(`Phase 2: Using cached dataset ${date}: ${vmData.length} data points`);
+    } else {
+      vmData = await this.dataProcessor.loadDataset(date, options.trace);
+      console.log(`Phase 2: Loaded dataset ${date}: ${vmData.length} data points`);
+    }
+
+    // Allocate VMs on the full dataset so the mapping matches the other phases
+    const topology = Topology.load(options.topology);
+    const vmAllocation = this.dataProcessor.getVMAllocation(vmData, topology, {
+      strategy: options.allocationStrategy,
+      seed: options.allocationSeed
+    });
+    
+    // Limit data points if dataset is extremely large to avoid memory issues
+    const maxDataPoints = options.maxDataPoints !== undefined ? options.maxDataPoints : Phase2Orchestrator.MAX_DATA_POINTS;
+    if (vmData.length > maxDataPoints) {
+      console.log(`  Warning: Dataset has ${vmData.length} data points, sampling to ${maxDataPoints} for processing`);
+      // Sample every Nth data point
+      const step = Math.ceil(vmData.length / maxDataPoints);
+      vmData = vmData.filter((_, idx) => idx % step === 0);
+    }
+    
+    // Prepare VMs and Services
+    const prepared = this.prepareVMsAndServices(vmData, date, vmAllocation);
+    const { vms } = prepared;
+    let { services } = prepared;
+    
+    // Validate that we have VMs and services
+    if (!vms || vms.length === 0) {
+      throw new Error(`No VMs prepared for date ${date}. Dataset may be empty or invalid.`);
+    }
+    if (!services || services.length === 0) {
+      throw new Error(`No services prepared for date ${date}.`);
+    }
+
+    // Regroup the VMs into clusters of similar resource usage
+    let categorization = { method: 'threshold', k: services.length, criterion: null, scores: null, sampled: vms.length };
+    if (categorizationConfig.method !== 'threshold') {
+      const seed = options.seed !== undefined ? options.seed : DEFAULT_SEED;
+      const clustering = ServiceClustering.categorize(vms, categorizationConfig, createRandom(seed));
+      vms.forEach(vm => {
+        vm.serviceId = clustering.assignments.get(vm.vmId);
+      });
+      services = clustering.services;
+      const { method, k, criterion, scores, sampled } = clustering;
+      categorization = { method, k, criterion, scores, sampled };
+      console.log(`  Categorized ${vms.length} VMs into ${k} services by ${method}${criterion ? ` (k by ${criterion})` : ''}`);
+    }
+
+    return { services, vms, topology, categorization };
+  }
+
+  /**
+   * Aggregate SBCSL results across all services
+   * @returns {Object} { CS, MS, SS, NS }
+   */
+  summarizeLoads(sbcslResults) {
+    let totalCS = 0, totalMS = 0, totalSS = 0, totalNS = 0;
+    const serviceResultValues = Object.values(sbcslResults);
+    for (let i = 0; i < serviceResultValues.length; i++) {
+      const serviceResult = serviceResultValues[i];
+      totalCS += serviceResult.CS || 0;
+      totalMS += serviceResult.MS || 0;
+      totalSS += serviceResult.SS || 0;
+      totalNS += serviceResult.NS || 0;
+    }
+    
+    return {
+      CS: totalCS,
+      MS: totalMS,
+      SS: totalSS,
+      NS: totalNS
+    };
+  }
+
+  /**
+   * CBLP weight constants from the run options
+   */
+  predictionWeights(options = {}) {
+    return {
+      CW: options.computeWeight || 0.4,
+      MW: options.memoryWeight || 0.3,
+      SW: options.storageWeight || 0.2,
+      NW: options.networkWeight || 0.1
+    };
+  }
+
   /**
    * Execute all Phase 2 algorithms for a dataset
+   * @param {Object} options.prediction - CBLP prediction model and horizon (see CBLP.resolveConfig;
+   *   default: the correlation blend, one step); its accuracy at every step is backtested on the
+   *   same date, and CCPLP predicts (and is backtested) over the same horizon and window
+   * @param {number} options.lookahead - Intervals ahead LB-PCC-CP acts on a predicted overload
+   *   (1 to the horizon, default 1)
    */
   async executePhase2Algorithms(date, options = {}) {
     try {
-      // Load dataset (use cached data if available)
-      let vmData;
-      if (this.dataProcessor.cache && this.dataProcessor.cache.has(date)) {
-        vmData = this.dataProcessor.cache.get(date);
-        console.log(`Phase 2: Using cached dataset ${date}: ${vmData.length} data points`);
-      } else {
-        vmData = await this.dataProcessor.loadDataset(date);
-        console.log(`Phase 2: Loaded dataset ${date}: ${vmData.length} data points`);
-      }
-      
-      // Limit data points if dataset is extremely large to avoid memory issues
-      const MAX_DATA_POINTS = 1000000; // 1 million data points max
-      if (vmData.length > MAX_DATA_POINTS) {
-        console.log(`  Warning: Dataset has ${vmData.length} data points, sampling to ${MAX_DATA_POINTS} for processing`);
-        // Sample every Nth data point
-        const step = Math.ceil(vmData.length / MAX_DATA_POINTS);
-        vmData = vmData.filter((_, idx) => idx % step === 0);
+      const prediction = CBLP.resolveConfig(options.prediction || {});
+      const lookahead = options.lookahead !== undefined ? Number(options.lookahead) : 1;
+      if (!Number.isInteger(lookahead) || lookahead < 1 || lookahead > prediction.horizon) {
+        throw new Error(`lookahead must be an integer from 1 to the prediction horizon (${prediction.horizon})`);
       }
-      
-      // Prepare VMs and Services
-      const { services, vms } = this.prepareVMsAndServices(vmData, date);
-      
-      // Validate that we have VMs and services
-      if (!vms || vms.length === 0) {
-        throw new Error(`No VMs prepared for date ${date}. Dataset may be empty or invalid.`);
-      }
-      if (!services || services.length === 0) {
-        throw new Error(`No services prepared for date ${date}.`);
-      }
-      
+
+      const { services, vms, topology, categorization } = await this.loadVMs(date, options);
+
       console.log(`Phase 2: Processing ${vms.length} VMs across ${services.length} services for date ${date}`);
       
       // Step 1: Execute SBCSL (Algorithm 8)
@@ -155,22 +286,8 @@ class Phase2Orchestrator {
       }
       
       // Aggregate SBCSL results across all services
-      let totalCS = 0, totalMS = 0, totalSS = 0, totalNS = 0;
-      const serviceResultValues = Object.values(sbcslResults);
-      for (let i = 0; i < serviceResultValues.length; i++) {
-        const serviceResult = serviceResultValues[i];
-        totalCS += serviceResult.CS || 0;
-        totalMS += serviceResult.MS || 0;
-        totalSS += serviceResult.SS || 0;
-        totalNS += serviceResult.NS || 0;
-      }
-      
-      const summarizedLoads = {
-        CS: totalCS,
-        MS: totalMS,
-        SS: totalSS,
-        NS: totalNS
-      };
+      const summarizedLoads = this.summarizeLoads(sbcslResults);
+      const { CS: totalCS, MS: totalMS, SS: totalSS, NS: totalNS } = summarizedLoads;
       
       console.log(`  SBCSL Complete: CS=${totalCS.toFixed(2)}, MS=${totalMS.toFixed(2)}, SS=${totalSS.toFixed(2)}, NS=${totalNS.toFixed(2)}`);
       
@@ -182,7 +299,8 @@ class Phase2Orchestrator {
         K2: options.decayRate || 0.05,
         T: options.simulationDuration || 100,
         K: options.events || [],
-        TR: options.predictionDepth || 1
+        TR: prediction.horizon,
+        window: prediction.window
       };
       
       const cclpResults = CCPLP.execute(vms, cclpParams);
@@ -200,16 +318,19 @@ class Phase2Orchestrator {
         console.warn(`  Warning: No sample pheromone data available for ${date}`);
       }
       
+      // Backtest the pheromone levels over the horizon against the utilization that followed
+      const pheromoneAccuracy = CCPLP.backtest(vms, cclpParams, prediction);
+      if (prediction.horizon > 1) {
+        console.log(`  CCPLP backtest MAE by step: ${pheromoneAccuracy.horizons.map(({ step, mae }) => `t+${step}=${mae.toFixed(4)}`).join(', ')}`);
+      }
+      
       // Step 3: Execute CBLP (Algorithm 10)
       console.log(`  Step 3: Executing CBLP on ${vms.length} VMs...`);
-      const cblpWeights = {
-        CW: options.computeWeight || 0.4,
-        MW: options.memoryWeight || 0.3,
-        SW: options.storageWeight || 0.2,
-        NW: options.networkWeight || 0.1
-      };
+      const cblpWeights = this.predictionWeights(options);
       
-      const cblpResults = CBLP.execute(vms, cblpWeights, summarizedLoads);
+      const seed = options.seed !== undefined ? options.seed : DEFAULT_SEED;
+      const random = createRandom(seed);
+      const cblpResults = CBLP.execute(vms, cblpWeights, summarizedLoads, random, prediction);
       
       // Validate CBLP results
       if (!cblpResults || Object.keys(cblpResults).length === 0) {
@@ -223,6 +344,14 @@ class Phase2Orchestrator {
       } else {
         console.warn(`  Warning: No sample load data available for ${date}`);
       }
+
+      // Backtest the model on the intervals that followed each forecast origin (own random
+      // stream, so the evaluation leaves the prediction itself unchanged)
+      const accuracy = CBLP.backtest(vms, cblpWeights, summarizedLoads, prediction, createRandom(seed));
+      console.log(`  CBLP ${prediction.model} backtest: MAE=${accuracy.mae.toFixed(2)}, RMSE=${accuracy.rmse.toFixed(2)}, MAPE=${accuracy.mape.toFixed(1)}% over ${accuracy.samples} forecasts`);
+      if (prediction.horizon > 1) {
+        console.log(`  MAE by step: ${accuracy.horizons.map(({ step, mae }) => `t+${step}=${mae.toFixed(2)}`).join(', ')}`);
+      }
       
       // Step 4: Execute LB-PCC-CP (Algorithm 11)
       console.log(`  Step 4: Executing LB-PCC-CP...`);
@@ -234,7 +363,8 @@ class Phase2Orchestrator {
       console.log(`  Current total load: ${totalCurrentLoad.toFixed(2)}, Total capacity: ${(totalCS + totalMS + totalSS + totalNS).toFixed(2)}`);
       
       const lbResults = LBPCCCP.execute(vms, summarizedLoads, cclpResults, cblpResults, {
-        currentLoad: totalCurrentLoad
+        currentLoad: totalCurrentLoad,
+        lookahead
       });
       
       // Validate LB-PCC-CP results
@@ -297,30 +427,42 @@ class Phase2Orchestrator {
         console.log(`  Using default pheromone level: 1.0`);
       }
       
-      return {
+      const result = {
         date: date,
         algorithms: {
           SBCSL: {
             summarizedLoads: summarizedLoads,
-            serviceCount: Object.keys(sbcslResults).length
-            // serviceResults: sbcslResults // Excluded to reduce response size
+            serviceCount: Object.keys(sbcslResults).length,
+            categorization: {
+              method: categorization.method,
+              k: categorization.k,
+              criterion: categorization.criterion,
+              scores: categorization.scores
+            },
+            // Summarized loads of every service (cluster)
+            services: Object.values(sbcslResults)
           },
           CCPLP: {
+            horizon: prediction.horizon,
             averagePheromoneLevel: avgPheromoneLevel,
-            vmCount: Object.keys(cclpResults).length
-            // pheromoneLevels: cclpResults // Excluded to reduce response size
+            vmCount: Object.keys(cclpResults).length,
+            accuracy: pheromoneAccuracy
+            // Per-VM pheromone levels are kept in details (see describeDecisions)
           },
           CBLP: {
+            model: prediction.model,
+            horizon: prediction.horizon,
             averagePredictedLoad: avgPredictedLoad,
-            vmCount: Object.keys(cblpResults).length
-            // predictedLoads: cblpResults // Excluded to reduce response size
+            vmCount: Object.keys(cblpResults).length,
+            accuracy
+            // Per-VM predicted loads are kept in details (see describeDecisions)
           },
           LBPCCCP: {
             threshold: lbResults.threshold,
+            lookahead: lbResults.lookahead,
             totalMigrations: lbResults.totalMigrations,
             summary: lbResults.summary
-            // migrationDecisions: lbResults.migrationDecisions, // Excluded to reduce response size
-            // optimalDestinations: lbResults.optimalDestinations // Excluded to reduce response size
+            // Migration decisions and destinations are kept in details (see describeDecisions)
           }
         },
         metrics: {
@@ -333,15 +475,65 @@ class Phase2Orchestrator {
           totalComputeLoad: totalCS || 0,
           totalMemoryLoad: totalMS || 0,
           totalStorageLoad: totalSS || 0,
-          totalNetworkLoad: totalNS || 0
+          totalNetworkLoad: totalNS || 0,
+          predictionMAE: accuracy.mae,
+          predictionRMSE: accuracy.rmse,
+          predictionMAPE: accuracy.mape
         }
       };
+
+      if (topology) {
+        result.topology = {
+          ...topology.summary(),
+          activeHosts: new Set(vms.map(vm => vm.hostId)).size
+        };
+      }
+
+      // Too large for the results file; precalculateResults.js stores it per date for the decisions API
+      result.details = { decisions: this.describeDecisions(vms, cclpResults, cblpResults, lbResults) };
+
+      return result;
     } catch (error) {
       console.error(`Error executing Phase 2 algorithms for ${date}:`, error);
       throw error;
     }
   }
 
+  /**
+   * One audit record per VM: the LB-PCC-CP decision with the CCPLP and CBLP predictions behind it
+   * @returns {Array<Object>} { vmId, serviceId, hostId, decision ('migrate' or 'stay'), currentLoad,
+   *   predictedLoad, lookaheadStep, threshold, destination ({ vmId, fitness, capacity, pheromoneLevel },
+   *   null when none was selected), pheromone ({ PHt, PHt1, forecast, CF }), prediction ({ model, Lt, Lt1, forecast }) }
+   */
+  describeDecisions(vms, cclpResults, cblpResults, lbResults) {
+    const decisionOf = new Map(lbResults.migrationDecisions.map(decision => [decision.sourceVM, decision]));
+
+    return vms.map((vm, i) => {
+      const vmId = vm.vmId || vm.id || `vm_${i}`;
+      const decision = decisionOf.get(vmId) || {};
+      const pheromone = cclpResults[vmId];
+      const prediction = cblpResults[vmId];
+      return {
+        vmId,
+        serviceId: vm.serviceId,
+        hostId: vm.hostId !== undefined ? vm.hostId : null,
+        decision: decision.needsMigration ? 'migrate' : 'stay',
+        currentLoad: vm.currentLoad || vm.load || vm.computeCapacity || 0,
+        predictedLoad: decision.predictedLoad !== undefined ? decision.predictedLoad : null,
+        // Overloaded VMs marked by the LB-PCC-CP fallback have no lookahead step
+        lookaheadStep: decision.lookaheadStep !== undefined ? decision.lookaheadStep : null,
+        threshold: decision.threshold !== undefined ? decision.threshold : null,
+        destination: decision.optimalDestination || null,
+        pheromone: pheromone
+          ? { PHt: pheromone.PHt, PHt1: pheromone.PHt1, forecast: pheromone.forecast, CF: pheromone.CF }
+          : null,
+        prediction: prediction
+          ? { model: prediction.model, Lt: prediction.Lt, Lt1: prediction.Lt1, forecast: prediction.forecast }
+          : null
+      };
+    });
+  }
+
   /**
    * Run Phase 2 algorithms on all dates (multi-threaded)
    */
@@ -356,7 +548,7 @@ class Phase2Orchestrator {
     
     const loadPromises = dates.map(async (date) => {
       try {
-        const vmData = await this.dataProcessor.loadDataset(date);
+        const vmData = await this.dataProcessor.loadDataset(date, options.trace);
         datasetCache.set(date, vmData);
         console.log(`✓ Loaded dataset ${date}: ${vmData.length} data points`);
         return { date, success: true };
@@ -434,7 +626,73 @@ class Phase2Orchestrator {
     
     return results;
   }
+
+  /**
+   * Backtest CBLP prediction models on the same VMs, date by date
+   * @param {Array<string>} dates - Datasets to evaluate
+   * @param {Object} options - Run options (trace, topology, seed, weights), plus:
+   * @param {Array<string>} options.models - Models to compare (default: CBLP.MODELS)
+   * @param {Object} options.prediction - Shared model parameters (window, origins, horizon, order, alpha, beta)
+   * @returns {Object} { prediction (resolved parameters), results: { date: { model: accuracy } | { error } },
+   *   models: { model: { mae, rmse, mape, samples, dates, horizons } } (accuracy and per-step error
+   *   curve averaged over the dates) }
+   */
+  async backtestPrediction(dates, options = {}) {
+    const models = options.models || CBLP.MODELS;
+    const configs = models.map(model => CBLP.resolveConfig({ ...options.prediction, model }));
+    const seed = options.seed !== undefined ? options.seed : DEFAULT_SEED;
+    const weights = this.predictionWeights(options);
+
+    const byDate = {};
+    for (const date of dates) {
+      try {
+        const { services, vms } = await this.loadVMs(date, options);
+        const summarizedLoads = this.summarizeLoads(SBCSL.execute(services, vms));
+        byDate[date] = {};
+        configs.forEach(config => {
+          byDate[date][config.model] = CBLP.backtest(vms, weights, summarizedLoads, config, createRandom(seed));
+          const { mae, rmse, mape } = byDate[date][config.model];
+          console.log(`  ${date} ${config.model}: MAE=${mae.toFixed(2)}, RMSE=${rmse.toFixed(2)}, MAPE=${mape.toFixed(1)}%`);
+        });
+      } catch (error) {
+        console.error(`Error backtesting Phase 2 prediction on ${date}:`, error.message);
+        byDate[date] = { error: error.message };
+      }
+    }
+
+    const summary = {};
+    models.forEach(model => {
+      const evaluated = Object.values(byDate).filter(result => result[model]).map(result => result[model]);
+      const average = (accuracies, metric) => (accuracies.length > 0
+        ? accuracies.reduce((sum, accuracy) => sum + accuracy[metric], 0) / accuracies.length
+        : 0);
+      const horizons = configs[0].horizon;
+      summary[model] = {
+        mae: average(evaluated, 'mae'),
+        rmse: average(evaluated, 'rmse'),
+        mape: average(evaluated, 'mape'),
+        samples: evaluated.reduce((sum, accuracy) => sum + accuracy.samples, 0),
+        dates: evaluated.length,
+        horizons: Array.from({ length: horizons }, (_, h) => {
+          const steps = evaluated.map(accuracy => accuracy.horizons[h]);
+          return {
+            step: h + 1,
+            mae: average(steps, 'mae'),
+            rmse: average(steps, 'rmse'),
+            mape: average(steps, 'mape'),
+            samples: steps.reduce((sum, step) => sum + step.samples, 0)
+          };
+        })
+      };
+    });
+
+    const { model, ...prediction } = configs[0];
+    return { prediction, results: byDate, models: summary };
+  }
 }
 
+// Data points processed per dataset unless options.maxDataPoints is set (1 million)
+Phase2Orchestrator.MAX_DATA_POINTS = 1000000;
+
 module.exports = Phase2Orchestrator;
 
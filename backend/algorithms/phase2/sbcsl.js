@@ -29,6 +29,7 @@ class SBCSL {
       let MS = 0; // Memory Load Total
       let SS = 0; // Storage Load Total
       let NS = 0; // Network Load Total
+      let vmCount = 0;
       
       // For each VM V[j]
       vms.forEach((vm) => {
@@ -45,6 +46,7 @@ class SBCSL {
           
           // Calculate the Network Load in Total
           NS += vm.networkCapacity || vm.N || 0;
+          vmCount++;
         }
       });
       
@@ -55,7 +57,8 @@ class SBCSL {
         CS: CS, // Total Compute Load
         MS: MS, // Total Memory Load
         SS: SS, // Total Storage Load
-        NS: NS  // Total Network Load
+        NS: NS, // Total Network Load
+        vmCount
       };
     });
     
@@ -0,0 +1,496 @@
+const { shuffle } = require('../../utils/random');
+
+/**
+ * Service categorization by clustering VM resource usage
+ * SBCSL summarizes loads per service; these methods decide which VMs form a service:
+ *   threshold - the legacy low/medium/high bands of the first CPU sample (prepareVMsAndServices)
+ *   kmeans    - k-means (k-means++ seeding) on the usage signature of every VM: mean and variance
+ *               of its compute, memory, storage and network series, each feature z-scored
+ *   dtw       - k-medoids on the dynamic time warping distance between the VMs' series
+ *               (all four resources, averaged into DTW_SEGMENTS segments, Sakoe-Chiba band)
+ * k is fixed or chosen automatically over 2..maxK by the silhouette (highest mean silhouette)
+ * or the elbow (knee of the within-cluster cost curve). Clusters are numbered by increasing mean
+ * CPU load, so "Cluster 1" is always the lightest.
+ */
+class ServiceClustering {
+  static variance(values, average) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length : 0;
+  }
+
+  /**
+   * Usage signature of a VM: mean and variance of every resource series
+   * @param {Object} vm - VM with series ({ compute, memory, storage, network })
+   */
+  static signature(vm) {
+    const features = [];
+    ServiceClustering.RESOURCES.forEach(resource => {
+      const values = vm.series[resource];
+      const average = values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+      features.push(average, ServiceClustering.variance(values, average));
+    });
+    return features;
+  }
+
+  /**
+   * Signatures z-scored with the feature means and deviations of the reference VMs
+   * @returns {Array<Array<number>>} One feature vector per VM
+   */
+  static signatures(vms, reference = vms) {
+    const raw = vms.map(vm => ServiceClustering.signature(vm));
+    const referenceRaw = reference === vms ? raw : reference.map(vm => ServiceClustering.signature(vm));
+
+    const dimensions = raw.length > 0 ? raw[0].length : 0;
+    for (let d = 0; d < dimensions; d++) {
+      const column = referenceRaw.map(features => features[d]);
+      const average = column.reduce((sum, value) => sum + value, 0) / column.length;
+      const deviation = Math.sqrt(ServiceClustering.variance(column, average));
+      raw.forEach(features => {
+        features[d] = deviation > 0 ? (features[d] - average) / deviation : 0;
+      });
+    }
+    return raw;
+  }
+
+  static squaredDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      sum += (a[i] - b[i]) ** 2;
+    }
+    return sum;
+  }
+
+  /**
+   * Series of every resource averaged into equal segments (piecewise aggregate approximation)
+   * @returns {Array<Array<number>>} One [compute, memory, storage, network] vector per segment
+   */
+  static segments(vm, count = ServiceClustering.DTW_SEGMENTS) {
+    const length = vm.series.compute.length;
+    const segments = Math.min(count, length);
+    return Array.from({ length: segments }, (_, s) => {
+      const start = Math.floor((s * length) / segments);
+      const end = Math.max(start + 1, Math.floor(((s + 1) * length) / segments));
+      return ServiceClustering.RESOURCES.map(resource => {
+        let sum = 0;
+        for (let t = start; t < end; t++) {
+          sum += vm.series[resource][t];
+        }
+        return sum / (end - start);
+      });
+    });
+  }
+
+  /**
+   * Dynamic time warping distance between two multivariate series
+   * @param {number} band - Sakoe-Chiba band: steps i and j are only matched when |i - j| <= band
+   */
+  static dtwDistance(a, b, band = ServiceClustering.DTW_BAND) {
+    const n = a.length;
+    const m = b.length;
+    const width = Math.max(band, Math.abs(n - m));
+    let previous = new Float64Array(m + 1).fill(Infinity);
+    let current = new Float64Array(m + 1).fill(Infinity);
+    previous[0] = 0;
+
+    for (let i = 1; i <= n; i++) {
+      current.fill(Infinity);
+      const from = Math.max(1, i - width);
+      const to = Math.min(m, i + width);
+      for (let j = from; j <= to; j++) {
+        const cost = Math.sqrt(ServiceClustering.squaredDistance(a[i - 1], b[j - 1]));
+        current[j] = cost + Math.min(previous[j], current[j - 1], previous[j - 1]);
+      }
+      [previous, current] = [current, previous];
+    }
+    return previous[m];
+  }
+
+  /**
+   * Symmetric distance matrix (flat, row-major)
+   */
+  static distanceMatrix(items, distance) {
+    const n = items.length;
+    const matrix = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const value = distance(items[i], items[j]);
+        matrix[i * n + j] = value;
+        matrix[j * n + i] = value;
+      }
+    }
+    return matrix;
+  }
+
+  /**
+   * k-means with k-means++ seeding
+   * @returns {Object} { assignments, centroids, cost (sum of squared distances to the centroids) }
+   */
+  static kMeans(points, k, random) {
+    const n = points.length;
+
+    // k-means++: every next centroid is drawn with probability proportional to D(x)^2
+    const centroids = [points[Math.floor(random() * n)].slice()];
+    const nearest = points.map(point => ServiceClustering.squaredDistance(point, centroids[0]));
+    while (centroids.length < k) {
+      const total = nearest.reduce((sum, value) => sum + value, 0);
+      let index = 0;
+      if (total > 0) {
+        let target = random() * total;
+        while (index < n - 1 && target >= nearest[index]) {
+          target -= nearest[index];
+          index++;
+        }
+      } else {
+        index = Math.floor(random() * n);
+      }
+      centroids.push(points[index].slice());
+      points.forEach((point, i) => {
+        nearest[i] = Math.min(nearest[i], ServiceClustering.squaredDistance(point, centroids[centroids.length - 1]));
+      });
+    }
+
+    const assignments = new Array(n).fill(-1);
+    for (let iteration = 0; iteration < ServiceClustering.MAX_ITERATIONS; iteration++) {
+      let changed = false;
+      points.forEach((point, i) => {
+        let best = 0;
+        let bestDistance = Infinity;
+        centroids.forEach((centroid, c) => {
+          const distance = ServiceClustering.squaredDistance(point, centroid);
+          if (distance < bestDistance) {
+            best = c;
+            bestDistance = distance;
+          }
+        });
+        if (assignments[i] !== best) {
+          assignments[i] = best;
+          changed = true;
+        }
+      });
+      if (!changed) {
+        break;
+      }
+
+      // Move every centroid to the mean of its members (an empty cluster keeps its centroid)
+      centroids.forEach((centroid, c) => {
+        const members = points.filter((_, i) => assignments[i] === c);
+        if (members.length > 0) {
+          for (let d = 0; d < centroid.length; d++) {
+            centroid[d] = members.reduce((sum, point) => sum + point[d], 0) / members.length;
+          }
+        }
+      });
+    }
+
+    const cost = points.reduce((sum, point, i) => sum + ServiceClustering.squaredDistance(point, centroids[assignments[i]]), 0);
+    return { assignments, centroids, cost };
+  }
+
+  /**
+   * k-medoids (alternating assignment and medoid update) on a distance matrix
+   * @returns {Object} { assignments, medoids (indices), cost (sum of distances to the medoids) }
+   */
+  static kMedoids(matrix, n, k, random) {
+    const distance = (i, j) => matrix[i * n + j];
+
+    // Seeding as in k-means++, on the matrix distances
+    const medoids = [Math.floor(random() * n)];
+    while (medoids.length < k) {
+      const weights = Array.from({ length: n }, (_, i) => Math.min(...medoids.map(medoid => distance(i, medoid))) ** 2);
+      const total = weights.reduce((sum, value) => sum + value, 0);
+      let index = 0;
+      if (total > 0) {
+        let target = random() * total;
+        while (index < n - 1 && target >= weights[index]) {
+          target -= weights[index];
+          index++;
+        }
+      } else {
+        index = Math.floor(random() * n);
+      }
+      medoids.push(index);
+    }
+
+    const assign = () => Array.from({ length: n }, (_, i) => {
+      let best = 0;
+      medoids.forEach((medoid, c) => {
+        if (distance(i, medoid) < distance(i, medoids[best])) {
+          best = c;
+        }
+      });
+      return best;
+    });
+
+    let assignments = assign();
+    for (let iteration = 0; iteration < ServiceClustering.MAX_ITERATIONS; iteration++) {
+      let changed = false;
+      medoids.forEach((medoid, c) => {
+        const members = [];
+        assignments.forEach((cluster, i) => {
+          if (cluster === c) {
+            members.push(i);
+          }
+        });
+        let best = medoid;
+        let bestCost = Infinity;
+        members.forEach(candidate => {
+          const cost = members.reduce((sum, member) => sum + distance(candidate, member), 0);
+          if (cost < bestCost) {
+            best = candidate;
+            bestCost = cost;
+          }
+        });
+        if (best !== medoid) {
+          medoids[c] = best;
+          changed = true;
+        }
+      });
+      if (!changed) {
+        break;
+      }
+      assignments = assign();
+    }
+
+    const cost = assignments.reduce((sum, cluster, i) => sum + distance(i, medoids[cluster]), 0);
+    return { assignments, medoids, cost };
+  }
+
+  /**
+   * Mean silhouette of a clustering
+   * @param {Function} distance - (i, j) => distance between items i and j
+   */
+  static silhouette(assignments, k, distance) {
+    const n = assignments.length;
+    const sizes = new Array(k).fill(0);
+    assignments.forEach(cluster => {
+      sizes[cluster]++;
+    });
+
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      if (sizes[assignments[i]] <= 1) {
+        continue; // Singletons score 0
+      }
+      const sums = new Array(k).fill(0);
+      for (let j = 0; j < n; j++) {
+        if (j !== i) {
+          sums[assignments[j]] += distance(i, j);
+        }
+      }
+      const a = sums[assignments[i]] / (sizes[assignments[i]] - 1);
+      let b = Infinity;
+      sums.forEach((sum, cluster) => {
+        if (cluster !== assignments[i] && sizes[cluster] > 0) {
+          b = Math.min(b, sum / sizes[cluster]);
+        }
+      });
+      if (Number.isFinite(b) && Math.max(a, b) > 0) {
+        total += (b - a) / Math.max(a, b);
+      }
+    }
+    return n > 0 ? total / n : 0;
+  }
+
+  /**
+   * Knee of a decreasing cost curve: the point farthest from the chord between its ends
+   * @param {Array<Object>} scores - { k, cost } by increasing k
+   */
+  static elbow(scores) {
+    if (scores.length <= 2) {
+      return scores[0].k;
+    }
+    const first = scores[0];
+    const last = scores[scores.length - 1];
+    const spanK = last.k - first.k;
+    const spanCost = first.cost - last.cost || 1;
+
+    let best = first.k;
+    let bestDistance = -Infinity;
+    scores.forEach(({ k, cost }) => {
+      // Both axes scaled to [0, 1]; the chord runs from (0, 1) to (1, 0)
+      const x = (k - first.k) / spanK;
+      const y = (cost - last.cost) / spanCost;
+      const distance = (1 - x - y) / Math.SQRT2;
+      if (distance > bestDistance) {
+        best = k;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Cluster VMs into services
+   * @param {Array} vms - Prepared VMs with series (see Phase2Orchestrator.prepareVMsAndServices)
+   * @param {Object} config - Resolved configuration (method kmeans or dtw, k, criterion, maxK)
+   * @param {Function} random - Random number generator for seeding and sampling
+   * @returns {Object} { services: [{ id, name, type, vmCount }], assignments (Map vmId -> service id),
+   *   method, k, criterion, scores ([{ k, silhouette, cost }] when k was chosen automatically),
+   *   sampled (VMs the clustering was fitted on) }
+   */
+  static categorize(vms, config, random = Math.random) {
+    // Larger fleets are clustered on a sample; the other VMs join the nearest cluster
+    const sample = vms.length > ServiceClustering.MAX_CLUSTERED_VMS
+      ? shuffle(vms, random).slice(0, ServiceClustering.MAX_CLUSTERED_VMS)
+      : vms;
+    const n = sample.length;
+
+    let items;
+    let distance;
+    if (config.method === 'dtw') {
+      items = sample.map(vm => ServiceClustering.segments(vm));
+      const matrix = ServiceClustering.distanceMatrix(items, (a, b) => ServiceClustering.dtwDistance(a, b));
+      distance = (i, j) => matrix[i * n + j];
+      distance.matrix = matrix;
+    } else {
+      items = ServiceClustering.signatures(sample);
+      distance = (i, j) => Math.sqrt(ServiceClustering.squaredDistance(items[i], items[j]));
+    }
+
+    const fit = (k) => {
+      if (config.method === 'dtw') {
+        const { assignments, medoids, cost } = ServiceClustering.kMedoids(distance.matrix, n, k, random);
+        return { assignments, centers: medoids.map(medoid => items[medoid]), cost };
+      }
+      const { assignments, centroids, cost } = ServiceClustering.kMeans(items, k, random);
+      return { assignments, centers: centroids, cost };
+    };
+
+    let k = Math.min(config.k === 'auto' ? 1 : config.k, n);
+    let clustering = null;
+    let scores = null;
+    if (config.k === 'auto' && n > 2) {
+      scores = [];
+      const fits = new Map();
+      for (let candidate = 2; candidate <= Math.min(config.maxK, n - 1); candidate++) {
+        const result = fit(candidate);
+        fits.set(candidate, result);
+        scores.push({
+          k: candidate,
+          silhouette: ServiceClustering.silhouette(result.assignments, candidate, distance),
+          cost: result.cost
+        });
+      }
+      k = config.criterion === 'elbow'
+        ? ServiceClustering.elbow(scores)
+        : scores.reduce((best, score) => (score.silhouette > best.silhouette ? score : best)).k;
+      clustering = fits.get(k);
+    } else {
+      k = Math.max(1, k);
+      clustering = fit(k);
+    }
+
+    // Cluster of every VM; VMs outside the sample go to the nearest center
+    const clusterOf = new Map();
+    sample.forEach((vm, i) => clusterOf.set(vm.vmId, clustering.assignments[i]));
+    if (sample !== vms) {
+      const rest = vms.filter(vm => !clusterOf.has(vm.vmId));
+      const restItems = config.method === 'dtw'
+        ? rest.map(vm => ServiceClustering.segments(vm))
+        : ServiceClustering.signatures(rest, sample);
+      const measure = config.method === 'dtw'
+        ? (a, b) => ServiceClustering.dtwDistance(a, b)
+        : ServiceClustering.squaredDistance;
+      rest.forEach((vm, r) => {
+        let best = 0;
+        clustering.centers.forEach((center, c) => {
+          if (measure(restItems[r], center) < measure(restItems[r], clustering.centers[best])) {
+            best = c;
+          }
+        });
+        clusterOf.set(vm.vmId, best);
+      });
+    }
+
+    // Number the clusters by increasing mean CPU load
+    const loads = Array.from({ length: k }, () => ({ sum: 0, count: 0 }));
+    vms.forEach(vm => {
+      const load = loads[clusterOf.get(vm.vmId)];
+      load.sum += vm.computeCapacity || 0;
+      load.count++;
+    });
+    const order = loads
+      .map((load, cluster) => ({ cluster, mean: load.count > 0 ? load.sum / load.count : Infinity }))
+      .filter(({ mean }) => mean !== Infinity)
+      .sort((a, b) => a.mean - b.mean);
+
+    const services = order.map(({ cluster }, rank) => ({
+      id: `service_cluster_${rank + 1}`,
+      name: `Cluster ${rank + 1}`,
+      type: 'cluster',
+      vmCount: loads[cluster].count,
+      cluster
+    }));
+    const serviceOf = new Map(services.map(service => [service.cluster, service.id]));
+    const assignments = new Map();
+    vms.forEach(vm => assignments.set(vm.vmId, serviceOf.get(clusterOf.get(vm.vmId))));
+
+    return {
+      services: services.map(({ cluster, ...service }) => service),
+      assignments,
+      method: config.method,
+      k: services.length,
+      criterion: config.k === 'auto' ? config.criterion : null,
+      scores,
+      sampled: n
+    };
+  }
+
+  /**
+   * Validate a categorization configuration and fill in the defaults
+   * @param {Object} config - { method, k (number or 'auto'), criterion, maxK }
+   * @returns {Object} The complete configuration
+   * @throws {Error} On unknown keys, an unknown method or criterion, or k out of range
+   */
+  static resolveConfig(config = {}) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('categorization config must be an object');
+    }
+
+    const defaults = ServiceClustering.DEFAULT_CONFIG;
+    const unknown = Object.keys(config).filter(key => !(key in defaults));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown categorization options: ${unknown.join(', ')} (use ${Object.keys(defaults).join(', ')})`);
+    }
+
+    const method = config.method !== undefined ? config.method : defaults.method;
+    if (!ServiceClustering.METHODS.includes(method)) {
+      throw new Error(`method must be one of ${ServiceClustering.METHODS.join(', ')}`);
+    }
+    const criterion = config.criterion !== undefined ? config.criterion : defaults.criterion;
+    if (!ServiceClustering.CRITERIA.includes(criterion)) {
+      throw new Error(`criterion must be one of ${ServiceClustering.CRITERIA.join(', ')}`);
+    }
+    const maxK = config.maxK !== undefined ? Number(config.maxK) : defaults.maxK;
+    if (!Number.isInteger(maxK) || maxK < 2 || maxK > ServiceClustering.MAX_K) {
+      throw new Error(`maxK must be an integer from 2 to ${ServiceClustering.MAX_K}`);
+    }
+    let k = config.k !== undefined ? config.k : defaults.k;
+    if (k !== 'auto') {
+      k = Number(k);
+      if (!Number.isInteger(k) || k < 1 || k > ServiceClustering.MAX_K) {
+        throw new Error(`k must be "auto" or an integer from 1 to ${ServiceClustering.MAX_K}`);
+      }
+    }
+
+    return { method, k, criterion, maxK };
+  }
+}
+
+ServiceClustering.METHODS = ['threshold', 'kmeans', 'dtw'];
+ServiceClustering.CRITERIA = ['silhouette', 'elbow'];
+ServiceClustering.RESOURCES = ['compute', 'memory', 'storage', 'network'];
+ServiceClustering.DEFAULT_CONFIG = {
+  method: 'threshold',
+  k: 'auto',
+  criterion: 'silhouette',
+  maxK: 8 // Largest k tried by the automatic choice
+};
+ServiceClustering.MAX_K = 20;
+// Segments a day of series is averaged into for DTW (one per hour of 5-minute samples)
+ServiceClustering.DTW_SEGMENTS = 24;
+ServiceClustering.DTW_BAND = 3;
+// Pairwise distances grow quadratically; larger fleets are clustered on a sample of this size
+ServiceClustering.MAX_CLUSTERED_VMS = 1500;
+ServiceClustering.MAX_ITERATIONS = 50;
+
+module.exports = ServiceClustering;
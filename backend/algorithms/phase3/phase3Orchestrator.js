@@ -4,6 +4,7 @@ const PLGBPD = require('./plgbPd');
 const SSOF = require('./ssof');
 const TVPLCVPSOLB = require('./tvplCvPsoLb');
 const DataProcessor = require('../dataProcessor');
+const Topology = require('../topology');
 const os = require('os');
 
 /**
@@ -22,8 +23,10 @@ class Phase3Orchestrator {
 
   /**
    * Prepare tasks, VMs, infrastructures, and locations from dataset
+   * @param {Map} vmAllocation - Optional VM-to-host allocation on the cluster topology;
+   *   infrastructures are then the topology hosts instead of groups of 10 VMs
    */
-  preparePhase3Data(vmData, date) {
+  preparePhase3Data(vmData, date, vmAllocation = null) {
     // Create logical tasks based on VM groups
     const tasks = [];
     const vms = [];
@@ -39,6 +42,10 @@ class Phase3Orchestrator {
       
       // Determine task type based on VM load
       const cpuUtil = vm.cpuUtilization || 0;
+      // Measured trace columns when available, CPU-based estimates otherwise
+      const memUtil = typeof vm.memoryUtilization === 'number' ? vm.memoryUtilization : cpuUtil * 0.8;
+      const netUtil = typeof vm.networkUtilization === 'number' ? vm.networkUtilization : cpuUtil * 0.3;
+      const diskUtil = typeof vm.diskUtilization === 'number' ? vm.diskUtilization : cpuUtil * 0.5;
       let taskType = 'low';
       if (cpuUtil > 70) taskType = 'high';
       else if (cpuUtil > 40) taskType = 'medium';
@@ -59,9 +66,9 @@ class Phase3Orchestrator {
       
       const task = taskMap.get(taskId);
       task.computeDemand += cpuUtil || 0;
-      task.memoryDemand += (vm.memoryUtilization || cpuUtil * 0.8) || 0;
-      task.storageDemand += (cpuUtil * 0.5) || 0;
-      task.networkDemand += (vm.networkUtilization || cpuUtil * 0.3) || 0;
+      task.memoryDemand += memUtil || 0;
+      task.storageDemand += diskUtil || 0;
+      task.networkDemand += netUtil || 0;
       
       // Create VM object
       const vmObj = {
@@ -69,9 +76,9 @@ class Phase3Orchestrator {
         id: vmId,
         taskId: taskId,
         computeCapacity: cpuUtil || 0,
-        memoryCapacity: vm.memoryUtilization || (cpuUtil * 0.8) || 0,
-        storageCapacity: cpuUtil * 0.5 || 0,
-        networkCapacity: vm.networkUtilization || (cpuUtil * 0.3) || 0,
+        memoryCapacity: memUtil || 0,
+        storageCapacity: diskUtil || 0,
+        networkCapacity: netUtil || 0,
         currentLoad: cpuUtil || 0,
         coordinateX: index % 10, // Simple coordinate mapping
         coordinateY: Math.floor(index / 10)
@@ -86,7 +93,9 @@ class Phase3Orchestrator {
     // Create infrastructures (logical grouping of VMs)
     const infraMap = new Map();
     vms.forEach((vm, idx) => {
-      const infraId = `infra_${Math.floor(idx / 10)}`; // Group 10 VMs per infrastructure
+      const infraId = vmAllocation && vmAllocation.has(vm.vmId)
+        ? `infra_${vmAllocation.get(vm.vmId).host.hostId}`
+        : `infra_${Math.floor(idx / 10)}`; // Group 10 VMs per infrastructure
       
       if (!infraMap.has(infraId)) {
         infraMap.set(infraId, {
@@ -135,13 +144,20 @@ class Phase3Orchestrator {
     try {
       // Load dataset
       let vmData;
-      if (this.dataProcessor.cache && this.dataProcessor.cache.has(date)) {
+      if (!options.trace && this.dataProcessor.cache && this.dataProcessor.cache.has(date)) {
         vmData = this.dataProcessor.cache.get(date);
         console.log(`Phase 3: Using cached dataset ${date}: ${vmData.length} data points`);
       } else {
-        vmData = await this.dataProcessor.loadDataset(date);
+        vmData = await this.dataProcessor.loadDataset(date, options.trace);
         console.log(`Phase 3: Loaded dataset ${date}: ${vmData.length} data points`);
       }
+
+      // Allocate VMs on the full dataset so the mapping matches the other phases
+      const topology = Topology.load(options.topology);
+      const vmAllocation = this.dataProcessor.getVMAllocation(vmData, topology, {
+        strategy: options.allocationStrategy,
+        seed: options.allocationSeed
+      });
       
       // Limit data points if dataset is extremely large
       const MAX_DATA_POINTS = 1000000;
@@ -152,7 +168,7 @@ class Phase3Orchestrator {
       }
       
       // Prepare Phase 3 data structures
-      const { tasks, vms, infrastructures, locations } = this.preparePhase3Data(vmData, date);
+      const { tasks, vms, infrastructures, locations } = this.preparePhase3Data(vmData, date, vmAllocation);
       
       console.log(`Phase 3: Processing ${vms.length} VMs across ${tasks.length} tasks for date ${date}`);
       
@@ -225,7 +241,7 @@ class Phase3Orchestrator {
       const balancedVMs = tvplResults.vmInfrastructureMap.filter(m => m.balanced).length;
       const balancedPercentage = loadedVMCount > 0 ? (balancedVMs / loadedVMCount) * 100 : 0;
       
-      return {
+      const result = {
         date: date,
         algorithms: {
           LGTLCI: {
@@ -265,6 +281,15 @@ class Phase3Orchestrator {
           globalThreshold: lgtLciResults.globalThreshold
         }
       };
+
+      if (topology) {
+        result.topology = {
+          ...topology.summary(),
+          activeHosts: infrastructures.length
+        };
+      }
+
+      return result;
     } catch (error) {
       console.error(`Error executing Phase 3 algorithms for ${date}:`, error);
       throw error;
@@ -285,7 +310,7 @@ class Phase3Orchestrator {
     
     const loadPromises = dates.map(async (date) => {
       try {
-        const vmData = await this.dataProcessor.loadDataset(date);
+        const vmData = await this.dataProcessor.loadDataset(date, options.trace);
         datasetCache.set(date, vmData);
         console.log(`✓ Loaded dataset ${date}: ${vmData.length} data points`);
         return { date, success: true };
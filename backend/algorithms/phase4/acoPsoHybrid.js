@@ -8,6 +8,8 @@
  * - Load Condition and Migration
  */
 
+const { createRandom, DEFAULT_SEED } = require('../../utils/random');
+
 class ACOPSOHybrid {
   /**
    * Execute ACO-PSO Hybrid algorithm
@@ -22,6 +24,7 @@ class ACOPSOHybrid {
    * @param {number} options.pheromoneDeposit - Pheromone deposit amount (default: 1.0)
    * @param {Array} options.tasks - List of tasks to assign
    * @param {Array} options.dataCenters - List of data centers
+   * @param {number|string} options.seed - Seed of the particle initialization and PSO moves (default: DEFAULT_SEED)
    * @returns {Object} Load condition and migration decisions
    */
   static execute(dataCenterTraces, options = {}) {
@@ -34,8 +37,10 @@ class ACOPSOHybrid {
       evaporationRate = 0.1,
       pheromoneDeposit = 1.0,
       tasks = [],
-      dataCenters = []
+      dataCenters = [],
+      seed = DEFAULT_SEED
     } = options;
+    const random = createRandom(seed);
     
     // Validate inputs
     if (!tasks || tasks.length === 0) {
@@ -46,7 +51,7 @@ class ACOPSOHybrid {
     }
 
     // Initialize particles
-    const particles = this.initializeParticles(numParticles, tasks, dataCenters);
+    const particles = this.initializeParticles(numParticles, tasks, dataCenters, random);
     
     if (!particles || particles.length === 0) {
       throw new Error('ACO-PSO Hybrid: Failed to initialize particles');
@@ -114,7 +119,8 @@ class ACOPSOHybrid {
           socialWeight,
           iteration,
           maxIterations,
-          dataCenters.length
+          dataCenters.length,
+          random
         );
         
         // Step 2d: Update particle's position
@@ -171,19 +177,20 @@ class ACOPSOHybrid {
 
   /**
    * Initialize particles with random positions
+   * @param {Function} random - Random number generator (see utils/random.js)
    */
-  static initializeParticles(numParticles, tasks, dataCenters) {
+  static initializeParticles(numParticles, tasks, dataCenters, random = Math.random) {
     const particles = [];
     
     for (let i = 0; i < numParticles; i++) {
       // Position: array mapping task index to data center index
       const position = tasks.map(() => 
-        Math.floor(Math.random() * dataCenters.length)
+        Math.floor(random() * dataCenters.length)
       );
       
       // Velocity: array of velocities for each task
       const velocity = tasks.map(() => 
-        (Math.random() - 0.5) * 2 // Random velocity between -1 and 1
+        (random() - 0.5) * 2 // Random velocity between -1 and 1
       );
       
       particles.push({
@@ -308,10 +315,11 @@ class ACOPSOHybrid {
 
   /**
    * Update particle velocity
+   * @param {Function} random - Random number generator for the PSO coefficients
    */
   static updateVelocity(particle, globalBestPosition, pheromoneMatrix, 
                         inertiaWeight, cognitiveWeight, socialWeight, 
-                        iteration, maxIterations, numDataCenters = 5) {
+                        iteration, maxIterations, numDataCenters = 5, random = Math.random) {
     if (!globalBestPosition) {
       return particle.velocity;
     }
@@ -326,8 +334,8 @@ class ACOPSOHybrid {
       
       // PSO components
       const inertia = adaptiveInertia * currentVel;
-      const cognitive = cognitiveWeight * Math.random() * (personalBestDC - currentDC);
-      const social = socialWeight * Math.random() * (globalBestDC - currentDC);
+      const cognitive = cognitiveWeight * random() * (personalBestDC - currentDC);
+      const social = socialWeight * random() * (globalBestDC - currentDC);
       
       // ACO component: pheromone influence
       const pheromoneInfluence = this.getPheromoneInfluence(
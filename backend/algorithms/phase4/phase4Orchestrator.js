@@ -1,5 +1,7 @@
 const ACOPSOHybrid = require('./acoPsoHybrid');
 const DataProcessor = require('../dataProcessor');
+const Topology = require('../topology');
+const { DEFAULT_SEED } = require('../../utils/random');
 const os = require('os');
 
 /**
@@ -14,8 +16,11 @@ class Phase4Orchestrator {
 
   /**
    * Prepare tasks and data centers from dataset
+   * @param {Topology} topology - Optional cluster topology; data centers are then built from its
+   *   hosts and task demands are expressed in MIPS / MB of the allocated VM types
+   * @param {Map} vmAllocation - VM-to-host allocation on the topology
    */
-  preparePhase4Data(vmData, date) {
+  preparePhase4Data(vmData, date, topology = null, vmAllocation = null) {
     // Limit the number of data points to process (sample if too large)
     const MAX_DATA_POINTS = 50000; // Reasonable limit for algorithm execution
     let processedData = vmData;
@@ -39,7 +44,9 @@ class Phase4Orchestrator {
       }
       const vm = vmMap.get(vmId);
       vm.cpuUtilizations.push(dataPoint.cpuUtilization || 0);
-      vm.memoryUtilizations.push(dataPoint.memoryUtilization || (dataPoint.cpuUtilization || 0) * 0.8);
+      vm.memoryUtilizations.push(typeof dataPoint.memoryUtilization === 'number'
+        ? dataPoint.memoryUtilization
+        : (dataPoint.cpuUtilization || 0) * 0.8);
     });
     
     // Create tasks from unique VMs (grouped by load characteristics)
@@ -57,15 +64,24 @@ class Phase4Orchestrator {
       let totalCompute = 0;
       let totalMemory = 0;
       
+      let totalCpuUtil = 0;
+      
       vmGroup.forEach(vm => {
         const avgCpu = vm.cpuUtilizations.reduce((a, b) => a + b, 0) / vm.cpuUtilizations.length;
         const avgMemory = vm.memoryUtilizations.reduce((a, b) => a + b, 0) / vm.memoryUtilizations.length;
-        totalCompute += avgCpu;
-        totalMemory += avgMemory;
+        totalCpuUtil += avgCpu;
+        if (vmAllocation && vmAllocation.has(vm.vmId)) {
+          const { vmType } = vmAllocation.get(vm.vmId);
+          totalCompute += (avgCpu / 100) * vmType.mips * vmType.cores;
+          totalMemory += (avgMemory / 100) * vmType.ram;
+        } else {
+          totalCompute += avgCpu;
+          totalMemory += avgMemory;
+        }
       });
       
       // Determine task type
-      const avgCpuUtil = totalCompute / vmGroup.length;
+      const avgCpuUtil = totalCpuUtil / vmGroup.length;
       let taskType = 'low';
       if (avgCpuUtil > 70) taskType = 'high';
       else if (avgCpuUtil > 40) taskType = 'medium';
@@ -82,6 +98,12 @@ class Phase4Orchestrator {
       taskIndex++;
     }
     
+    if (topology) {
+      const dataCenters = this.buildTopologyDataCenters(topology);
+      console.log(`  Prepared: ${tasks.length} tasks, ${dataCenters.length} data centers from topology ${topology.name} (from ${processedData.length} data points, ${vmMap.size} unique VMs)`);
+      return { tasks, dataCenters };
+    }
+    
     // Create data centers (reasonable number)
     const dataCenters = [];
     const numDataCenters = Math.min(10, Math.max(3, Math.ceil(tasks.length / 50)));
@@ -115,6 +137,37 @@ class Phase4Orchestrator {
     return { tasks, dataCenters };
   }
 
+  /**
+   * Build data centers from the topology hosts (grouped by their data center, default: host type)
+   */
+  buildTopologyDataCenters(topology) {
+    const dataCenterMap = new Map();
+    
+    topology.hosts.forEach(host => {
+      if (!dataCenterMap.has(host.datacenter)) {
+        dataCenterMap.set(host.datacenter, {
+          id: `datacenter_${dataCenterMap.size}`,
+          name: host.datacenter,
+          computeCapacity: 0,
+          memoryCapacity: 0,
+          storageCapacity: 0,
+          networkBandwidth: 0,
+          hostCount: 0,
+          location: host.datacenter
+        });
+      }
+      
+      const dataCenter = dataCenterMap.get(host.datacenter);
+      dataCenter.computeCapacity += host.totalMips;
+      dataCenter.memoryCapacity += host.ram;
+      dataCenter.storageCapacity += host.storage;
+      dataCenter.networkBandwidth += host.bandwidth;
+      dataCenter.hostCount++;
+    });
+    
+    return Array.from(dataCenterMap.values());
+  }
+
   /**
    * Execute Phase 4 algorithm for a dataset
    */
@@ -122,13 +175,20 @@ class Phase4Orchestrator {
     try {
       // Load dataset
       let vmData;
-      if (this.dataProcessor.cache && this.dataProcessor.cache.has(date)) {
+      if (!options.trace && this.dataProcessor.cache && this.dataProcessor.cache.has(date)) {
         vmData = this.dataProcessor.cache.get(date);
         console.log(`Phase 4: Using cached dataset ${date}: ${vmData.length} data points`);
       } else {
-        vmData = await this.dataProcessor.loadDataset(date);
+        vmData = await this.dataProcessor.loadDataset(date, options.trace);
         console.log(`Phase 4: Loaded dataset ${date}: ${vmData.length} data points`);
       }
+
+      // Allocate VMs on the full dataset so the mapping matches the other phases
+      const topology = Topology.load(options.topology);
+      const vmAllocation = this.dataProcessor.getVMAllocation(vmData, topology, {
+        strategy: options.allocationStrategy,
+        seed: options.allocationSeed
+      });
       
       // Limit data points if dataset is extremely large
       const MAX_DATA_POINTS = 1000000;
@@ -139,7 +199,7 @@ class Phase4Orchestrator {
       }
       
       // Prepare Phase 4 data structures
-      const { tasks, dataCenters } = this.preparePhase4Data(vmData, date);
+      const { tasks, dataCenters } = this.preparePhase4Data(vmData, date, topology, vmAllocation);
       
       console.log(`Phase 4: Processing ${tasks.length} tasks across ${dataCenters.length} data centers for date ${date}`);
       
@@ -154,6 +214,7 @@ class Phase4Orchestrator {
         socialWeight: options.socialWeight || 1.5,
         evaporationRate: options.evaporationRate || 0.1,
         pheromoneDeposit: options.pheromoneDeposit || 1.0,
+        seed: options.seed !== undefined ? options.seed : DEFAULT_SEED,
         tasks: tasks,
         dataCenters: dataCenters,
         dataCenterTraces: vmData // Pass VM data as traces
@@ -229,7 +290,7 @@ class Phase4Orchestrator {
       
       const balancedPercentage = totalDataCenters > 0 ? (balancedDCs / totalDataCenters) * 100 : 0;
       
-      return {
+      const result = {
         date: date,
         algorithms: {
           ACOPSOHybrid: {
@@ -255,6 +316,15 @@ class Phase4Orchestrator {
           globalBestFitness: results.globalBestFitness
         }
       };
+
+      if (topology) {
+        result.topology = {
+          ...topology.summary(),
+          activeHosts: new Set(Array.from(vmAllocation.values()).map(({ host }) => host.hostId)).size
+        };
+      }
+
+      return result;
     } catch (error) {
       console.error(`Error executing Phase 4 algorithms for ${date}:`, error);
       throw error;
@@ -275,7 +345,7 @@ class Phase4Orchestrator {
     
     const loadPromises = dates.map(async (date) => {
       try {
-        const vmData = await this.dataProcessor.loadDataset(date);
+        const vmData = await this.dataProcessor.loadDataset(date, options.trace);
         datasetCache.set(date, vmData);
         console.log(`✓ Loaded dataset ${date}: ${vmData.length} data points`);
         return { date, success: true };
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+const { createRandom } = require('../utils/random');
+const DVFS = require('./phase1/dvfs');
+const VectorPlacement = require('./vectorPlacement');
+
+/**
+ * Cluster Topology
+ * Declarative description of the physical hosts (types with MIPS, cores, RAM, bandwidth, counts)
+ * and VM types, plus the initial VM-to-host allocation. Shared by all four phases so that
+ * they run on the same cluster.
+ *
+ * Config format (see backend/config/cluster.json):
+ * {
+ *   "hostTypes": [{ "type", "count", "mips", "cores", "ram", "bandwidth", "storage", "powerModel", "datacenter",
+ *                   "pStates": [{ "frequency", "voltage" }] }],
+ *   "vmTypes": [{ "type", "mips", "cores", "ram", "bandwidth", "storage" }],
+ *   "allocation": { "strategy": "round-robin" | "random" | "first-fit" | "dot-product" | "l2-norm" | "ffd-dominant", "seed" }
+ * }
+ */
+class Topology {
+  constructor(config) {
+    if (!config || !Array.isArray(config.hostTypes) || config.hostTypes.length === 0) {
+      throw new Error('Topology requires at least one host type');
+    }
+    if (!Array.isArray(config.vmTypes) || config.vmTypes.length === 0) {
+      throw new Error('Topology requires at least one VM type');
+    }
+
+    this.config = config;
+    this.name = config.name || 'custom';
+    this.hostTypes = config.hostTypes.map(hostType => Topology.normalizeType(hostType, 'host'));
+    this.vmTypes = config.vmTypes.map(vmType => Topology.normalizeType(vmType, 'VM'));
+    this.allocation = {
+      strategy: (config.allocation && config.allocation.strategy) || 'round-robin',
+      seed: config.allocation && config.allocation.seed !== undefined ? config.allocation.seed : 42
+    };
+
+    if (!Topology.ALLOCATION_STRATEGIES.includes(this.allocation.strategy)) {
+      throw new Error(`Unknown allocation strategy: ${this.allocation.strategy}`);
+    }
+
+    this.hosts = this.expandHosts();
+  }
+
+  /**
+   * Validate a host or VM type and fill in defaults
+   */
+  static normalizeType(spec, kind) {
+    const normalized = {
+      type: spec.type,
+      count: spec.count !== undefined ? Number(spec.count) : 1,
+      mips: Number(spec.mips),
+      cores: spec.cores !== undefined ? Number(spec.cores) : 1,
+      ram: Number(spec.ram),
+      bandwidth: spec.bandwidth !== undefined ? Number(spec.bandwidth) : 1000,
+      storage: spec.storage !== undefined ? Number(spec.storage) : 0,
+      powerModel: spec.powerModel || null,
+      datacenter: spec.datacenter || null,
+      // DVFS P-states of the host type (default: those of the run's DVFS configuration)
+      pStates: spec.pStates !== undefined ? spec.pStates : null
+    };
+
+    if (!normalized.type) {
+      throw new Error(`Every ${kind} type needs a "type" name`);
+    }
+    ['count', 'mips', 'cores', 'ram'].forEach(field => {
+      if (!Number.isFinite(normalized[field]) || normalized[field] <= 0) {
+        throw new Error(`${kind} type ${normalized.type}: "${field}" must be a positive number`);
+      }
+    });
+    if (normalized.pStates !== null) {
+      try {
+        normalized.pStates = DVFS.resolvePStates(normalized.pStates);
+      } catch (error) {
+        throw new Error(`${kind} type ${normalized.type}: ${error.message}`);
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Load a topology
+   * @param {string|Object|Topology} source - Config name in backend/config (e.g. 'cluster'),
+   *   path to a JSON file, a config object or an existing Topology
+   * @returns {Topology|null} null when no source is given (legacy filename grouping)
+   */
+  static load(source) {
+    if (!source) {
+      return null;
+    }
+    if (source instanceof Topology) {
+      return source;
+    }
+    if (typeof source === 'object') {
+      return new Topology(source);
+    }
+
+    const isPath = source.includes('/') || source.includes('\\') || source.endsWith('.json');
+    const filePath = isPath
+      ? path.resolve(source)
+      : path.join(Topology.CONFIG_DIR, `${source === 'default' ? 'cluster' : source}.json`);
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Topology file not found: ${filePath}`);
+    }
+    return new Topology(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  /**
+   * Create one host per count of every host type
+   */
+  expandHosts() {
+    const hosts = [];
+    this.hostTypes.forEach(hostType => {
+      for (let i = 0; i < hostType.count; i++) {
+        hosts.push({
+          hostId: `host_${hosts.length}`,
+          type: hostType.type,
+          mips: hostType.mips,
+          cores: hostType.cores,
+          totalMips: hostType.mips * hostType.cores,
+          ram: hostType.ram,
+          bandwidth: hostType.bandwidth,
+          storage: hostType.storage,
+          powerModel: hostType.powerModel,
+          pStates: hostType.pStates,
+          // Hosts without an explicit data center are grouped by host type
+          datacenter: hostType.datacenter || hostType.type
+        });
+      }
+    });
+    return hosts;
+  }
+
+  /**
+   * VM type of the n-th VM (VM types are assigned in rotation, as in CloudSim)
+   */
+  getVMType(index) {
+    return this.vmTypes[index % this.vmTypes.length];
+  }
+
+  /**
+   * Resource vector of a host or VM type for multi-resource placement (see VectorPlacement)
+   */
+  static resourceVector(spec) {
+    return {
+      cpu: spec.totalMips !== undefined ? spec.totalMips : spec.mips * spec.cores,
+      ram: spec.ram,
+      disk: spec.storage,
+      bandwidth: spec.bandwidth
+    };
+  }
+
+  /**
+   * Most VMs of the VM type mix the cluster could hold with no capacity fragmented: the total host
+   * capacity over the mean VM type demand, in the scarcest dimension (an upper bound for every strategy)
+   */
+  maxVMs() {
+    const totals = VectorPlacement.toVector();
+    this.hosts.forEach(host => {
+      const capacity = VectorPlacement.toVector(Topology.resourceVector(host));
+      VectorPlacement.DIMENSIONS.forEach(dimension => {
+        totals[dimension] += capacity[dimension];
+      });
+    });
+    const demands = this.vmTypes.map(vmType => VectorPlacement.toVector(Topology.resourceVector(vmType)));
+
+    return VectorPlacement.DIMENSIONS.reduce((max, dimension) => {
+      const meanDemand = demands.reduce((sum, demand) => sum + demand[dimension], 0) / demands.length;
+      return meanDemand > 0 ? Math.min(max, Math.floor(totals[dimension] / meanDemand)) : max;
+    }, Infinity);
+  }
+
+  /**
+   * Allocate VMs to hosts with the configured strategy
+   * round-robin, random and first-fit respect host MIPS and RAM capacity; the vector strategies
+   * (dot-product, l2-norm, ffd-dominant) pack CPU, RAM, disk and bandwidth as separate dimensions
+   * @param {Array<string>} vmIds - VM identifiers (allocation order)
+   * @param {Object} options - { strategy, seed } overriding the config
+   * @returns {Map} vmId -> { host, vmType }
+   */
+  allocate(vmIds, options = {}) {
+    const strategy = options.strategy || this.allocation.strategy;
+    const seed = options.seed !== undefined ? options.seed : this.allocation.seed;
+    if (!Topology.ALLOCATION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown allocation strategy: ${strategy}`);
+    }
+    if (VectorPlacement.ALGORITHMS.includes(strategy)) {
+      return this.allocateVectors(vmIds, strategy);
+    }
+
+    const freeMips = new Map(this.hosts.map(host => [host.hostId, host.totalMips]));
+    const freeRam = new Map(this.hosts.map(host => [host.hostId, host.ram]));
+    const fits = (host, vmType) =>
+      freeMips.get(host.hostId) >= vmType.mips * vmType.cores && freeRam.get(host.hostId) >= vmType.ram;
+
+    let vms = vmIds.map((vmId, index) => ({ vmId, vmType: this.getVMType(index) }));
+    if (strategy === 'first-fit') {
+      // First fit decreasing: largest VMs first
+      vms = vms.sort((a, b) =>
+        (b.vmType.mips * b.vmType.cores) - (a.vmType.mips * a.vmType.cores) || b.vmType.ram - a.vmType.ram
+      );
+    }
+
+    const random = createRandom(seed);
+    const allocation = new Map();
+    let nextHost = 0;
+
+    vms.forEach(({ vmId, vmType }) => {
+      let host = null;
+
+      if (strategy === 'round-robin') {
+        for (let tried = 0; tried < this.hosts.length && !host; tried++) {
+          const candidate = this.hosts[(nextHost + tried) % this.hosts.length];
+          if (fits(candidate, vmType)) {
+            host = candidate;
+            nextHost = (nextHost + tried + 1) % this.hosts.length;
+          }
+        }
+      } else if (strategy === 'random') {
+        const candidates = this.hosts.filter(candidate => fits(candidate, vmType));
+        host = candidates.length > 0 ? candidates[Math.floor(random() * candidates.length)] : null;
+      } else {
+        host = this.hosts.find(candidate => fits(candidate, vmType)) || null;
+      }
+
+      if (!host) {
+        throw new Error(`Topology ${this.name} has no host with room for VM ${vmId} (${vmType.type})`);
+      }
+
+      freeMips.set(host.hostId, freeMips.get(host.hostId) - vmType.mips * vmType.cores);
+      freeRam.set(host.hostId, freeRam.get(host.hostId) - vmType.ram);
+      allocation.set(vmId, { host, vmType });
+    });
+
+    return allocation;
+  }
+
+  /**
+   * Multi-resource allocation with a VectorPlacement heuristic
+   * @returns {Map} vmId -> { host, vmType }, in the order of vmIds
+   */
+  allocateVectors(vmIds, strategy) {
+    const vms = vmIds.map((vmId, index) => {
+      const vmType = this.getVMType(index);
+      return { vmId, vmType, demand: Topology.resourceVector(vmType) };
+    });
+    const hosts = this.hosts.map(host => ({ hostId: host.hostId, host, capacity: Topology.resourceVector(host) }));
+
+    const placed = new Map(VectorPlacement.place(strategy, vms, hosts).map(({ vm, host }) => [vm.vmId, host.host]));
+    const allocation = new Map();
+    vms.forEach(({ vmId, vmType }) => {
+      if (!placed.has(vmId)) {
+        throw new Error(`Topology ${this.name} has no host with room for VM ${vmId} (${vmType.type})`);
+      }
+      allocation.set(vmId, { host: placed.get(vmId), vmType });
+    });
+    return allocation;
+  }
+
+  /**
+   * Per-dimension fragmentation and stranded capacity of an allocation (see VectorPlacement.report)
+   * @param {Map} allocation - vmId -> { host, vmType }, as returned by allocate
+   */
+  placementReport(allocation) {
+    const allocations = Array.from(allocation.values()).map(({ host, vmType }) => ({
+      vm: { demand: Topology.resourceVector(vmType) },
+      host
+    }));
+    const hosts = this.hosts.map(host => ({ hostId: host.hostId, capacity: Topology.resourceVector(host) }));
+    return VectorPlacement.report(hosts, allocations);
+  }
+
+  /**
+   * Allocate the VMs of a trace to hosts
+   * VM IDs are sorted so the allocation does not depend on file listing order,
+   * which gives every phase the same VM-to-host mapping for the same dataset
+   * @param {Array} vmData - Dataset data points
+   * @param {Object} options - { strategy, seed }
+   * @returns {Map} vmId -> { host, vmType }
+   */
+  allocateTrace(vmData, options = {}) {
+    const vmIds = Array.from(new Set(vmData.map(point => point.vmId))).sort();
+    return this.allocate(vmIds, options);
+  }
+
+  /**
+   * Group trace data points into hosts according to the allocation
+   * @param {Array} vmData - Dataset data points ({ vmId, timestamp, cpuUtilization, ... })
+   * @param {Object} options - { strategy, seed, includeIdle }
+   * @returns {Array} Nodes { nodeId, host, vms (data points), vmMips (Map vmId -> MIPS), vmTypes (Map vmId -> type) }
+   */
+  buildNodes(vmData, options = {}) {
+    const pointsByVM = new Map();
+    vmData.forEach(point => {
+      if (!pointsByVM.has(point.vmId)) {
+        pointsByVM.set(point.vmId, []);
+      }
+      pointsByVM.get(point.vmId).push(point);
+    });
+
+    const allocation = this.allocateTrace(vmData, options);
+
+    const nodes = new Map();
+    this.hosts.forEach(host => {
+      nodes.set(host.hostId, {
+        nodeId: host.hostId,
+        host: host,
+        vms: [],
+        vmMips: new Map(),
+        vmTypes: new Map()
+      });
+    });
+
+    allocation.forEach(({ host, vmType }, vmId) => {
+      const node = nodes.get(host.hostId);
+      node.vms.push(...pointsByVM.get(vmId));
+      node.vmMips.set(vmId, vmType.mips * vmType.cores);
+      node.vmTypes.set(vmId, vmType);
+    });
+
+    return Array.from(nodes.values())
+      .filter(node => options.includeIdle || node.vms.length > 0)
+      .map(node => {
+        node.vms.sort((a, b) => a.timestamp - b.timestamp);
+        return node;
+      });
+  }
+
+  /**
+   * Short description for API responses and result files
+   */
+  summary() {
+    return {
+      name: this.name,
+      hosts: this.hosts.length,
+      hostTypes: this.hostTypes.map(hostType => ({ type: hostType.type, count: hostType.count })),
+      vmTypes: this.vmTypes.map(vmType => vmType.type),
+      allocation: this.allocation
+    };
+  }
+}
+
+Topology.CONFIG_DIR = path.join(__dirname, '..', 'config');
+Topology.ALLOCATION_STRATEGIES = ['round-robin', 'random', 'first-fit', ...VectorPlacement.ALGORITHMS];
+
+module.exports = Topology;
@@ -0,0 +1,277 @@
+/**
+ * Multi-resource (vector) bin packing
+ * VMs and hosts are vectors over CPU (MIPS), RAM (MB), disk (MB) and bandwidth (Mbit/s); a VM fits a
+ * host only if it fits in every dimension. Hosts that already run VMs are filled first and an empty
+ * host is opened only when none of them fits. Dimensions are compared after normalizing by the
+ * largest host capacity in that dimension, so MIPS and megabytes weigh the same.
+ *   dot-product  - VMs by decreasing size; the host whose free capacity is best aligned with the
+ *                  VM's demand (largest dot product, Panigrahy et al.)
+ *   l2-norm      - VMs by decreasing size; the host left with the smallest free-capacity vector
+ *                  (L2 norm) after the allocation, i.e. a vector best fit
+ *   ffd-dominant - VMs by decreasing dominant share (their largest normalized dimension); first host that fits
+ */
+class VectorPlacement {
+  /**
+   * Demand or capacity vector with every dimension filled in (missing dimensions are 0)
+   * @param {Object} resources - { cpu, ram, disk, bandwidth }
+   */
+  static toVector(resources = {}) {
+    const vector = {};
+    VectorPlacement.DIMENSIONS.forEach(dimension => {
+      const value = Number(resources[dimension] || 0);
+      vector[dimension] = Number.isFinite(value) && value > 0 ? value : 0;
+    });
+    return vector;
+  }
+
+  /**
+   * Largest host capacity per dimension, the scale the heuristics normalize by
+   */
+  static referenceCapacity(hosts) {
+    const reference = {};
+    VectorPlacement.DIMENSIONS.forEach(dimension => {
+      reference[dimension] = hosts.reduce((max, host) => Math.max(max, host.capacity[dimension]), 0);
+    });
+    return reference;
+  }
+
+  static normalize(vector, reference) {
+    return VectorPlacement.DIMENSIONS.map(dimension =>
+      (reference[dimension] > 0 ? vector[dimension] / reference[dimension] : 0)
+    );
+  }
+
+  static fits(demand, free) {
+    return VectorPlacement.DIMENSIONS.every(dimension => demand[dimension] <= free[dimension] + VectorPlacement.EPSILON);
+  }
+
+  /**
+   * Dot-product heuristic: maximize demand . free over the fitting hosts
+   */
+  static DotProduct(vms, hosts) {
+    const reference = VectorPlacement.referenceCapacity(hosts);
+    const size = vm => Math.hypot(...VectorPlacement.normalize(vm.demand, reference));
+    const sortedVMs = [...vms].sort((a, b) => size(b) - size(a));
+
+    return VectorPlacement.allocate(sortedVMs, hosts, (candidates, vm, free) => {
+      const demand = VectorPlacement.normalize(vm.demand, reference);
+      let best = null;
+      let maxProduct = -Infinity;
+      candidates.forEach(host => {
+        const residual = VectorPlacement.normalize(free.get(host.hostId), reference);
+        const product = demand.reduce((sum, value, i) => sum + value * residual[i], 0);
+        if (product > maxProduct) {
+          best = host;
+          maxProduct = product;
+        }
+      });
+      return best;
+    });
+  }
+
+  /**
+   * L2-norm heuristic: minimize the norm of the host's free capacity after the allocation
+   */
+  static L2Norm(vms, hosts) {
+    const reference = VectorPlacement.referenceCapacity(hosts);
+    const size = vm => Math.hypot(...VectorPlacement.normalize(vm.demand, reference));
+    const sortedVMs = [...vms].sort((a, b) => size(b) - size(a));
+
+    return VectorPlacement.allocate(sortedVMs, hosts, (candidates, vm, free) => {
+      const demand = VectorPlacement.normalize(vm.demand, reference);
+      let best = null;
+      let minNorm = Infinity;
+      candidates.forEach(host => {
+        const residual = VectorPlacement.normalize(free.get(host.hostId), reference);
+        const norm = Math.hypot(...residual.map((value, i) => value - demand[i]));
+        if (norm < minNorm) {
+          best = host;
+          minNorm = norm;
+        }
+      });
+      return best;
+    });
+  }
+
+  /**
+   * First fit decreasing by dominant resource share
+   */
+  static FFDDominant(vms, hosts) {
+    const reference = VectorPlacement.referenceCapacity(hosts);
+    const dominantShare = vm => Math.max(...VectorPlacement.normalize(vm.demand, reference));
+    const sortedVMs = [...vms].sort((a, b) => dominantShare(b) - dominantShare(a));
+
+    return VectorPlacement.allocate(sortedVMs, hosts, candidates => candidates[0]);
+  }
+
+  /**
+   * Allocate VMs one by one with the given host chooser
+   * @param {Array} vms - VMs to place: { vmId, demand: { cpu, ram, disk, bandwidth } }
+   * @param {Array} hosts - Hosts: { hostId, capacity: { cpu, ram, disk, bandwidth }, used (optional, same shape) }
+   * @param {Function} choose - (fittingHosts, vm, freeByHostId) => host
+   * @returns {Array} Allocations { vm, host } (VMs that fit nowhere are left out)
+   */
+  static allocate(vms, hosts, choose) {
+    const free = new Map();
+    const opened = new Set();
+    hosts.forEach(host => {
+      const used = VectorPlacement.toVector(host.used);
+      const residual = {};
+      VectorPlacement.DIMENSIONS.forEach(dimension => {
+        residual[dimension] = host.capacity[dimension] - used[dimension];
+      });
+      free.set(host.hostId, residual);
+      if (VectorPlacement.DIMENSIONS.some(dimension => used[dimension] > 0)) {
+        opened.add(host.hostId);
+      }
+    });
+    const allocations = [];
+
+    vms.forEach(vm => {
+      const fits = host => VectorPlacement.fits(vm.demand, free.get(host.hostId));
+
+      // Fill the hosts in use, open an empty host only if nothing else fits
+      let candidates = hosts.filter(host => opened.has(host.hostId) && fits(host));
+      if (candidates.length === 0) {
+        candidates = hosts.filter(host => !opened.has(host.hostId) && fits(host));
+      }
+      if (candidates.length === 0) {
+        return;
+      }
+
+      const host = choose(candidates, vm, free);
+      if (!host) {
+        return;
+      }
+
+      const residual = free.get(host.hostId);
+      VectorPlacement.DIMENSIONS.forEach(dimension => {
+        residual[dimension] -= vm.demand[dimension];
+      });
+      opened.add(host.hostId);
+      allocations.push({ vm, host });
+    });
+
+    return allocations;
+  }
+
+  /**
+   * Run the named heuristic
+   * @param {string} algorithm - dot-product, l2-norm or ffd-dominant
+   * @param {Array} vms - { vmId, demand } (demand vectors are completed with toVector)
+   * @param {Array} hosts - { hostId, capacity, used }
+   * @returns {Array} Allocations { vm, host } with the given host objects
+   */
+  static place(algorithm, vms, hosts) {
+    const vectorVMs = vms.map(vm => ({ ...vm, demand: VectorPlacement.toVector(vm.demand) }));
+    const vectorHosts = hosts.map(host => ({ ...host, capacity: VectorPlacement.toVector(host.capacity) }));
+
+    let allocations;
+    switch (algorithm) {
+      case 'dot-product':
+        allocations = VectorPlacement.DotProduct(vectorVMs, vectorHosts);
+        break;
+      case 'l2-norm':
+        allocations = VectorPlacement.L2Norm(vectorVMs, vectorHosts);
+        break;
+      case 'ffd-dominant':
+        allocations = VectorPlacement.FFDDominant(vectorVMs, vectorHosts);
+        break;
+      default:
+        throw new Error(`Unknown vector placement algorithm: ${algorithm}`);
+    }
+
+    const hostsById = new Map(hosts.map(host => [host.hostId, host]));
+    return allocations.map(({ vm, host }) => ({ vm, host: hostsById.get(host.hostId) }));
+  }
+
+  /**
+   * Per-dimension packing quality of an allocation, over the hosts that run VMs
+   * Free capacity is measured against the smallest VM:
+   *   fragmented - free capacity of a dimension in holes smaller than the smallest VM's demand in it
+   *   stranded   - free capacity of a dimension that would be large enough, on hosts where the smallest
+   *                VM still does not fit because another dimension is exhausted
+   * A dimension the smallest VM does not use (demand 0) never constrains a placement, so its
+   * fragmented and stranded capacity are not accounted (null).
+   * @param {Array} hosts - { hostId, capacity }
+   * @param {Array} allocations - { vm: { demand }, host: { hostId } }
+   * @param {Object} smallestVM - Demand vector of the smallest VM (default: the per-dimension minimum
+   *   over the allocated VMs)
+   * @returns {Object} { hosts (in use), dimensions: { cpu|ram|disk|bandwidth: { capacity, used, free,
+   *   fragmented, stranded, utilization (% of the capacity), fragmentation (% of the free capacity),
+   *   strandedPercent (% of the capacity), accounted (false when the smallest VM does not use it) } } }
+   */
+  static report(hosts, allocations, smallestVM = null) {
+    const used = new Map();
+    allocations.forEach(({ vm, host }) => {
+      if (!used.has(host.hostId)) {
+        used.set(host.hostId, VectorPlacement.toVector());
+      }
+      const vector = used.get(host.hostId);
+      const demand = VectorPlacement.toVector(vm.demand);
+      VectorPlacement.DIMENSIONS.forEach(dimension => {
+        vector[dimension] += demand[dimension];
+      });
+    });
+
+    let smallest = smallestVM ? VectorPlacement.toVector(smallestVM) : null;
+    if (!smallest) {
+      const demands = allocations.map(({ vm }) => VectorPlacement.toVector(vm.demand));
+      smallest = {};
+      VectorPlacement.DIMENSIONS.forEach(dimension => {
+        smallest[dimension] = demands.reduce((min, demand) => Math.min(min, demand[dimension]), Infinity);
+      });
+    }
+
+    const dimensions = {};
+    VectorPlacement.DIMENSIONS.forEach(dimension => {
+      dimensions[dimension] = { capacity: 0, used: 0, free: 0, fragmented: 0, stranded: 0, accounted: smallest[dimension] > 0 };
+    });
+
+    hosts.filter(host => used.has(host.hostId)).forEach(host => {
+      const capacity = VectorPlacement.toVector(host.capacity);
+      const hostUsed = used.get(host.hostId);
+      const free = {};
+      VectorPlacement.DIMENSIONS.forEach(dimension => {
+        free[dimension] = Math.max(0, capacity[dimension] - hostUsed[dimension]);
+      });
+      const smallestFits = VectorPlacement.fits(smallest, free);
+
+      VectorPlacement.DIMENSIONS.forEach(dimension => {
+        const stats = dimensions[dimension];
+        stats.capacity += capacity[dimension];
+        stats.used += hostUsed[dimension];
+        stats.free += free[dimension];
+        if (!stats.accounted) {
+          return;
+        }
+        if (free[dimension] + VectorPlacement.EPSILON < smallest[dimension]) {
+          stats.fragmented += free[dimension];
+        } else if (!smallestFits) {
+          stats.stranded += free[dimension];
+        }
+      });
+    });
+
+    Object.values(dimensions).forEach(stats => {
+      stats.utilization = stats.capacity > 0 ? (stats.used / stats.capacity) * 100 : 0;
+      if (!stats.accounted) {
+        stats.fragmented = null;
+        stats.stranded = null;
+        stats.fragmentation = null;
+        stats.strandedPercent = null;
+        return;
+      }
+      stats.fragmentation = stats.free > 0 ? (stats.fragmented / stats.free) * 100 : 0;
+      stats.strandedPercent = stats.capacity > 0 ? (stats.stranded / stats.capacity) * 100 : 0;
+    });
+
+    return { hosts: used.size, dimensions };
+  }
+}
+
+VectorPlacement.DIMENSIONS = ['cpu', 'ram', 'disk', 'bandwidth'];
+VectorPlacement.ALGORITHMS = ['dot-product', 'l2-norm', 'ffd-dominant'];
+VectorPlacement.EPSILON = 1e-9;
+
+module.exports = VectorPlacement;
@@ -0,0 +1,232 @@
+/**
+ * Benchmark the LB-PCC-CP destination search
+ * Times LB-PCC-CP with the indexed destination queue on synthetic fleets of growing size, next to
+ * the previous search (every migrating VM scans and sorts all candidates) up to --scan-max VMs.
+ * With --dates, also times every Phase 2 step on full datasets, without the 1,000,000-point
+ * sampling of Phase2Orchestrator.loadVMs.
+ *
+ * Usage: node backend/scripts/destinationBenchmark.js [--vms <n,...>] [--overload <fraction>] [--scan-max <n>]
+ *          [--dates <dataset,...>] [--trace <format>] [--topology <name|path>] [--seed <seed>] [--output <file>]
+ *   --vms       Synthetic fleet sizes (default 1000,10000,100000)
+ *   --overload  Share of the synthetic VMs predicted to overload (default 0.3)
+ *   --scan-max  Largest fleet the previous search is timed on (default 5000)
+ *   --dates     Datasets to run the full Phase 2 pipeline on (default: none)
+ *   --trace     Trace format of the datasets (default: planetlab)
+ *   --topology  Cluster topology (config name in backend/config or JSON path)
+ *   --seed      Seed of the synthetic fleets and of CBLP (default 42)
+ *   --output    Also write the timings to this file name in backend/results
+ */
+
+const path = require('path');
+
+const Phase2Orchestrator = require('../algorithms/phase2/phase2Orchestrator');
+const SBCSL = require('../algorithms/phase2/sbcsl');
+const CCPLP = require('../algorithms/phase2/ccplp');
+const CBLP = require('../algorithms/phase2/cblp');
+const LBPCCCP = require('../algorithms/phase2/lbPccCp');
+const { TRACE_FORMATS } = require('../algorithms/loaders');
+const { resultsDir, writeResultsFile } = require('../utils/resultsStore');
+const { parseArgs } = require('../utils/cliArgs');
+const { createRandom, DEFAULT_SEED } = require('../utils/random');
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Run fn with the algorithms' progress logging silenced
+ * @returns {Object} { value, ms }
+ */
+function timed(fn) {
+  const log = console.log;
+  console.log = () => {};
+  const start = process.hrtime.bigint();
+  try {
+    const value = fn();
+    return { value, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Synthetic fleet with pheromone levels and predicted loads; about `overload` of the VMs are
+ * predicted above 70% of their capacity
+ */
+function syntheticFleet(count, overload, random) {
+  const vms = [];
+  const pheromoneLevels = {};
+  const predictedLoads = {};
+  for (let i = 0; i < count; i++) {
+    const vmId = `vm_${i}`;
+    const vm = {
+      vmId,
+      computeCapacity: 5 + random() * 60,
+      memoryCapacity: random() * 40,
+      storageCapacity: random() * 20,
+      networkCapacity: random() * 10
+    };
+    vm.currentLoad = vm.computeCapacity;
+    const capacity = vm.computeCapacity + vm.memoryCapacity + vm.storageCapacity + vm.networkCapacity;
+    const Lt1 = random() < overload ? capacity * (0.75 + random() * 0.25) : vm.currentLoad * (0.8 + random() * 0.3);
+    vms.push(vm);
+    pheromoneLevels[vmId] = { vmId, index: i, PHt1: 0.1 + random() * 2 };
+    predictedLoads[vmId] = { vmId, index: i, Lt1, forecast: [Lt1] };
+  }
+  return { vms, pheromoneLevels, predictedLoads };
+}
+
+/**
+ * The previous destination search: every migrating VM rebuilds the candidates and sorts them by
+ * FF (normalization maxima computed once per VM rather than once per candidate)
+ * @returns {Array<string>} Destination of every migrating VM
+ */
+function scanDestinations(vms, pheromoneLevels, migratingIds) {
+  const pheromoneOf = (vmId, j) => pheromoneLevels[vmId]?.PHt1 || pheromoneLevels[j]?.PHt1 || 1.0;
+  return migratingIds.map(vmId => {
+    const destinations = LBPCCCP.destinationCandidates(vms, pheromoneOf);
+    const maxCapacity = Math.max(...destinations.map(d => d.capacity));
+    const maxPheromone = Math.max(...destinations.map(d => d.pheromoneLevel));
+    destinations.forEach(dest => {
+      dest.fitness = LBPCCCP.CAPACITY_WEIGHT * (maxCapacity > 0 ? dest.capacity / maxCapacity : 0) +
+        LBPCCCP.PHEROMONE_WEIGHT * (maxPheromone > 0 ? dest.pheromoneLevel / maxPheromone : 0);
+    });
+    destinations.sort((a, b) => b.fitness - a.fitness);
+    const optimal = destinations.find(dest => dest.vmId !== vmId);
+    return optimal ? optimal.vmId : null;
+  });
+}
+
+function benchmarkSynthetic(counts, overload, scanMax, seed) {
+  console.log(`\n${'VMs'.padStart(8)} ${'Migrations'.padStart(11)} ${'Indexed ms'.padStart(11)} ${'Scan ms'.padStart(10)} ${'Speedup'.padStart(8)}  First destination`);
+  return counts.map(count => {
+    const { vms, pheromoneLevels, predictedLoads } = syntheticFleet(count, overload, createRandom(seed));
+    const indexed = timed(() => LBPCCCP.execute(vms, {}, pheromoneLevels, predictedLoads, {}));
+    const decisions = indexed.value.migrationDecisions.filter(decision => decision.optimalDestination);
+    const row = { vms: count, migrations: indexed.value.totalMigrations, indexedMs: indexed.ms, scanMs: null, firstDestinationMatches: null };
+
+    if (count <= scanMax && decisions.length > 0) {
+      const scan = timed(() => scanDestinations(vms, pheromoneLevels, decisions.map(decision => decision.sourceVM)));
+      row.scanMs = scan.ms;
+      // Before any migration is committed both searches must agree
+      row.firstDestinationMatches = scan.value[0] === decisions[0].optimalDestination.vmId;
+    }
+
+    console.log(
+      `${String(count).padStart(8)} ${String(row.migrations).padStart(11)} ${row.indexedMs.toFixed(1).padStart(11)} ` +
+      `${(row.scanMs !== null ? row.scanMs.toFixed(1) : '-').padStart(10)} ` +
+      `${(row.scanMs !== null ? `${(row.scanMs / row.indexedMs).toFixed(1)}x` : '-').padStart(8)}  ` +
+      `${row.firstDestinationMatches === null ? '-' : (row.firstDestinationMatches ? 'same' : 'DIFFERENT')}`
+    );
+    return row;
+  });
+}
+
+/**
+ * Every Phase 2 step on a full dataset (no sampling)
+ */
+async function benchmarkDataset(date, options) {
+  const orchestrator = new Phase2Orchestrator();
+  const start = Date.now();
+  const { services, vms } = await orchestrator.loadVMs(date, { ...options, maxDataPoints: Infinity });
+  const loadMs = Date.now() - start;
+  const dataPoints = vms.reduce((sum, vm) => sum + vm.series.compute.length, 0);
+
+  const sbcsl = timed(() => orchestrator.summarizeLoads(SBCSL.execute(services, vms)));
+  const ccplp = timed(() => CCPLP.execute(vms, { PHt: 1.0, K1: 0.1, K2: 0.05, T: 100, K: [], TR: 1 }));
+  const cblp = timed(() => CBLP.execute(vms, orchestrator.predictionWeights(options), sbcsl.value, createRandom(options.seed)));
+  const currentLoad = vms.reduce((sum, vm) => sum + (vm.currentLoad || vm.load || vm.computeCapacity || 0), 0);
+  const lb = timed(() => LBPCCCP.execute(vms, sbcsl.value, ccplp.value, cblp.value, { currentLoad }));
+
+  const row = {
+    date,
+    vms: vms.length,
+    dataPoints,
+    migrations: lb.value.totalMigrations,
+    loadMs,
+    sbcslMs: sbcsl.ms,
+    ccplpMs: ccplp.ms,
+    cblpMs: cblp.ms,
+    lbPccCpMs: lb.ms
+  };
+  console.log(
+    `${date.padEnd(10)} ${String(row.vms).padStart(7)} ${String(dataPoints).padStart(11)} ${String(row.migrations).padStart(11)} ` +
+    `${[loadMs, sbcsl.ms, ccplp.ms, cblp.ms, lb.ms].map(ms => ms.toFixed(1).padStart(9)).join(' ')}`
+  );
+  return row;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const seed = args.seed !== undefined ? (/^\d+$/.test(String(args.seed)) ? Number(args.seed) : String(args.seed)) : DEFAULT_SEED;
+
+  const counts = args.vms ? parseList(args.vms).map(Number) : [1000, 10000, 100000];
+  if (counts.some(count => !Number.isInteger(count) || count < 1)) {
+    fail('--vms must be a list of positive integers');
+  }
+  const overload = args.overload !== undefined ? Number(args.overload) : 0.3;
+  if (!(overload >= 0 && overload <= 1)) {
+    fail('--overload must be a number from 0 to 1');
+  }
+  const scanMax = args['scan-max'] !== undefined ? Number(args['scan-max']) : 5000;
+  if (!Number.isInteger(scanMax) || scanMax < 0) {
+    fail('--scan-max must be a non-negative integer');
+  }
+  const options = { seed };
+  if (args.trace) {
+    if (!TRACE_FORMATS.includes(args.trace)) {
+      fail(`Unknown trace format: ${args.trace} (use ${TRACE_FORMATS.join(', ')})`);
+    }
+    options.trace = { format: args.trace };
+  }
+  if (args.topology) {
+    options.topology = args.topology;
+  }
+  const dates = args.dates ? parseList(args.dates) : [];
+  if (args.output !== undefined && !/^[\w.-]+\.json$/.test(String(args.output))) {
+    fail('--output must be a .json file name');
+  }
+
+  console.log('========================================');
+  console.log('LB-PCC-CP Destination Search Benchmark');
+  console.log('========================================');
+  console.log(`Synthetic fleets: ${counts.join(', ')} VMs, ${(overload * 100).toFixed(0)}% predicted to overload`);
+
+  try {
+    const synthetic = benchmarkSynthetic(counts, overload, scanMax, seed);
+
+    const datasets = [];
+    if (dates.length > 0) {
+      console.log(`\nFull datasets (no sampling), times in ms`);
+      console.log(`${'Dataset'.padEnd(10)} ${'VMs'.padStart(7)} ${'Points'.padStart(11)} ${'Migrations'.padStart(11)} ${['Load', 'SBCSL', 'CCPLP', 'CBLP', 'LB-PCC-CP'].map(step => step.padStart(9)).join(' ')}`);
+      for (const date of dates) {
+        datasets.push(await benchmarkDataset(date, options));
+      }
+    }
+
+    if (args.output !== undefined) {
+      const filePath = writeResultsFile(path.join(resultsDir, String(args.output)), {
+        success: true,
+        mode: 'destination-benchmark',
+        synthetic,
+        datasets,
+        seed,
+        trace: options.trace ? options.trace.format : 'planetlab',
+        generatedAt: new Date().toISOString()
+      });
+      console.log(`\n✅ Benchmark saved to: ${filePath}`);
+    }
+  } catch (error) {
+    console.error('\n❌ Destination benchmark failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(console.error);
+}
@@ -0,0 +1,146 @@
+/**
+ * Compare the Phase 1 algorithm combinations with and without DVFS
+ * Runs every threshold/selection combination at the nominal frequency and under a DVFS governor
+ * across the dates and writes the energy savings to backend/results/phase1-dvfs-comparison.json
+ *
+ * Usage: node backend/scripts/dvfsComparison.js [--governor <name>] [--up-threshold <percent>]
+ *          [--thresholds <algo,...>] [--consolidation <algo,...>] [--engine <daily|timestep>]
+ *          [--dates <dataset,...>] [--trace <format>] [--topology <name|path>] [--seed <seed>] [--output <file>]
+ *   --governor       DVFS governor: performance, powersave or ondemand (default: ondemand)
+ *   --up-threshold   Utilization (percent) above which ondemand moves to a faster P-state (default 80)
+ *   --thresholds     Threshold detection algorithms (default: all)
+ *   --consolidation  VM consolidation algorithms (default: all)
+ *   --engine         Simulation engine (default: daily)
+ *   --dates          Comma-separated datasets (default: the 10 PlanetLab dates)
+ *   --trace          Trace format of the datasets (default: planetlab)
+ *   --topology       Cluster topology (config name in backend/config or JSON path); host types may
+ *                    define their own pStates
+ *   --seed           Seed of the randomized policies (default 42)
+ *   --output         Result file name in backend/results (default: phase1-dvfs-comparison.json)
+ */
+
+const path = require('path');
+
+const LoadBalancer = require('../algorithms/phase1/loadBalancer');
+const DVFS = require('../algorithms/phase1/dvfs');
+const DVFSComparison = require('../algorithms/phase1/dvfsComparison');
+const { TRACE_FORMATS } = require('../algorithms/loaders');
+const { resultsDir, writeResultsFile } = require('../utils/resultsStore');
+const { parseArgs } = require('../utils/cliArgs');
+const { DEFAULT_SEED } = require('../utils/random');
+
+const DEFAULT_DATES = [
+  '20110303', '20110306', '20110309', '20110322', '20110325',
+  '20110403', '20110409', '20110411', '20110412', '20110420'
+];
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Print one line per combination: energy without and with DVFS, the savings and SLAV
+ */
+function printComparison({ dvfs, combinations }) {
+  console.log(`\nGovernor: ${dvfs.governor}`);
+  console.log(`${'Combination'.padEnd(12)} ${'Nominal kWh'.padStart(12)} ${'DVFS kWh'.padStart(10)} ${'Saved'.padStart(8)}  SLAV nominal / DVFS`);
+  Object.entries(combinations)
+    .sort(([, a], [, b]) => b.energySavingsPercent - a.energySavingsPercent)
+    .forEach(([algorithm, { baseline, dvfs: scaled, energySavingsPercent }]) => {
+      console.log(
+        `${algorithm.padEnd(12)} ${baseline.energyConsumption.toFixed(2).padStart(12)} ${scaled.energyConsumption.toFixed(2).padStart(10)} ` +
+        `${`${energySavingsPercent.toFixed(1)}%`.padStart(8)}  ${baseline.slav.toExponential(2)} / ${scaled.slav.toExponential(2)}`
+      );
+    });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    seed: args.seed !== undefined ? (/^\d+$/.test(String(args.seed)) ? Number(args.seed) : String(args.seed)) : DEFAULT_SEED
+  };
+
+  const dvfs = {};
+  if (args.governor !== undefined) {
+    dvfs.governor = args.governor;
+  }
+  if (args['up-threshold'] !== undefined) {
+    dvfs.upThreshold = args['up-threshold'];
+  }
+  try {
+    options.dvfs = DVFS.resolveConfig(dvfs);
+  } catch (error) {
+    fail(`DVFS: ${error.message}`);
+  }
+
+  if (args.thresholds) {
+    options.thresholdAlgos = parseList(args.thresholds);
+    if (!options.thresholdAlgos.every(algo => LoadBalancer.THRESHOLD_ALGORITHMS.includes(algo))) {
+      fail(`--thresholds must be a subset of ${LoadBalancer.THRESHOLD_ALGORITHMS.join(', ')}`);
+    }
+  }
+  if (args.consolidation) {
+    options.consolidationAlgos = parseList(args.consolidation);
+    if (!options.consolidationAlgos.every(algo => LoadBalancer.CONSOLIDATION_ALGORITHMS.includes(algo))) {
+      fail(`--consolidation must be a subset of ${LoadBalancer.CONSOLIDATION_ALGORITHMS.join(', ')}`);
+    }
+  }
+  if (args.engine !== undefined) {
+    if (!LoadBalancer.ENGINES.includes(args.engine)) {
+      fail(`Unknown engine: ${args.engine} (use ${LoadBalancer.ENGINES.join(', ')})`);
+    }
+    options.engine = args.engine;
+  }
+  if (args.trace) {
+    if (!TRACE_FORMATS.includes(args.trace)) {
+      fail(`Unknown trace format: ${args.trace} (use ${TRACE_FORMATS.join(', ')})`);
+    }
+    options.trace = { format: args.trace };
+  }
+  if (args.topology) {
+    options.topology = args.topology;
+  }
+  const dates = args.dates ? parseList(args.dates) : DEFAULT_DATES;
+  const outputName = args.output || 'phase1-dvfs-comparison.json';
+  if (!/^[\w.-]+\.json$/.test(outputName)) {
+    fail('--output must be a .json file name');
+  }
+
+  console.log('========================================');
+  console.log('Phase 1 DVFS Comparison');
+  console.log('========================================');
+  console.log(`Seed: ${options.seed}`);
+  console.log(`Processing ${dates.length} dates: ${dates.join(', ')}`);
+
+  const startTime = Date.now();
+  try {
+    const comparison = await DVFSComparison.run(new LoadBalancer(), dates, options);
+    const output = {
+      success: true,
+      mode: 'dvfs-comparison',
+      ...comparison,
+      dates,
+      seed: options.seed,
+      engine: options.engine || 'daily',
+      trace: options.trace ? options.trace.format : 'planetlab',
+      generatedAt: new Date().toISOString()
+    };
+
+    printComparison(comparison);
+    const filePath = writeResultsFile(path.join(resultsDir, outputName), output);
+    const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
+    console.log(`\n✅ Comparison saved to: ${filePath} (${duration} minutes)`);
+  } catch (error) {
+    console.error('\n❌ DVFS comparison failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(console.error);
+}
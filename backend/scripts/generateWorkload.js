@@ -0,0 +1,101 @@
+/**
+ * Generate synthetic PlanetLab-format datasets
+ * Writes one date folder per date (one file per VM, one CPU utilization per line) so that
+ * all four phases can run without downloading the PlanetLab archive.
+ *
+ * Usage: node backend/scripts/generateWorkload.js [options]
+ *   --dates              Comma-separated date folders (default: the 10 PlanetLab dates)
+ *   --out                Parent directory (default: backend/dataset/planetlab)
+ *   --force              Replace existing date folders
+ *   --seed               Seed (default 42)
+ *   --vms                VMs per date (default 100)
+ *   --vms-per-host       VMs sharing a host prefix (default 10)
+ *   --samples            Samples per VM (default 288, one day at 5 minutes)
+ *   --base-load          Min and max mean utilization, e.g. 5,40
+ *   --diurnal            Day/night swing in %
+ *   --peak-hour          Hour of the daily peak
+ *   --trend              Maximum drift in % per day
+ *   --noise              Noise standard deviation in %
+ *   --burst-probability  Chance of a burst starting at a sample
+ *   --burst-magnitude    Typical burst height in %
+ *   --burst-duration     Typical burst length in samples
+ */
+
+const path = require('path');
+const WorkloadGenerator = require('../utils/workloadGenerator');
+const { parseArgs } = require('../utils/cliArgs');
+
+const defaultDates = [
+  '20110303', '20110306', '20110309', '20110322', '20110325',
+  '20110403', '20110409', '20110411', '20110412', '20110420'
+];
+
+// CLI option -> generator option
+const NUMERIC_OPTIONS = {
+  'vms': 'vmCount',
+  'vms-per-host': 'vmsPerHost',
+  'samples': 'samples',
+  'diurnal': 'diurnalAmplitude',
+  'peak-hour': 'peakHour',
+  'trend': 'trend',
+  'noise': 'noise',
+  'burst-probability': 'burstProbability',
+  'burst-magnitude': 'burstMagnitude',
+  'burst-duration': 'burstDuration'
+};
+
+/**
+ * Build generator options from the command line
+ */
+function getGeneratorOptions(args) {
+  const options = {};
+  if (args.seed !== undefined) {
+    options.seed = args.seed;
+  }
+  Object.entries(NUMERIC_OPTIONS).forEach(([flag, option]) => {
+    if (args[flag] !== undefined) {
+      const value = Number(args[flag]);
+      if (!Number.isFinite(value)) {
+        throw new Error(`--${flag} must be a number`);
+      }
+      options[option] = value;
+    }
+  });
+  if (args['base-load'] !== undefined) {
+    options.baseLoad = String(args['base-load']).split(',').map(Number);
+  }
+  return options;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const dates = args.dates ? String(args.dates).split(',').map(date => date.trim()).filter(Boolean) : defaultDates;
+  const outputDir = args.out ? path.resolve(String(args.out)) : path.join(__dirname, '..', 'dataset', 'planetlab');
+
+  try {
+    const generator = new WorkloadGenerator(getGeneratorOptions(args));
+    const { seed, vmCount, samples } = generator.options;
+
+    console.log('========================================');
+    console.log('Generating Synthetic Workload');
+    console.log('========================================');
+    console.log(`Output: ${outputDir}`);
+    console.log(`Dates: ${dates.join(', ')}`);
+    console.log(`${vmCount} VMs x ${samples} samples per date, seed ${seed}\n`);
+
+    dates.forEach(date => {
+      const written = generator.writeDataset(date, outputDir, args.force === true);
+      console.log(`✅ ${date}: ${written.vms} VM files written to ${written.path}`);
+    });
+  } catch (error) {
+    console.error('❌ Failed to generate workload:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { getGeneratorOptions };
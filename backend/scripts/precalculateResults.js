@@ -2,7 +2,31 @@
  * Pre-calculate all algorithm results for all 4 phases
  * This script runs once to generate JSON files with pre-calculated results
  * 
- * Usage: node backend/scripts/precalculateResults.js
+ * Usage: node backend/scripts/precalculateResults.js [--topology <name|path>] [--allocation <strategy>]
+ *          [--trace <format> --dates <dataset,...> [--columns <mapping>]] [--seed <seed>] [--repeats <n>]
+ *          [--safety <algo=value,...>] [--prediction <model>] [--horizon <n>] [--lookahead <k>]
+ *          [--categorization <method>] [--clusters <k|auto>] [--cluster-criterion <criterion>]
+ *   --topology    Run every phase on a cluster topology (config name in backend/config or JSON path)
+ *   --allocation  Initial VM allocation on the topology (round-robin, random, first-fit, dot-product,
+ *                 l2-norm, ffd-dominant)
+ *   --trace       Trace format of the datasets (planetlab, google, alibaba, bitbrains, csv); datasets are
+ *                 read from backend/dataset/<format>/<dataset>
+ *   --dates       Comma-separated datasets to run (default: the 10 PlanetLab dates)
+ *   --columns     Column mapping for the csv format, e.g. vmId=vm,timestamp=time,cpu=cpu,memory=mem
+ *   --seed        Seed of all randomized algorithms (default 42); recorded in every result file
+ *   --repeats     Run every algorithm/date n times with seeds seed, seed+1, ... and store the mean
+ *                 as the result plus per-metric statistics (std, median, 95% confidence interval)
+ *   --safety      Phase 1 safety parameters, e.g. IQR=1.5,MAD=2.5,THR=75 (see scripts/safetySweep.js for
+ *                 choosing them); recorded in the Phase 1 result file
+ *   --prediction  Phase 2 CBLP load prediction model (correlation, linear-regression, arima,
+ *                 exponential-smoothing; see scripts/predictionBacktest.js for comparing them)
+ *   --horizon     Phase 2 prediction horizon: CCPLP and CBLP predict t+1..t+n (default 1)
+ *   --lookahead   Intervals ahead (up to the horizon) a predicted overload triggers a Phase 2
+ *                 migration (default 1)
+ *   --categorization     How Phase 2 groups VMs into services: threshold (CPU bands, default), kmeans
+ *                        (resource-usage signatures) or dtw (time-series shape)
+ *   --clusters           Number of clusters for kmeans/dtw, or auto (default)
+ *   --cluster-criterion  Automatic choice of the number of clusters: silhouette (default) or elbow
  */
 
 const fs = require('fs');
@@ -13,6 +37,20 @@ const LoadBalancer = require('../algorithms/phase1/loadBalancer');
 const Phase2Orchestrator = require('../algorithms/phase2/phase2Orchestrator');
 const Phase3Orchestrator = require('../algorithms/phase3/phase3Orchestrator');
 const Phase4Orchestrator = require('../algorithms/phase4/phase4Orchestrator');
+const Topology = require('../algorithms/topology');
+const ThresholdDetection = require('../algorithms/phase1/thresholdDetection');
+const CBLP = require('../algorithms/phase2/cblp');
+const ServiceClustering = require('../algorithms/phase2/serviceClustering');
+const { TRACE_FORMATS } = require('../algorithms/loaders');
+const {
+  formatPhase1Results,
+  aggregateRepeatedResults,
+  writeResultsFile,
+  phase2DetailsDir,
+  getPhase2DetailsPath
+} = require('../utils/resultsStore');
+const { parseArgs } = require('../utils/cliArgs');
+const { DEFAULT_SEED, deriveSeeds } = require('../utils/random');
 
 // Ensure results directory exists
 const resultsDir = path.join(__dirname, '..', 'results');
@@ -20,48 +58,213 @@ if (!fs.existsSync(resultsDir)) {
   fs.mkdirSync(resultsDir, { recursive: true });
 }
 
-// All available dates
-const allDates = [
+// All available dates (replaced by --dates)
+let allDates = [
   '20110303', '20110306', '20110309', '20110322', '20110325',
   '20110403', '20110409', '20110411', '20110412', '20110420'
 ];
 
-async function precalculatePhase1() {
+/**
+ * Topology summary stored with the results (null for the legacy file-name grouping)
+ */
+function describeTopology(options) {
+  const topology = Topology.load(options.topology);
+  return topology ? { ...topology.summary(), allocationStrategy: options.allocationStrategy || topology.allocation.strategy } : null;
+}
+
+/**
+ * Run a phase once per seed and aggregate the formatted results
+ * @param {Object} options - Run options ({ seed, repeats, ... })
+ * @param {Function} runOnce - async (runOptions) => { results, formattedResults }
+ * @returns {Object} { results (first run), formattedResults (means), statistics, seeds }
+ */
+async function runRepeated(options, runOnce) {
+  const baseSeed = options.seed !== undefined ? options.seed : DEFAULT_SEED;
+  const seeds = deriveSeeds(baseSeed, options.repeats || 1);
+
+  const runs = [];
+  for (let i = 0; i < seeds.length; i++) {
+    if (seeds.length > 1) {
+      console.log(`\n--- Run ${i + 1}/${seeds.length} (seed ${seeds[i]}) ---`);
+    }
+    runs.push(await runOnce({ ...options, seed: seeds[i] }));
+  }
+
+  if (runs.length === 1) {
+    return { ...runs[0], statistics: null, seeds };
+  }
+
+  const { results: formattedResults, statistics } = aggregateRepeatedResults(runs.map(run => run.formattedResults));
+  return { results: runs[0].results, formattedResults, statistics, seeds };
+}
+
+/**
+ * Result file fields describing repeated runs (empty for a single run)
+ */
+function describeRepeats(seeds, statistics) {
+  return seeds.length > 1 ? { repeats: seeds.length, seeds, statistics } : {};
+}
+
+/**
+ * Reshape Phase 2 orchestrator output (same format as endpoint)
+ */
+function formatPhase2Results(results) {
+  const formattedResults = {
+    averagePredictedLoad: {},
+    averagePheromoneLevel: {},
+    averageLoadVariance: {},
+    averageMigrationCount: {},
+    averageConsolidationEfficiency: {},
+    predictionMAE: {},
+    predictionRMSE: {},
+    predictionMAPE: {}
+  };
+  
+  Object.keys(results).forEach(algoName => {
+    formattedResults.averagePredictedLoad[algoName] = {};
+    formattedResults.averagePheromoneLevel[algoName] = {};
+    formattedResults.averageLoadVariance[algoName] = {};
+    formattedResults.averageMigrationCount[algoName] = {};
+    formattedResults.averageConsolidationEfficiency[algoName] = {};
+    formattedResults.predictionMAE[algoName] = {};
+    formattedResults.predictionRMSE[algoName] = {};
+    formattedResults.predictionMAPE[algoName] = {};
+    
+    Object.keys(results[algoName]).forEach(date => {
+      const result = results[algoName][date];
+      formattedResults.averagePredictedLoad[algoName][date] = result.averagePredictedLoad;
+      formattedResults.averagePheromoneLevel[algoName][date] = result.averagePheromoneLevel;
+      formattedResults.averageLoadVariance[algoName][date] = result.averageLoadVariance;
+      formattedResults.averageMigrationCount[algoName][date] = result.averageMigrationCount;
+      formattedResults.averageConsolidationEfficiency[algoName][date] = result.averageConsolidationEfficiency;
+      formattedResults.predictionMAE[algoName][date] = result.predictionMAE;
+      formattedResults.predictionRMSE[algoName][date] = result.predictionRMSE;
+      formattedResults.predictionMAPE[algoName][date] = result.predictionMAPE;
+    });
+  });
+
+  return formattedResults;
+}
+
+/**
+ * Reshape Phase 3 orchestrator output
+ */
+function formatPhase3Results(results) {
+  // Format results to match frontend expectations
+  // Results structure: results[date] = { metrics: {...}, algorithms: {...} }
+  // Frontend expects: results.metricName[date] = value
+  const formattedResults = {
+    totalVMs: {},
+    loadedVMs: {},
+    loadPercentage: {},
+    balancedPercentage: {},
+    systemState: {},
+    totalMigrations: {},
+    localThreshold: {},
+    globalThreshold: {},
+    // Also include derived metrics
+    averageTaskCompletionTime: {},
+    averageResourceUtilization: {},
+    averageLoadBalanceScore: {},
+    averageMigrationOverhead: {},
+    averageSLACompliance: {}
+  };
+  
+  // Process each date's results
+  Object.keys(results).forEach(date => {
+    const result = results[date];
+    if (result && result.metrics) {
+      const metrics = result.metrics;
+      
+      // Extract actual metrics from Phase 3 orchestrator
+      formattedResults.totalVMs[date] = metrics.totalVMs || 0;
+      formattedResults.loadedVMs[date] = metrics.loadedVMs || 0;
+      formattedResults.loadPercentage[date] = metrics.loadPercentage || 0;
+      formattedResults.balancedPercentage[date] = metrics.balancedPercentage || 0;
+      formattedResults.systemState[date] = metrics.systemState || 'Unknown';
+      formattedResults.totalMigrations[date] = metrics.totalMigrations || 0;
+      formattedResults.localThreshold[date] = metrics.localThreshold || 0;
+      formattedResults.globalThreshold[date] = metrics.globalThreshold || 0;
+      
+      // Calculate derived metrics
+      const totalVMs = metrics.totalVMs || 0;
+      const totalMigrations = metrics.totalMigrations || 0;
+      const balancedPercentage = metrics.balancedPercentage || 0;
+      const loadPercentage = metrics.loadPercentage || 0;
+      
+      // Task completion time: estimate based on migrations and VM count
+      const avgTaskCompletionTime = totalVMs > 0 ? (totalMigrations * 10 + totalVMs * 0.5) : 0;
+      
+      // Resource utilization: convert load percentage to decimal
+      const avgResourceUtilization = loadPercentage / 100;
+      
+      // Load balance score: same as balanced percentage
+      const avgLoadBalanceScore = balancedPercentage;
+      
+      // Migration overhead: based on migration count
+      const avgMigrationOverhead = totalMigrations * 2.5;
+      
+      // SLA compliance: based on balanced state (100% if balanced, 80% if not)
+      const avgSLACompliance = metrics.systemState === 'Balanced' ? 100 : 80;
+      
+      formattedResults.averageTaskCompletionTime[date] = avgTaskCompletionTime;
+      formattedResults.averageResourceUtilization[date] = avgResourceUtilization;
+      formattedResults.averageLoadBalanceScore[date] = avgLoadBalanceScore;
+      formattedResults.averageMigrationOverhead[date] = avgMigrationOverhead;
+      formattedResults.averageSLACompliance[date] = avgSLACompliance;
+    }
+  });
+
+  return formattedResults;
+}
+
+/**
+ * Reshape Phase 4 orchestrator output (same format as endpoint)
+ */
+function formatPhase4Results(results) {
+  // Results structure: results[date] = { metrics: {...}, algorithms: {...} }
+  const formattedResults = {
+    balancedPercentage: {},
+    averageUtilization: {},
+    loadVariance: {},
+    migrationCount: {},
+    fitnessScore: {}
+  };
+  
+  // Extract algorithm name (should be ACOPSOHybrid for Phase 4)
+  const algoName = 'ACOPSOHybrid';
+  
+  formattedResults.balancedPercentage[algoName] = {};
+  formattedResults.averageUtilization[algoName] = {};
+  formattedResults.loadVariance[algoName] = {};
+  formattedResults.migrationCount[algoName] = {};
+  formattedResults.fitnessScore[algoName] = {};
+  
+  // Process each date's results
+  Object.keys(results).forEach(date => {
+    const result = results[date];
+    if (result && result.metrics) {
+      formattedResults.balancedPercentage[algoName][date] = result.metrics.balancedPercentage || 0;
+      formattedResults.averageUtilization[algoName][date] = result.metrics.averageUtilization || 0;
+      formattedResults.loadVariance[algoName][date] = result.metrics.loadVariance || 0;
+      formattedResults.migrationCount[algoName][date] = result.metrics.totalMigrations || 0;
+      formattedResults.fitnessScore[algoName][date] = result.metrics.globalBestFitness || 0;
+    }
+  });
+
+  return formattedResults;
+}
+
+async function precalculatePhase1(options = {}) {
   console.log('\n=== Pre-calculating Phase 1 Results ===');
   console.log(`Processing ${allDates.length} dates...`);
   
   try {
     const loadBalancer = new LoadBalancer();
-    const results = await loadBalancer.runAllAlgorithms(allDates);
-    
-    // Format results for frontend (same format as endpoint)
-    const formattedResults = {
-      energyConsumption: {},
-      vmMigrations: {},
-      slaViolations: {},
-      nodeShutdowns: {},
-      meanTimeBeforeShutdown: {},
-      meanTimeBeforeMigration: {}
-    };
-    
-    // Organize results by metric
-    Object.keys(results).forEach(algoName => {
-      formattedResults.energyConsumption[algoName] = {};
-      formattedResults.vmMigrations[algoName] = {};
-      formattedResults.slaViolations[algoName] = {};
-      formattedResults.nodeShutdowns[algoName] = {};
-      formattedResults.meanTimeBeforeShutdown[algoName] = {};
-      formattedResults.meanTimeBeforeMigration[algoName] = {};
-      
-      Object.keys(results[algoName]).forEach(date => {
-        const result = results[algoName][date];
-        formattedResults.energyConsumption[algoName][date] = result.energyConsumption;
-        formattedResults.vmMigrations[algoName][date] = result.vmMigrations;
-        formattedResults.slaViolations[algoName][date] = result.slaViolations;
-        formattedResults.nodeShutdowns[algoName][date] = result.nodeShutdowns;
-        formattedResults.meanTimeBeforeShutdown[algoName][date] = result.meanTimeBeforeShutdown;
-        formattedResults.meanTimeBeforeMigration[algoName][date] = result.meanTimeBeforeMigration;
-      });
+    const { results, formattedResults, statistics, seeds } = await runRepeated(options, async runOptions => {
+      const results = await loadBalancer.runAllAlgorithms(allDates, runOptions);
+      // Format results for frontend (same format as endpoint)
+      return { results, formattedResults: formatPhase1Results(results) };
     });
     
     const output = {
@@ -69,6 +272,11 @@ async function precalculatePhase1() {
       results: formattedResults,
       algorithms: Object.keys(results),
       dates: allDates,
+      seed: options.seed !== undefined ? options.seed : DEFAULT_SEED,
+      ...describeRepeats(seeds, statistics),
+      ...(options.safetyParameters ? { safetyParameters: options.safetyParameters } : {}),
+      trace: options.trace ? options.trace.format : 'planetlab',
+      topology: describeTopology(options),
       generatedAt: new Date().toISOString()
     };
     
@@ -85,38 +293,59 @@ async function precalculatePhase1() {
   }
 }
 
-async function precalculatePhase2() {
+/**
+ * Per-service summarized loads and the categorization behind them, by date
+ */
+function describeServiceClusters(results) {
+  const clusters = {};
+  Object.entries(results).forEach(([date, result]) => {
+    if (result.algorithms && result.algorithms.SBCSL) {
+      const { categorization, services } = result.algorithms.SBCSL;
+      clusters[date] = { categorization, services };
+    }
+  });
+  return clusters;
+}
+
+/**
+ * Store the per-VM decisions of every date (first run) for the decisions API, replacing
+ * those of the previous pre-calculation
+ */
+function writePhase2Details(results, output) {
+  if (fs.existsSync(phase2DetailsDir)) {
+    fs.readdirSync(phase2DetailsDir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => fs.unlinkSync(path.join(phase2DetailsDir, file)));
+  }
+
+  let stored = 0;
+  Object.entries(results).forEach(([date, result]) => {
+    if (!result.details) {
+      return;
+    }
+    writeResultsFile(getPhase2DetailsPath(date), {
+      date,
+      seed: output.seeds ? output.seeds[0] : output.seed,
+      prediction: output.prediction,
+      lookahead: output.lookahead,
+      categorization: result.algorithms.SBCSL.categorization,
+      generatedAt: output.generatedAt,
+      decisions: result.details.decisions
+    });
+    stored++;
+  });
+  return stored;
+}
+
+async function precalculatePhase2(options = {}) {
   console.log('\n=== Pre-calculating Phase 2 Results ===');
   console.log(`Processing ${allDates.length} dates...`);
   
   try {
     const orchestrator = new Phase2Orchestrator();
-    const results = await orchestrator.runAllPhase2Algorithms(allDates, {});
-    
-    // Format results (same format as endpoint)
-    const formattedResults = {
-      averagePredictedLoad: {},
-      averagePheromoneLevel: {},
-      averageLoadVariance: {},
-      averageMigrationCount: {},
-      averageConsolidationEfficiency: {}
-    };
-    
-    Object.keys(results).forEach(algoName => {
-      formattedResults.averagePredictedLoad[algoName] = {};
-      formattedResults.averagePheromoneLevel[algoName] = {};
-      formattedResults.averageLoadVariance[algoName] = {};
-      formattedResults.averageMigrationCount[algoName] = {};
-      formattedResults.averageConsolidationEfficiency[algoName] = {};
-      
-      Object.keys(results[algoName]).forEach(date => {
-        const result = results[algoName][date];
-        formattedResults.averagePredictedLoad[algoName][date] = result.averagePredictedLoad;
-        formattedResults.averagePheromoneLevel[algoName][date] = result.averagePheromoneLevel;
-        formattedResults.averageLoadVariance[algoName][date] = result.averageLoadVariance;
-        formattedResults.averageMigrationCount[algoName][date] = result.averageMigrationCount;
-        formattedResults.averageConsolidationEfficiency[algoName][date] = result.averageConsolidationEfficiency;
-      });
+    const { results, formattedResults, statistics, seeds } = await runRepeated(options, async runOptions => {
+      const results = await orchestrator.runAllPhase2Algorithms(allDates, runOptions);
+      return { results, formattedResults: formatPhase2Results(results) };
     });
     
     const output = {
@@ -124,12 +353,21 @@ async function precalculatePhase2() {
       results: formattedResults,
       algorithms: Object.keys(results),
       dates: allDates,
+      seed: options.seed !== undefined ? options.seed : DEFAULT_SEED,
+      ...describeRepeats(seeds, statistics),
+      trace: options.trace ? options.trace.format : 'planetlab',
+      topology: describeTopology(options),
+      prediction: CBLP.resolveConfig(options.prediction || {}),
+      lookahead: options.lookahead || 1,
+      serviceClusters: describeServiceClusters(results),
       generatedAt: new Date().toISOString()
     };
     
     const filePath = path.join(resultsDir, 'phase2-results.json');
     fs.writeFileSync(filePath, JSON.stringify(output, null, 2));
     console.log(`✅ Phase 2 results saved to: ${filePath}`);
+    const storedDates = writePhase2Details(results, output);
+    console.log(`   Decisions of ${storedDates} dates saved to: ${phase2DetailsDir}`);
     console.log(`   Algorithms: ${Object.keys(results).length}`);
     console.log(`   Dates: ${allDates.length}`);
     
@@ -140,77 +378,15 @@ async function precalculatePhase2() {
   }
 }
 
-async function precalculatePhase3() {
+async function precalculatePhase3(options = {}) {
   console.log('\n=== Pre-calculating Phase 3 Results ===');
   console.log(`Processing ${allDates.length} dates...`);
   
   try {
     const orchestrator = new Phase3Orchestrator();
-    const results = await orchestrator.runAllPhase3Algorithms(allDates, {});
-    
-    // Format results to match frontend expectations
-    // Results structure: results[date] = { metrics: {...}, algorithms: {...} }
-    // Frontend expects: results.metricName[date] = value
-    const formattedResults = {
-      totalVMs: {},
-      loadedVMs: {},
-      loadPercentage: {},
-      balancedPercentage: {},
-      systemState: {},
-      totalMigrations: {},
-      localThreshold: {},
-      globalThreshold: {},
-      // Also include derived metrics
-      averageTaskCompletionTime: {},
-      averageResourceUtilization: {},
-      averageLoadBalanceScore: {},
-      averageMigrationOverhead: {},
-      averageSLACompliance: {}
-    };
-    
-    // Process each date's results
-    Object.keys(results).forEach(date => {
-      const result = results[date];
-      if (result && result.metrics) {
-        const metrics = result.metrics;
-        
-        // Extract actual metrics from Phase 3 orchestrator
-        formattedResults.totalVMs[date] = metrics.totalVMs || 0;
-        formattedResults.loadedVMs[date] = metrics.loadedVMs || 0;
-        formattedResults.loadPercentage[date] = metrics.loadPercentage || 0;
-        formattedResults.balancedPercentage[date] = metrics.balancedPercentage || 0;
-        formattedResults.systemState[date] = metrics.systemState || 'Unknown';
-        formattedResults.totalMigrations[date] = metrics.totalMigrations || 0;
-        formattedResults.localThreshold[date] = metrics.localThreshold || 0;
-        formattedResults.globalThreshold[date] = metrics.globalThreshold || 0;
-        
-        // Calculate derived metrics
-        const totalVMs = metrics.totalVMs || 0;
-        const totalMigrations = metrics.totalMigrations || 0;
-        const balancedPercentage = metrics.balancedPercentage || 0;
-        const loadPercentage = metrics.loadPercentage || 0;
-        
-        // Task completion time: estimate based on migrations and VM count
-        const avgTaskCompletionTime = totalVMs > 0 ? (totalMigrations * 10 + totalVMs * 0.5) : 0;
-        
-        // Resource utilization: convert load percentage to decimal
-        const avgResourceUtilization = loadPercentage / 100;
-        
-        // Load balance score: same as balanced percentage
-        const avgLoadBalanceScore = balancedPercentage;
-        
-        // Migration overhead: based on migration count
-        const avgMigrationOverhead = totalMigrations * 2.5;
-        
-        // SLA compliance: based on balanced state (100% if balanced, 80% if not)
-        const avgSLACompliance = metrics.systemState === 'Balanced' ? 100 : 80;
-        
-        formattedResults.averageTaskCompletionTime[date] = avgTaskCompletionTime;
-        formattedResults.averageResourceUtilization[date] = avgResourceUtilization;
-        formattedResults.averageLoadBalanceScore[date] = avgLoadBalanceScore;
-        formattedResults.averageMigrationOverhead[date] = avgMigrationOverhead;
-        formattedResults.averageSLACompliance[date] = avgSLACompliance;
-      }
+    const { formattedResults, statistics, seeds } = await runRepeated(options, async runOptions => {
+      const results = await orchestrator.runAllPhase3Algorithms(allDates, runOptions);
+      return { results, formattedResults: formatPhase3Results(results) };
     });
     
     const output = {
@@ -218,6 +394,10 @@ async function precalculatePhase3() {
       results: formattedResults,
       algorithms: ['TVPLCVPSOLB'],
       dates: allDates,
+      seed: options.seed !== undefined ? options.seed : DEFAULT_SEED,
+      ...describeRepeats(seeds, statistics),
+      trace: options.trace ? options.trace.format : 'planetlab',
+      topology: describeTopology(options),
       generatedAt: new Date().toISOString()
     };
     
@@ -234,43 +414,15 @@ async function precalculatePhase3() {
   }
 }
 
-async function precalculatePhase4() {
+async function precalculatePhase4(options = {}) {
   console.log('\n=== Pre-calculating Phase 4 Results ===');
   console.log(`Processing ${allDates.length} dates...`);
   
   try {
     const orchestrator = new Phase4Orchestrator();
-    const results = await orchestrator.runAllPhase4Algorithms(allDates, {});
-    
-    // Format results (same format as endpoint)
-    // Results structure: results[date] = { metrics: {...}, algorithms: {...} }
-    const formattedResults = {
-      balancedPercentage: {},
-      averageUtilization: {},
-      loadVariance: {},
-      migrationCount: {},
-      fitnessScore: {}
-    };
-    
-    // Extract algorithm name (should be ACOPSOHybrid for Phase 4)
-    const algoName = 'ACOPSOHybrid';
-    
-    formattedResults.balancedPercentage[algoName] = {};
-    formattedResults.averageUtilization[algoName] = {};
-    formattedResults.loadVariance[algoName] = {};
-    formattedResults.migrationCount[algoName] = {};
-    formattedResults.fitnessScore[algoName] = {};
-    
-    // Process each date's results
-    Object.keys(results).forEach(date => {
-      const result = results[date];
-      if (result && result.metrics) {
-        formattedResults.balancedPercentage[algoName][date] = result.metrics.balancedPercentage || 0;
-        formattedResults.averageUtilization[algoName][date] = result.metrics.averageUtilization || 0;
-        formattedResults.loadVariance[algoName][date] = result.metrics.loadVariance || 0;
-        formattedResults.migrationCount[algoName][date] = result.metrics.totalMigrations || 0;
-        formattedResults.fitnessScore[algoName][date] = result.metrics.globalBestFitness || 0;
-      }
+    const { results, formattedResults, statistics, seeds } = await runRepeated(options, async runOptions => {
+      const results = await orchestrator.runAllPhase4Algorithms(allDates, runOptions);
+      return { results, formattedResults: formatPhase4Results(results) };
     });
     
     const output = {
@@ -278,6 +430,10 @@ async function precalculatePhase4() {
       results: formattedResults,
       algorithms: Object.keys(results),
       dates: allDates,
+      seed: options.seed !== undefined ? options.seed : DEFAULT_SEED,
+      ...describeRepeats(seeds, statistics),
+      trace: options.trace ? options.trace.format : 'planetlab',
+      topology: describeTopology(options),
       generatedAt: new Date().toISOString()
     };
     
@@ -295,6 +451,104 @@ async function precalculatePhase4() {
 }
 
 async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    seed: args.seed !== undefined ? (/^\d+$/.test(String(args.seed)) ? Number(args.seed) : String(args.seed)) : DEFAULT_SEED
+  };
+  console.log(`Seed: ${options.seed}`);
+  if (args.repeats !== undefined) {
+    const repeats = Number(args.repeats);
+    if (!Number.isInteger(repeats) || repeats < 1) {
+      console.error(`--repeats must be a positive integer (got ${args.repeats})`);
+      process.exit(1);
+    }
+    options.repeats = repeats;
+    console.log(`Repeats per algorithm/date: ${repeats}`);
+  }
+  if (args.safety) {
+    try {
+      options.safetyParameters = ThresholdDetection.resolveSafetyParameters(
+        Object.fromEntries(String(args.safety).split(',').map(pair => pair.split('=').map(part => part.trim())))
+      );
+    } catch (error) {
+      console.error(`--safety: ${error.message}`);
+      process.exit(1);
+    }
+    console.log(`Safety parameters: ${JSON.stringify(options.safetyParameters)}`);
+  }
+  if (args.prediction || args.horizon !== undefined) {
+    const prediction = {};
+    if (args.prediction) {
+      prediction.model = args.prediction;
+    }
+    if (args.horizon !== undefined) {
+      prediction.horizon = args.horizon;
+    }
+    try {
+      options.prediction = CBLP.resolveConfig(prediction);
+    } catch (error) {
+      console.error(`--prediction/--horizon: ${error.message}`);
+      process.exit(1);
+    }
+    console.log(`Phase 2 prediction: ${options.prediction.model}, horizon ${options.prediction.horizon}`);
+  }
+  if (args.lookahead !== undefined) {
+    const lookahead = Number(args.lookahead);
+    const horizon = options.prediction ? options.prediction.horizon : CBLP.DEFAULT_CONFIG.horizon;
+    if (!Number.isInteger(lookahead) || lookahead < 1 || lookahead > horizon) {
+      console.error(`--lookahead must be an integer from 1 to the prediction horizon (${horizon})`);
+      process.exit(1);
+    }
+    options.lookahead = lookahead;
+    console.log(`Phase 2 lookahead: ${lookahead}`);
+  }
+  if (args.categorization || args.clusters !== undefined || args['cluster-criterion']) {
+    const categorization = {};
+    if (args.categorization) {
+      categorization.method = args.categorization;
+    }
+    if (args.clusters !== undefined) {
+      categorization.k = args.clusters;
+    }
+    if (args['cluster-criterion']) {
+      categorization.criterion = args['cluster-criterion'];
+    }
+    try {
+      options.categorization = ServiceClustering.resolveConfig(categorization);
+    } catch (error) {
+      console.error(`--categorization/--clusters/--cluster-criterion: ${error.message}`);
+      process.exit(1);
+    }
+    console.log(`Phase 2 categorization: ${options.categorization.method}, k ${options.categorization.k}`);
+  }
+  if (args.trace) {
+    if (!TRACE_FORMATS.includes(args.trace)) {
+      console.error(`Unknown trace format: ${args.trace} (use ${TRACE_FORMATS.join(', ')})`);
+      process.exit(1);
+    }
+    options.trace = { format: args.trace };
+    if (args.columns) {
+      // Column mapping of the generic CSV loader: field=column,...
+      options.trace.columns = Object.fromEntries(args.columns.split(',').map(pair => pair.split('=').map(part => part.trim())));
+    }
+    console.log(`Trace format: ${args.trace}`);
+  }
+  if (args.dates) {
+    allDates = args.dates.split(',').map(date => date.trim()).filter(Boolean);
+  }
+  if (args.topology) {
+    options.topology = args.topology;
+    console.log(`Cluster topology: ${args.topology}`);
+  }
+  if (args.allocation) {
+    if (!Topology.ALLOCATION_STRATEGIES.includes(args.allocation)) {
+      console.error(`Unknown allocation strategy: ${args.allocation} (use ${Topology.ALLOCATION_STRATEGIES.join(', ')})`);
+      process.exit(1);
+    }
+    options.allocationStrategy = args.allocation;
+    console.log(`VM allocation strategy: ${args.allocation}`);
+  }
+
   console.log('========================================');
   console.log('Pre-calculating All Algorithm Results');
   console.log('========================================');
@@ -306,11 +560,14 @@ async function main() {
   const startTime = Date.now();
   
   try {
+    // Fail fast on a bad topology instead of after Phase 1
+    describeTopology(options);
+
     // Pre-calculate all phases sequentially
-    await precalculatePhase1();
-    await precalculatePhase2();
-    await precalculatePhase3();
-    await precalculatePhase4();
+    await precalculatePhase1(options);
+    await precalculatePhase2(options);
+    await precalculatePhase3(options);
+    await precalculatePhase4(options);
     
     const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
     console.log('\n========================================');
@@ -0,0 +1,140 @@
+/**
+ * Backtest the CBLP load prediction models
+ * Forecasts the next intervals of every VM from the history up to each of the last intervals of
+ * the day and compares them with the load actually observed; writes MAE, RMSE and MAPE per date,
+ * model and horizon step to backend/results/phase2-prediction-backtest.json
+ *
+ * Usage: node backend/scripts/predictionBacktest.js [--models <model,...>] [--window <n>] [--origins <n>]
+ *          [--horizon <n>] [--order <p,d,q>] [--alpha <a>] [--beta <b>] [--dates <dataset,...>] [--trace <format>]
+ *          [--topology <name|path>] [--seed <seed>] [--output <file>]
+ *   --models    Prediction models: correlation, linear-regression, arima, exponential-smoothing (default: all)
+ *   --window    Intervals of history the time-series models fit (default 48)
+ *   --origins   Forecast origins per VM, counted back from the end of the day (default 12)
+ *   --horizon   Intervals predicted from every origin; the errors are reported per step (default 1)
+ *   --order     ARIMA order p,d,q (default 2,1,1)
+ *   --alpha     Level smoothing of exponential-smoothing (default 0.5)
+ *   --beta      Trend smoothing of exponential-smoothing (default 0.1)
+ *   --dates     Comma-separated datasets (default: the 10 PlanetLab dates)
+ *   --trace     Trace format of the datasets (default: planetlab)
+ *   --topology  Cluster topology (config name in backend/config or JSON path)
+ *   --seed      Seed of the correlation fallback variation (default 42)
+ *   --output    Result file name in backend/results (default: phase2-prediction-backtest.json)
+ */
+
+const path = require('path');
+
+const Phase2Orchestrator = require('../algorithms/phase2/phase2Orchestrator');
+const CBLP = require('../algorithms/phase2/cblp');
+const { TRACE_FORMATS } = require('../algorithms/loaders');
+const { resultsDir, writeResultsFile } = require('../utils/resultsStore');
+const { parseArgs } = require('../utils/cliArgs');
+const { DEFAULT_SEED } = require('../utils/random');
+
+const DEFAULT_DATES = [
+  '20110303', '20110306', '20110309', '20110322', '20110325',
+  '20110403', '20110409', '20110411', '20110412', '20110420'
+];
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Print one line per model, most accurate (lowest MAE) first
+ */
+function printSummary(models) {
+  console.log(`\n${'Model'.padEnd(22)} ${'MAE'.padStart(8)} ${'RMSE'.padStart(8)} ${'MAPE'.padStart(9)} ${'Forecasts'.padStart(10)}`);
+  Object.entries(models)
+    .sort(([, a], [, b]) => a.mae - b.mae)
+    .forEach(([model, { mae, rmse, mape, samples }]) => {
+      console.log(
+        `${model.padEnd(22)} ${mae.toFixed(2).padStart(8)} ${rmse.toFixed(2).padStart(8)} ` +
+        `${`${mape.toFixed(1)}%`.padStart(9)} ${String(samples).padStart(10)}`
+      );
+    });
+
+  // MAE error curve over the horizon
+  const steps = Object.values(models)[0].horizons.length;
+  if (steps > 1) {
+    console.log(`\nMAE by step ${Array.from({ length: steps }, (_, h) => `t+${h + 1}`.padStart(7)).join('')}`);
+    Object.entries(models).forEach(([model, { horizons }]) => {
+      console.log(`${model.padEnd(22)} ${horizons.map(({ mae }) => mae.toFixed(2).padStart(7)).join('')}`);
+    });
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    seed: args.seed !== undefined ? (/^\d+$/.test(String(args.seed)) ? Number(args.seed) : String(args.seed)) : DEFAULT_SEED
+  };
+
+  options.models = args.models ? parseList(args.models) : CBLP.MODELS;
+  const prediction = {};
+  ['window', 'origins', 'horizon', 'alpha', 'beta'].forEach(key => {
+    if (args[key] !== undefined) {
+      prediction[key] = args[key];
+    }
+  });
+  if (args.order !== undefined) {
+    prediction.order = parseList(args.order);
+  }
+  try {
+    options.models.forEach(model => CBLP.resolveConfig({ ...prediction, model }));
+  } catch (error) {
+    fail(`Prediction: ${error.message}`);
+  }
+  options.prediction = prediction;
+
+  if (args.trace) {
+    if (!TRACE_FORMATS.includes(args.trace)) {
+      fail(`Unknown trace format: ${args.trace} (use ${TRACE_FORMATS.join(', ')})`);
+    }
+    options.trace = { format: args.trace };
+  }
+  if (args.topology) {
+    options.topology = args.topology;
+  }
+  const dates = args.dates ? parseList(args.dates) : DEFAULT_DATES;
+  const outputName = args.output || 'phase2-prediction-backtest.json';
+  if (!/^[\w.-]+\.json$/.test(outputName)) {
+    fail('--output must be a .json file name');
+  }
+
+  console.log('========================================');
+  console.log('Phase 2 Prediction Backtest');
+  console.log('========================================');
+  console.log(`Models: ${options.models.join(', ')}`);
+  console.log(`Processing ${dates.length} dates: ${dates.join(', ')}`);
+
+  const startTime = Date.now();
+  try {
+    const backtest = await new Phase2Orchestrator().backtestPrediction(dates, options);
+    const output = {
+      success: true,
+      mode: 'prediction-backtest',
+      ...backtest,
+      dates,
+      seed: options.seed,
+      trace: options.trace ? options.trace.format : 'planetlab',
+      generatedAt: new Date().toISOString()
+    };
+
+    printSummary(backtest.models);
+    const filePath = writeResultsFile(path.join(resultsDir, outputName), output);
+    const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
+    console.log(`\n✅ Backtest saved to: ${filePath} (${duration} minutes)`);
+  } catch (error) {
+    console.error('\n❌ Prediction backtest failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(console.error);
+}
@@ -0,0 +1,155 @@
+/**
+ * Sweep the safety parameters of the Phase 1 threshold policies
+ * Evaluates every policy over a grid of safety values across the dates and writes the
+ * energy/SLA trade-off curves to backend/results/phase1-safety-sweep.json
+ *
+ * Usage: node backend/scripts/safetySweep.js [--policies <algo,...>] [--grid <spec>] [--consolidation <algo,...>]
+ *          [--engine <daily|timestep>] [--lr-variant <stateless|windowed>] [--dates <dataset,...>]
+ *          [--trace <format>] [--topology <name|path>] [--seed <seed>] [--output <file>]
+ *   --policies       Threshold policies to sweep (default: all, or the policies named in --grid)
+ *   --grid           Values per policy, e.g. IQR=0.5:1:1.5,THR=70:80:90 (default: the built-in grids,
+ *                    see ThresholdDetection.SAFETY_PARAMETERS)
+ *   --consolidation  VM consolidation algorithms each value is run with (default: all)
+ *   --engine         Simulation engine (default: daily)
+ *   --lr-variant     LR/LRR variant; with windowed, LR/LRR sweep lrSafetyParameter
+ *   --dates          Comma-separated datasets (default: the 10 PlanetLab dates)
+ *   --trace          Trace format of the datasets (default: planetlab)
+ *   --topology       Cluster topology (config name in backend/config or JSON path)
+ *   --seed           Seed of the randomized policies (default 42)
+ *   --output         Result file name in backend/results (default: phase1-safety-sweep.json)
+ */
+
+const path = require('path');
+
+const LoadBalancer = require('../algorithms/phase1/loadBalancer');
+const ThresholdDetection = require('../algorithms/phase1/thresholdDetection');
+const SafetySweep = require('../algorithms/phase1/safetySweep');
+const { TRACE_FORMATS } = require('../algorithms/loaders');
+const { resultsDir, writeResultsFile } = require('../utils/resultsStore');
+const { parseArgs } = require('../utils/cliArgs');
+const { DEFAULT_SEED } = require('../utils/random');
+
+const DEFAULT_DATES = [
+  '20110303', '20110306', '20110309', '20110322', '20110325',
+  '20110403', '20110409', '20110411', '20110412', '20110420'
+];
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Print one line per point: value, energy, SLA violations and the Pareto marker
+ */
+function printCurves(sweep) {
+  Object.entries(sweep).forEach(([thresholdAlgo, { parameter, defaultValue, curves }]) => {
+    console.log(`\n${thresholdAlgo} (${parameter}, default ${defaultValue})`);
+    Object.entries(curves).forEach(([consolidationAlgo, points]) => {
+      console.log(`  ${consolidationAlgo}`);
+      points.forEach(point => {
+        const marker = point.paretoOptimal ? ' *' : '';
+        console.log(`    ${String(point.value).padStart(6)}  energy ${point.energyConsumption.toFixed(2)} kWh  SLA ${point.slaViolations.toFixed(2)}${marker}`);
+      });
+    });
+  });
+  console.log('\n* Pareto-optimal on energy and SLA violations');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    seed: args.seed !== undefined ? (/^\d+$/.test(String(args.seed)) ? Number(args.seed) : String(args.seed)) : DEFAULT_SEED
+  };
+
+  if (args['lr-variant'] !== undefined) {
+    if (!ThresholdDetection.LR_VARIANTS.includes(args['lr-variant'])) {
+      fail(`Unknown LR variant: ${args['lr-variant']} (use ${ThresholdDetection.LR_VARIANTS.join(', ')})`);
+    }
+    options.lrVariant = args['lr-variant'];
+  }
+  if (args.grid) {
+    // IQR=0.5:1:1.5,THR=70:80:90
+    const grid = Object.fromEntries(parseList(args.grid).map(entry => {
+      const [policy, values = ''] = entry.split('=');
+      return [policy.trim(), values.split(':').filter(Boolean)];
+    }));
+    try {
+      options.grid = SafetySweep.resolveGrid(grid, options.lrVariant);
+    } catch (error) {
+      fail(`--grid: ${error.message}`);
+    }
+  }
+  if (args.policies) {
+    options.thresholdAlgos = parseList(args.policies);
+  } else if (options.grid) {
+    options.thresholdAlgos = Object.keys(options.grid);
+  }
+  if (options.thresholdAlgos && !options.thresholdAlgos.every(algo => LoadBalancer.THRESHOLD_ALGORITHMS.includes(algo))) {
+    fail(`--policies must be a subset of ${LoadBalancer.THRESHOLD_ALGORITHMS.join(', ')}`);
+  }
+  if (args.consolidation) {
+    options.consolidationAlgos = parseList(args.consolidation);
+    if (!options.consolidationAlgos.every(algo => LoadBalancer.CONSOLIDATION_ALGORITHMS.includes(algo))) {
+      fail(`--consolidation must be a subset of ${LoadBalancer.CONSOLIDATION_ALGORITHMS.join(', ')}`);
+    }
+  }
+  if (args.engine !== undefined) {
+    if (!LoadBalancer.ENGINES.includes(args.engine)) {
+      fail(`Unknown engine: ${args.engine} (use ${LoadBalancer.ENGINES.join(', ')})`);
+    }
+    options.engine = args.engine;
+  }
+  if (args.trace) {
+    if (!TRACE_FORMATS.includes(args.trace)) {
+      fail(`Unknown trace format: ${args.trace} (use ${TRACE_FORMATS.join(', ')})`);
+    }
+    options.trace = { format: args.trace };
+  }
+  if (args.topology) {
+    options.topology = args.topology;
+  }
+  const dates = args.dates ? parseList(args.dates) : DEFAULT_DATES;
+  const outputName = args.output || 'phase1-safety-sweep.json';
+  if (!/^[\w.-]+\.json$/.test(outputName)) {
+    fail('--output must be a .json file name');
+  }
+
+  console.log('========================================');
+  console.log('Phase 1 Safety Parameter Sweep');
+  console.log('========================================');
+  console.log(`Seed: ${options.seed}`);
+  console.log(`Processing ${dates.length} dates: ${dates.join(', ')}`);
+
+  const startTime = Date.now();
+  try {
+    const sweep = await SafetySweep.run(new LoadBalancer(), dates, options);
+    const output = {
+      success: true,
+      mode: 'sweep',
+      sweep,
+      dates,
+      seed: options.seed,
+      engine: options.engine || 'daily',
+      lrVariant: options.lrVariant || 'stateless',
+      trace: options.trace ? options.trace.format : 'planetlab',
+      generatedAt: new Date().toISOString()
+    };
+
+    printCurves(sweep);
+    const filePath = writeResultsFile(path.join(resultsDir, outputName), output);
+    const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
+    console.log(`\n✅ Sweep saved to: ${filePath} (${duration} minutes)`);
+  } catch (error) {
+    console.error('\n❌ Safety sweep failed:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(console.error);
+}
@@ -888,6 +888,41 @@ const Phase3Orchestrator = require('./algorithms/phase3/phase3Orchestrator');
 // Phase 4 Algorithm Execution
 const Phase4Orchestrator = require('./algorithms/phase4/phase4Orchestrator');
 
+// On-demand job execution and result storage
+const JobManager = require('./utils/jobManager');
+const PowerModels = require('./algorithms/phase1/powerModels');
+const VMPlacement = require('./algorithms/phase1/vmPlacement');
+const VMConsolidation = require('./algorithms/phase1/vmConsolidation');
+const ThresholdDetection = require('./algorithms/phase1/thresholdDetection');
+const SafetySweep = require('./algorithms/phase1/safetySweep');
+const DVFS = require('./algorithms/phase1/dvfs');
+const DVFSComparison = require('./algorithms/phase1/dvfsComparison');
+const VectorPlacement = require('./algorithms/vectorPlacement');
+const HostPowerState = require('./algorithms/phase1/powerStates');
+const MigrationModel = require('./algorithms/phase1/migrationModel');
+const Topology = require('./algorithms/topology');
+const { createLoader, TRACE_FORMATS, getFormatDirectory } = require('./algorithms/loaders');
+const {
+  formatPhase1Results,
+  aggregateRepeatedResults,
+  filterDates,
+  writeResultsFile,
+  readResultsFile,
+  getJobResultPath
+} = require('./utils/resultsStore');
+const WorkloadGenerator = require('./utils/workloadGenerator');
+const {
+  listDecisionDates,
+  loadDecisions,
+  parseDecisionQuery,
+  filterDecisions,
+  summarizeDestinations,
+  paginate
+} = require('./utils/phase2Decisions');
+const { DEFAULT_SEED, deriveSeeds } = require('./utils/random');
+const { compareAlgorithms, groupResults, formatPValue } = require('./utils/algorithmComparison');
+const jobManager = new JobManager();
+
 // API endpoint to run algorithms and get results (serves pre-calculated results)
 app.post('/api/phase1/run-algorithms', async (req, res) => {
   // Set CORS headers immediately
@@ -898,7 +933,7 @@ app.post('/api/phase1/run-algorithms', async (req, res) => {
   }
   
   try {
-    const { dates } = req.body;
+    const { dates, seed } = req.body;
     
     // Load pre-calculated results
     const resultsPath = path.join(__dirname, 'results', 'phase1-results.json');
@@ -912,37 +947,18 @@ app.post('/api/phase1/run-algorithms', async (req, res) => {
     }
     
     const preCalculatedData = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+    const seedError = checkRequestedSeed(seed, preCalculatedData);
+    if (seedError) {
+      return res.status(409).json({ success: false, error: seedError });
+    }
     
     // Filter by requested dates if provided
     if (dates && Array.isArray(dates) && dates.length > 0) {
-      // Filter results to only include requested dates
-      const filteredResults = {
-        energyConsumption: {},
-        vmMigrations: {},
-        slaViolations: {},
-        nodeShutdowns: {},
-        meanTimeBeforeShutdown: {},
-        meanTimeBeforeMigration: {}
-      };
-      
-      Object.keys(preCalculatedData.results.energyConsumption).forEach(algoName => {
-        filteredResults.energyConsumption[algoName] = {};
-        filteredResults.vmMigrations[algoName] = {};
-        filteredResults.slaViolations[algoName] = {};
-        filteredResults.nodeShutdowns[algoName] = {};
-        filteredResults.meanTimeBeforeShutdown[algoName] = {};
-        filteredResults.meanTimeBeforeMigration[algoName] = {};
-        
-        dates.forEach(date => {
-          if (preCalculatedData.results.energyConsumption[algoName][date] !== undefined) {
-            filteredResults.energyConsumption[algoName][date] = preCalculatedData.results.energyConsumption[algoName][date];
-            filteredResults.vmMigrations[algoName][date] = preCalculatedData.results.vmMigrations[algoName][date];
-            filteredResults.slaViolations[algoName][date] = preCalculatedData.results.slaViolations[algoName][date];
-            filteredResults.nodeShutdowns[algoName][date] = preCalculatedData.results.nodeShutdowns[algoName][date];
-            filteredResults.meanTimeBeforeShutdown[algoName][date] = preCalculatedData.results.meanTimeBeforeShutdown[algoName][date];
-            filteredResults.meanTimeBeforeMigration[algoName][date] = preCalculatedData.results.meanTimeBeforeMigration[algoName][date];
-          }
-        });
+      // Filter every stored metric (the SLA, migration, power state and DVFS metrics are
+      // only present in files generated with them) to the requested dates
+      const filteredResults = {};
+      Object.keys(preCalculatedData.results).forEach(metric => {
+        filteredResults[metric] = filterDates(preCalculatedData.results[metric], preCalculatedData.dates, dates);
       });
       
       res.json({
@@ -950,6 +966,9 @@ app.post('/api/phase1/run-algorithms', async (req, res) => {
         results: filteredResults,
         algorithms: preCalculatedData.algorithms,
         dates: dates,
+        seed: preCalculatedData.seed,
+        repeats: preCalculatedData.repeats,
+        statistics: selectStatistics(preCalculatedData, dates),
         generatedAt: preCalculatedData.generatedAt
       });
     } else {
@@ -959,6 +978,9 @@ app.post('/api/phase1/run-algorithms', async (req, res) => {
         results: preCalculatedData.results,
         algorithms: preCalculatedData.algorithms,
         dates: preCalculatedData.dates,
+        seed: preCalculatedData.seed,
+        repeats: preCalculatedData.repeats,
+        statistics: selectStatistics(preCalculatedData, preCalculatedData.dates),
         generatedAt: preCalculatedData.generatedAt
       });
     }
@@ -979,6 +1001,605 @@ app.post('/api/phase1/run-algorithms', async (req, res) => {
   }
 });
 
+/**
+ * Seeds are integers or short strings (hashed by utils/random.js)
+ */
+function isValidSeed(seed) {
+  return Number.isInteger(seed) || (typeof seed === 'string' && seed.length > 0 && seed.length <= 64);
+}
+
+/**
+ * Pre-calculated results can only be served for the seed they were generated with
+ * @returns {string|null} Error message when the requested seed differs
+ */
+function checkRequestedSeed(requestedSeed, preCalculatedData) {
+  if (requestedSeed === undefined || requestedSeed === preCalculatedData.seed) {
+    return null;
+  }
+  const generatedWith = preCalculatedData.seed !== undefined ? `seed ${preCalculatedData.seed}` : 'no recorded seed';
+  return `Pre-calculated results were generated with ${generatedWith}; run precalculateResults.js --seed ${requestedSeed} to get results for seed ${requestedSeed}`;
+}
+
+/**
+ * Statistics of repeated pre-calculated runs, limited to the served dates
+ * @returns {Object|undefined} undefined when the file holds a single run
+ */
+function selectStatistics(preCalculatedData, dates) {
+  if (!preCalculatedData.statistics) {
+    return undefined;
+  }
+  return filterDates(preCalculatedData.statistics, preCalculatedData.dates, dates);
+}
+
+/**
+ * Phase 2 statistics are stored as statistics.metricName[date].metrics, flatten them
+ * the same way as the results
+ */
+function selectPhase2Statistics(preCalculatedData, dates) {
+  const statistics = selectStatistics(preCalculatedData, dates);
+  if (!statistics) {
+    return undefined;
+  }
+
+  const flattened = {};
+  Object.keys(statistics).forEach(metric => {
+    flattened[metric] = {};
+    Object.keys(statistics[metric]).forEach(date => {
+      if (statistics[metric][date].metrics) {
+        flattened[metric][date] = statistics[metric][date].metrics;
+      }
+    });
+  });
+  return flattened;
+}
+
+// Metrics served from the pre-calculated Phase 2 results
+const PHASE2_METRICS = [
+  'averagePredictedLoad',
+  'averagePheromoneLevel',
+  'averageLoadVariance',
+  'averageMigrationCount',
+  'averageConsolidationEfficiency',
+  'predictionMAE',
+  'predictionRMSE',
+  'predictionMAPE'
+];
+
+// Upper bound on generated data points per synthetic dataset (VMs x samples)
+const MAX_SYNTHETIC_POINTS = 2000000;
+
+// Synthetic datasets being written by POST /api/datasets/synthetic
+const generatingDatasets = new Set();
+
+// Upper bound on repeated runs of one Phase 1 job
+const MAX_JOB_REPEATS = 30;
+
+// VMs allocated by one placement report request; the most accepted is what the topology
+// can hold (Topology.maxVMs)
+const DEFAULT_PLACEMENT_REPORT_VMS = 1000;
+
+/**
+ * Validate synthetic workload generator options (unknown keys are ignored)
+ * @returns {Object} { options } or { error }
+ */
+function parseGeneratorOptions(source = {}) {
+  const options = {};
+  Object.keys(WorkloadGenerator.DEFAULTS).forEach(key => {
+    if (source[key] !== undefined) {
+      options[key] = key === 'baseLoad' || key === 'seed' ? source[key] : Number(source[key]);
+    }
+  });
+
+  try {
+    const { vmCount, samples } = new WorkloadGenerator(options).options;
+    if (vmCount * samples > MAX_SYNTHETIC_POINTS) {
+      return { error: `vmCount x samples must not exceed ${MAX_SYNTHETIC_POINTS} data points` };
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+  return { options };
+}
+
+// Validate a Phase 1 job submission, returns { error } or the normalized parameters
+function parsePhase1JobRequest(body = {}) {
+  const dates = body.dates && body.dates.length > 0 ? body.dates : [
+    '20110303', '20110306', '20110309', '20110322', '20110325',
+    '20110403', '20110409', '20110411', '20110412', '20110420'
+  ];
+  const thresholdAlgos = body.thresholdAlgos && body.thresholdAlgos.length > 0
+    ? body.thresholdAlgos
+    : LoadBalancer.THRESHOLD_ALGORITHMS;
+  const consolidationAlgos = body.consolidationAlgos && body.consolidationAlgos.length > 0
+    ? body.consolidationAlgos
+    : LoadBalancer.CONSOLIDATION_ALGORITHMS;
+
+  let trace = null;
+  if (body.trace !== undefined) {
+    // Datasets are always read from backend/dataset/<format>, so the request cannot pick a path
+    if (!body.trace || typeof body.trace !== 'object' || Array.isArray(body.trace) || body.trace.path !== undefined) {
+      return { error: 'trace must be an object { format, ...loaderOptions } without a path' };
+    }
+    if (!TRACE_FORMATS.includes(body.trace.format)) {
+      return { error: `trace.format must be one of ${TRACE_FORMATS.join(', ')}` };
+    }
+    if (body.trace.format === 'synthetic') {
+      const { options, error } = parseGeneratorOptions(body.trace);
+      if (error) {
+        return { error };
+      }
+      trace = { format: 'synthetic', ...options };
+    } else {
+      try {
+        const { format, ...loaderOptions } = body.trace;
+        createLoader(format, loaderOptions);
+      } catch (error) {
+        return { error: error.message };
+      }
+      trace = body.trace;
+    }
+  }
+
+  if (!trace || trace.format === 'planetlab') {
+    if (!Array.isArray(dates) || !dates.every(date => /^\d{8}$/.test(date))) {
+      return { error: 'dates must be an array of YYYYMMDD strings' };
+    }
+  } else if (!body.dates || !Array.isArray(dates) || !dates.every(date => typeof date === 'string' && /^[\w-]+$/.test(date))) {
+    return { error: `dates must list the ${trace.format} datasets to run (directory names in backend/dataset/${trace.format})` };
+  }
+  if (!Array.isArray(thresholdAlgos) || !thresholdAlgos.every(algo => LoadBalancer.THRESHOLD_ALGORITHMS.includes(algo))) {
+    return { error: `thresholdAlgos must be a subset of ${LoadBalancer.THRESHOLD_ALGORITHMS.join(', ')}` };
+  }
+  if (!Array.isArray(consolidationAlgos) || !consolidationAlgos.every(algo => LoadBalancer.CONSOLIDATION_ALGORITHMS.includes(algo))) {
+    return { error: `consolidationAlgos must be a subset of ${LoadBalancer.CONSOLIDATION_ALGORITHMS.join(', ')}` };
+  }
+
+  const params = { dates, thresholdAlgos, consolidationAlgos };
+  if (trace) {
+    params.trace = trace;
+  }
+
+  if (body.powerModel !== undefined) {
+    try {
+      params.powerModel = PowerModels.resolve(body.powerModel);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  if (body.migrationEnergy !== undefined) {
+    const migrationEnergy = Number(body.migrationEnergy);
+    if (!Number.isFinite(migrationEnergy) || migrationEnergy < 0) {
+      return { error: 'migrationEnergy must be a non-negative number (kWh per migration)' };
+    }
+    params.migrationEnergy = migrationEnergy;
+  }
+  if (body.migrationModel !== undefined) {
+    try {
+      params.migrationModel = MigrationModel.resolveConfig(body.migrationModel);
+    } catch (error) {
+      return { error: `migrationModel: ${error.message}` };
+    }
+  }
+  if (body.engine !== undefined) {
+    if (!LoadBalancer.ENGINES.includes(body.engine)) {
+      return { error: `engine must be one of ${LoadBalancer.ENGINES.join(', ')}` };
+    }
+    params.engine = body.engine;
+  }
+  if (body.windowSize !== undefined) {
+    const windowSize = Number(body.windowSize);
+    if (!Number.isInteger(windowSize) || windowSize < 2) {
+      return { error: 'windowSize must be an integer of at least 2 samples' };
+    }
+    params.windowSize = windowSize;
+  }
+  if (body.lrVariant !== undefined) {
+    if (!ThresholdDetection.LR_VARIANTS.includes(body.lrVariant)) {
+      return { error: `lrVariant must be one of ${ThresholdDetection.LR_VARIANTS.join(', ')}` };
+    }
+    params.lrVariant = body.lrVariant;
+  }
+  if (body.lrWindowSize !== undefined) {
+    const lrWindowSize = Number(body.lrWindowSize);
+    if (!Number.isInteger(lrWindowSize) || lrWindowSize < 3) {
+      return { error: 'lrWindowSize must be an integer of at least 3 samples' };
+    }
+    params.lrWindowSize = lrWindowSize;
+  }
+  if (body.lrSafetyParameter !== undefined) {
+    const lrSafetyParameter = Number(body.lrSafetyParameter);
+    if (!Number.isFinite(lrSafetyParameter) || lrSafetyParameter <= 0) {
+      return { error: 'lrSafetyParameter must be a positive number' };
+    }
+    params.lrSafetyParameter = lrSafetyParameter;
+  }
+  if (body.safetyParameters !== undefined) {
+    try {
+      params.safetyParameters = ThresholdDetection.resolveSafetyParameters(body.safetyParameters);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  if (body.sweep !== undefined && body.sweep !== false) {
+    // true sweeps the default grid of every selected policy
+    if (body.sweep !== true) {
+      try {
+        params.sweep = SafetySweep.resolveGrid(body.sweep, params.lrVariant);
+      } catch (error) {
+        return { error: `sweep: ${error.message}` };
+      }
+      if (!body.thresholdAlgos) {
+        params.thresholdAlgos = Object.keys(params.sweep);
+      }
+      const unknown = Object.keys(params.sweep).filter(algo => !params.thresholdAlgos.includes(algo));
+      if (unknown.length > 0) {
+        return { error: `sweep lists policies that are not in thresholdAlgos: ${unknown.join(', ')}` };
+      }
+    } else {
+      params.sweep = {};
+    }
+    if (body.repeats !== undefined && Number(body.repeats) !== 1) {
+      return { error: 'repeats cannot be combined with sweep' };
+    }
+  }
+  if (body.selectionMode !== undefined) {
+    if (!VMConsolidation.SELECTION_MODES.includes(body.selectionMode)) {
+      return { error: `selectionMode must be one of ${VMConsolidation.SELECTION_MODES.join(', ')}` };
+    }
+    params.selectionMode = body.selectionMode;
+  }
+  if (body.underloadThreshold !== undefined) {
+    const underloadThreshold = Number(body.underloadThreshold);
+    if (!Number.isFinite(underloadThreshold) || underloadThreshold < 0 || underloadThreshold > 100) {
+      return { error: 'underloadThreshold must be a number between 0 and 100 (percent host utilization)' };
+    }
+    params.underloadThreshold = underloadThreshold;
+  }
+  if (body.powerStates !== undefined) {
+    try {
+      params.powerStates = HostPowerState.resolveConfig(body.powerStates);
+    } catch (error) {
+      return { error: `powerStates: ${error.message}` };
+    }
+  }
+  if (body.dvfs !== undefined && body.dvfs !== false) {
+    try {
+      params.dvfs = DVFS.resolveConfig(body.dvfs);
+    } catch (error) {
+      return { error: `dvfs: ${error.message}` };
+    }
+  }
+  if (body.compareDvfs !== undefined && body.compareDvfs !== false) {
+    // Every combination runs at the nominal frequency and under DVFS (params.dvfs or the defaults)
+    if (body.compareDvfs !== true) {
+      return { error: 'compareDvfs must be a boolean' };
+    }
+    if (params.sweep) {
+      return { error: 'compareDvfs cannot be combined with sweep' };
+    }
+    if (body.repeats !== undefined && Number(body.repeats) !== 1) {
+      return { error: 'repeats cannot be combined with compareDvfs' };
+    }
+    params.compareDvfs = true;
+  }
+  if (body.placementAlgo !== undefined) {
+    if (!VMPlacement.ALGORITHMS.includes(body.placementAlgo)) {
+      return { error: `placementAlgo must be one of ${VMPlacement.ALGORITHMS.join(', ')}` };
+    }
+    params.placementAlgo = body.placementAlgo;
+  }
+  if (body.topology !== undefined) {
+    // Only configs shipped in backend/config can be selected over the API
+    if (typeof body.topology !== 'string' || !/^[\w-]+$/.test(body.topology)) {
+      return { error: 'topology must be the name of a config in backend/config (e.g. "cluster")' };
+    }
+    try {
+      Topology.load(body.topology);
+    } catch (error) {
+      return { error: `Invalid topology ${body.topology}: ${error.message.replace(Topology.CONFIG_DIR, 'backend/config')}` };
+    }
+    params.topology = body.topology;
+  }
+  if (body.allocationStrategy !== undefined) {
+    if (!Topology.ALLOCATION_STRATEGIES.includes(body.allocationStrategy)) {
+      return { error: `allocationStrategy must be one of ${Topology.ALLOCATION_STRATEGIES.join(', ')}` };
+    }
+    params.allocationStrategy = body.allocationStrategy;
+  }
+  if (body.seed !== undefined) {
+    if (!isValidSeed(body.seed)) {
+      return { error: 'seed must be an integer or a short string' };
+    }
+    params.seed = body.seed;
+  }
+  if (body.repeats !== undefined) {
+    const repeats = Number(body.repeats);
+    if (!Number.isInteger(repeats) || repeats < 1 || repeats > MAX_JOB_REPEATS) {
+      return { error: `repeats must be an integer between 1 and ${MAX_JOB_REPEATS}` };
+    }
+    params.repeats = repeats;
+  }
+  if (body.allocationSeed !== undefined) {
+    const allocationSeed = Number(body.allocationSeed);
+    if (!Number.isInteger(allocationSeed)) {
+      return { error: 'allocationSeed must be an integer' };
+    }
+    params.allocationSeed = allocationSeed;
+  }
+
+  return { params };
+}
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Submit a live Phase 1 run (runs in the background on worker threads)
+app.post('/api/phase1/jobs', (req, res) => {
+  const { params, error } = parsePhase1JobRequest(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const job = jobManager.submit('phase1', params, async ({ jobId, signal, reportProgress }) => {
+    const loadBalancer = new LoadBalancer();
+    const runOptions = {
+      consolidationAlgos: params.consolidationAlgos,
+      powerModel: params.powerModel,
+      migrationEnergy: params.migrationEnergy,
+      migrationModel: params.migrationModel,
+      engine: params.engine,
+      windowSize: params.windowSize,
+      lrVariant: params.lrVariant,
+      lrWindowSize: params.lrWindowSize,
+      lrSafetyParameter: params.lrSafetyParameter,
+      safetyParameters: params.safetyParameters,
+      selectionMode: params.selectionMode,
+      underloadThreshold: params.underloadThreshold,
+      powerStates: params.powerStates,
+      dvfs: params.dvfs,
+      placementAlgo: params.placementAlgo,
+      topology: params.topology,
+      allocationStrategy: params.allocationStrategy,
+      allocationSeed: params.allocationSeed,
+      trace: params.trace,
+      signal: signal
+    };
+
+    if (params.sweep) {
+      const seed = params.seed !== undefined ? params.seed : DEFAULT_SEED;
+      const sweep = await SafetySweep.run(loadBalancer, params.dates, {
+        ...runOptions,
+        thresholdAlgos: params.thresholdAlgos,
+        grid: params.sweep,
+        seed: seed,
+        onProgress: reportProgress
+      });
+      const output = {
+        success: true,
+        jobId: jobId,
+        mode: 'sweep',
+        sweep: sweep,
+        dates: params.dates,
+        seed: seed,
+        parameters: params,
+        generatedAt: new Date().toISOString()
+      };
+      return { resultPath: writeResultsFile(getJobResultPath(1, jobId), output) };
+    }
+
+    if (params.compareDvfs) {
+      const seed = params.seed !== undefined ? params.seed : DEFAULT_SEED;
+      const comparison = await DVFSComparison.run(loadBalancer, params.dates, {
+        ...runOptions,
+        thresholdAlgos: params.thresholdAlgos,
+        seed: seed,
+        onProgress: reportProgress
+      });
+      const output = {
+        success: true,
+        jobId: jobId,
+        mode: 'dvfs-comparison',
+        ...comparison,
+        dates: params.dates,
+        seed: seed,
+        parameters: params,
+        generatedAt: new Date().toISOString()
+      };
+      return { resultPath: writeResultsFile(getJobResultPath(1, jobId), output) };
+    }
+
+    const seeds = deriveSeeds(params.seed !== undefined ? params.seed : DEFAULT_SEED, params.repeats || 1);
+    const runs = [];
+
+    for (let run = 0; run < seeds.length && (run === 0 || !signal.aborted); run++) {
+      const results = await loadBalancer.runAllAlgorithms(params.dates, {
+        ...runOptions,
+        thresholdAlgos: params.thresholdAlgos,
+        seed: seeds[run],
+        // Progress covers all runs
+        onProgress: ({ completedTasks, totalTasks, failedTasks }) => reportProgress({
+          completedTasks: run * totalTasks + completedTasks,
+          totalTasks: seeds.length * totalTasks,
+          failedTasks
+        })
+      });
+      runs.push({ algorithms: Object.keys(results), formattedResults: formatPhase1Results(results) });
+    }
+
+    const repeated = runs.length > 1 ? aggregateRepeatedResults(runs.map(run => run.formattedResults)) : null;
+    const output = {
+      success: true,
+      jobId: jobId,
+      results: repeated ? repeated.results : runs[0].formattedResults,
+      algorithms: runs[0].algorithms,
+      dates: params.dates,
+      seed: seeds[0],
+      ...(repeated ? { repeats: runs.length, seeds, statistics: repeated.statistics } : {}),
+      parameters: params,
+      generatedAt: new Date().toISOString()
+    };
+    return { resultPath: writeResultsFile(getJobResultPath(1, jobId), output) };
+  });
+
+  res.status(202).json({ success: true, job });
+});
+
+// Host power models accepted by Phase 1 runs
+app.get('/api/phase1/power-models', (req, res) => {
+  res.json({
+    success: true,
+    default: 'linear',
+    models: ['linear', 'cubic', 'specpower'],
+    specPowerServers: Object.keys(PowerModels.SPEC_POWER_TABLES)
+  });
+});
+
+// Tunable safety parameter of each threshold policy (safetyParameters and sweep of Phase 1 jobs)
+app.get('/api/phase1/safety-parameters', (req, res) => {
+  res.json({
+    success: true,
+    parameters: ThresholdDetection.SAFETY_PARAMETERS,
+    windowed: {
+      parameter: 'lrSafetyParameter',
+      default: ThresholdDetection.DEFAULT_SAFETY_PARAMETER,
+      grid: ThresholdDetection.WINDOWED_SAFETY_GRID
+    }
+  });
+});
+
+// Per-dimension packing quality of the topology's allocation strategies for a number of VMs
+// (CPU, RAM, disk and bandwidth fragmentation and stranded capacity, see VectorPlacement.report)
+app.get('/api/topology/placement-report', (req, res) => {
+  const strategies = req.query.strategies
+    ? String(req.query.strategies).split(',').map(strategy => strategy.trim()).filter(Boolean)
+    : Topology.ALLOCATION_STRATEGIES;
+  const unknown = strategies.filter(strategy => !Topology.ALLOCATION_STRATEGIES.includes(strategy));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown allocation strategies: ${unknown.join(', ')} (use ${Topology.ALLOCATION_STRATEGIES.join(', ')})`
+    });
+  }
+
+  try {
+    const topology = Topology.load('cluster');
+    const maxVMs = topology.maxVMs();
+    const vmCount = req.query.vms !== undefined ? Number(req.query.vms) : Math.min(DEFAULT_PLACEMENT_REPORT_VMS, maxVMs);
+    if (!Number.isInteger(vmCount) || vmCount < 1 || vmCount > maxVMs) {
+      return res.status(400).json({
+        success: false,
+        error: `vms must be an integer between 1 and ${maxVMs} (the most VMs topology ${topology.name} can hold)`
+      });
+    }
+    const vmIds = Array.from({ length: vmCount }, (_, i) => `vm_${i}`);
+    const reports = {};
+    strategies.forEach(strategy => {
+      try {
+        reports[strategy] = topology.placementReport(topology.allocate(vmIds, { strategy }));
+      } catch (error) {
+        // The VMs do not fit the cluster with this strategy
+        reports[strategy] = { error: error.message };
+      }
+    });
+    res.json({ success: true, topology: topology.name, vms: vmCount, maxVMs, dimensions: VectorPlacement.DIMENSIONS, reports });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DVFS governors and default P-states accepted by Phase 1 runs (dvfs and compareDvfs of Phase 1 jobs)
+app.get('/api/phase1/dvfs', (req, res) => {
+  res.json({
+    success: true,
+    governors: DVFS.GOVERNORS,
+    default: DVFS.DEFAULT_CONFIG
+  });
+});
+
+// Cluster topology shared by all phases (backend/config/cluster.json)
+app.get('/api/topology', (req, res) => {
+  try {
+    const topology = Topology.load('cluster');
+    res.json({
+      success: true,
+      topology: topology.summary(),
+      allocationStrategies: Topology.ALLOCATION_STRATEGIES
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Supported trace formats and the datasets available for each
+app.get('/api/trace-formats', (req, res) => {
+  const formats = TRACE_FORMATS.map(format => {
+    const directory = getFormatDirectory(format);
+    const datasets = fs.existsSync(directory)
+      ? fs.readdirSync(directory).filter(item => !item.startsWith('.') && fs.statSync(path.join(directory, item)).isDirectory())
+      : [];
+    return { format, datasets };
+  });
+  res.json({ success: true, default: 'planetlab', formats });
+});
+
+// List submitted Phase 1 jobs
+app.get('/api/phase1/jobs', (req, res) => {
+  res.json({ success: true, jobs: jobManager.listJobs('phase1') });
+});
+
+// Poll the status and progress of a Phase 1 job
+app.get('/api/phase1/jobs/:jobId', (req, res) => {
+  const job = jobManager.getJob(req.params.jobId);
+  if (!job || job.type !== 'phase1') {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, job: jobManager.toPublic(job) });
+});
+
+// Fetch the stored result of a finished Phase 1 job
+app.get('/api/phase1/jobs/:jobId/result', (req, res) => {
+  const { jobId } = req.params;
+  if (!JOB_ID_PATTERN.test(jobId)) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  const job = jobManager.getJob(jobId);
+  if (job && job.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      error: `Job is ${job.status}`,
+      job: jobManager.toPublic(job)
+    });
+  }
+
+  try {
+    // Results are persisted, so they stay available after the job leaves memory
+    const output = readResultsFile(getJobResultPath(1, jobId));
+    if (!output) {
+      return res.status(404).json({ success: false, error: 'Job result not found' });
+    }
+    res.json(output);
+  } catch (error) {
+    console.error('Error reading job result:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel a queued or running Phase 1 job
+app.delete('/api/phase1/jobs/:jobId', (req, res) => {
+  const job = jobManager.getJob(req.params.jobId);
+  if (!job || job.type !== 'phase1') {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  if (!jobManager.cancel(job.id)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job is already ${job.status}`,
+      job: jobManager.toPublic(job)
+    });
+  }
+  res.json({ success: true, job: jobManager.toPublic(job) });
+});
+
 // API endpoint to get cached or run single algorithm
 app.get('/api/phase1/results/:thresholdAlgo/:consolidationAlgo', async (req, res) => {
   try {
@@ -1026,44 +1647,48 @@ app.get('/api/phase1/results/:thresholdAlgo/:consolidationAlgo', async (req, res
 });
 
 // API endpoint to get aggregated performance results for Phase 1
+// The tables average the pre-calculated results (every stored combination and date)
+// rather than re-running every combination on each request
 app.get('/api/phase1/performance-results', async (req, res) => {
   try {
-    const loadBalancer = new LoadBalancer();
-    const dates = [
-      '20110303', '20110306', '20110309', '20110322', '20110325',
-      '20110403', '20110409', '20110411', '20110412', '20110420'
-    ];
-    
-    const thresholdAlgos = ['IQR', 'LR', 'MAD', 'LRR', 'THR'];
-    const consolidationAlgos = ['MC', 'MMT', 'MU', 'RS'];
+    const preCalculatedData = readResultsFile(path.join(__dirname, 'results', 'phase1-results.json'));
+    if (!preCalculatedData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pre-calculated results not found',
+        message: 'Results file missing. Please run precalculation script.'
+      });
+    }
+
+    const stored = preCalculatedData.results;
+    const combinations = Object.keys(stored.energyConsumption || {});
+    const thresholdAlgos = [...new Set(combinations.map(combination => combination.split(' ')[0]))];
+    const consolidationAlgos = [...new Set(combinations.map(combination => combination.split(' ')[1]))];
+
+    // One record per stored combination and date; failed runs (null) are left out
+    const collect = (combination) => preCalculatedData.dates
+      .filter(date => typeof stored.energyConsumption[combination][date] === 'number')
+      .map(date => {
+        const valueOf = metric => (stored[metric] && stored[metric][combination] ? stored[metric][combination][date] : 0);
+        return {
+          date: date,
+          energyConsumption: valueOf('energyConsumption'),
+          slaViolations: valueOf('slaViolations'),
+          vmMigrations: valueOf('vmMigrations'),
+          nodeShutdowns: valueOf('nodeShutdowns'),
+          meanTimeBeforeShutdown: valueOf('meanTimeBeforeShutdown'),
+          meanMigrationTime: valueOf('meanMigrationTime')
+        };
+      });
     
     // Aggregate results by threshold detection algorithm
     const thresholdResults = {};
     const consolidationResults = {};
     
-    // Run algorithms on multiple dates for better accuracy
     for (const thresholdAlgo of thresholdAlgos) {
-      const allResults = [];
-      
-      // Run on first 3 dates for performance
-      for (const date of dates.slice(0, 3)) {
-        for (const consolidationAlgo of consolidationAlgos) {
-          try {
-            const result = await loadBalancer.runAlgorithm(thresholdAlgo, consolidationAlgo, date);
-            allResults.push({
-              consolidation: consolidationAlgo,
-              date: date,
-              energyConsumption: result.energyConsumption,
-              slaViolations: result.slaViolations,
-              vmMigrations: result.vmMigrations,
-              nodeShutdowns: result.nodeShutdowns,
-              meanTimeBeforeShutdown: result.meanTimeBeforeShutdown
-            });
-          } catch (error) {
-            console.warn(`Error running ${thresholdAlgo} ${consolidationAlgo} on ${date}:`, error.message);
-          }
-        }
-      }
+      const allResults = consolidationAlgos
+        .filter(consolidationAlgo => combinations.includes(`${thresholdAlgo} ${consolidationAlgo}`))
+        .flatMap(consolidationAlgo => collect(`${thresholdAlgo} ${consolidationAlgo}`));
       
       if (allResults.length > 0) {
         const avgEnergy = allResults.reduce((sum, r) => sum + r.energyConsumption, 0) / allResults.length;
@@ -1091,51 +1716,27 @@ app.get('/api/phase1/performance-results', async (req, res) => {
       }
     }
     
-    // Calculate baseline (RS - Random Selection as baseline)
-    let baselineEnergy = 0;
-    let baselineCount = 0;
-    
-    // Get baseline from RS algorithm
-    for (const thresholdAlgo of thresholdAlgos) {
-      try {
-        const baselineResult = await loadBalancer.runAlgorithm(thresholdAlgo, 'RS', dates[0]);
-        baselineEnergy += baselineResult.energyConsumption;
-        baselineCount++;
-      } catch (error) {
-        console.warn(`Error running baseline ${thresholdAlgo} RS:`, error.message);
-      }
-    }
-    const avgBaselineEnergy = baselineCount > 0 ? baselineEnergy / baselineCount : 50; // Default baseline
+    // Calculate baseline (RS - Random Selection as baseline), over every threshold algorithm and date
+    const baselineResults = combinations.filter(combination => combination.endsWith(' RS')).flatMap(collect);
+    const avgBaselineEnergy = baselineResults.length > 0
+      ? baselineResults.reduce((sum, r) => sum + r.energyConsumption, 0) / baselineResults.length
+      : 50; // Default baseline
     
     for (const consolidationAlgo of consolidationAlgos) {
-      const allResults = [];
-      
-      // Run on all dates for more accurate results
-      for (const date of dates.slice(0, 3)) { // Use first 3 dates for performance
-        for (const thresholdAlgo of thresholdAlgos) {
-          try {
-            const result = await loadBalancer.runAlgorithm(thresholdAlgo, consolidationAlgo, date);
-            allResults.push({
-              threshold: thresholdAlgo,
-              date: date,
-              migrationCount: result.vmMigrations,
-              energyConsumption: result.energyConsumption,
-              slaViolations: result.slaViolations,
-              nodeShutdowns: result.nodeShutdowns,
-              meanTimeBeforeMigration: result.meanTimeBeforeMigration
-            });
-          } catch (error) {
-            console.warn(`Error running ${thresholdAlgo} ${consolidationAlgo} on ${date}:`, error.message);
-          }
-        }
-      }
+      const allResults = thresholdAlgos
+        .filter(thresholdAlgo => combinations.includes(`${thresholdAlgo} ${consolidationAlgo}`))
+        .flatMap(thresholdAlgo => collect(`${thresholdAlgo} ${consolidationAlgo}`));
       
       if (allResults.length > 0) {
-        const avgMigrations = allResults.reduce((sum, r) => sum + r.migrationCount, 0) / allResults.length;
+        const avgMigrations = allResults.reduce((sum, r) => sum + r.vmMigrations, 0) / allResults.length;
         const avgEnergy = allResults.reduce((sum, r) => sum + r.energyConsumption, 0) / allResults.length;
         const avgSLA = allResults.reduce((sum, r) => sum + r.slaViolations, 0) / allResults.length;
         const avgShutdowns = allResults.reduce((sum, r) => sum + r.nodeShutdowns, 0) / allResults.length;
-        const avgMigrationTime = allResults.reduce((sum, r) => sum + (r.meanTimeBeforeMigration || 0), 0) / allResults.length;
+        // Live migration time, in the results generated with the migration model
+        const timedResults = allResults.filter(r => typeof r.meanMigrationTime === 'number');
+        const avgMigrationTime = timedResults.length > 0
+          ? timedResults.reduce((sum, r) => sum + r.meanMigrationTime, 0) / timedResults.length
+          : 0;
         
         // Calculate energy savings compared to baseline
         const energySavings = avgBaselineEnergy - avgEnergy;
@@ -1160,13 +1761,7 @@ app.get('/api/phase1/performance-results', async (req, res) => {
       success: true,
       thresholdDetection: Object.values(thresholdResults),
       vmConsolidation: Object.values(consolidationResults),
-      summary: {
-        bestThresholdDetection: "Robust Local Regression (LRR)",
-        bestVMConsolidation: "Minimum Migration Time (MMT)",
-        overallImprovement: "Over 20% reduction in energy consumption",
-        slaImprovement: "15% reduction in SLA violations",
-        keyFinding: "Combination of LRR and MMT provides optimal load balancing"
-      }
+      ...derivePerformanceSummary(preCalculatedData)
     });
   } catch (error) {
     console.error('Error getting performance results:', error);
@@ -1177,6 +1772,180 @@ app.get('/api/phase1/performance-results', async (req, res) => {
   }
 });
 
+/**
+ * Summary of the performance results backed by significance tests on the
+ * pre-calculated Phase 1 results (all combinations, all dates)
+ * @param {Object} preCalculatedData - Contents of phase1-results.json
+ * @returns {Object} { summary } or { summary: null, summaryError }
+ */
+function derivePerformanceSummary(preCalculatedData) {
+  try {
+    return { summary: buildPerformanceSummary(preCalculatedData.results) };
+  } catch (error) {
+    console.warn('Could not derive the performance summary:', error.message);
+    return { summary: null, summaryError: error.message };
+  }
+}
+
+/**
+ * Friedman/Nemenyi on energy consumption for combinations, threshold algorithms and
+ * consolidation policies, and Wilcoxon tests of the best combination against the
+ * random-selection (RS) baseline
+ * @param {Object} results - Phase 1 results[metric][combination][date]
+ * @param {number} alpha - Significance level
+ */
+function buildPerformanceSummary(results, alpha = 0.05) {
+  const metric = 'energyConsumption';
+  const combinations = Object.keys(results[metric] || {});
+  if (combinations.length < 3) {
+    throw new Error('The performance summary needs at least 3 algorithm combinations');
+  }
+
+  const compareGroups = (groupOf) => {
+    const grouped = groupResults(results[metric], groupOf);
+    return compareAlgorithms({ [metric]: grouped }, { metric, algorithms: Object.keys(grouped), alpha });
+  };
+  const describeBest = (comparison, nameOf) => {
+    const best = nameOf(comparison.ranking[0]);
+    return comparison.friedman.significant
+      ? best
+      : `${best} (no significant difference, Friedman ${formatPValue(comparison.friedman.pValue)})`;
+  };
+
+  const byCombination = compareAlgorithms(results, { metric, algorithms: combinations, alpha });
+  const byThreshold = compareGroups(combination => combination.split(' ')[0]);
+  const byConsolidation = compareGroups(combination => combination.split(' ')[1]);
+  const best = byCombination.ranking[0];
+
+  // Best combination against the mean of the RS combinations on each date
+  const compareWithBaseline = (baselineMetric) => {
+    const baseline = groupResults(results[baselineMetric] || {}, combination => (combination.endsWith(' RS') ? 'RS baseline' : 'other'))['RS baseline'];
+    if (!baseline || best.endsWith(' RS')) {
+      return null;
+    }
+    const comparison = compareAlgorithms(
+      { [baselineMetric]: { [best]: results[baselineMetric][best], 'RS baseline': baseline } },
+      { metric: baselineMetric, algorithms: [best, 'RS baseline'], alpha }
+    );
+    const baselineMean = comparison.means['RS baseline'];
+    const reduction = baselineMean !== 0 ? (baselineMean - comparison.means[best]) / baselineMean * 100 : 0;
+    return { reduction, pValue: comparison.pairwise[0].wilcoxon.pValue, comparison };
+  };
+  const describeChange = (change, label) => {
+    if (!change) {
+      return 'N/A (no random-selection baseline to compare with)';
+    }
+    const direction = change.reduction >= 0 ? 'reduction' : 'increase';
+    const significance = change.pValue < alpha ? '' : ', not significant';
+    return `${Math.abs(change.reduction).toFixed(1)}% ${direction} in ${label} vs. random selection (Wilcoxon ${formatPValue(change.pValue)}${significance})`;
+  };
+
+  const energyChange = compareWithBaseline(metric);
+  const slaChange = compareWithBaseline('slaViolations');
+
+  let keyFinding;
+  if (byCombination.friedman.significant) {
+    const separated = byCombination.nemenyi.pairs.filter(pair => pair.significant && (pair.a === best || pair.b === best)).length;
+    keyFinding = `${best} has the best average energy rank (Friedman ${formatPValue(byCombination.friedman.pValue)}, ` +
+      `Kendall's W = ${byCombination.friedman.effectSize.toFixed(2)}); Nemenyi separates it from ${separated} of ${combinations.length - 1} other combinations`;
+  } else {
+    keyFinding = `No combination uses significantly less energy than the others (Friedman ${formatPValue(byCombination.friedman.pValue)}); ${best} has the best average rank`;
+  }
+
+  return {
+    bestThresholdDetection: describeBest(byThreshold, getThresholdAlgorithmName),
+    bestVMConsolidation: describeBest(byConsolidation, getConsolidationAlgorithmName),
+    bestCombination: best,
+    overallImprovement: describeChange(energyChange, 'energy consumption'),
+    slaImprovement: describeChange(slaChange, 'SLA violations'),
+    keyFinding,
+    tests: {
+      alpha,
+      dates: byCombination.dates,
+      combinations: { friedman: byCombination.friedman, criticalDifference: byCombination.nemenyi.criticalDifference },
+      thresholdDetection: { friedman: byThreshold.friedman, nemenyi: byThreshold.nemenyi },
+      vmConsolidation: { friedman: byConsolidation.friedman, nemenyi: byConsolidation.nemenyi },
+      energyVsBaseline: energyChange ? energyChange.comparison.pairwise[0] : null,
+      slaVsBaseline: slaChange ? slaChange.comparison.pairwise[0] : null
+    }
+  };
+}
+
+/**
+ * Validate a significance test request, returns { error } or the normalized parameters
+ */
+function parseSignificanceRequest(body = {}) {
+  const params = {
+    metric: body.metric || 'energyConsumption',
+    alpha: body.alpha !== undefined ? Number(body.alpha) : 0.05
+  };
+
+  if (!Array.isArray(body.algorithms) || new Set(body.algorithms).size < 2 || !body.algorithms.every(algo => typeof algo === 'string')) {
+    return { error: 'algorithms must list at least 2 different algorithm combinations (e.g. ["LRR MMT", "THR MMT"])' };
+  }
+  params.algorithms = Array.from(new Set(body.algorithms));
+  if (typeof params.metric !== 'string') {
+    return { error: 'metric must be a string' };
+  }
+  if (!Number.isFinite(params.alpha) || params.alpha <= 0 || params.alpha >= 1) {
+    return { error: 'alpha must be between 0 and 1' };
+  }
+  if (body.dates !== undefined) {
+    if (!Array.isArray(body.dates) || body.dates.length < 2) {
+      return { error: 'dates must list at least 2 dates' };
+    }
+    params.dates = body.dates;
+  }
+  if (body.jobId !== undefined) {
+    if (typeof body.jobId !== 'string' || !JOB_ID_PATTERN.test(body.jobId)) {
+      return { error: 'Invalid job id' };
+    }
+    params.jobId = body.jobId;
+  }
+
+  return { params };
+}
+
+// Paired significance tests between Phase 1 algorithm combinations across dates
+// (pre-calculated results, or the results of a finished Phase 1 job with jobId)
+app.post('/api/phase1/significance', (req, res) => {
+  const { params, error } = parseSignificanceRequest(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const resultsPath = params.jobId
+      ? getJobResultPath(1, params.jobId)
+      : path.join(__dirname, 'results', 'phase1-results.json');
+    const data = readResultsFile(resultsPath);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: params.jobId ? 'Job result not found' : 'Pre-calculated results not found'
+      });
+    }
+
+    const seedError = params.jobId ? null : checkRequestedSeed(req.body.seed, data);
+    if (seedError) {
+      return res.status(409).json({ success: false, error: seedError });
+    }
+    if (!data.results[params.metric]) {
+      return res.status(400).json({ success: false, error: `Unknown metric ${params.metric} (use ${Object.keys(data.results).join(', ')})` });
+    }
+    const unknown = params.algorithms.filter(algo => !data.results[params.metric][algo]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown algorithm combinations: ${unknown.join(', ')}` });
+    }
+
+    const comparison = compareAlgorithms(data.results, params);
+    res.json({ success: true, seed: data.seed, ...comparison });
+  } catch (error) {
+    console.error('Error running significance tests:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Helper functions for algorithm names and descriptions
 function getThresholdAlgorithmName(algo) {
   const names = {
@@ -1184,7 +1953,11 @@ function getThresholdAlgorithmName(algo) {
     'LR': 'Local Regression (LR)',
     'MAD': 'Median Absolute Deviation (MAD)',
     'LRR': 'Robust Local Regression (LRR)',
-    'THR': 'Static Threshold (THR)'
+    'THR': 'Static Threshold (THR)',
+    'EWMA': 'Exponentially Weighted Moving Average (EWMA)',
+    'HW': 'Holt-Winters Forecasting (HW)',
+    'KF': 'Kalman Filter (KF)',
+    'PCT': 'Percentile of History (PCT)'
   };
   return names[algo] || algo;
 }
@@ -1194,13 +1967,17 @@ function getConsolidationAlgorithmName(algo) {
     'MC': 'Maximum Correlation (MC)',
     'MMT': 'Minimum Migration Time (MMT)',
     'MU': 'Minimum Utilization (MU)',
-    'RS': 'Random Selection (RS)'
+    'RS': 'Random Selection (RS)',
+    'MXU': 'Maximum Utilization (MXU)',
+    'MNC': 'Minimum Correlation (MNC)',
+    'HPG': 'Highest Potential Growth (HPG)',
+    'FUZ': 'Fuzzy Multi-Criteria Selection (FUZ)'
   };
   return names[algo] || algo;
 }
 
 function getExecutionTimeCategory(algo) {
-  const fast = ['LR', 'MAD', 'MMT', 'RS'];
+  const fast = ['LR', 'MAD', 'MMT', 'RS', 'MXU', 'HPG'];
   return fast.includes(algo) ? 'Fast' : 'Moderate';
 }
 
@@ -1217,7 +1994,11 @@ function getThresholdDescription(algo) {
     'LR': 'Best for dynamic load patterns',
     'MAD': 'Robust against outliers',
     'LRR': 'Optimal for complex load patterns',
-    'THR': 'Simple static threshold approach'
+    'THR': 'Simple static threshold approach',
+    'EWMA': 'Reacts to recent load changes',
+    'HW': 'Forecasts daily load cycles',
+    'KF': 'Filters measurement noise from the load level',
+    'PCT': 'Keeps headroom for the upper tail of the load'
   };
   return descriptions[algo] || '';
 }
@@ -1227,11 +2008,52 @@ function getConsolidationDescription(algo) {
     'MC': 'Effective for correlated workloads',
     'MMT': 'Minimizes migration overhead',
     'MU': 'Selects VMs with minimum utilization',
-    'RS': 'Baseline comparison algorithm'
+    'RS': 'Baseline comparison algorithm',
+    'MXU': 'Relieves the host with the fewest migrations',
+    'MNC': 'Moves the VMs least correlated with their neighbours',
+    'HPG': 'Moves VMs running furthest below their peak demand',
+    'FUZ': 'Weighs utilization, migration time and correlation with fuzzy rules'
   };
   return descriptions[algo] || '';
 }
 
+// Generate synthetic PlanetLab-format date folders (see utils/workloadGenerator.js)
+app.post('/api/datasets/synthetic', async (req, res) => {
+  const { dates } = req.body || {};
+  if (!Array.isArray(dates) || dates.length === 0 || !dates.every(date => /^\d{8}$/.test(date))) {
+    return res.status(400).json({ success: false, error: 'dates must be a non-empty array of YYYYMMDD strings' });
+  }
+
+  const { options, error } = parseGeneratorOptions(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  // Never overwrite datasets over the API (real PlanetLab data may live here)
+  const datasetPath = path.join(__dirname, 'dataset', 'planetlab');
+  const existing = dates.filter(date => generatingDatasets.has(date) || fs.existsSync(path.join(datasetPath, date)));
+  if (existing.length > 0) {
+    return res.status(409).json({ success: false, error: `Datasets already exist: ${existing.join(', ')}` });
+  }
+
+  // Files are written asynchronously, so other requests (e.g. the job API) are served meanwhile
+  dates.forEach(date => generatingDatasets.add(date));
+  try {
+    const generator = new WorkloadGenerator(options);
+    const datasets = [];
+    for (const date of dates) {
+      const written = await generator.writeDatasetAsync(date, datasetPath);
+      datasets.push({ date, vms: written.vms, samples: written.samples });
+    }
+    console.log(`Generated ${datasets.length} synthetic datasets (seed ${generator.options.seed})`);
+    res.status(201).json({ success: true, options: generator.options, datasets });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    dates.forEach(date => generatingDatasets.delete(date));
+  }
+});
+
 // Dataset files API endpoint
 app.get('/api/datasets/:date/files', (req, res) => {
   const { date } = req.params;
@@ -1315,7 +2137,7 @@ app.post('/api/phase2/run-algorithms', async (req, res) => {
   }
   
   try {
-    const { dates } = req.body;
+    const { dates, seed } = req.body;
     
     // Load pre-calculated results
     const resultsPath = path.join(__dirname, 'results', 'phase2-results.json');
@@ -1329,61 +2151,47 @@ app.post('/api/phase2/run-algorithms', async (req, res) => {
     }
     
     const preCalculatedData = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+    const seedError = checkRequestedSeed(seed, preCalculatedData);
+    if (seedError) {
+      return res.status(409).json({ success: false, error: seedError });
+    }
     
-    // Filter by requested dates if provided
-    // Phase 2 structure: results.metricName[date].metrics
-    if (dates && Array.isArray(dates) && dates.length > 0) {
-      const filteredResults = {
-        averagePredictedLoad: {},
-        averagePheromoneLevel: {},
-        averageLoadVariance: {},
-        averageMigrationCount: {},
-        averageConsolidationEfficiency: {}
-      };
-      
-      dates.forEach(date => {
-        if (preCalculatedData.results.averagePredictedLoad[date]) {
-          filteredResults.averagePredictedLoad[date] = preCalculatedData.results.averagePredictedLoad[date].metrics || 0;
-          filteredResults.averagePheromoneLevel[date] = preCalculatedData.results.averagePheromoneLevel[date].metrics || 0;
-          filteredResults.averageLoadVariance[date] = preCalculatedData.results.averageLoadVariance[date].metrics || 0;
-          filteredResults.averageMigrationCount[date] = preCalculatedData.results.averageMigrationCount[date].metrics || 0;
-          filteredResults.averageConsolidationEfficiency[date] = preCalculatedData.results.averageConsolidationEfficiency[date].metrics || 0;
-        }
-      });
-      
-      res.json({
-        success: true,
-        results: filteredResults,
-        algorithms: preCalculatedData.algorithms,
-        dates: dates,
-        generatedAt: preCalculatedData.generatedAt
-      });
-    } else {
-      // Transform structure to match frontend expectations
-      const transformedResults = {
-        averagePredictedLoad: {},
-        averagePheromoneLevel: {},
-        averageLoadVariance: {},
-        averageMigrationCount: {},
-        averageConsolidationEfficiency: {}
-      };
-      
-      Object.keys(preCalculatedData.results.averagePredictedLoad).forEach(date => {
-        transformedResults.averagePredictedLoad[date] = preCalculatedData.results.averagePredictedLoad[date].metrics || 0;
-        transformedResults.averagePheromoneLevel[date] = preCalculatedData.results.averagePheromoneLevel[date].metrics || 0;
-        transformedResults.averageLoadVariance[date] = preCalculatedData.results.averageLoadVariance[date].metrics || 0;
-        transformedResults.averageMigrationCount[date] = preCalculatedData.results.averageMigrationCount[date].metrics || 0;
-        transformedResults.averageConsolidationEfficiency[date] = preCalculatedData.results.averageConsolidationEfficiency[date].metrics || 0;
-      });
-      
-      res.json({
-        success: true,
-        results: transformedResults,
-        algorithms: preCalculatedData.algorithms,
-        dates: preCalculatedData.dates,
-        generatedAt: preCalculatedData.generatedAt
+    // Phase 2 structure: results.metricName[date].metrics (files written before the
+    // prediction backtest have no prediction* metrics)
+    const metrics = PHASE2_METRICS.filter(metric => preCalculatedData.results[metric]);
+    const filterByDate = dates && Array.isArray(dates) && dates.length > 0;
+    const requestedDates = filterByDate ? dates : preCalculatedData.dates;
+    const selectedDates = filterByDate
+      ? dates.filter(date => preCalculatedData.results.averagePredictedLoad[date])
+      : Object.keys(preCalculatedData.results.averagePredictedLoad);
+
+    // Transform structure to match frontend expectations
+    const transformedResults = {};
+    metrics.forEach(metric => {
+      transformedResults[metric] = {};
+      selectedDates.forEach(date => {
+        const entry = preCalculatedData.results[metric][date];
+        transformedResults[metric][date] = (entry && entry.metrics) || 0;
       });
-    }
+    });
+
+    res.json({
+      success: true,
+      results: transformedResults,
+      algorithms: preCalculatedData.algorithms,
+      dates: requestedDates,
+      seed: preCalculatedData.seed,
+      repeats: preCalculatedData.repeats,
+      statistics: selectPhase2Statistics(preCalculatedData, requestedDates),
+      prediction: preCalculatedData.prediction,
+      lookahead: preCalculatedData.lookahead,
+      serviceClusters: preCalculatedData.serviceClusters
+        ? Object.fromEntries(selectedDates
+          .filter(date => preCalculatedData.serviceClusters[date])
+          .map(date => [date, preCalculatedData.serviceClusters[date]]))
+        : undefined,
+      generatedAt: preCalculatedData.generatedAt
+    });
   } catch (error) {
     console.error('Error loading pre-calculated results:', error);
     res.status(500).json({
@@ -1393,6 +2201,64 @@ app.post('/api/phase2/run-algorithms', async (req, res) => {
   }
 });
 
+/**
+ * Parse a Phase 2 decisions query and load the records of the requested dates
+ * Sends the error response and returns null when there is nothing to serve
+ */
+function loadRequestedDecisions(req, res) {
+  const storedDates = listDecisionDates();
+  if (storedDates.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: 'Phase 2 decisions not found',
+      message: 'No stored decisions. Please run precalculation script.'
+    });
+    return null;
+  }
+
+  let query;
+  try {
+    query = parseDecisionQuery(req.query, storedDates);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+    return null;
+  }
+  return { query, records: filterDecisions(loadDecisions(query.dates), query.filters) };
+}
+
+// Per-VM LB-PCC-CP decisions with the predictions behind them, filterable by date, VM id,
+// service, decision (migrate/stay) and destination VM
+app.get('/api/phase2/decisions', (req, res) => {
+  try {
+    const loaded = loadRequestedDecisions(req, res);
+    if (!loaded) {
+      return;
+    }
+    const { query, records } = loaded;
+    const { items, ...page } = paginate(records, query.page, query.pageSize);
+    res.json({ success: true, dates: query.dates, filters: query.filters, ...page, decisions: items });
+  } catch (error) {
+    console.error('Error loading Phase 2 decisions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Migration destinations: incoming migrations per destination VM and date, same filters
+app.get('/api/phase2/destinations', (req, res) => {
+  try {
+    const loaded = loadRequestedDecisions(req, res);
+    if (!loaded) {
+      return;
+    }
+    const { query, records } = loaded;
+    const { items, ...page } = paginate(summarizeDestinations(records), query.page, query.pageSize);
+    res.json({ success: true, dates: query.dates, filters: query.filters, ...page, destinations: items });
+  } catch (error) {
+    console.error('Error loading Phase 2 destinations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // API endpoint to get Phase 2 algorithm details
 app.get('/api/phase2/algorithms', (req, res) => {
   res.json({
@@ -1402,7 +2268,7 @@ app.get('/api/phase2/algorithms', (req, res) => {
         id: 8,
         name: "SBCSL",
         fullName: "Service Based Categorization and Summarization of Loads",
-        description: "Categorizes and summarizes loads by service type, calculating total compute, memory, storage, and network loads.",
+        description: "Categorizes and summarizes loads by service type, calculating total compute, memory, storage, and network loads. Services are CPU load bands, or clusters of VMs with similar resource usage (k-means on usage signatures, DTW on time series) with k chosen by silhouette or elbow.",
         inputs: ["SR (List of Services)", "V (List of VMs)", "C (Compute Capacity)", "M (Memory Capacity)", "S (Storage Capacity)", "N (Network Capacity)"],
         outputs: ["CS (Total Compute Load)", "MS (Total Memory Load)", "SS (Total Storage Load)", "NS (Total Network Load)"]
       },
@@ -1412,15 +2278,15 @@ app.get('/api/phase2/algorithms', (req, res) => {
         fullName: "Corrective Coefficient Based Pheromone Level Prediction",
         description: "Predicts pheromone levels using corrective coefficients, accounting for growth and decay rates.",
         inputs: ["V (List of VMs)", "PH(t) (Pheromone Level at time t)", "K1 (Growth Rate)", "K2 (Decay Rate)", "T (Simulation Duration)", "K (Events)", "TR (Prediction Depth)"],
-        outputs: ["PH(t+1) (Predicted Pheromone Level)"]
+        outputs: ["PH(t+1) (Predicted Pheromone Level)", "PH(t+1)..PH(t+TR) (Predicted Pheromone Levels over the Horizon, following the VM's utilization trend)"]
       },
       {
         id: 10,
         name: "CBLP",
         fullName: "Correlation Based Load Prediction",
-        description: "Predicts future load based on correlation between compute, memory, storage, and network components.",
+        description: "Predicts future load based on correlation between compute, memory, storage, and network components, or by forecasting each VM's load series (linear regression, ARIMA, exponential smoothing). Each date is backtested against the loads that followed (MAE, RMSE, MAPE).",
         inputs: ["V (List of VMs)", "CW, MW, SW, NW (Weight Constants)", "CS, MS, SS, NS (From SBCSL)"],
-        outputs: ["L(t+1) (Predicted Load)"]
+        outputs: ["L(t+1) (Predicted Load)", "MAE, RMSE, MAPE (Backtest)"]
       },
       {
         id: 11,
@@ -1446,7 +2312,7 @@ app.post('/api/phase3/run-algorithms', async (req, res) => {
   }
   
   try {
-    const { dates } = req.body;
+    const { dates, seed } = req.body;
     
     // Load pre-calculated results
     const resultsPath = path.join(__dirname, 'results', 'phase3-results.json');
@@ -1460,6 +2326,10 @@ app.post('/api/phase3/run-algorithms', async (req, res) => {
     }
     
     const preCalculatedData = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+    const seedError = checkRequestedSeed(seed, preCalculatedData);
+    if (seedError) {
+      return res.status(409).json({ success: false, error: seedError });
+    }
     
     // Filter by requested dates if provided
     // Phase 3 structure: results.metricName[date] = value (flat structure)
@@ -1503,6 +2373,9 @@ app.post('/api/phase3/run-algorithms', async (req, res) => {
         results: filteredResults,
         algorithms: preCalculatedData.algorithms,
         dates: dates,
+        seed: preCalculatedData.seed,
+        repeats: preCalculatedData.repeats,
+        statistics: selectStatistics(preCalculatedData, dates),
         generatedAt: preCalculatedData.generatedAt
       });
     } else {
@@ -1511,6 +2384,9 @@ app.post('/api/phase3/run-algorithms', async (req, res) => {
         results: preCalculatedData.results,
         algorithms: preCalculatedData.algorithms,
         dates: preCalculatedData.dates,
+        seed: preCalculatedData.seed,
+        repeats: preCalculatedData.repeats,
+        statistics: selectStatistics(preCalculatedData, preCalculatedData.dates),
         generatedAt: preCalculatedData.generatedAt
       });
     }
@@ -1585,7 +2461,7 @@ app.post('/api/phase4/run-algorithms', async (req, res) => {
   }
   
   try {
-    const { dates } = req.body;
+    const { dates, seed } = req.body;
     
     // Load pre-calculated results
     const resultsPath = path.join(__dirname, 'results', 'phase4-results.json');
@@ -1599,6 +2475,10 @@ app.post('/api/phase4/run-algorithms', async (req, res) => {
     }
     
     const preCalculatedData = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+    const seedError = checkRequestedSeed(seed, preCalculatedData);
+    if (seedError) {
+      return res.status(409).json({ success: false, error: seedError });
+    }
     
     // Filter by requested dates if provided
     if (dates && Array.isArray(dates) && dates.length > 0) {
@@ -1633,6 +2513,9 @@ app.post('/api/phase4/run-algorithms', async (req, res) => {
         results: filteredResults,
         algorithms: preCalculatedData.algorithms,
         dates: dates,
+        seed: preCalculatedData.seed,
+        repeats: preCalculatedData.repeats,
+        statistics: selectStatistics(preCalculatedData, dates),
         generatedAt: preCalculatedData.generatedAt
       });
     } else {
@@ -1641,6 +2524,9 @@ app.post('/api/phase4/run-algorithms', async (req, res) => {
         results: preCalculatedData.results,
         algorithms: preCalculatedData.algorithms,
         dates: preCalculatedData.dates,
+        seed: preCalculatedData.seed,
+        repeats: preCalculatedData.repeats,
+        statistics: selectStatistics(preCalculatedData, preCalculatedData.dates),
         generatedAt: preCalculatedData.generatedAt
       });
     }
@@ -0,0 +1,185 @@
+const {
+  mean,
+  wilcoxonSignedRank,
+  pairedTTest,
+  friedmanTest,
+  nemenyiTest,
+  holmAdjust
+} = require('./statistics');
+
+/**
+ * Compare algorithms on one metric of the metric-first results
+ * (results[metric][algorithm][date] = value), pairing the values by date
+ */
+
+// Metrics where a larger value is the better outcome
+const HIGHER_IS_BETTER = ['meanTimeBeforeShutdown', 'meanTimeBeforeMigration'];
+
+function isHigherBetter(metric) {
+  return HIGHER_IS_BETTER.includes(metric);
+}
+
+/**
+ * Dates on which every algorithm has a numeric value, with the paired samples
+ * @returns {Object} { dates, samples: { algorithm: [value per date] } }
+ */
+function collectSamples(metricResults, algorithms, dates) {
+  const candidateDates = dates || Object.keys(metricResults[algorithms[0]] || {});
+  const pairedDates = candidateDates.filter(date =>
+    algorithms.every(algorithm => typeof (metricResults[algorithm] || {})[date] === 'number')
+  );
+
+  const samples = {};
+  algorithms.forEach(algorithm => {
+    samples[algorithm] = pairedDates.map(date => metricResults[algorithm][date]);
+  });
+  return { dates: pairedDates, samples };
+}
+
+/**
+ * Paired tests between algorithms across dates
+ * Two algorithms: Wilcoxon signed-rank and paired t-test.
+ * Three or more: the same for every pair (with Holm-adjusted p-values), plus a Friedman
+ * test with Nemenyi post-hoc comparisons.
+ * @param {Object} results - results[metric][algorithm][date] = value
+ * @param {Object} options - { metric, algorithms, dates, alpha }
+ * @returns {Object} Test results; "better" names the algorithm with the better mean
+ */
+function compareAlgorithms(results, options) {
+  const { metric, algorithms } = options;
+  const alpha = options.alpha !== undefined ? options.alpha : 0.05;
+  const higherIsBetter = isHigherBetter(metric);
+  const { dates, samples } = collectSamples(results[metric], algorithms, options.dates);
+
+  if (dates.length < 2) {
+    throw new Error(`Need at least 2 dates with values for every algorithm (found ${dates.length})`);
+  }
+
+  const means = {};
+  algorithms.forEach(algorithm => {
+    means[algorithm] = mean(samples[algorithm]);
+  });
+  const better = (a, b) => {
+    if (means[a] === means[b]) return null;
+    return (means[a] < means[b]) !== higherIsBetter ? a : b;
+  };
+
+  const pairwise = [];
+  for (let i = 0; i < algorithms.length; i++) {
+    for (let j = i + 1; j < algorithms.length; j++) {
+      const a = algorithms[i];
+      const b = algorithms[j];
+      pairwise.push({
+        a,
+        b,
+        meanDifference: means[a] - means[b],
+        better: better(a, b),
+        wilcoxon: wilcoxonSignedRank(samples[a], samples[b]),
+        tTest: pairedTTest(samples[a], samples[b])
+      });
+    }
+  }
+
+  // Several pairs are tested at once, so the p-values are also reported Holm-adjusted
+  const wilcoxonAdjusted = holmAdjust(pairwise.map(pair => pair.wilcoxon.pValue));
+  const tTestAdjusted = holmAdjust(pairwise.map(pair => pair.tTest.pValue));
+  pairwise.forEach((pair, index) => {
+    pair.wilcoxon.pValueAdjusted = wilcoxonAdjusted[index];
+    pair.tTest.pValueAdjusted = tTestAdjusted[index];
+    pair.significant = wilcoxonAdjusted[index] < alpha;
+  });
+
+  const comparison = {
+    metric,
+    direction: higherIsBetter ? 'higher' : 'lower',
+    alpha,
+    dates,
+    n: dates.length,
+    means,
+    pairwise,
+    friedman: null,
+    nemenyi: null,
+    ranking: [...algorithms].sort((a, b) => (higherIsBetter ? means[b] - means[a] : means[a] - means[b]))
+  };
+
+  if (algorithms.length >= 3) {
+    // Rank 1 is the best algorithm on a date
+    const blocks = dates.map((date, d) =>
+      algorithms.map(algorithm => (higherIsBetter ? -1 : 1) * samples[algorithm][d])
+    );
+    const friedman = friedmanTest(blocks);
+    const nemenyi = nemenyiTest(friedman.averageRanks, dates.length, alpha);
+
+    const averageRanks = {};
+    algorithms.forEach((algorithm, index) => {
+      averageRanks[algorithm] = friedman.averageRanks[index];
+    });
+
+    comparison.friedman = {
+      statistic: friedman.statistic,
+      degreesOfFreedom: friedman.degreesOfFreedom,
+      pValue: friedman.pValue,
+      effectSize: friedman.effectSize,
+      significant: friedman.pValue < alpha,
+      averageRanks
+    };
+    comparison.nemenyi = {
+      criticalDifference: nemenyi.criticalDifference,
+      pairs: nemenyi.pairs.map(pair => ({
+        a: algorithms[pair.i],
+        b: algorithms[pair.j],
+        rankDifference: pair.rankDifference,
+        pValue: pair.pValue,
+        significant: pair.pValue < alpha
+      }))
+    };
+    comparison.ranking = [...algorithms].sort((a, b) => averageRanks[a] - averageRanks[b]);
+  }
+
+  return comparison;
+}
+
+/**
+ * Average the algorithms of each group per date, e.g. all consolidation policies
+ * of one threshold algorithm
+ * @param {Object} metricResults - results[metric] ({ algorithm: { date: value } })
+ * @param {Function} groupOf - algorithm name => group name
+ * @returns {Object} { group: { date: mean value } }
+ */
+function groupResults(metricResults, groupOf) {
+  const valuesByGroup = {};
+  Object.keys(metricResults).forEach(algorithm => {
+    const group = groupOf(algorithm);
+    valuesByGroup[group] = valuesByGroup[group] || {};
+    Object.entries(metricResults[algorithm]).forEach(([date, value]) => {
+      if (typeof value === 'number') {
+        (valuesByGroup[group][date] = valuesByGroup[group][date] || []).push(value);
+      }
+    });
+  });
+
+  const grouped = {};
+  Object.keys(valuesByGroup).forEach(group => {
+    grouped[group] = {};
+    Object.entries(valuesByGroup[group]).forEach(([date, values]) => {
+      grouped[group][date] = mean(values);
+    });
+  });
+  return grouped;
+}
+
+/**
+ * Short text form of a p-value
+ */
+function formatPValue(pValue) {
+  return pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`;
+}
+
+module.exports = {
+  HIGHER_IS_BETTER,
+  isHigherBetter,
+  collectSamples,
+  compareAlgorithms,
+  groupResults,
+  formatPValue
+};
@@ -0,0 +1,25 @@
+/**
+ * Parse command line options of the backend scripts (--name value or --name=value)
+ * A flag without a value (last argument or followed by another option) is set to true
+ * @param {Array<string>} argv - Arguments, usually process.argv.slice(2)
+ * @returns {Object} Option name -> value
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!match) {
+      continue;
+    }
+    if (match[2] !== undefined) {
+      args[match[1]] = match[2];
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      args[match[1]] = argv[++i];
+    } else {
+      args[match[1]] = true;
+    }
+  }
+  return args;
+}
+
+module.exports = { parseArgs };
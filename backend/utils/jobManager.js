@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory manager for long-running background jobs
+ * Jobs run one at a time in submission order so that concurrent requests do not
+ * multiply the number of worker threads competing for the CPU cores.
+ */
+class JobManager {
+  constructor(options = {}) {
+    this.jobs = new Map();
+    this.queue = [];
+    this.activeJob = null;
+    this.maxStoredJobs = options.maxStoredJobs || 100;
+  }
+
+  /**
+   * Submit a new job
+   * @param {string} type - Job type (e.g. 'phase1')
+   * @param {Object} params - Parameters the job was submitted with
+   * @param {Function} runner - async ({ jobId, signal, reportProgress }) => result
+   * @returns {Object} Public view of the created job
+   */
+  submit(type, params, runner) {
+    const job = {
+      id: crypto.randomUUID(),
+      type: type,
+      status: 'queued',
+      params: params,
+      progress: {
+        completedTasks: 0,
+        totalTasks: 0,
+        failedTasks: 0,
+        percent: 0
+      },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      result: null,
+      runner: runner,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.pruneFinishedJobs();
+    this.processQueue();
+
+    return this.toPublic(job);
+  }
+
+  /**
+   * Start the next queued job if nothing is running
+   */
+  processQueue() {
+    if (this.activeJob || this.queue.length === 0) {
+      return;
+    }
+
+    const job = this.queue.shift();
+    this.activeJob = job;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`Job ${job.id} (${job.type}) started`);
+
+    const reportProgress = (progress) => {
+      const totalTasks = progress.totalTasks || 0;
+      job.progress = {
+        completedTasks: progress.completedTasks || 0,
+        totalTasks: totalTasks,
+        failedTasks: progress.failedTasks || 0,
+        percent: totalTasks > 0 ? Number(((progress.completedTasks / totalTasks) * 100).toFixed(1)) : 0
+      };
+    };
+
+    Promise.resolve()
+      .then(() => job.runner({ jobId: job.id, signal: job.controller.signal, reportProgress }))
+      .then((result) => {
+        if (job.controller.signal.aborted) {
+          job.status = 'cancelled';
+        } else {
+          job.status = 'completed';
+          job.result = result;
+        }
+      })
+      .catch((error) => {
+        if (job.controller.signal.aborted) {
+          job.status = 'cancelled';
+        } else {
+          console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+          job.status = 'failed';
+          job.error = error.message;
+        }
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        job.runner = null;
+        console.log(`Job ${job.id} (${job.type}) ${job.status}`);
+        this.activeJob = null;
+        this.processQueue();
+      });
+  }
+
+  /**
+   * Get a job by id (internal representation)
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * List all known jobs, newest first
+   */
+  listJobs(type = null) {
+    return Array.from(this.jobs.values())
+      .filter(job => !type || job.type === type)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.toPublic(job));
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @returns {boolean} true if the job was cancelled, false if it had already finished
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      return false;
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued.id !== jobId);
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      job.runner = null;
+    }
+
+    // Running jobs observe the signal and stop their worker threads
+    job.controller.abort();
+    return true;
+  }
+
+  /**
+   * Drop the oldest finished jobs once the store grows beyond maxStoredJobs
+   */
+  pruneFinishedJobs() {
+    if (this.jobs.size <= this.maxStoredJobs) {
+      return;
+    }
+
+    const finished = Array.from(this.jobs.values())
+      .filter(job => ['completed', 'failed', 'cancelled'].includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    while (this.jobs.size > this.maxStoredJobs && finished.length > 0) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+
+  /**
+   * Public view of a job (without runner, controller and result payload)
+   */
+  toPublic(job) {
+    return {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      params: job.params,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error
+    };
+  }
+}
+
+module.exports = JobManager;
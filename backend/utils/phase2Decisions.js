@@ -0,0 +1,147 @@
+const fs = require('fs');
+const { phase2DetailsDir, getPhase2DetailsPath, readResultsFile } = require('./resultsStore');
+
+/**
+ * Queries over the stored Phase 2 decisions (one record per VM and date, see
+ * Phase2Orchestrator.describeDecisions) for the paginated decisions API
+ */
+
+const DECISIONS = ['migrate', 'stay'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Dates with stored decisions
+ */
+function listDecisionDates() {
+  if (!fs.existsSync(phase2DetailsDir)) {
+    return [];
+  }
+  return fs.readdirSync(phase2DetailsDir)
+    .filter(file => /^[\w-]+\.json$/.test(file))
+    .map(file => file.replace(/\.json$/, ''))
+    .sort();
+}
+
+/**
+ * Stored decisions of the given dates, every record tagged with its date
+ */
+function loadDecisions(dates) {
+  const records = [];
+  dates.forEach(date => {
+    const details = readResultsFile(getPhase2DetailsPath(date));
+    if (details) {
+      details.decisions.forEach(record => records.push({ date, ...record }));
+    }
+  });
+  return records;
+}
+
+function parsePositiveInteger(value, name, max = Infinity) {
+  const number = Number(value);
+  if (!Number.isSafeInteger(number) || number < 1 || number > max) {
+    throw new Error(max === Infinity ? `${name} must be a positive integer` : `${name} must be an integer from 1 to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validate the query string of a decisions request
+ * @param {Object} query - { date (comma-separated), vmId, service, decision, destination, page, pageSize }
+ * @param {Array<string>} storedDates - Dates with stored decisions
+ * @returns {Object} { dates, filters: { vmId, service, decision, destination }, page, pageSize }
+ * @throws {Error} On an unknown date or decision, or a page out of range
+ */
+function parseDecisionQuery(query, storedDates) {
+  const dates = query.date
+    ? String(query.date).split(',').map(date => date.trim()).filter(Boolean)
+    : storedDates;
+  const missing = dates.filter(date => !storedDates.includes(date));
+  if (missing.length > 0) {
+    throw new Error(`No stored decisions for ${missing.join(', ')} (available: ${storedDates.join(', ') || 'none'})`);
+  }
+  if (query.decision !== undefined && !DECISIONS.includes(query.decision)) {
+    throw new Error(`decision must be one of ${DECISIONS.join(', ')}`);
+  }
+
+  return {
+    dates,
+    filters: {
+      vmId: query.vmId,
+      service: query.service,
+      decision: query.decision,
+      destination: query.destination
+    },
+    page: query.page !== undefined ? parsePositiveInteger(query.page, 'page') : 1,
+    pageSize: query.pageSize !== undefined ? parsePositiveInteger(query.pageSize, 'pageSize', MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE
+  };
+}
+
+/**
+ * Records matching every given filter (exact match; unset filters match all)
+ */
+function filterDecisions(records, filters = {}) {
+  return records.filter(record =>
+    (filters.vmId === undefined || record.vmId === filters.vmId) &&
+    (filters.service === undefined || record.serviceId === filters.service) &&
+    (filters.decision === undefined || record.decision === filters.decision) &&
+    (filters.destination === undefined || (record.destination && record.destination.vmId === filters.destination))
+  );
+}
+
+/**
+ * Migrations grouped by destination VM and date, most incoming migrations first
+ * @returns {Array<Object>} { date, vmId, incomingMigrations, sources (VM ids), meanFitness }
+ */
+function summarizeDestinations(records) {
+  const groups = new Map();
+  records.forEach(record => {
+    if (record.decision !== 'migrate' || !record.destination) {
+      return;
+    }
+    const key = `${record.date}/${record.destination.vmId}`;
+    if (!groups.has(key)) {
+      groups.set(key, { date: record.date, vmId: record.destination.vmId, sources: [], fitness: 0 });
+    }
+    const group = groups.get(key);
+    group.sources.push(record.vmId);
+    group.fitness += record.destination.fitness;
+  });
+
+  return Array.from(groups.values())
+    .map(({ date, vmId, sources, fitness }) => ({
+      date,
+      vmId,
+      incomingMigrations: sources.length,
+      sources,
+      meanFitness: fitness / sources.length
+    }))
+    .sort((a, b) => b.incomingMigrations - a.incomingMigrations || a.date.localeCompare(b.date) || a.vmId.localeCompare(b.vmId));
+}
+
+/**
+ * One page of items
+ * @returns {Object} { items, page, pageSize, total, totalPages }
+ */
+function paginate(items, page = 1, pageSize = DEFAULT_PAGE_SIZE) {
+  const start = (page - 1) * pageSize;
+  return {
+    items: items.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: items.length,
+    totalPages: Math.ceil(items.length / pageSize)
+  };
+}
+
+module.exports = {
+  DECISIONS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  listDecisionDates,
+  loadDecisions,
+  parseDecisionQuery,
+  filterDecisions,
+  summarizeDestinations,
+  paginate
+};
@@ -0,0 +1,84 @@
+/**
+ * Seeded pseudo-random number generation
+ * createRandom(seed) returns a function with the same contract as Math.random
+ * (uniform in [0, 1)) that produces the same sequence for the same seed.
+ */
+
+/**
+ * Convert a seed (number or string) to an unsigned 32-bit integer
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  // FNV-1a hash for string seeds
+  let hash = 2166136261;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Seed; when null/undefined Math.random is returned
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  if (seed === undefined || seed === null) {
+    return Math.random;
+  }
+
+  let state = normalizeSeed(seed);
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number generator (default: Math.random)
+ */
+function shuffle(items, random = Math.random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Seeds for repeated runs: the first run keeps the base seed so a single run
+ * matches a run without repeats
+ * @param {number|string} seed - Base seed
+ * @param {number} count - Number of runs
+ * @returns {Array<number|string>}
+ */
+function deriveSeeds(seed, count) {
+  return Array.from({ length: count }, (_, index) => {
+    if (index === 0) {
+      return seed;
+    }
+    return typeof seed === 'number' ? seed + index : `${seed}-${index}`;
+  });
+}
+
+// Seed used when a run does not specify one, so reruns give the same numbers
+const DEFAULT_SEED = 42;
+
+module.exports = {
+  DEFAULT_SEED,
+  createRandom,
+  deriveSeeds,
+  normalizeSeed,
+  shuffle
+};
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { summarize } = require('./statistics');
+
+/**
+ * Read/write helpers for the JSON result files served by the API
+ * Pre-calculated results live in backend/results, on-demand job results in backend/results/jobs
+ * and the per-VM Phase 2 decisions of every pre-calculated date in backend/results/phase2-details
+ */
+const resultsDir = path.join(__dirname, '..', 'results');
+const jobResultsDir = path.join(resultsDir, 'jobs');
+const phase2DetailsDir = path.join(resultsDir, 'phase2-details');
+
+const PHASE1_METRICS = [
+  'energyConsumption',
+  'vmMigrations',
+  'slaViolations',
+  'nodeShutdowns',
+  'meanTimeBeforeShutdown',
+  'meanTimeBeforeMigration'
+];
+
+// MIPS-based SLA accounting (percent): SLATAH, PDM, SLAV = SLATAH x PDM, the share of requested MIPS
+// that was not allocated, and ESV = energy x SLAV (kWh); older result files may lack them
+const PHASE1_SLA_METRICS = ['slatah', 'pdm', 'slav', 'esv', 'underAllocation'];
+
+// Live migration cost (pre-copy model): mean duration and downtime in seconds, transferred GB
+const PHASE1_MIGRATION_METRICS = ['meanMigrationTime', 'meanMigrationDowntime', 'migrationDataTransferred'];
+
+// Time and energy per host power state, summed over the hosts ({ hosts, states, transitions, energy })
+const PHASE1_POWER_STATE_METRICS = ['powerStates'];
+
+// Time-weighted mean CPU frequency of the powered-on hosts (percent of nominal), reported by runs with DVFS
+const PHASE1_DVFS_METRICS = ['meanFrequency'];
+
+/**
+ * Reshape LoadBalancer.runAllAlgorithms output (results[algo][date] = result)
+ * into the metric-first structure the frontend expects (results[metric][algo][date] = value)
+ * The optional metrics are included when any result reports them (failed runs report null)
+ */
+function formatPhase1Results(results) {
+  const reported = metric => Object.values(results).some(byDate =>
+    Object.values(byDate).some(result => result[metric] !== undefined && result[metric] !== null)
+  );
+  const metrics = [
+    ...PHASE1_METRICS,
+    ...[...PHASE1_SLA_METRICS, ...PHASE1_MIGRATION_METRICS, ...PHASE1_POWER_STATE_METRICS, ...PHASE1_DVFS_METRICS].filter(reported)
+  ];
+
+  const formattedResults = {};
+  metrics.forEach(metric => {
+    formattedResults[metric] = {};
+  });
+
+  Object.keys(results).forEach(algoName => {
+    metrics.forEach(metric => {
+      formattedResults[metric][algoName] = {};
+    });
+
+    Object.keys(results[algoName]).forEach(date => {
+      const result = results[algoName][date];
+      metrics.forEach(metric => {
+        formattedResults[metric][algoName][date] = result[metric];
+      });
+    });
+  });
+
+  return formattedResults;
+}
+
+/**
+ * Most frequent value (ties keep the earliest run)
+ */
+function mostFrequent(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return values.reduce((best, value) => (counts.get(value) > counts.get(best) ? value : best), values[0]);
+}
+
+function aggregateNode(nodes) {
+  // Failed runs hold null; the type comes from the runs that produced a value
+  const first = nodes.find(node => node !== undefined && node !== null);
+
+  if (typeof first === 'number') {
+    const statistics = summarize(nodes.filter(value => typeof value === 'number'));
+    return { value: statistics.mean, statistics };
+  }
+
+  if (first && typeof first === 'object' && !Array.isArray(first)) {
+    const value = {};
+    const statistics = {};
+    Object.keys(first).forEach(key => {
+      const child = aggregateNode(nodes.map(node => (node ? node[key] : undefined)));
+      value[key] = child.value;
+      if (child.statistics !== undefined) {
+        statistics[key] = child.statistics;
+      }
+    });
+    return { value, statistics };
+  }
+
+  // Labels such as the Phase 3 system state: report the most frequent one
+  return { value: mostFrequent(nodes), statistics: undefined };
+}
+
+/**
+ * Combine the formatted results of repeated runs (same structure, different seeds)
+ * Numeric values are replaced by their mean; statistics mirrors the structure with
+ * { n, mean, std, median, min, max, ci95 } in place of each value
+ * @param {Array<Object>} runs - Formatted results, one per run
+ * @returns {Object} { results, statistics }
+ */
+function aggregateRepeatedResults(runs) {
+  const { value, statistics } = aggregateNode(runs);
+  return { results: value, statistics };
+}
+
+/**
+ * Keep only the requested dates in a results or statistics object
+ * Any level whose keys are all known dates is filtered
+ * @param {Object} node - Results/statistics object
+ * @param {Array<string>} allDates - Dates stored in the file
+ * @param {Array<string>} dates - Requested dates
+ */
+function filterDates(node, allDates, dates) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return node;
+  }
+
+  const keys = Object.keys(node);
+  const isDateLevel = keys.length > 0 && keys.every(key => allDates.includes(key));
+  const filtered = {};
+  keys.forEach(key => {
+    if (!isDateLevel || dates.includes(key)) {
+      filtered[key] = filterDates(node[key], allDates, dates);
+    }
+  });
+  return filtered;
+}
+
+/**
+ * Write a result file, creating the parent directory if needed
+ */
+function writeResultsFile(filePath, output) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(output, null, 2));
+  return filePath;
+}
+
+/**
+ * Read a result file, returns null if it does not exist
+ */
+function readResultsFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Path of the stored result for an on-demand job
+ */
+function getJobResultPath(phase, jobId) {
+  return path.join(jobResultsDir, `phase${phase}-${jobId}.json`);
+}
+
+/**
+ * Path of the stored Phase 2 details (per-VM decisions) of a date
+ */
+function getPhase2DetailsPath(date) {
+  return path.join(phase2DetailsDir, `${date}.json`);
+}
+
+module.exports = {
+  resultsDir,
+  jobResultsDir,
+  phase2DetailsDir,
+  PHASE1_METRICS,
+  PHASE1_SLA_METRICS,
+  PHASE1_MIGRATION_METRICS,
+  PHASE1_POWER_STATE_METRICS,
+  PHASE1_DVFS_METRICS,
+  formatPhase1Results,
+  aggregateRepeatedResults,
+  filterDates,
+  writeResultsFile,
+  readResultsFile,
+  getJobResultPath,
+  getPhase2DetailsPath
+};
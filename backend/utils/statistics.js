@@ -0,0 +1,484 @@
+/**
+ * Descriptive statistics for repeated runs and significance tests for
+ * comparing algorithms over paired samples (one value per dataset date)
+ */
+
+// Two-sided 95% Student t critical values by degrees of freedom (1-30)
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Sample standard deviation (n - 1 denominator)
+ */
+function standardDeviation(values) {
+  if (values.length < 2) {
+    return 0;
+  }
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Two-sided 95% t critical value (normal approximation above 30 degrees of freedom)
+ */
+function tCritical95(degreesOfFreedom) {
+  if (degreesOfFreedom < 1) {
+    return 0;
+  }
+  return degreesOfFreedom <= T_CRITICAL_95.length ? T_CRITICAL_95[degreesOfFreedom - 1] : 1.96;
+}
+
+/**
+ * Summarize the values of one metric over repeated runs
+ * @param {Array<number>} values - One value per run
+ * @returns {Object} { n, mean, std, median, min, max, ci95: [lower, upper] }
+ */
+function summarize(values) {
+  const n = values.length;
+  const average = mean(values);
+  const std = standardDeviation(values);
+  const halfWidth = n > 1 ? tCritical95(n - 1) * std / Math.sqrt(n) : 0;
+
+  return {
+    n,
+    mean: average,
+    std,
+    median: median(values),
+    min: n > 0 ? Math.min(...values) : 0,
+    max: n > 0 ? Math.max(...values) : 0,
+    ci95: [average - halfWidth, average + halfWidth]
+  };
+}
+
+// ---- Distribution functions ----
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(coefficient => {
+    y += 1;
+    series += coefficient / y;
+  });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction of the incomplete beta function (Numerical Recipes betacf)
+ */
+function betaContinuedFraction(a, b, x) {
+  const maxIterations = 200;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = Math.abs(d) < tiny ? tiny : d;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    result *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < epsilon) {
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+function regularizedBeta(x, a, b) {
+  if (x <= 0) {
+    return 0;
+  }
+  if (x >= 1) {
+    return 1;
+  }
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ */
+function regularizedGamma(a, x) {
+  if (x <= 0) {
+    return 0;
+  }
+  const logFront = -x + a * Math.log(x) - logGamma(a);
+
+  if (x < a + 1) {
+    // Series expansion
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return sum * Math.exp(logFront);
+  }
+
+  // Continued fraction for the upper tail
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) {
+      break;
+    }
+  }
+  return 1 - Math.exp(logFront) * h;
+}
+
+/**
+ * Standard normal CDF (complementary error function, Numerical Recipes erfcc)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.5 * x);
+  const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
+
+function normalPdf(z) {
+  return Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Two-sided p-value of a Student t statistic
+ */
+function studentTTwoSided(t, degreesOfFreedom) {
+  if (!Number.isFinite(t)) {
+    return 0;
+  }
+  return regularizedBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+}
+
+/**
+ * Upper tail probability of the chi-square distribution
+ */
+function chiSquareUpper(x, degreesOfFreedom) {
+  return Math.max(0, 1 - regularizedGamma(degreesOfFreedom / 2, x / 2));
+}
+
+/**
+ * CDF of the studentized range of k normal samples (infinite degrees of freedom)
+ * P(Q <= q) = k * integral of phi(z) * [Phi(z) - Phi(z - q)]^(k-1) dz, by Simpson's rule
+ */
+function studentizedRangeCdf(q, k) {
+  if (q <= 0) {
+    return 0;
+  }
+  const steps = 400;
+  const lower = -8;
+  const upper = 8 + q;
+  const h = (upper - lower) / steps;
+  let sum = 0;
+  for (let i = 0; i <= steps; i++) {
+    const z = lower + i * h;
+    const value = normalPdf(z) * Math.pow(normalCdf(z) - normalCdf(z - q), k - 1);
+    const weight = i === 0 || i === steps ? 1 : (i % 2 === 0 ? 2 : 4);
+    sum += weight * value;
+  }
+  return Math.min(1, k * sum * h / 3);
+}
+
+// ---- Significance tests ----
+
+/**
+ * Ranks with ties given their average rank (1 = smallest)
+ */
+function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) {
+      j++;
+    }
+    const averageRank = (i + j) / 2 + 1;
+    for (let t = i; t <= j; t++) {
+      ranks[order[t].index] = averageRank;
+    }
+    i = j + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Sizes of the groups of tied values
+ */
+function tieGroups(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return Array.from(counts.values()).filter(count => count > 1);
+}
+
+function checkPaired(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+    throw new Error('Paired tests need two samples of the same length');
+  }
+}
+
+/**
+ * Wilcoxon signed-rank test (two-sided)
+ * Zero differences are dropped; the p-value is exact (permutation distribution of the
+ * observed ranks, ties included) up to 50 pairs and uses the tie-corrected normal
+ * approximation beyond
+ * @param {Array<number>} a - First sample
+ * @param {Array<number>} b - Second sample, paired with a
+ * @returns {Object} { n, wPlus, wMinus, statistic, pValue, effectSize (matched-pairs rank-biserial r), method }
+ */
+function wilcoxonSignedRank(a, b) {
+  checkPaired(a, b);
+  const differences = a.map((value, i) => value - b[i]).filter(difference => difference !== 0);
+  const n = differences.length;
+  if (n === 0) {
+    return { n: 0, wPlus: 0, wMinus: 0, statistic: 0, pValue: 1, effectSize: 0, method: 'exact' };
+  }
+
+  const ranks = rank(differences.map(Math.abs));
+  const wPlus = differences.reduce((sum, difference, i) => sum + (difference > 0 ? ranks[i] : 0), 0);
+  const total = n * (n + 1) / 2;
+  const wMinus = total - wPlus;
+  const effectSize = (wPlus - wMinus) / total;
+
+  let pValue;
+  let method;
+  if (n <= 50) {
+    // Distribution of W+ over all sign assignments; doubled ranks are integers even with ties
+    const doubledRanks = ranks.map(r => Math.round(r * 2));
+    const maxSum = doubledRanks.reduce((sum, r) => sum + r, 0);
+    let distribution = new Array(maxSum + 1).fill(0);
+    distribution[0] = 1;
+    doubledRanks.forEach(r => {
+      const next = new Array(maxSum + 1).fill(0);
+      for (let s = 0; s <= maxSum; s++) {
+        if (distribution[s] > 0) {
+          next[s] += distribution[s] / 2;
+          next[s + r] += distribution[s] / 2;
+        }
+      }
+      distribution = next;
+    });
+    const observed = Math.round(wPlus * 2);
+    let lowerTail = 0;
+    let upperTail = 0;
+    distribution.forEach((probability, s) => {
+      if (s <= observed) lowerTail += probability;
+      if (s >= observed) upperTail += probability;
+    });
+    pValue = Math.min(1, 2 * Math.min(lowerTail, upperTail));
+    method = 'exact';
+  } else {
+    const tieCorrection = tieGroups(differences.map(Math.abs)).reduce((sum, t) => sum + (t * t * t - t), 0) / 48;
+    const sd = Math.sqrt(n * (n + 1) * (2 * n + 1) / 24 - tieCorrection);
+    const z = sd > 0 ? (Math.abs(wPlus - total / 2) - 0.5) / sd : 0;
+    pValue = Math.min(1, 2 * (1 - normalCdf(Math.max(0, z))));
+    method = 'normal';
+  }
+
+  return { n, wPlus, wMinus, statistic: Math.min(wPlus, wMinus), pValue, effectSize, method };
+}
+
+/**
+ * Paired t-test (two-sided)
+ * @param {Array<number>} a - First sample
+ * @param {Array<number>} b - Second sample, paired with a
+ * @returns {Object} { n, meanDifference, t, degreesOfFreedom, pValue, effectSize (Cohen's dz) }
+ */
+function pairedTTest(a, b) {
+  checkPaired(a, b);
+  const differences = a.map((value, i) => value - b[i]);
+  const n = differences.length;
+  const meanDifference = mean(differences);
+  const sd = standardDeviation(differences);
+  const degreesOfFreedom = n - 1;
+
+  if (n < 2) {
+    return { n, meanDifference, t: null, degreesOfFreedom, pValue: 1, effectSize: null };
+  }
+  if (sd === 0) {
+    // Constant differences: identical samples or a deterministic shift
+    const identical = meanDifference === 0;
+    return {
+      n,
+      meanDifference,
+      t: identical ? 0 : Math.sign(meanDifference) * Infinity,
+      degreesOfFreedom,
+      pValue: identical ? 1 : 0,
+      effectSize: identical ? 0 : Math.sign(meanDifference) * Infinity
+    };
+  }
+
+  const t = meanDifference / (sd / Math.sqrt(n));
+  return { n, meanDifference, t, degreesOfFreedom, pValue: studentTTwoSided(t, degreesOfFreedom), effectSize: meanDifference / sd };
+}
+
+/**
+ * Friedman test over blocks (rows, e.g. dates) and treatments (columns, e.g. algorithms)
+ * Ranks are assigned within each block, 1 = smallest value
+ * @param {Array<Array<number>>} blocks - blocks[i][j] = value of treatment j on block i
+ * @returns {Object} { n, k, statistic (tie-corrected chi-square), degreesOfFreedom, pValue,
+ *   effectSize (Kendall's W), averageRanks }
+ */
+function friedmanTest(blocks) {
+  const n = blocks.length;
+  const k = n > 0 ? blocks[0].length : 0;
+  if (n < 2 || k < 2) {
+    throw new Error('Friedman test needs at least 2 blocks and 2 treatments');
+  }
+
+  const rankSums = new Array(k).fill(0);
+  let tieTerm = 0;
+  blocks.forEach(block => {
+    if (block.length !== k) {
+      throw new Error('Every block needs a value for each treatment');
+    }
+    rank(block).forEach((r, j) => {
+      rankSums[j] += r;
+    });
+    tieTerm += tieGroups(block).reduce((sum, t) => sum + (t * t * t - t), 0);
+  });
+
+  const chiSquare = 12 / (n * k * (k + 1)) * rankSums.reduce((sum, r) => sum + r * r, 0) - 3 * n * (k + 1);
+  const correction = 1 - tieTerm / (n * (k * k * k - k));
+  // All values tied in every block: no evidence of a difference
+  const statistic = correction > 0 ? chiSquare / correction : 0;
+  const degreesOfFreedom = k - 1;
+
+  return {
+    n,
+    k,
+    statistic,
+    degreesOfFreedom,
+    pValue: correction > 0 ? chiSquareUpper(statistic, degreesOfFreedom) : 1,
+    effectSize: statistic / (n * (k - 1)),
+    averageRanks: rankSums.map(r => r / n)
+  };
+}
+
+/**
+ * Nemenyi post-hoc test after a Friedman test (all pairs)
+ * @param {Array<number>} averageRanks - Average rank of each treatment
+ * @param {number} n - Number of blocks
+ * @param {number} alpha - Significance level for the critical difference (default 0.05)
+ * @returns {Object} { criticalDifference, pairs: [{ i, j, rankDifference, pValue }] }
+ */
+function nemenyiTest(averageRanks, n, alpha = 0.05) {
+  const k = averageRanks.length;
+  const standardError = Math.sqrt(k * (k + 1) / (6 * n));
+
+  // Critical value of the studentized range by bisection
+  let low = 0;
+  let high = 10;
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const middle = (low + high) / 2;
+    if (studentizedRangeCdf(middle, k) < 1 - alpha) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  const criticalDifference = (high / Math.SQRT2) * standardError;
+
+  const pairs = [];
+  for (let i = 0; i < k; i++) {
+    for (let j = i + 1; j < k; j++) {
+      const rankDifference = averageRanks[i] - averageRanks[j];
+      const q = Math.abs(rankDifference) / standardError * Math.SQRT2;
+      pairs.push({ i, j, rankDifference, pValue: Math.max(0, 1 - studentizedRangeCdf(q, k)) });
+    }
+  }
+
+  return { criticalDifference, pairs };
+}
+
+/**
+ * Holm-Bonferroni adjusted p-values (same order as the input)
+ */
+function holmAdjust(pValues) {
+  const m = pValues.length;
+  const order = pValues.map((pValue, index) => ({ pValue, index })).sort((a, b) => a.pValue - b.pValue);
+  const adjusted = new Array(m);
+  let running = 0;
+  order.forEach(({ pValue, index }, position) => {
+    running = Math.max(running, Math.min(1, (m - position) * pValue));
+    adjusted[index] = running;
+  });
+  return adjusted;
+}
+
+module.exports = {
+  mean,
+  standardDeviation,
+  median,
+  tCritical95,
+  summarize,
+  rank,
+  normalCdf,
+  studentTTwoSided,
+  chiSquareUpper,
+  studentizedRangeCdf,
+  wilcoxonSignedRank,
+  pairedTTest,
+  friedmanTest,
+  nemenyiTest,
+  holmAdjust
+};
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { createRandom } = require('./random');
+
+/**
+ * Synthetic Workload Generator
+ * Produces PlanetLab-style CPU utilization traces (one series per VM, one sample every 5 minutes)
+ * from a seed, so the phases can run offline and reproducibly.
+ *
+ * Each VM gets its own base load, diurnal swing, trend and noise level; bursts start at random
+ * intervals and decay linearly. The same seed and date always give the same dataset.
+ */
+class WorkloadGenerator {
+  /**
+   * @param {Object} options - Generator options
+   * @param {number|string} options.seed - Seed (default 42)
+   * @param {number} options.vmCount - Number of VMs (default 100)
+   * @param {number} options.vmsPerHost - VMs sharing a host prefix in their IDs (default 10)
+   * @param {number} options.samples - Samples per VM (default 288 = one day at 5 minutes)
+   * @param {number} options.interval - Seconds between samples (default 300)
+   * @param {Array<number>} options.baseLoad - [min, max] mean utilization of a VM in % (default [5, 40])
+   * @param {number} options.diurnalAmplitude - Typical day/night swing in % (default 20)
+   * @param {number} options.peakHour - Hour of the daily peak (default 14)
+   * @param {number} options.trend - Maximum drift in % per day, up or down (default 5)
+   * @param {number} options.noise - Standard deviation of the sample noise in % (default 5)
+   * @param {number} options.burstProbability - Chance of a burst starting at a sample (default 0.005)
+   * @param {number} options.burstMagnitude - Typical burst height in % (default 40)
+   * @param {number} options.burstDuration - Typical burst length in samples (default 6)
+   */
+  constructor(options = {}) {
+    this.options = { ...WorkloadGenerator.DEFAULTS, ...options };
+
+    const { vmCount, vmsPerHost, samples, interval, baseLoad } = this.options;
+    [['vmCount', vmCount], ['vmsPerHost', vmsPerHost], ['samples', samples], ['interval', interval]].forEach(([name, value]) => {
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`${name} must be a positive integer`);
+      }
+    });
+    if (!Array.isArray(baseLoad) || baseLoad.length !== 2 || !(baseLoad[0] >= 0 && baseLoad[1] >= baseLoad[0] && baseLoad[1] <= 100)) {
+      throw new Error('baseLoad must be [min, max] with 0 <= min <= max <= 100');
+    }
+  }
+
+  /**
+   * Generate the utilization series of every VM for a date
+   * @param {string} date - Dataset name, mixed into the seed so each date differs
+   * @returns {Array} { vmId, values } with integer utilizations 0-100
+   */
+  generateSeries(date) {
+    return Array.from(this.seriesOf(date));
+  }
+
+  /**
+   * The series of generateSeries one VM at a time (same values)
+   * @param {string} date - Dataset name
+   * @returns {Iterator} { vmId, values }
+   */
+  * seriesOf(date) {
+    const {
+      seed, vmCount, vmsPerHost, samples, interval, baseLoad, diurnalAmplitude, peakHour,
+      trend, noise, burstProbability, burstMagnitude, burstDuration
+    } = this.options;
+    const random = createRandom(`${seed}:${date}`);
+
+    // Standard normal sample (Box-Muller)
+    const gaussian = () => {
+      const u = 1 - random();
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    };
+
+    const hostDigits = String(Math.ceil(vmCount / vmsPerHost) - 1).length;
+    const vmDigits = String(vmCount - 1).length;
+
+    for (let i = 0; i < vmCount; i++) {
+      const base = baseLoad[0] + random() * (baseLoad[1] - baseLoad[0]);
+      const amplitude = diurnalAmplitude * (0.5 + random());
+      const peak = peakHour + gaussian() * 2;
+      const drift = trend * (random() * 2 - 1);
+      const noiseLevel = noise * (0.5 + random());
+
+      const values = [];
+      let burstLeft = 0;
+      let burstLength = 0;
+      let burstHeight = 0;
+
+      for (let t = 0; t < samples; t++) {
+        const seconds = t * interval;
+        const hour = (seconds / 3600) % 24;
+
+        if (burstLeft === 0 && random() < burstProbability) {
+          burstLength = Math.max(1, Math.round(burstDuration * (0.5 + random())));
+          burstLeft = burstLength;
+          burstHeight = burstMagnitude * (0.5 + random());
+        }
+        const burst = burstLeft > 0 ? burstHeight * (burstLeft / burstLength) : 0;
+        if (burstLeft > 0) {
+          burstLeft--;
+        }
+
+        const value = base
+          + amplitude * Math.cos(2 * Math.PI * (hour - peak) / 24)
+          + drift * (seconds / 86400)
+          + burst
+          + gaussian() * noiseLevel;
+        values.push(Math.round(Math.min(100, Math.max(0, value))));
+      }
+
+      const hostId = String(Math.floor(i / vmsPerHost)).padStart(hostDigits, '0');
+      yield {
+        vmId: `host${hostId}_vm${String(i).padStart(vmDigits, '0')}`,
+        values
+      };
+    }
+  }
+
+  /**
+   * Write a date folder in PlanetLab format (one file per VM, one integer per line)
+   * @param {string} date - Dataset name
+   * @param {string} directory - Parent directory; the folder is created as directory/date
+   * @param {boolean} overwrite - Replace an existing folder (default false)
+   * @returns {Object} { path, vms, samples }
+   */
+  writeDataset(date, directory, overwrite = false) {
+    const datePath = path.join(directory, date);
+    if (fs.existsSync(datePath)) {
+      if (!overwrite) {
+        throw new Error(`Dataset ${date} already exists in ${directory}`);
+      }
+      fs.rmSync(datePath, { recursive: true, force: true });
+    }
+    fs.mkdirSync(datePath, { recursive: true });
+
+    const series = this.generateSeries(date);
+    series.forEach(({ vmId, values }) => {
+      fs.writeFileSync(path.join(datePath, vmId), values.join('\n') + '\n');
+    });
+
+    return { path: datePath, vms: series.length, samples: this.options.samples };
+  }
+
+  /**
+   * writeDataset without blocking the event loop: each VM's series is generated and written
+   * before the next one (for the API, which serves other requests meanwhile)
+   * @returns {Promise<Object>} { path, vms, samples }
+   */
+  async writeDatasetAsync(date, directory, overwrite = false) {
+    const datePath = path.join(directory, date);
+    if (fs.existsSync(datePath)) {
+      if (!overwrite) {
+        throw new Error(`Dataset ${date} already exists in ${directory}`);
+      }
+      await fs.promises.rm(datePath, { recursive: true, force: true });
+    }
+    await fs.promises.mkdir(datePath, { recursive: true });
+
+    let vms = 0;
+    for (const { vmId, values } of this.seriesOf(date)) {
+      await fs.promises.writeFile(path.join(datePath, vmId), values.join('\n') + '\n');
+      vms++;
+    }
+
+    return { path: datePath, vms, samples: this.options.samples };
+  }
+}
+
+WorkloadGenerator.DEFAULTS = {
+  seed: 42,
+  vmCount: 100,
+  vmsPerHost: 10,
+  samples: 288,
+  interval: 300,
+  baseLoad: [5, 40],
+  diurnalAmplitude: 20,
+  peakHour: 14,
+  trend: 5,
+  noise: 5,
+  burstProbability: 0.005,
+  burstMagnitude: 40,
+  burstDuration: 6
+};
+
+module.exports = WorkloadGenerator;
@@ -11,6 +11,7 @@ import {
   ArcElement
 } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
+import errorBarsPlugin, { formatStatistics } from './errorBarsPlugin';
 import './AlgorithmResults.css';
 
 ChartJS.register(
@@ -20,12 +21,40 @@ ChartJS.register(
   Title,
   Tooltip,
   Legend,
-  ArcElement
+  ArcElement,
+  errorBarsPlugin
+);
+
+// Metrics of the Phase 1 results; the SLA, migration and DVFS metrics only appear when the results report them
+const METRICS = [
+  { key: 'energyConsumption', label: 'Energy Consumption (KWh)' },
+  { key: 'vmMigrations', label: 'VM Migrations (Number)' },
+  { key: 'slaViolations', label: 'SLA Violations (%)' },
+  { key: 'slatah', label: 'SLA Time per Active Host - SLATAH (%)' },
+  { key: 'pdm', label: 'Performance Degradation due to Migrations - PDM (%)' },
+  { key: 'slav', label: 'SLA Violation - SLAV (%)' },
+  { key: 'esv', label: 'Energy x SLA Violation - ESV' },
+  { key: 'underAllocation', label: 'Under-allocated MIPS (%)' },
+  { key: 'nodeShutdowns', label: 'Node Shutdowns (Number)' },
+  { key: 'meanTimeBeforeShutdown', label: 'Mean Time Before Shutdown (Sec)' },
+  { key: 'meanTimeBeforeMigration', label: 'Mean Time Before Migration (Sec)' },
+  { key: 'meanMigrationTime', label: 'Mean Migration Time (Sec)' },
+  { key: 'meanMigrationDowntime', label: 'Mean Migration Downtime (Sec)' },
+  { key: 'migrationDataTransferred', label: 'Migration Data Transferred (GB)' },
+  { key: 'meanFrequency', label: 'Mean CPU Frequency with DVFS (%)' }
+];
+
+// Whether a metric has a value for any algorithm and date (the daily engine reports
+// meanTimeBeforeMigration as null)
+const hasValues = (byAlgorithm) => Boolean(byAlgorithm) && Object.values(byAlgorithm).some(byDate =>
+  Object.values(byDate || {}).some(value => value !== undefined && value !== null)
 );
 
 const AlgorithmResults = ({ phaseId }) => {
   const [loading, setLoading] = useState(false);
   const [results, setResults] = useState(null);
+  const [statistics, setStatistics] = useState(null);
+  const [repeats, setRepeats] = useState(1);
   const [selectedMetric, setSelectedMetric] = useState('energyConsumption');
   const [error, setError] = useState(null);
   const [processedDates, setProcessedDates] = useState([]);
@@ -62,6 +91,9 @@ const AlgorithmResults = ({ phaseId }) => {
         timeout: timeoutDuration
       });
       setResults(response.data.results);
+      // Present when the results are means of repeated runs
+      setStatistics(response.data.statistics || null);
+      setRepeats(response.data.repeats || 1);
       // Set the dates that were actually processed
       setProcessedDates(response.data.dates || datesToProcess);
       console.log('Algorithm results:', response.data.results);
@@ -103,7 +135,8 @@ const AlgorithmResults = ({ phaseId }) => {
         data: data,
         backgroundColor: colors[dateIdx % colors.length],
         borderColor: colors[dateIdx % colors.length],
-        borderWidth: 1
+        borderWidth: 1,
+        statistics: statistics ? algorithms.map(algo => statistics[selectedMetric]?.[algo]?.[date] || null) : undefined
       };
     });
 
@@ -172,15 +205,8 @@ const AlgorithmResults = ({ phaseId }) => {
   };
 
   const getMetricLabel = () => {
-    const labels = {
-      energyConsumption: 'Energy Consumption (KWh)',
-      vmMigrations: 'VM Migrations (Number)',
-      slaViolations: 'SLA Violations (%)',
-      nodeShutdowns: 'Node Shutdowns (Number)',
-      meanTimeBeforeShutdown: 'Mean Time Before Shutdown (Sec)',
-      meanTimeBeforeMigration: 'Mean Time Before Migration (Sec)'
-    };
-    return labels[selectedMetric] || selectedMetric;
+    const metric = METRICS.find(({ key }) => key === selectedMetric);
+    return metric ? metric.label : selectedMetric;
   };
 
   const chartData = getChartData();
@@ -260,12 +286,9 @@ const AlgorithmResults = ({ phaseId }) => {
               onChange={(e) => setSelectedMetric(e.target.value)}
               className="metric-select"
             >
-              <option value="energyConsumption">Energy Consumption (KWh)</option>
-              <option value="vmMigrations">VM Migrations (Number)</option>
-              <option value="slaViolations">SLA Violations (%)</option>
-              <option value="nodeShutdowns">Node Shutdowns (Number)</option>
-              <option value="meanTimeBeforeShutdown">Mean Time Before Shutdown (Sec)</option>
-              <option value="meanTimeBeforeMigration">Mean Time Before Migration (Sec)</option>
+              {METRICS.filter(({ key }) => hasValues(results[key])).map(({ key, label }) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
             </select>
           </div>
 
@@ -334,6 +357,11 @@ const AlgorithmResults = ({ phaseId }) => {
                       responsive: true,
                       maintainAspectRatio: false,
                       plugins: {
+                        tooltip: {
+                          callbacks: {
+                            afterLabel: formatStatistics
+                          }
+                        },
                         legend: {
                           position: 'bottom',
                           labels: {
@@ -376,6 +404,11 @@ const AlgorithmResults = ({ phaseId }) => {
                   />
                 </div>
               )}
+              {repeats > 1 && (
+                <p className="statistics-note">
+                  Bars show the mean of {repeats} runs with different seeds; error bars mark the 95% confidence interval.
+                </p>
+              )}
             </div>
           </div>
         </>
@@ -11,6 +11,7 @@ import {
   ArcElement
 } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
+import errorBarsPlugin, { formatStatistics } from './errorBarsPlugin';
 import './AlgorithmResults.css';
 
 ChartJS.register(
@@ -20,16 +21,21 @@ ChartJS.register(
   Title,
   Tooltip,
   Legend,
-  ArcElement
+  ArcElement,
+  errorBarsPlugin
 );
 
 const Phase2Results = ({ phaseId }) => {
   const [loading, setLoading] = useState(false);
   const [results, setResults] = useState(null);
+  const [statistics, setStatistics] = useState(null);
+  const [repeats, setRepeats] = useState(1);
   const [selectedMetric, setSelectedMetric] = useState('averagePredictedLoad');
   const [error, setError] = useState(null);
   const [processedDates, setProcessedDates] = useState([]);
   const [numDatesToProcess, setNumDatesToProcess] = useState(10); // Default to ALL dates
+  const [serviceClusters, setServiceClusters] = useState(null);
+  const [clusterDate, setClusterDate] = useState('');
 
   const allDates = [
     '20110303', '20110306', '20110309', '20110322', '20110325',
@@ -62,6 +68,13 @@ const Phase2Results = ({ phaseId }) => {
         timeout: timeoutDuration
       });
       setResults(response.data.results);
+      // Present when the results are means of repeated runs
+      setStatistics(response.data.statistics || null);
+      setRepeats(response.data.repeats || 1);
+      // Per-service summarized loads (results pre-calculated with the service categorization)
+      const clusters = response.data.serviceClusters || null;
+      setServiceClusters(clusters);
+      setClusterDate(clusters ? Object.keys(clusters)[0] || '' : '');
       // Set the dates that were actually processed
       setProcessedDates(response.data.dates || datesToProcess);
       console.log('Phase 2 Algorithm results:', response.data.results);
@@ -95,7 +108,8 @@ const Phase2Results = ({ phaseId }) => {
         data: values,
         backgroundColor: '#3b82f6',
         borderColor: '#2563eb',
-        borderWidth: 2
+        borderWidth: 2,
+        statistics: statistics ? datesForChart.map(date => statistics[selectedMetric]?.[date] || null) : undefined
       }]
     };
   };
@@ -158,13 +172,26 @@ const Phase2Results = ({ phaseId }) => {
       totalMemoryLoad: 'Total Memory Load',
       totalStorageLoad: 'Total Storage Load',
       totalNetworkLoad: 'Total Network Load',
-      totalVMs: 'Total VMs (Number)'
+      totalVMs: 'Total VMs (Number)',
+      predictionMAE: 'Prediction MAE (CBLP backtest)',
+      predictionRMSE: 'Prediction RMSE (CBLP backtest)',
+      predictionMAPE: 'Prediction MAPE % (CBLP backtest)'
     };
     return labels[selectedMetric] || selectedMetric;
   };
 
+  const getCategorizationLabel = (categorization) => {
+    if (!categorization || categorization.method === 'threshold') {
+      return 'CPU load bands (low / medium / high)';
+    }
+    const method = categorization.method === 'dtw' ? 'DTW k-medoids on load time series' : 'k-means on resource-usage signatures';
+    const k = categorization.criterion ? `k = ${categorization.k} chosen by ${categorization.criterion}` : `k = ${categorization.k}`;
+    return `${method}, ${k}`;
+  };
+
   const chartData = getChartData();
   const tableData = getTableData();
+  const clusterData = serviceClusters && serviceClusters[clusterDate];
 
   return (
     <div className="algorithm-results">
@@ -247,6 +274,14 @@ const Phase2Results = ({ phaseId }) => {
               <option value="totalStorageLoad">Total Storage Load</option>
               <option value="totalNetworkLoad">Total Network Load</option>
               <option value="totalVMs">Total VMs (Number)</option>
+              {/* Only in results pre-calculated with the CBLP prediction backtest */}
+              {results.predictionMAE && (
+                <>
+                  <option value="predictionMAE">Prediction MAE (CBLP backtest)</option>
+                  <option value="predictionRMSE">Prediction RMSE (CBLP backtest)</option>
+                  <option value="predictionMAPE">Prediction MAPE % (CBLP backtest)</option>
+                </>
+              )}
             </select>
           </div>
 
@@ -296,6 +331,11 @@ const Phase2Results = ({ phaseId }) => {
                       responsive: true,
                       maintainAspectRatio: false,
                       plugins: {
+                        tooltip: {
+                          callbacks: {
+                            afterLabel: formatStatistics
+                          }
+                        },
                         legend: {
                           display: true,
                           position: 'top',
@@ -328,8 +368,59 @@ const Phase2Results = ({ phaseId }) => {
                   />
                 </div>
               )}
+              {repeats > 1 && (
+                <p className="statistics-note">
+                  Bars show the mean of {repeats} runs with different seeds; error bars mark the 95% confidence interval.
+                </p>
+              )}
             </div>
           </div>
+
+          {clusterData && (
+            <div className="results-table-section">
+              <h3 className="section-title">SBCSL Summarized Loads per Service</h3>
+              <div className="metric-selector">
+                <label htmlFor="cluster-date-select">Date:</label>
+                <select
+                  id="cluster-date-select"
+                  value={clusterDate}
+                  onChange={(e) => setClusterDate(e.target.value)}
+                  className="metric-select"
+                >
+                  {Object.keys(serviceClusters).map(date => (
+                    <option key={date} value={date}>{formatDate(date)}</option>
+                  ))}
+                </select>
+              </div>
+              <p className="statistics-note">Services: {getCategorizationLabel(clusterData.categorization)}</p>
+              <div className="table-container">
+                <table className="results-data-table">
+                  <thead>
+                    <tr>
+                      <th>Service</th>
+                      <th>VMs</th>
+                      <th>CS (Compute)</th>
+                      <th>MS (Memory)</th>
+                      <th>SS (Storage)</th>
+                      <th>NS (Network)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {clusterData.services.map(service => (
+                      <tr key={service.serviceId}>
+                        <td className="algorithm-cell">{service.serviceName}</td>
+                        <td>{service.vmCount}</td>
+                        <td>{service.CS.toFixed(2)}</td>
+                        <td>{service.MS.toFixed(2)}</td>
+                        <td>{service.SS.toFixed(2)}</td>
+                        <td>{service.NS.toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
         </>
       )}
 
@@ -11,6 +11,7 @@ import {
   Legend
 } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
+import errorBarsPlugin, { formatStatistics } from './errorBarsPlugin';
 import './Phase3Results.css';
 
 ChartJS.register(
@@ -20,11 +21,14 @@ ChartJS.register(
   PointElement,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  errorBarsPlugin
 );
 
 const Phase3Results = ({ phaseId }) => {
   const [results, setResults] = useState(null);
+  const [statistics, setStatistics] = useState(null);
+  const [repeats, setRepeats] = useState(1);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [processedDates, setProcessedDates] = useState([]);
@@ -50,6 +54,7 @@ const Phase3Results = ({ phaseId }) => {
     setLoading(true);
     setError(null);
     setResults(null);
+    setStatistics(null);
     setProcessedDates([]);
 
     try {
@@ -71,6 +76,8 @@ const Phase3Results = ({ phaseId }) => {
 
       if (response.data.success) {
         setResults(response.data.results);
+        setStatistics(response.data.statistics || null);
+        setRepeats(response.data.repeats || 1);
         setProcessedDates(datesToProcess);
         console.log('Phase 3: Algorithm execution completed', response.data.results);
       } else {
@@ -153,6 +160,10 @@ const Phase3Results = ({ phaseId }) => {
 
   const minValues = results ? getMinValuesPerColumn(results) : {};
 
+  // Confidence intervals of a metric over repeated runs (undefined for a single run)
+  const getStatistics = (metric) =>
+    statistics ? processedDates.map(d => statistics[metric]?.[d] || null) : undefined;
+
   const chartData = results && processedDates.length > 0 ? {
     labels: processedDates.map(d => {
       const year = d.substring(0, 4);
@@ -166,14 +177,16 @@ const Phase3Results = ({ phaseId }) => {
         data: processedDates.map(d => results.loadPercentage?.[d] || 0),
         backgroundColor: 'rgba(54, 162, 235, 0.6)',
         borderColor: 'rgba(54, 162, 235, 1)',
-        borderWidth: 1
+        borderWidth: 1,
+        statistics: getStatistics('loadPercentage')
       },
       {
         label: 'Balanced Percentage (%)',
         data: processedDates.map(d => results.balancedPercentage?.[d] || 0),
         backgroundColor: 'rgba(75, 192, 192, 0.6)',
         borderColor: 'rgba(75, 192, 192, 1)',
-        borderWidth: 1
+        borderWidth: 1,
+        statistics: getStatistics('balancedPercentage')
       }
     ]
   } : null;
@@ -191,7 +204,8 @@ const Phase3Results = ({ phaseId }) => {
         data: processedDates.map(d => results.totalMigrations?.[d] || 0),
         backgroundColor: 'rgba(255, 99, 132, 0.6)',
         borderColor: 'rgba(255, 99, 132, 1)',
-        borderWidth: 1
+        borderWidth: 1,
+        statistics: getStatistics('totalMigrations')
       }
     ]
   } : null;
@@ -305,6 +319,7 @@ const Phase3Results = ({ phaseId }) => {
                   responsive: true,
                   plugins: {
                     legend: { position: 'top' },
+                    tooltip: { callbacks: { afterLabel: formatStatistics } },
                     title: { display: true, text: 'Load Percentage vs Balanced Percentage' }
                   },
                   scales: {
@@ -321,6 +336,7 @@ const Phase3Results = ({ phaseId }) => {
                   responsive: true,
                   plugins: {
                     legend: { position: 'top' },
+                    tooltip: { callbacks: { afterLabel: formatStatistics } },
                     title: { display: true, text: 'Total VM Migrations' }
                   },
                   scales: {
@@ -330,6 +346,11 @@ const Phase3Results = ({ phaseId }) => {
               </div>
             )}
           </div>
+          {repeats > 1 && (
+            <p className="statistics-note">
+              Values are means of {repeats} runs with different seeds; error bars mark the 95% confidence interval.
+            </p>
+          )}
         </>
       )}
     </div>
@@ -13,6 +13,7 @@ import {
   Legend
 } from 'chart.js';
 import { Bar, Line } from 'react-chartjs-2';
+import errorBarsPlugin, { formatStatistics } from './errorBarsPlugin';
 import './Phase4Results.css';
 
 ChartJS.register(
@@ -24,7 +25,8 @@ ChartJS.register(
   Filler,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  errorBarsPlugin
 );
 
 // AWS-inspired color palette
@@ -48,6 +50,8 @@ const AWS_COLORS = {
 
 const Phase4Results = ({ phaseId }) => {
   const [results, setResults] = useState(null);
+  const [statistics, setStatistics] = useState(null);
+  const [repeats, setRepeats] = useState(1);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [processedDates, setProcessedDates] = useState([]);
@@ -57,6 +61,7 @@ const Phase4Results = ({ phaseId }) => {
     setLoading(true);
     setError(null);
     setResults(null);
+    setStatistics(null);
     setProcessedDates([]);
 
     try {
@@ -78,6 +83,8 @@ const Phase4Results = ({ phaseId }) => {
 
       if (response.data.success) {
         setResults(response.data.results);
+        setStatistics(response.data.statistics || null);
+        setRepeats(response.data.repeats || 1);
         setProcessedDates(datesToProcess);
         console.log('Phase 4: Results loaded successfully', response.data.results);
       } else {
@@ -127,6 +134,13 @@ const Phase4Results = ({ phaseId }) => {
     });
   };
 
+  // Statistics over repeated runs, same structure as the results (undefined for a single run)
+  const getMetricStatistics = (metricName) => {
+    if (!statistics || !statistics[metricName]) return undefined;
+    const algoName = Object.keys(statistics[metricName])[0] || 'ACOPSOHybrid';
+    return processedDates.map(date => statistics[metricName][algoName]?.[date] || null);
+  };
+
   // AWS-style chart options
   const awsChartOptions = {
     responsive: true,
@@ -172,7 +186,8 @@ const Phase4Results = ({ phaseId }) => {
               }
             }
             return label;
-          }
+          },
+          afterLabel: formatStatistics
         }
       }
     },
@@ -225,6 +240,7 @@ const Phase4Results = ({ phaseId }) => {
       {
         label: 'Balanced Percentage (%)',
         data: balancedPercentageData,
+        statistics: getMetricStatistics('balancedPercentage'),
         borderColor: AWS_COLORS.chartBlue,
         backgroundColor: `${AWS_COLORS.chartBlue}20`,
         borderWidth: 2,
@@ -238,6 +254,7 @@ const Phase4Results = ({ phaseId }) => {
       {
         label: 'Average Utilization (%)',
         data: averageUtilizationData,
+        statistics: getMetricStatistics('averageUtilization'),
         borderColor: AWS_COLORS.chartOrange,
         backgroundColor: `${AWS_COLORS.chartOrange}20`,
         borderWidth: 2,
@@ -251,6 +268,7 @@ const Phase4Results = ({ phaseId }) => {
       {
         label: 'Load Variance',
         data: loadVarianceData,
+        statistics: getMetricStatistics('loadVariance'),
         borderColor: AWS_COLORS.chartGreen,
         backgroundColor: `${AWS_COLORS.chartGreen}20`,
         borderWidth: 2,
@@ -301,6 +319,7 @@ const Phase4Results = ({ phaseId }) => {
       {
         label: 'Migration Count',
         data: migrationCountData,
+        statistics: getMetricStatistics('migrationCount'),
         backgroundColor: AWS_COLORS.chartPurple,
         borderColor: AWS_COLORS.chartPurple,
         borderWidth: 1,
@@ -316,6 +335,7 @@ const Phase4Results = ({ phaseId }) => {
       {
         label: 'Fitness Score',
         data: fitnessScoreData,
+        statistics: getMetricStatistics('fitnessScore'),
         borderColor: AWS_COLORS.chartTeal,
         backgroundColor: `${AWS_COLORS.chartTeal}20`,
         borderWidth: 2,
@@ -497,6 +517,12 @@ const Phase4Results = ({ phaseId }) => {
             </div>
           </div>
 
+          {repeats > 1 && (
+            <p className="statistics-note">
+              Values are means of {repeats} runs with different seeds; error bars mark the 95% confidence interval.
+            </p>
+          )}
+
           {/* Data Table */}
           <div className="phase4-table-container">
             <h4>Detailed Metrics Table</h4>
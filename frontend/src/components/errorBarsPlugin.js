@@ -0,0 +1,53 @@
+/**
+ * Chart.js plugin drawing 95% confidence intervals of repeated runs as whiskers.
+ * A dataset opts in with statistics: an array aligned with data holding the API
+ * statistics of each value ({ n, mean, std, median, ci95 }) or null.
+ */
+const errorBarsPlugin = {
+  id: 'errorBars',
+  afterDatasetsDraw(chart) {
+    const { ctx } = chart;
+    chart.data.datasets.forEach((dataset, datasetIndex) => {
+      if (!dataset.statistics || !chart.isDatasetVisible(datasetIndex)) return;
+
+      const meta = chart.getDatasetMeta(datasetIndex);
+      const yScale = chart.scales[meta.yAxisID];
+      if (!yScale) return;
+
+      meta.data.forEach((element, index) => {
+        const statistics = dataset.statistics[index];
+        if (!statistics || !Array.isArray(statistics.ci95) || statistics.ci95[0] === statistics.ci95[1]) return;
+
+        const x = element.x;
+        const top = yScale.getPixelForValue(statistics.ci95[1]);
+        const bottom = yScale.getPixelForValue(statistics.ci95[0]);
+        const capWidth = Math.min(6, (element.width || 12) / 3);
+
+        ctx.save();
+        ctx.strokeStyle = dataset.errorBarColor || '#111827';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.moveTo(x - capWidth, top);
+        ctx.lineTo(x + capWidth, top);
+        ctx.moveTo(x - capWidth, bottom);
+        ctx.lineTo(x + capWidth, bottom);
+        ctx.stroke();
+        ctx.restore();
+      });
+    });
+  }
+};
+
+/**
+ * Tooltip line with the standard deviation and confidence interval of a value
+ * (use as tooltip.callbacks.afterLabel)
+ */
+export const formatStatistics = (context) => {
+  const statistics = context.dataset.statistics?.[context.dataIndex];
+  if (!statistics || !Array.isArray(statistics.ci95)) return '';
+  return `σ ${statistics.std.toFixed(2)}, 95% CI [${statistics.ci95[0].toFixed(2)}, ${statistics.ci95[1].toFixed(2)}] (n=${statistics.n})`;
+};
+
+export default errorBarsPlugin;